@@ -9,13 +9,55 @@ import 'dotenv/config';
 const requiredEnvVars = [
   'TELEGRAM_BOT_TOKEN',
   'SUPABASE_URL', 
-  'SUPABASE_SERVICE_ROLE_KEY',
-  'GEMINI_API_KEY'
+  'SUPABASE_SERVICE_ROLE_KEY'
 ];
 
+// Environment variables each LLM provider requires
+const providerEnvVars = {
+  gemini: ['GEMINI_API_KEY'],
+  openai: ['OPENAI_BASE_URL'],
+  mock: []
+};
+
+// LLM use cases with their own model, temperature and max tokens (LLM_CHAT_MODEL, LLM_CHAT_TEMPERATURE, LLM_CHAT_MAX_TOKENS, ...)
+const llmUseCases = ['chat', 'image', 'audio', 'video', 'document', 'embedding'];
+
+// Numeric LLM setting from the environment; invalid values are ignored with a warning so the default applies
+function readLlmNumber(name, { integer = false } = {}) {
+  const raw = process.env[name];
+  if (!raw) return undefined;
+  
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0 || (integer && (!Number.isInteger(value) || value === 0))) {
+    console.warn(`⚠️  Ignoring ${name}="${raw}" (expected ${integer ? 'a whole number above 0' : 'a number of 0 or more'}) - using the default`);
+    return undefined;
+  }
+  return value;
+}
+
+// Overrides set for one LLM use case (unset values are left to the defaults in llm.js)
+function getLlmSettings(useCase) {
+  const prefix = `LLM_${useCase.toUpperCase()}`;
+  const settings = {};
+  if (process.env[`${prefix}_MODEL`]) settings.model = process.env[`${prefix}_MODEL`];
+  
+  const temperature = readLlmNumber(`${prefix}_TEMPERATURE`);
+  if (temperature !== undefined) settings.temperature = temperature;
+  
+  const maxTokens = readLlmNumber(`${prefix}_MAX_TOKENS`, { integer: true });
+  if (maxTokens !== undefined) settings.maxTokens = maxTokens;
+  return settings;
+}
+
 // Validate environment variables
 function validateEnv() {
-  const missing = requiredEnvVars.filter(envVar => !process.env[envVar]);
+  const provider = env.LLM_PROVIDER;
+  if (!providerEnvVars[provider]) {
+    console.error(`❌ Unknown LLM_PROVIDER "${provider}" (expected one of: ${Object.keys(providerEnvVars).join(', ')})`);
+    process.exit(1);
+  }
+  
+  const missing = [...requiredEnvVars, ...providerEnvVars[provider]].filter(envVar => !process.env[envVar]);
   
   if (missing.length > 0) {
     console.error('❌ Missing required environment variables:');
@@ -36,27 +78,70 @@ export const env = {
   
   // Telegram
   TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || '',
+  // Secret Telegram sends with every webhook call (derived from the bot token when unset)
+  TELEGRAM_WEBHOOK_SECRET: process.env.TELEGRAM_WEBHOOK_SECRET || '',
+  // Only accept webhook calls from Telegram's published address ranges
+  TELEGRAM_WEBHOOK_CHECK_IP: process.env.TELEGRAM_WEBHOOK_CHECK_IP === 'true',
   
   // Clinic Information
   OWNER_NAME: process.env.OWNER_NAME || 'Dr. Kunle Adesina',
   CLINIC_NAME: process.env.CLINIC_NAME || 'Serenity Royale Hospital',
   CITY: process.env.CITY || 'Abuja',
+  CLINIC_TIMEZONE: process.env.CLINIC_TIMEZONE || 'Africa/Lagos',
+  
+  // Booking
+  BOOKING_SLOT_MINUTES: parseInt(process.env.BOOKING_SLOT_MINUTES || '60', 10),
+  BOOKING_SLOT_CAPACITY: parseInt(process.env.BOOKING_SLOT_CAPACITY || '2', 10),
+  BOOKING_HOLD_MINUTES: parseInt(process.env.BOOKING_HOLD_MINUTES || '10', 10),
+  BOOKING_DAYS_AHEAD: parseInt(process.env.BOOKING_DAYS_AHEAD || '6', 10),
+  WAITLIST_OFFER_MINUTES: parseInt(process.env.WAITLIST_OFFER_MINUTES || '30', 10),
+  
+  // Scheduler
+  REMINDER_WINDOWS_HOURS: (process.env.REMINDER_WINDOWS_HOURS || '24,2')
+    .split(',')
+    .map(value => parseFloat(value))
+    .filter(value => value > 0),
+  SCHEDULER_INTERVAL_MINUTES: parseInt(process.env.SCHEDULER_INTERVAL_MINUTES || '5', 10),
+  CRON_SECRET: process.env.CRON_SECRET || '',
+  // Daily digest send time in clinic time (HH:MM); 'off' turns it off
+  DAILY_DIGEST_TIME: process.env.DAILY_DIGEST_TIME || '07:30',
+  
+  // Broadcasts (Telegram allows about 30 messages a second per bot)
+  BROADCAST_MESSAGES_PER_SECOND: parseInt(process.env.BROADCAST_MESSAGES_PER_SECOND || '20', 10),
+  
+  // Calendar Feeds
+  CALENDAR_FEED_SECRET: process.env.CALENDAR_FEED_SECRET || '',
   
   // Admin Access
   MD_TELEGRAM_USER_ID: process.env.MD_TELEGRAM_USER_ID ? parseInt(process.env.MD_TELEGRAM_USER_ID, 10) : null,
   
+  // Staff Handoff (Telegram group where patient conversations are relayed)
+  STAFF_GROUP_CHAT_ID: process.env.STAFF_GROUP_CHAT_ID ? parseInt(process.env.STAFF_GROUP_CHAT_ID, 10) : null,
+  
   // Supabase
   SUPABASE_URL: process.env.SUPABASE_URL || '',
   SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY || '',
   SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY || '',
   SUPABASE_STORAGE_BUCKET: process.env.SUPABASE_STORAGE_BUCKET || 'incoming-media',
   
+  // LLM provider: gemini, openai (any OpenAI-compatible endpoint) or mock (offline fixtures)
+  LLM_PROVIDER: (process.env.LLM_PROVIDER || 'gemini').trim().toLowerCase(),
+  // Model, temperature and max tokens overrides by use case
+  LLM_SETTINGS: Object.fromEntries(llmUseCases.map(useCase => [useCase, getLlmSettings(useCase)])),
+  // JSON fixture file for the mock provider (built-in fixtures when unset)
+  LLM_MOCK_FIXTURES: process.env.LLM_MOCK_FIXTURES || '',
+  
   // Gemini AI
   GEMINI_API_KEY: process.env.GEMINI_API_KEY || '',
   
+  // OpenAI-compatible endpoint (OpenAI, or a self-hosted server such as Ollama or vLLM)
+  OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || '',
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY || '',
+  
   // Computed values
   get IS_PRODUCTION() { return this.NODE_ENV === 'production'; },
   get IS_WEBHOOK_MODE() { return this.IS_PRODUCTION && this.APP_BASE_URL; },
+  get IS_SERVERLESS() { return !!process.env.VERCEL; },
   get WEBHOOK_URL() { return this.APP_BASE_URL ? `${this.APP_BASE_URL}/api/telegram/webhook` : ''; }
 };
 
@@ -66,6 +151,7 @@ export function initializeEnv() {
   console.log(`📍 Environment: ${env.NODE_ENV}`);
   console.log(`🏥 Clinic: ${env.CLINIC_NAME} (${env.CITY})`);
   console.log(`🤖 Mode: ${env.IS_WEBHOOK_MODE ? 'Webhook' : 'Polling'}`);
+  console.log(`🧠 LLM provider: ${env.LLM_PROVIDER}`);
   
   if (env.IS_PRODUCTION) {
     validateEnv();
@@ -0,0 +1,148 @@
+import { env } from '../config/env.js';
+import * as db from './supabase.js';
+import * as datetime from './datetime.js';
+
+/**
+ * Analytics
+ * Reporting periods for the MD brief in clinic time, the counts for a period
+ * (aggregated in the database by get_brief_stats) and how they compare with
+ * the same stretch of time just before it.
+ */
+
+// Named periods: how many days they cover and how many days before today they end
+export const PERIODS = {
+  today: { days: 1, endsDaysAgo: 0, label: 'Today' },
+  yesterday: { days: 1, endsDaysAgo: 1, label: 'Yesterday' },
+  week: { days: 7, endsDaysAgo: 0, label: 'Last 7 days' },
+  month: { days: 30, endsDaysAgo: 0, label: 'Last 30 days' }
+};
+
+// Longest custom range in days
+export const MAX_RANGE_DAYS = 366;
+
+// Figures compared with the previous period
+export const TREND_METRICS = [
+  'chats',
+  'active_patients',
+  'new_patients',
+  'returning_patients',
+  'bookings',
+  'cancellations',
+  'media',
+  'emergencies',
+  'llm_fallbacks',
+  'faqs'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Range covering clinic-local dates startDate..endDate (inclusive)
+// Returns { label, dateLabel, startDate, endDate, days, start, end } with `end` exclusive and never after `now`,
+// or null when the dates are invalid, reversed, in the future or span more than MAX_RANGE_DAYS
+export function getRange(startDate, endDate = startDate, { now = new Date() } = {}) {
+  if (!datetime.isDateString(startDate) || !datetime.isDateString(endDate) || endDate < startDate) return null;
+
+  const start = datetime.zonedTimeToUtc(datetime.parseDateString(startDate), env.CLINIC_TIMEZONE);
+  const fullEnd = datetime.zonedTimeToUtc(datetime.addDays(datetime.parseDateString(endDate), 1), env.CLINIC_TIMEZONE);
+  const days = Math.round((Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / DAY_MS) + 1;
+  if (start >= now || days > MAX_RANGE_DAYS) return null;
+
+  const startLabel = datetime.formatDateLabel(datetime.localDateToUtc(startDate));
+  const endLabel = datetime.formatDateLabel(datetime.localDateToUtc(endDate));
+  const dateLabel = startDate === endDate ? startLabel : `${startLabel} to ${endLabel}`;
+
+  return {
+    label: dateLabel,
+    dateLabel,
+    startDate,
+    endDate,
+    days,
+    start,
+    end: fullEnd > now ? now : fullEnd
+  };
+}
+
+// Range for a named period (see PERIODS), or null for an unknown name
+export function getPeriodRange(period, { now = new Date() } = {}) {
+  const spec = PERIODS[period];
+  if (!spec) return null;
+
+  const endDate = datetime.shiftDateString(datetime.toLocalDateString(now, env.CLINIC_TIMEZONE), -spec.endsDaysAgo);
+  const range = getRange(datetime.shiftDateString(endDate, -(spec.days - 1)), endDate, { now });
+  return range ? { ...range, label: spec.label, period } : null;
+}
+
+// Range from a period name or from/to dates, as /md_brief and GET /api/md/brief take them
+// Defaults to today; returns null when the input doesn't describe a valid range
+export function resolveRange({ period = null, from = null, to = null, now = new Date() } = {}) {
+  if (from) return getRange(from, to || from, { now });
+  return getPeriodRange((period || 'today').toLowerCase(), { now });
+}
+
+// The same number of days just before a range; when the range stops at "now",
+// so does the comparison (e.g. today until 2pm against yesterday until 2pm)
+export function getPreviousRange(range) {
+  const startDate = datetime.shiftDateString(range.startDate, -range.days);
+  const endDate = datetime.shiftDateString(range.endDate, -range.days);
+  const start = datetime.zonedTimeToUtc(datetime.parseDateString(startDate), env.CLINIC_TIMEZONE);
+
+  return {
+    label: `Previous ${range.days === 1 ? 'day' : `${range.days} days`}`,
+    startDate,
+    endDate,
+    days: range.days,
+    start,
+    end: new Date(start.getTime() + (range.end - range.start))
+  };
+}
+
+// Percentage change from `previous` to `current`, or null when there is nothing to compare with
+export function getChange(current, previous) {
+  if (!previous) return null;
+  return Math.round(((current - previous) / previous) * 100);
+}
+
+function normalizeStats(stats) {
+  const counts = Object.fromEntries(TREND_METRICS.map(metric => [metric, Number(stats[metric]) || 0]));
+  const toCounts = (groups) => Object.fromEntries(Object.entries(groups || {}).map(([key, value]) => [key, Number(value) || 0]));
+
+  return {
+    ...counts,
+    bookings_by_status: toCounts(stats.bookings_by_status),
+    media_by_type: toCounts(stats.media_by_type)
+  };
+}
+
+// Counts for a range and for the period before it, with the change in each TREND_METRICS figure
+// `location` narrows appointment figures; chat figures are clinic-wide. Returns null when the database is unavailable
+export async function getBrief(range, { location = null } = {}) {
+  const previousRange = getPreviousRange(range);
+  const [current, previous] = await Promise.all([
+    db.getBriefStats(range.start, range.end, { location }),
+    db.getBriefStats(previousRange.start, previousRange.end, { location })
+  ]);
+  if (!current || !previous) return null;
+
+  const currentStats = normalizeStats(current);
+  const previousStats = normalizeStats(previous);
+
+  return {
+    range,
+    previousRange,
+    current: currentStats,
+    previous: previousStats,
+    changes: Object.fromEntries(TREND_METRICS.map(metric => [metric, getChange(currentStats[metric], previousStats[metric])]))
+  };
+}
+
+export default {
+  PERIODS,
+  MAX_RANGE_DAYS,
+  TREND_METRICS,
+  getRange,
+  getPeriodRange,
+  resolveRange,
+  getPreviousRange,
+  getChange,
+  getBrief
+};
@@ -0,0 +1,130 @@
+import { createHash, randomBytes } from 'node:crypto';
+import * as db from './supabase.js';
+import { PERMISSIONS } from './roles.js';
+import { secureCompare } from './utils.js';
+
+/**
+ * API Keys
+ * Credentials for the admin HTTP endpoints. Each key carries scopes (the
+ * permissions in lib/roles.js) and an expiry; only a SHA-256 hash is stored,
+ * so a key is shown once when the MD creates it with /md_apikey.
+ */
+
+// Keys look like sck_1a2b3c4d_<secret>; the part before the second underscore is the stored prefix
+const KEY_PATTERN = /^(sck_[0-9a-f]{8})_[A-Za-z0-9_-]{32}$/;
+
+// Expiry limits in days
+export const DEFAULT_EXPIRY_DAYS = 90;
+export const MAX_EXPIRY_DAYS = 365;
+
+// Failed attempts allowed per client address in each window
+const MAX_FAILED_ATTEMPTS = 10;
+const FAILED_ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+
+// Failed attempts by client address (per server instance)
+const failedAttempts = new Map();
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+// Scopes a key can be given
+export function getAvailableScopes() {
+  return Object.keys(PERMISSIONS);
+}
+
+// Create a key; returns { key, record } where `key` is the only copy of the secret
+export async function createKey({ name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS, createdBy = null, now = new Date() }) {
+  const prefix = `sck_${randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${randomBytes(24).toString('base64url')}`;
+  const days = Math.min(Math.max(parseInt(expiresInDays, 10) || DEFAULT_EXPIRY_DAYS, 1), MAX_EXPIRY_DAYS);
+
+  const record = await db.createApiKey({
+    name,
+    key_prefix: prefix,
+    key_hash: hashKey(key),
+    scopes,
+    expires_at: new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString(),
+    created_by: createdBy
+  });
+
+  return record ? { key, record } : null;
+}
+
+// Check a presented key
+// Returns { status: 'valid' | 'invalid' | 'expired' | 'revoked', key? }
+export async function verifyKey(presented, { now = new Date() } = {}) {
+  const match = typeof presented === 'string' ? presented.match(KEY_PATTERN) : null;
+  if (!match) return { status: 'invalid' };
+
+  const record = await db.getApiKeyByPrefix(match[1]);
+  if (!record || !secureCompare(hashKey(presented), record.key_hash)) return { status: 'invalid' };
+  if (record.revoked_at) return { status: 'revoked', key: record };
+  if (new Date(record.expires_at) <= now) return { status: 'expired', key: record };
+
+  await db.updateApiKey(record.id, { last_used_at: now.toISOString() });
+  return { status: 'valid', key: record };
+}
+
+// Whether a key holds a scope
+export function hasScope(record, scope) {
+  return Array.isArray(record?.scopes) && record.scopes.includes(scope);
+}
+
+// Active keys (never includes hashes)
+export async function listKeys() {
+  return await db.getActiveApiKeys();
+}
+
+// Revoke a key by its prefix; returns null when unknown or already revoked
+export async function revokeKey(prefix, revokedBy = null) {
+  const record = await db.getApiKeyByPrefix(prefix);
+  if (!record) return null;
+
+  return await db.updateApiKey(record.id, {
+    revoked_at: new Date().toISOString(),
+    revoked_by: revokedBy
+  }, { onlyActive: true });
+}
+
+/**
+ * Failed Attempt Limiting
+ */
+
+// Seconds until a client may try again, or 0 when it is not blocked
+export function getRetryAfter(clientId, now = Date.now()) {
+  const entry = failedAttempts.get(clientId);
+  if (!entry || entry.resetAt <= now) return 0;
+  return entry.count >= MAX_FAILED_ATTEMPTS ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+}
+
+// Forget clients whose window has ended, so the map only holds recent failures
+function pruneFailedAttempts(now) {
+  for (const [clientId, entry] of failedAttempts) {
+    if (entry.resetAt <= now) failedAttempts.delete(clientId);
+  }
+}
+
+// Count a failed attempt from a client
+export function recordFailedAttempt(clientId, now = Date.now()) {
+  pruneFailedAttempts(now);
+  const entry = failedAttempts.get(clientId);
+  if (!entry || entry.resetAt <= now) {
+    failedAttempts.set(clientId, { count: 1, resetAt: now + FAILED_ATTEMPT_WINDOW_MS });
+    return;
+  }
+  entry.count++;
+}
+
+export default {
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  getAvailableScopes,
+  createKey,
+  verifyKey,
+  hasScope,
+  listKeys,
+  revokeKey,
+  getRetryAfter,
+  recordFailedAttempt
+};
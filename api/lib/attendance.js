@@ -0,0 +1,85 @@
+import * as db from './supabase.js';
+import { getLocationName } from './locations.js';
+
+/**
+ * Attendance Outcomes
+ * Which past appointments staff can mark completed or no-show, and
+ * no-show rates per branch and per clinician for the MD brief
+ */
+
+// Statuses staff can record once an appointment has started
+export const OUTCOME_STATUSES = ['completed', 'no_show'];
+
+// How far back unmarked appointments are listed for staff
+export const OUTCOME_LOOKBACK_DAYS = 7;
+
+// Period used for no-show rates
+export const NO_SHOW_STATS_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whether an appointment can be marked completed or no-show now
+export function canRecordOutcome(appointment, now = new Date()) {
+  return ['pending', 'confirmed'].includes(appointment?.status) &&
+    !!appointment.scheduled_datetime &&
+    new Date(appointment.scheduled_datetime) <= now;
+}
+
+// Past appointments still waiting for an outcome
+export async function getAppointmentsAwaitingOutcome({ location = null, clinicianId = null, now = new Date() } = {}) {
+  const since = new Date(now.getTime() - OUTCOME_LOOKBACK_DAYS * DAY_MS);
+  return await db.getAppointmentsAwaitingOutcome(since, now, { location, clinicianId });
+}
+
+function summarize(rows) {
+  const noShows = rows.filter(row => row.status === 'no_show').length;
+  return {
+    total: rows.length,
+    noShows,
+    rate: rows.length > 0 ? noShows / rows.length : 0
+  };
+}
+
+function groupBy(rows, getKey) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = getKey(row);
+    groups.set(key, [...(groups.get(key) || []), row]);
+  }
+  return groups;
+}
+
+// No-show rate overall, per branch and per clinician over the last `days` days
+export async function getNoShowStats({ location = null, days = NO_SHOW_STATS_DAYS, now = new Date() } = {}) {
+  const rows = await db.getAttendanceOutcomes(new Date(now.getTime() - days * DAY_MS), now, { location });
+
+  const byLocation = [...groupBy(rows, row => row.location || null)].map(([code, items]) => ({
+    location: code,
+    name: getLocationName(code) || 'No branch',
+    ...summarize(items)
+  }));
+
+  const byClinician = [...groupBy(rows, row => row.clinician_id || null)].map(([clinicianId, items]) => ({
+    clinician_id: clinicianId,
+    name: items[0].clinicians?.full_name || 'Unassigned',
+    ...summarize(items)
+  }));
+
+  const byRate = (a, b) => b.rate - a.rate || b.total - a.total;
+
+  return {
+    days,
+    ...summarize(rows),
+    byLocation: byLocation.sort(byRate),
+    byClinician: byClinician.sort(byRate)
+  };
+}
+
+export default {
+  OUTCOME_STATUSES,
+  OUTCOME_LOOKBACK_DAYS,
+  NO_SHOW_STATS_DAYS,
+  canRecordOutcome,
+  getAppointmentsAwaitingOutcome,
+  getNoShowStats
+};
@@ -0,0 +1,100 @@
+import { env } from '../config/env.js';
+import * as db from './supabase.js';
+import * as datetime from './datetime.js';
+
+/**
+ * Audit Log
+ * Who looked at or changed patient data, and who used an admin command or
+ * API route: actor, action, target patient/appointment and channel. The table
+ * is append-only, and a failed write is logged without blocking the action.
+ */
+
+// Page sizes for /md_audit and GET /api/md/audit
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+// Clamp a requested page size
+export function getPageSize(value) {
+  const size = parseInt(value, 10);
+  if (!size || size < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(size, MAX_PAGE_SIZE);
+}
+
+// Actor for a Telegram user ('staff' for admin commands, 'patient' for their own consent)
+export function telegramActor(user, type = 'staff') {
+  const name = [user.first_name, user.last_name].filter(Boolean).join(' ');
+  return {
+    type,
+    id: String(user.id),
+    name: user.username ? `${name} (@${user.username})` : name || null
+  };
+}
+
+// Actor for an API key
+export function apiKeyActor(key) {
+  return { type: 'api_key', id: key.key_prefix, name: key.name };
+}
+
+// Actor for a calendar feed URL ('clinician' or 'location' and its ID); the token itself is not stored
+export function feedTokenActor(type, id) {
+  return { type: 'feed_token', id: `${type}:${id}`, name: null };
+}
+
+function toRow({ actor, action, channel, patientId = null, appointmentId = null, details = {} }) {
+  return {
+    actor_type: actor.type,
+    actor_id: actor.id ? String(actor.id) : null,
+    actor_name: actor.name || null,
+    action,
+    channel,
+    patient_id: patientId,
+    appointment_id: appointmentId,
+    details
+  };
+}
+
+// Record one action; returns whether it was written
+export async function record(entry) {
+  return await db.insertAuditLog(toRow(entry));
+}
+
+// Record that appointments were shown to someone: one entry per appointment,
+// or a single entry with no target when the list was empty
+export async function recordAccess(entry, appointments = []) {
+  if (appointments.length === 0) {
+    return await record({ ...entry, details: { ...entry.details, count: 0 } });
+  }
+
+  return await db.insertAuditLog(appointments.map(appointment => toRow({
+    ...entry,
+    patientId: appointment.patient_id || null,
+    appointmentId: appointment.id,
+    details: { ...entry.details, count: appointments.length }
+  })));
+}
+
+// UTC range [start, end) covering two clinic-local dates (YYYY-MM-DD, inclusive)
+export function getDateRange(startDate, endDate = startDate) {
+  return {
+    start: datetime.getDayRange(datetime.localDateToUtc(startDate), env.CLINIC_TIMEZONE).start,
+    end: datetime.zonedTimeToUtc(datetime.addDays(datetime.parseDateString(endDate), 1), env.CLINIC_TIMEZONE)
+  };
+}
+
+// Entries newest first, filtered by time range and/or patient
+export async function query({ start = null, end = null, patientId = null, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  return await db.getAuditLog({ start, end, patientId, limit, offset });
+}
+
+export default {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  getPageSize,
+  telegramActor,
+  apiKeyActor,
+  feedTokenActor,
+  record,
+  recordAccess,
+  getDateRange,
+  query
+};
@@ -0,0 +1,219 @@
+import { env } from '../config/env.js';
+import * as db from './supabase.js';
+import * as datetime from './datetime.js';
+import * as calendar from './calendar.js';
+
+/**
+ * Booking Slots and Availability
+ * Services, slot generation, capacity checks and temporary slot holds
+ */
+
+// Services offered through the booking wizard
+export const SERVICES = {
+  mental_health: 'Mental health support',
+  substance_use: 'Substance-use counselling',
+  general: 'General consultation'
+};
+
+// Reasons a patient can give for cancelling or rescheduling
+export const CHANGE_REASONS = {
+  conflict: 'Schedule conflict',
+  better: 'Feeling better',
+  travel: 'Transport or cost',
+  other: 'Other reason'
+};
+
+// Statuses that occupy a place in a slot
+const BOOKED_STATUSES = ['pending', 'confirmed', 'rescheduled'];
+
+// In-memory fallback for holds when Supabase is not configured
+const memoryHolds = new Map();
+
+function getSlotLengthMs() {
+  return env.BOOKING_SLOT_MINUTES * 60 * 1000;
+}
+
+/**
+ * Slot Generation
+ */
+
+// Slot start times for a clinic-local date (YYYY-MM-DD)
+export function getSlotsForDate(dateString) {
+  const { year, month, day } = datetime.parseDateString(dateString);
+  const { openHour, closeHour } = datetime.CLINIC_HOURS;
+  const slots = [];
+
+  for (let minutes = openHour * 60; minutes + env.BOOKING_SLOT_MINUTES <= closeHour * 60; minutes += env.BOOKING_SLOT_MINUTES) {
+    slots.push(datetime.zonedTimeToUtc({
+      year,
+      month,
+      day,
+      hour: Math.floor(minutes / 60),
+      minute: minutes % 60
+    }, env.CLINIC_TIMEZONE));
+  }
+
+  return slots;
+}
+
+// Upcoming clinic-open dates (YYYY-MM-DD), starting today
+export function getUpcomingClinicDates(count = env.BOOKING_DAYS_AHEAD, now = new Date()) {
+  const today = datetime.getZonedParts(now, env.CLINIC_TIMEZONE);
+  let day = { year: today.year, month: today.month, day: today.day };
+  const dates = [];
+
+  for (let i = 0; dates.length < count && i < count + 14; i++) {
+    const midday = datetime.zonedTimeToUtc({ ...day, hour: 12 }, env.CLINIC_TIMEZONE);
+
+    if (datetime.CLINIC_HOURS.openDays.includes(datetime.getZonedParts(midday, env.CLINIC_TIMEZONE).weekday)) {
+      dates.push(datetime.toLocalDateString(midday, env.CLINIC_TIMEZONE));
+    }
+    day = datetime.addDays(day, 1);
+  }
+
+  return dates;
+}
+
+/**
+ * Availability
+ */
+
+async function getActiveHolds(start, end) {
+  if (db.getSupabaseClient()) {
+    return await db.getActiveSlotHolds(start, end);
+  }
+
+  const now = new Date();
+  return [...memoryHolds.values()].filter(hold =>
+    new Date(hold.expires_at) > now &&
+    new Date(hold.slot_start) >= start &&
+    new Date(hold.slot_start) <= end
+  );
+}
+
+// Places taken in the slot starting at `slotStart` (appointments plus other patients' holds)
+function countSlotUsage(slotStart, location, appointments, holds, telegramUserId) {
+  const start = new Date(slotStart).getTime();
+  const end = start + getSlotLengthMs();
+  const inSlot = (value) => {
+    const time = new Date(value).getTime();
+    return time >= start && time < end;
+  };
+  // Appointments without a branch are counted against every branch
+  const sameLocation = (value) => !location || !value || value === location;
+
+  const booked = appointments.filter(apt =>
+    inSlot(apt.scheduled_datetime) && sameLocation(apt.location)
+  ).length;
+
+  const held = holds.filter(hold =>
+    hold.telegram_user_id !== telegramUserId &&
+    inSlot(hold.slot_start) &&
+    sameLocation(hold.location)
+  ).length;
+
+  return booked + held;
+}
+
+// Filter slot start times down to those with room left
+async function filterFreeSlots(slots, location, telegramUserId) {
+  if (slots.length === 0) return [];
+
+  const rangeStart = slots[0];
+  const rangeEnd = new Date(slots[slots.length - 1].getTime() + getSlotLengthMs() - 1);
+
+  const [appointments, holds] = await Promise.all([
+    db.getAppointmentsScheduledBetween(rangeStart, rangeEnd, BOOKED_STATUSES),
+    getActiveHolds(rangeStart, rangeEnd)
+  ]);
+
+  return slots.filter(slot =>
+    countSlotUsage(slot, location, appointments, holds, telegramUserId) < env.BOOKING_SLOT_CAPACITY
+  );
+}
+
+// Free slots for a date at a location (none on holidays or closure days)
+export async function getAvailableSlots(dateString, location, { telegramUserId = null, now = new Date() } = {}) {
+  if (await calendar.getDayClosure(dateString, { location })) return [];
+
+  const slots = getSlotsForDate(dateString).filter(slot => slot > now);
+  return await filterFreeSlots(slots, location, telegramUserId);
+}
+
+// Upcoming dates that still have at least one free slot, skipping holidays and closures
+export async function getAvailableDates(location, { telegramUserId = null, now = new Date() } = {}) {
+  const upcoming = getUpcomingClinicDates(env.BOOKING_DAYS_AHEAD, now);
+  if (upcoming.length === 0) return [];
+
+  const closed = await calendar.getClosedDays(upcoming[0], upcoming[upcoming.length - 1], { location });
+  const dates = upcoming.filter(dateString => !closed.has(dateString));
+  const slots = dates.flatMap(dateString => getSlotsForDate(dateString)).filter(slot => slot > now);
+  const freeSlots = await filterFreeSlots(slots, location, telegramUserId);
+
+  const freeDates = new Set(freeSlots.map(slot => datetime.toLocalDateString(slot, env.CLINIC_TIMEZONE)));
+  return dates.filter(dateString => freeDates.has(dateString));
+}
+
+// Check whether a given start time still has room
+export async function isSlotAvailable(slotStart, location, { telegramUserId = null } = {}) {
+  const dateString = datetime.toLocalDateString(new Date(slotStart), env.CLINIC_TIMEZONE);
+  if (await calendar.getDayClosure(dateString, { location })) return false;
+
+  const free = await filterFreeSlots([new Date(slotStart)], location, telegramUserId);
+  return free.length > 0;
+}
+
+/**
+ * Slot Holds
+ */
+
+// Hold a slot for a patient while they finish booking (or decide on a waitlist offer)
+export async function holdSlot(telegramUserId, location, slotStart, { minutes = env.BOOKING_HOLD_MINUTES } = {}) {
+  if (!(await isSlotAvailable(slotStart, location, { telegramUserId }))) {
+    return false;
+  }
+
+  const hold = {
+    telegram_user_id: telegramUserId,
+    location,
+    slot_start: new Date(slotStart).toISOString(),
+    expires_at: new Date(Date.now() + minutes * 60 * 1000).toISOString()
+  };
+
+  if (!db.getSupabaseClient()) {
+    memoryHolds.set(telegramUserId, hold);
+    return true;
+  }
+
+  const saved = await db.upsertSlotHold(hold);
+  if (!saved) return false;
+
+  // Re-check in case another patient took the last place at the same moment
+  if (!(await isSlotAvailable(slotStart, location, { telegramUserId }))) {
+    await releaseHold(telegramUserId);
+    return false;
+  }
+
+  return true;
+}
+
+// Release a patient's slot hold
+export async function releaseHold(telegramUserId) {
+  if (db.getSupabaseClient()) {
+    return await db.deleteSlotHold(telegramUserId);
+  }
+
+  return memoryHolds.delete(telegramUserId);
+}
+
+export default {
+  SERVICES,
+  CHANGE_REASONS,
+  getSlotsForDate,
+  getUpcomingClinicDates,
+  getAvailableSlots,
+  getAvailableDates,
+  isSlotAvailable,
+  holdSlot,
+  releaseHold
+};
@@ -0,0 +1,236 @@
+import { env } from '../config/env.js';
+import * as db from './supabase.js';
+import * as locations from './locations.js';
+import * as utils from './utils.js';
+
+/**
+ * Broadcasts
+ * Announcements from the MD to opted-in patients: everyone, one branch's
+ * patients or those with upcoming appointments. Recipients are stored when
+ * the broadcast is queued and sent in throttled runs (see the broadcasts
+ * job), so long lists survive function time limits and restarts.
+ */
+
+// Audiences a broadcast can go to
+export const AUDIENCES = {
+  all: 'All opted-in patients',
+  branch: 'Patients of a branch',
+  upcoming: 'Patients with upcoming appointments'
+};
+
+// Telegram limits: about 30 messages a second per bot; captions and messages have length caps
+const MAX_MESSAGES_PER_SECOND = 30;
+export const MAX_TEXT_LENGTH = 4096;
+export const MAX_CAPTION_LENGTH = 1024;
+
+// Sending time per run, so a serverless function finishes inside its limit
+const DEFAULT_TIME_BUDGET_MS = 20 * 1000;
+
+// A recipient claimed this long ago and still mid-send (process stopped) is counted as failed
+const STALE_SENDING_MS = 60 * 60 * 1000;
+
+// Appointment statuses that count as upcoming
+const UPCOMING_STATUSES = ['pending', 'confirmed', 'rescheduled'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Pause between messages for BROADCAST_MESSAGES_PER_SECOND (never above Telegram's limit)
+function getSendInterval() {
+  const rate = Math.min(Math.max(env.BROADCAST_MESSAGES_PER_SECOND || 1, 1), MAX_MESSAGES_PER_SECOND);
+  return Math.ceil(1000 / rate);
+}
+
+// Label for an audience, e.g. "Patients of a branch: Karu, Abuja"
+export function getAudienceLabel(audience, location = null) {
+  return location ? `${AUDIENCES[audience]}: ${locations.getLocationName(location)}` : AUDIENCES[audience];
+}
+
+// Whether a draft fits Telegram's limits
+export function isDraftValid({ text = '', photoFileId = null }) {
+  return text.length <= (photoFileId ? MAX_CAPTION_LENGTH : MAX_TEXT_LENGTH) && Boolean(text || photoFileId);
+}
+
+// Patients the audience covers right now ({ id, telegram_user_id }), leaving out opted-out and blocked ones
+export async function getAudience({ audience, location = null, now = new Date() }) {
+  if (audience === 'all') return await db.getReachablePatients();
+
+  const patientIds = audience === 'upcoming'
+    ? await db.getAppointmentPatientIds({ location, from: now, statuses: UPCOMING_STATUSES })
+    : await db.getAppointmentPatientIds({ location });
+  return patientIds.length > 0 ? await db.getReachablePatients({ patientIds }) : [];
+}
+
+// Send a draft to one chat (used for the sender's preview too)
+export async function sendDraft(telegram, chatId, { text = '', photoFileId = null }, extra = {}) {
+  if (photoFileId) {
+    return await telegram.sendPhoto(chatId, photoFileId, { ...extra, caption: text || undefined });
+  }
+  return await telegram.sendMessage(chatId, text, extra);
+}
+
+// Store a broadcast and its recipients, ready for sendPending
+// Returns the broadcast, or null when nobody in the audience can be reached or saving fails
+export async function queueBroadcast({ text = '', photoFileId = null, audience, location = null, createdBy = null, reportChatId = null, now = new Date() }) {
+  const patients = await getAudience({ audience, location, now });
+  if (patients.length === 0) return null;
+
+  // Created as 'preparing' so a run in progress can't finish it before every recipient is stored
+  const broadcast = await db.createBroadcast({
+    message_text: text,
+    photo_file_id: photoFileId,
+    audience,
+    location,
+    status: 'preparing',
+    recipient_count: patients.length,
+    created_by: createdBy,
+    report_chat_id: reportChatId
+  });
+  if (!broadcast) return null;
+
+  const added = await db.addBroadcastRecipients(patients.map(patient => ({
+    broadcast_id: broadcast.id,
+    patient_id: patient.id,
+    telegram_chat_id: patient.telegram_user_id,
+    status: 'pending'
+  })));
+
+  if (!added) {
+    await db.updateBroadcast(broadcast.id, { status: 'failed', completed_at: new Date().toISOString() });
+    return null;
+  }
+
+  return await db.updateBroadcast(broadcast.id, { status: 'sending' });
+}
+
+// Send one broadcast message, waiting out Telegram's flood control once if asked to
+// Returns { status: 'delivered' | 'blocked' | 'failed', error? }
+async function sendToRecipient(telegram, broadcast, chatId, { retry = true } = {}) {
+  try {
+    await sendDraft(telegram, chatId, { text: broadcast.message_text, photoFileId: broadcast.photo_file_id });
+    return { status: 'delivered' };
+  } catch (error) {
+    const retryAfter = error.parameters?.retry_after;
+    if (retryAfter && retry) {
+      await sleep(retryAfter * 1000);
+      return await sendToRecipient(telegram, broadcast, chatId, { retry: false });
+    }
+
+    // 403: blocked the bot, deactivated account or never started the bot
+    if (error.code === 403) return { status: 'blocked', error: error.description };
+    return { status: 'failed', error: error.description || error.message };
+  }
+}
+
+// Deliver to one recipient; returns the outcome, or null when another run already took them
+async function deliver(telegram, broadcast, recipient) {
+  if (!(await db.claimBroadcastRecipient(recipient.id))) return null;
+
+  // Patients can opt out (or turn out to have blocked the bot) after the broadcast was queued
+  if (recipient.patients?.consent_opt_in === false || recipient.patients?.bot_blocked_at) {
+    await db.updateBroadcastRecipient(recipient.id, { status: 'skipped' });
+    return 'skipped';
+  }
+
+  const result = await sendToRecipient(telegram, broadcast, recipient.telegram_chat_id);
+  await db.updateBroadcastRecipient(recipient.id, {
+    status: result.status,
+    error: result.error || null,
+    sent_at: new Date().toISOString()
+  });
+
+  if (result.status === 'blocked') {
+    await db.markPatientBotBlocked(recipient.patient_id);
+  }
+
+  return result.status;
+}
+
+// Close a broadcast whose recipients have all been tried and send the report to whoever sent it
+async function finishBroadcast(telegram, broadcast, now = new Date()) {
+  const counts = await db.countBroadcastRecipients(broadcast.id);
+  if (!counts || counts.pending > 0) return false;
+
+  // Another run is still sending its last messages; it (or the next run) finishes the broadcast
+  if (counts.sending > 0) {
+    const lastClaimedAt = await db.getLatestBroadcastClaim(broadcast.id);
+    if (now - new Date(lastClaimedAt || broadcast.created_at) < STALE_SENDING_MS) return false;
+  }
+
+  const finished = await db.updateBroadcast(broadcast.id, {
+    status: 'completed',
+    completed_at: now.toISOString(),
+    delivered_count: counts.delivered,
+    blocked_count: counts.blocked,
+    failed_count: counts.failed + counts.sending,
+    skipped_count: counts.skipped
+  }, { fromStatuses: ['sending'] });
+  if (!finished) return false;
+
+  console.log(`📣 Broadcast ${broadcast.id}: ${counts.delivered} delivered, ${counts.blocked} blocked, ${counts.failed + counts.sending} failed`);
+
+  if (finished.report_chat_id) {
+    try {
+      await telegram.sendMessage(finished.report_chat_id, utils.getBroadcastReportMessage({
+        audienceLabel: getAudienceLabel(finished.audience, finished.location),
+        total: finished.recipient_count,
+        delivered: finished.delivered_count,
+        blocked: finished.blocked_count,
+        failed: finished.failed_count,
+        skipped: finished.skipped_count
+      }));
+    } catch (error) {
+      console.error(`Failed to send report for broadcast ${broadcast.id}:`, error);
+    }
+  }
+
+  return true;
+}
+
+// Send queued broadcast messages for up to `timeBudgetMs`; the next run carries on where this one stopped
+export async function sendPending(telegram, { timeBudgetMs = DEFAULT_TIME_BUDGET_MS } = {}) {
+  const summary = { delivered: 0, blocked: 0, failed: 0, skipped: 0, completed: 0 };
+  const deadline = Date.now() + timeBudgetMs;
+  const interval = getSendInterval();
+
+  for (const broadcast of await db.getSendingBroadcasts()) {
+    let recipients = await db.getPendingBroadcastRecipients(broadcast.id);
+
+    while (recipients.length > 0 && Date.now() < deadline) {
+      for (const recipient of recipients) {
+        if (Date.now() >= deadline) break;
+
+        const outcome = await deliver(telegram, broadcast, recipient);
+        if (!outcome) continue;
+
+        summary[outcome]++;
+        if (outcome !== 'skipped') await sleep(interval);
+      }
+      recipients = await db.getPendingBroadcastRecipients(broadcast.id);
+    }
+
+    if (recipients.length === 0 && await finishBroadcast(telegram, broadcast)) {
+      summary.completed++;
+    }
+    if (Date.now() >= deadline) break;
+  }
+
+  if (summary.delivered > 0 || summary.blocked > 0 || summary.failed > 0) {
+    console.log(`📣 Broadcasts: ${summary.delivered} delivered, ${summary.blocked} blocked, ${summary.failed} failed`);
+  }
+
+  return summary;
+}
+
+export default {
+  AUDIENCES,
+  MAX_TEXT_LENGTH,
+  MAX_CAPTION_LENGTH,
+  getAudienceLabel,
+  isDraftValid,
+  getAudience,
+  sendDraft,
+  queueBroadcast,
+  sendPending
+};
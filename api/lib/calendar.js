@@ -0,0 +1,207 @@
+import { env } from '../config/env.js';
+import * as db from './supabase.js';
+import * as datetime from './datetime.js';
+
+/**
+ * Clinic Calendar
+ * Opening hours plus the days the clinic is shut: Nigerian public holidays
+ * and ad-hoc closures added by the MD (whole days, for one branch or all).
+ */
+
+// Public holidays on the same date every year (MM-DD)
+const FIXED_HOLIDAYS = [
+  { monthDay: '01-01', name: "New Year's Day" },
+  { monthDay: '05-01', name: "Workers' Day" },
+  { monthDay: '06-12', name: 'Democracy Day' },
+  { monthDay: '10-01', name: 'Independence Day' },
+  { monthDay: '12-25', name: 'Christmas Day' },
+  { monthDay: '12-26', name: 'Boxing Day' }
+];
+
+// Islamic holidays follow the moon and are confirmed by the Federal Government a few
+// days ahead; these are the expected dates. Use /md_closure when a date moves.
+const LUNAR_HOLIDAYS = {
+  2025: [['03-31', 'Eid al-Fitr'], ['04-01', 'Eid al-Fitr holiday'], ['06-06', 'Eid al-Adha'], ['06-09', 'Eid al-Adha holiday'], ['09-05', 'Eid-el-Maulud']],
+  2026: [['03-20', 'Eid al-Fitr'], ['03-21', 'Eid al-Fitr holiday'], ['05-27', 'Eid al-Adha'], ['05-28', 'Eid al-Adha holiday'], ['08-26', 'Eid-el-Maulud']],
+  2027: [['03-10', 'Eid al-Fitr'], ['03-11', 'Eid al-Fitr holiday'], ['05-17', 'Eid al-Adha'], ['05-18', 'Eid al-Adha holiday'], ['08-15', 'Eid-el-Maulud']]
+};
+
+// How far ahead to look for the next opening
+const MAX_LOOKAHEAD_DAYS = 30;
+
+// Weekday (0 = Sunday) of a calendar date
+function getWeekday(dateString) {
+  const { year, month, day } = datetime.parseDateString(dateString);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// Easter Sunday (anonymous Gregorian algorithm)
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { year, month, day };
+}
+
+/**
+ * Public Holidays
+ */
+
+// Nigerian public holidays for a year, sorted by date ({ date: 'YYYY-MM-DD', name })
+// A fixed holiday on a Sunday is observed on the next free weekday
+export function getPublicHolidays(year) {
+  const easter = getEasterSunday(year);
+  const holidays = [
+    ...FIXED_HOLIDAYS.map(holiday => ({ date: `${year}-${holiday.monthDay}`, name: holiday.name })),
+    { date: datetime.toDateString(datetime.addDays(easter, -2)), name: 'Good Friday' },
+    { date: datetime.toDateString(datetime.addDays(easter, 1)), name: 'Easter Monday' },
+    ...(LUNAR_HOLIDAYS[year] || []).map(([monthDay, name]) => ({ date: `${year}-${monthDay}`, name }))
+  ];
+
+  const taken = new Set(holidays.map(holiday => holiday.date));
+  for (const holiday of FIXED_HOLIDAYS.map(item => ({ date: `${year}-${item.monthDay}`, name: item.name }))) {
+    if (getWeekday(holiday.date) !== 0) continue;
+
+    let observed = datetime.addDays(datetime.parseDateString(holiday.date), 1);
+    while (taken.has(datetime.toDateString(observed))) {
+      observed = datetime.addDays(observed, 1);
+    }
+    taken.add(datetime.toDateString(observed));
+    holidays.push({ date: datetime.toDateString(observed), name: `${holiday.name} (observed)` });
+  }
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Closed Days
+ */
+
+// Days the clinic is shut between two clinic-local dates (inclusive), by date
+// Values are { type: 'holiday' | 'closure', name, closure? }; `location` null means closures for every branch only
+export async function getClosedDays(startDate, endDate, { location = null } = {}) {
+  const closed = new Map();
+
+  const startYear = parseInt(startDate.slice(0, 4), 10);
+  const endYear = parseInt(endDate.slice(0, 4), 10);
+  for (let year = startYear; year <= endYear; year++) {
+    for (const holiday of getPublicHolidays(year)) {
+      if (holiday.date >= startDate && holiday.date <= endDate && !closed.has(holiday.date)) {
+        closed.set(holiday.date, { type: 'holiday', name: holiday.name });
+      }
+    }
+  }
+
+  const closures = await db.getClinicClosures(startDate, endDate);
+  for (const closure of closures) {
+    if (closure.location && closure.location !== location) continue;
+
+    let day = datetime.parseDateString(closure.starts_on > startDate ? closure.starts_on : startDate);
+    const last = closure.ends_on < endDate ? closure.ends_on : endDate;
+    while (datetime.toDateString(day) <= last) {
+      if (!closed.has(datetime.toDateString(day))) {
+        closed.set(datetime.toDateString(day), { type: 'closure', name: closure.reason || 'Clinic closure', closure });
+      }
+      day = datetime.addDays(day, 1);
+    }
+  }
+
+  return closed;
+}
+
+// Holiday or closure on one clinic-local date, or null
+export async function getDayClosure(dateString, { location = null } = {}) {
+  const closed = await getClosedDays(dateString, dateString, { location });
+  return closed.get(dateString) || null;
+}
+
+// Public holidays and closures from today for the next `days` days, for /md_closure
+// Returns { holidays: [{ date, name }], closures: [clinic_closures rows] }
+export async function getUpcomingClosures({ days = 60, now = new Date() } = {}) {
+  const startDate = datetime.toLocalDateString(now, env.CLINIC_TIMEZONE);
+  const endDate = datetime.toDateString(datetime.addDays(datetime.parseDateString(startDate), days));
+
+  const holidays = [];
+  for (let year = parseInt(startDate.slice(0, 4), 10); year <= parseInt(endDate.slice(0, 4), 10); year++) {
+    holidays.push(...getPublicHolidays(year).filter(holiday => holiday.date >= startDate && holiday.date <= endDate));
+  }
+
+  return { holidays, closures: await db.getClinicClosures(startDate, endDate) };
+}
+
+/**
+ * Opening Checks
+ */
+
+// Check a booking time against opening hours, holidays and closures
+// Returns { open, reason, name? }; reason is one of datetime.checkClinicHours' reasons, 'holiday' or 'closure'
+export async function checkBookingTime(date, { location = null, now = new Date() } = {}) {
+  const hours = datetime.checkClinicHours(date, { now });
+  if (!hours.open) return hours;
+
+  const closure = await getDayClosure(datetime.toLocalDateString(new Date(date), env.CLINIC_TIMEZONE), { location });
+  if (closure) return { open: false, reason: closure.type, name: closure.name };
+
+  return hours;
+}
+
+// Earliest time at or after `date` when the clinic is open (hours, holidays and closures)
+export async function getNextOpening(date = new Date(), { location = null, now = new Date() } = {}) {
+  const from = new Date(Math.max(new Date(date).getTime(), now.getTime()));
+  const startDate = datetime.toLocalDateString(from, env.CLINIC_TIMEZONE);
+  const endDate = datetime.toDateString(datetime.addDays(datetime.parseDateString(startDate), MAX_LOOKAHEAD_DAYS));
+  const closed = await getClosedDays(startDate, endDate, { location });
+
+  let candidate = datetime.getNextClinicOpening(from, { now });
+  for (let i = 0; candidate && i < MAX_LOOKAHEAD_DAYS; i++) {
+    const candidateDate = datetime.toLocalDateString(candidate, env.CLINIC_TIMEZONE);
+    if (!closed.has(candidateDate)) return candidate;
+
+    const nextDay = datetime.addDays(datetime.parseDateString(candidateDate), 1);
+    candidate = datetime.getNextClinicOpening(datetime.zonedTimeToUtc(nextDay, env.CLINIC_TIMEZONE), { now });
+  }
+
+  return null;
+}
+
+// Whether the clinic is open right now, and if not, why and when it reopens
+// Returns { open, reason, name?, nextOpening }
+export async function getClinicStatus({ location = null, now = new Date() } = {}) {
+  // Checked a second ahead, since checkClinicHours treats "now" as already past
+  const status = await checkBookingTime(new Date(now.getTime() + 1000), { location, now });
+  if (status.open) return { ...status, nextOpening: null };
+
+  return { ...status, nextOpening: await getNextOpening(now, { location, now }) };
+}
+
+// Patient-facing reason a time is unavailable
+export function describeClosedReason(result, timezone = env.CLINIC_TIMEZONE, date = null) {
+  if (result.reason === 'holiday' || result.reason === 'closure') {
+    const day = date ? ` on ${datetime.formatDateLabel(new Date(date), timezone)}` : '';
+    return `The clinic is closed${day} for ${result.name}.`;
+  }
+
+  return datetime.describeClosedReason(result.reason);
+}
+
+export default {
+  getPublicHolidays,
+  getClosedDays,
+  getDayClosure,
+  getUpcomingClosures,
+  checkBookingTime,
+  getNextOpening,
+  getClinicStatus,
+  describeClosedReason
+};
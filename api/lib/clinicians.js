@@ -0,0 +1,108 @@
+import { env } from '../config/env.js';
+import * as db from './supabase.js';
+import * as datetime from './datetime.js';
+import * as utils from './utils.js';
+import { SERVICES } from './booking.js';
+import { getLocationName } from './locations.js';
+
+/**
+ * Clinician Roster
+ * Matches clinicians to appointments by specialty, branch working days and
+ * daily load, records assignments and notifies the assigned clinician
+ */
+
+// Whether a clinician works at a branch on the clinic-local weekday of `date`
+export function worksOn(clinician, location, date) {
+  const { weekday } = datetime.getZonedParts(new Date(date), env.CLINIC_TIMEZONE);
+
+  return (clinician.clinician_schedules || []).some(schedule =>
+    schedule.weekday === weekday && (!location || schedule.location === location)
+  );
+}
+
+// Whether a clinician offers a service (appointments without one count as general)
+export function hasSpecialty(clinician, service) {
+  return (clinician.specialties || []).includes(service || 'general');
+}
+
+// Clinicians who can take an appointment, least loaded that day first
+export async function getEligibleClinicians(appointment) {
+  if (!appointment.scheduled_datetime) return [];
+
+  const candidates = (await db.getClinicians()).filter(clinician =>
+    hasSpecialty(clinician, appointment.service) &&
+    worksOn(clinician, appointment.location, appointment.scheduled_datetime)
+  );
+  if (candidates.length === 0) return [];
+
+  const start = new Date(appointment.scheduled_datetime).getTime();
+  const slotMs = env.BOOKING_SLOT_MINUTES * 60 * 1000;
+  const day = datetime.getDayRange(new Date(start), env.CLINIC_TIMEZONE);
+  const sameDay = (await db.getAppointmentsScheduledBetween(day.start, day.end))
+    .filter(apt => apt.id !== appointment.id && apt.clinician_id);
+
+  return candidates
+    .map(clinician => {
+      const own = sameDay.filter(apt => apt.clinician_id === clinician.id);
+      return {
+        ...clinician,
+        load: own.length,
+        busy: own.some(apt => Math.abs(new Date(apt.scheduled_datetime).getTime() - start) < slotMs)
+      };
+    })
+    .filter(clinician => !clinician.busy)
+    .filter(clinician => !clinician.max_daily_appointments || clinician.load < clinician.max_daily_appointments)
+    .sort((a, b) => a.load - b.load || a.full_name.localeCompare(b.full_name));
+}
+
+// Assign a clinician to an appointment and notify them
+export async function assignClinician(telegram, appointment, clinician, { assignedBy = 'Auto-assigned', updates = {} } = {}) {
+  const updated = await db.updateAppointment(appointment.id, {
+    ...updates,
+    clinician_id: clinician.id,
+    assigned_at: new Date().toISOString()
+  });
+  if (!updated) return { appointment: null, notified: false };
+
+  const notified = await notifyClinician(telegram, clinician, updated, assignedBy);
+  return { appointment: updated, notified };
+}
+
+// Assign the least-loaded eligible clinician (no-op when already assigned or nobody fits)
+export async function autoAssign(telegram, appointment) {
+  if (!appointment || appointment.clinician_id) return null;
+
+  const [clinician] = await getEligibleClinicians(appointment);
+  if (!clinician) return null;
+
+  const { appointment: updated } = await assignClinician(telegram, appointment, clinician);
+  return updated;
+}
+
+// Tell a clinician about a new assignment
+async function notifyClinician(telegram, clinician, appointment, assignedBy) {
+  if (!clinician.telegram_user_id) return false;
+
+  try {
+    await telegram.sendMessage(clinician.telegram_user_id, utils.getClinicianAssignmentNotice({
+      patientName: appointment.full_name,
+      time: datetime.formatDateTime(appointment.scheduled_datetime),
+      service: SERVICES[appointment.service],
+      location: getLocationName(appointment.location),
+      status: appointment.status,
+      assignedBy
+    }));
+    return true;
+  } catch (error) {
+    console.error(`Failed to notify clinician ${clinician.id}:`, error);
+    return false;
+  }
+}
+
+export default {
+  worksOn,
+  hasSpecialty,
+  getEligibleClinicians,
+  assignClinician,
+  autoAssign
+};
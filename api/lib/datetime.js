@@ -0,0 +1,560 @@
+import { env } from '../config/env.js';
+
+/**
+ * Date/Time Understanding
+ * Resolves free-text booking times ("Tomorrow 10am", "next tomorrow", "Friday 3pm")
+ * in the patient's timezone and checks them against clinic opening hours
+ */
+
+// Clinic opening hours (clinic-local time)
+export const CLINIC_HOURS = {
+  openHour: 8,
+  closeHour: 18,
+  openDays: [1, 2, 3, 4, 5, 6] // Monday–Saturday
+};
+
+// Time used when a patient gives a day but no time
+const DEFAULT_BOOKING_TIME = { hour: 10, minute: 0 };
+
+// Approximate times for parts of the day (kept inside clinic hours)
+const PART_OF_DAY_TIMES = {
+  'early morning': { hour: 8, minute: 0 },
+  'morning': { hour: 10, minute: 0 },
+  'afternoon': { hour: 14, minute: 0 },
+  'evening': { hour: 17, minute: 0 },
+  'night': { hour: 17, minute: 0 }
+};
+
+const WEEKDAY_NAMES = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tues: 2, tue: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thurs: 4, thur: 4, thu: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6
+};
+
+const MONTH_NAMES = {
+  january: 1, jan: 1,
+  february: 2, feb: 2,
+  march: 3, mar: 3,
+  april: 4, apr: 4,
+  may: 5,
+  june: 6, jun: 6,
+  july: 7, jul: 7,
+  august: 8, aug: 8,
+  september: 9, sept: 9, sep: 9,
+  october: 10, oct: 10,
+  november: 11, nov: 11,
+  december: 12, dec: 12
+};
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+
+// Longest names first so "thurs" wins over "thu"
+const WEEKDAY_PATTERN = Object.keys(WEEKDAY_NAMES).sort((a, b) => b.length - a.length).join('|');
+const MONTH_PATTERN = Object.keys(MONTH_NAMES).sort((a, b) => b.length - a.length).join('|');
+
+/**
+ * Timezone Helpers
+ */
+
+// Check that a timezone name is understood by the runtime
+export function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Resolve the timezone to use for a patient
+export function resolveTimezone(timeZone) {
+  return isValidTimezone(timeZone) ? timeZone : env.CLINIC_TIMEZONE;
+}
+
+// Wall-clock parts of an instant in a timezone
+export function getZonedParts(date, timeZone = env.CLINIC_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short'
+  }).formatToParts(date);
+
+  const value = (type) => parts.find(part => part.type === type)?.value;
+  const weekday = value('weekday').toLowerCase();
+
+  return {
+    year: parseInt(value('year'), 10),
+    month: parseInt(value('month'), 10),
+    day: parseInt(value('day'), 10),
+    hour: parseInt(value('hour'), 10) % 24,
+    minute: parseInt(value('minute'), 10),
+    second: parseInt(value('second'), 10),
+    weekday: WEEKDAY_NAMES[weekday]
+  };
+}
+
+// Offset (ms) between a timezone's wall clock and UTC at a given instant
+function getTimezoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+// Convert a wall-clock time in a timezone to a UTC Date
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone = env.CLINIC_TIMEZONE) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimezoneOffset(new Date(guess), timeZone);
+  let result = guess - offset;
+
+  // Re-check once in case the guess crossed a DST boundary
+  const correctedOffset = getTimezoneOffset(new Date(result), timeZone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset;
+  }
+
+  return new Date(result);
+}
+
+// Start and end of the local day containing an instant
+export function getDayRange(date = new Date(), timeZone = env.CLINIC_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const next = addDays({ year, month, day }, 1);
+
+  return {
+    date: toDateString({ year, month, day }),
+    start: zonedTimeToUtc({ year, month, day }, timeZone),
+    end: new Date(zonedTimeToUtc(next, timeZone).getTime() - 1)
+  };
+}
+
+// Local calendar date (YYYY-MM-DD) of an instant
+export function toLocalDateString(date = new Date(), timeZone = env.CLINIC_TIMEZONE) {
+  return toDateString(getZonedParts(date, timeZone));
+}
+
+// Human-friendly date/time, e.g. "Friday, 24 Oct 2026, 3:00 pm"
+export function formatDateTime(date, timeZone = env.CLINIC_TIMEZONE) {
+  if (!date) return 'TBD';
+
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: resolveTimezone(timeZone),
+    weekday: 'long',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hourCycle: 'h12'
+  }).format(new Date(date));
+}
+
+// Short date label for buttons, e.g. "Fri 24 Oct"
+export function formatDateLabel(date, timeZone = env.CLINIC_TIMEZONE) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: resolveTimezone(timeZone),
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short'
+  }).format(new Date(date));
+}
+
+// Short time label for buttons, e.g. "3:00 pm"
+export function formatTimeLabel(date, timeZone = env.CLINIC_TIMEZONE) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: resolveTimezone(timeZone),
+    hour: 'numeric',
+    minute: '2-digit',
+    hourCycle: 'h12'
+  }).format(new Date(date));
+}
+
+// Midday instant of a local calendar date (safe anchor for date-only values)
+export function localDateToUtc(dateString, timeZone = env.CLINIC_TIMEZONE) {
+  return zonedTimeToUtc({ ...parseDateString(dateString), hour: 12, minute: 0 }, timeZone);
+}
+
+/**
+ * Calendar Date Helpers
+ */
+
+// Calendar dates are { year, month, day } objects or YYYY-MM-DD strings
+export function toDateString({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export function parseDateString(dateString) {
+  const [year, month, day] = dateString.split('-').map(value => parseInt(value, 10));
+  return { year, month, day };
+}
+
+export function addDays({ year, month, day }, days) {
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate()
+  };
+}
+
+// YYYY-MM-DD date the given number of days later (or earlier, when negative)
+export function shiftDateString(dateString, days) {
+  return toDateString(addDays(parseDateString(dateString), days));
+}
+
+// Whether a value is a real calendar date written YYYY-MM-DD
+export function isDateString(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+  return shiftDateString(value, 0) === value;
+}
+
+function weekdayOf({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function compareDates(a, b) {
+  return (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+}
+
+// Build a calendar date, rejecting impossible ones like 31 February
+function makeDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const candidate = new Date(Date.UTC(year, month - 1, day));
+  if (candidate.getUTCMonth() !== month - 1) return null;
+
+  return { year, month, day };
+}
+
+// Date without a year: use this year unless it has already passed
+function makeUpcomingDate(today, month, day) {
+  const thisYear = makeDate(today.year, month, day);
+  if (!thisYear) return null;
+
+  return compareDates(thisYear, today) < 0 ? makeDate(today.year + 1, month, day) : thisYear;
+}
+
+function normalizeYear(year) {
+  if (!year) return null;
+  const value = parseInt(year, 10);
+  return value < 100 ? 2000 + value : value;
+}
+
+// Next occurrence of a weekday after today (a week ahead if today is that day)
+function nextWeekday(today, weekday) {
+  const diff = (weekday - weekdayOf(today) + 7) % 7;
+  return addDays(today, diff === 0 ? 7 : diff);
+}
+
+// Weekday in the following Monday-based week ("Monday next week")
+function weekdayNextWeek(today, weekday) {
+  const daysSinceMonday = (weekdayOf(today) + 6) % 7;
+  const nextMonday = addDays(today, 7 - daysSinceMonday);
+  return addDays(nextMonday, (weekday + 6) % 7);
+}
+
+/**
+ * Free-text Parsing
+ */
+
+// Remove the first match of a pattern from the working text and return it
+function take(state, pattern) {
+  const match = state.text.match(pattern);
+  if (match) {
+    state.text = state.text.replace(match[0], ' ');
+  }
+  return match;
+}
+
+function normalizeInput(text) {
+  return ` ${text} `
+    .toLowerCase()
+    .replace(/[,;!?]/g, ' ')
+    .replace(/\b(\d{1,2})(?:st|nd|rd|th)\b/g, '$1')
+    .replace(/\btonight\b/g, 'today evening')
+    .replace(/\btomm?orr?ow\b|\btmrw?\b|\b2moro\b/g, 'tomorrow')
+    .replace(/\s+/g, ' ');
+}
+
+// Hour given without am/pm: assume the one that falls inside clinic hours
+function inferMeridiem(hour) {
+  if (hour >= 1 && hour < CLINIC_HOURS.openHour) return hour + 12;
+  return hour;
+}
+
+// Resolve the calendar date part of the text
+function resolveDate(state, today) {
+  let match;
+
+  // "next tomorrow" is common Nigerian English for the day after tomorrow
+  if (take(state, /\b(?:next tomorrow|day after tomorrow)\b/)) {
+    return addDays(today, 2);
+  }
+
+  if (take(state, /\btomorrow\b/)) {
+    return addDays(today, 1);
+  }
+
+  if (take(state, /\b(?:today|this (?=morning|afternoon|evening))\b/)) {
+    return today;
+  }
+
+  if ((match = take(state, /\bin (\d{1,2}|a|an|one|two|three|four|five|six|seven) (day|week)s?\b/))) {
+    const amount = NUMBER_WORDS[match[1]] || parseInt(match[1], 10);
+    return addDays(today, match[2] === 'week' ? amount * 7 : amount);
+  }
+
+  // ISO format: 2026-10-24
+  if ((match = take(state, /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/))) {
+    return makeDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+  }
+
+  // Day-first numeric format used in Nigeria: 24/10, 24/10/2026, 24-10-26, 24.10.2026
+  if ((match = take(state, /\b(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2,4}))?\b/)) ||
+      (match = take(state, /\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/))) {
+    const day = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10);
+    const year = normalizeYear(match[3]);
+    return year ? makeDate(year, month, day) : makeUpcomingDate(today, month, day);
+  }
+
+  // "24 October", "24 oct 2026"
+  if ((match = take(state, new RegExp(`\\b(\\d{1,2}) (?:of )?(${MONTH_PATTERN})\\b(?: (\\d{4}))?`)))) {
+    const year = normalizeYear(match[3]);
+    const month = MONTH_NAMES[match[2]];
+    const day = parseInt(match[1], 10);
+    return year ? makeDate(year, month, day) : makeUpcomingDate(today, month, day);
+  }
+
+  // "October 24", "oct 24 2026"
+  if ((match = take(state, new RegExp(`\\b(${MONTH_PATTERN}) (\\d{1,2})\\b(?: (\\d{4}))?`)))) {
+    const year = normalizeYear(match[3]);
+    const month = MONTH_NAMES[match[1]];
+    const day = parseInt(match[2], 10);
+    return year ? makeDate(year, month, day) : makeUpcomingDate(today, month, day);
+  }
+
+  // "next week Monday", "Monday next week"
+  if ((match = take(state, new RegExp(`\\bnext week (${WEEKDAY_PATTERN})\\b`))) ||
+      (match = take(state, new RegExp(`\\b(${WEEKDAY_PATTERN}) next week\\b`)))) {
+    return weekdayNextWeek(today, WEEKDAY_NAMES[match[1]]);
+  }
+
+  // "Monday", "this Friday", "next Friday", "coming Saturday"
+  if ((match = take(state, new RegExp(`\\b(?:(this|next|coming) )?(${WEEKDAY_PATTERN})\\b`)))) {
+    const weekday = WEEKDAY_NAMES[match[2]];
+    if (match[1] === 'this' && weekdayOf(today) === weekday) return today;
+    return nextWeekday(today, weekday);
+  }
+
+  if (take(state, /\bnext week\b/)) {
+    return weekdayNextWeek(today, 1);
+  }
+
+  return undefined;
+}
+
+// Resolve the time-of-day part of the text
+function resolveTime(state) {
+  let match;
+
+  if (take(state, /\b(?:noon|midday|mid-day)\b/)) {
+    return { hour: 12, minute: 0, approximate: false };
+  }
+
+  // "3pm", "3:30 pm", "10.15am", "9 a.m."
+  if ((match = take(state, /\b(\d{1,2})(?:[:.](\d{2}))? ?([ap])\.?m\b\.?/))) {
+    let hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2] || '0', 10);
+    if (hour < 1 || hour > 12 || minute > 59) return null;
+
+    if (match[3] === 'p' && hour !== 12) hour += 12;
+    if (match[3] === 'a' && hour === 12) hour = 0;
+    return { hour, minute, approximate: false };
+  }
+
+  // "15:00", "3:30" (assumed afternoon inside clinic hours)
+  if ((match = take(state, /\b(\d{1,2})[:.](\d{2})\b/))) {
+    const hour = parseInt(match[1], 10);
+    const minute = parseInt(match[2], 10);
+    if (hour > 23 || minute > 59) return null;
+    return { hour: inferMeridiem(hour), minute, approximate: false };
+  }
+
+  // "by 10", "at 3", "around 4 o'clock", "2 o'clock"
+  if ((match = take(state, /\b(?:by|at|around|@) ?(\d{1,2})(?: ?o'?clock)?\b/)) ||
+      (match = take(state, /\b(\d{1,2}) ?o'?clock\b/))) {
+    const hour = parseInt(match[1], 10);
+    if (hour > 23) return null;
+    return { hour: inferMeridiem(hour), minute: 0, approximate: false };
+  }
+
+  for (const [phrase, time] of Object.entries(PART_OF_DAY_TIMES)) {
+    if (take(state, new RegExp(`\\b${phrase}\\b`))) {
+      return { ...time, approximate: true };
+    }
+  }
+
+  return undefined;
+}
+
+// Relative offsets from now: "in 2 hours", "in 30 minutes"
+function resolveRelativeInstant(state, now) {
+  const match = take(state, /\bin (\d{1,3}|a|an|one|two|three|four|five|six) (hour|hr|minute|min)s?\b/);
+  if (!match) return null;
+
+  const amount = NUMBER_WORDS[match[1]] || parseInt(match[1], 10);
+  const unitMs = match[2].startsWith('h') ? 60 * 60 * 1000 : 60 * 1000;
+  return new Date(now.getTime() + amount * unitMs);
+}
+
+/**
+ * Parse a free-text booking time into a scheduled instant.
+ *
+ * Returns null when no date or time could be understood, otherwise
+ * { date, timezone, timeAssumed, approximate } where `date` is a UTC Date.
+ */
+export function parseBookingDateTime(text = '', { timezone, now = new Date() } = {}) {
+  if (!text || typeof text !== 'string') return null;
+
+  const timeZone = resolveTimezone(timezone);
+  const state = { text: normalizeInput(text) };
+
+  const relative = resolveRelativeInstant(state, now);
+  if (relative) {
+    return { date: relative, timezone: timeZone, timeAssumed: false, approximate: false };
+  }
+
+  const todayParts = getZonedParts(now, timeZone);
+  const today = { year: todayParts.year, month: todayParts.month, day: todayParts.day };
+
+  const day = resolveDate(state, today);
+  const time = resolveTime(state);
+
+  // null means "recognised but invalid" (e.g. 31/02 or 25pm)
+  if (day === null || time === null) return null;
+  if (day === undefined && time === undefined) return null;
+
+  const chosenTime = time || { ...DEFAULT_BOOKING_TIME, approximate: true };
+  let chosenDay = day;
+
+  // Time only: today if it is still ahead, otherwise tomorrow
+  if (!chosenDay) {
+    const todayAtTime = zonedTimeToUtc({ ...today, ...chosenTime }, timeZone);
+    chosenDay = todayAtTime > now ? today : addDays(today, 1);
+  }
+
+  return {
+    date: zonedTimeToUtc({ ...chosenDay, hour: chosenTime.hour, minute: chosenTime.minute }, timeZone),
+    timezone: timeZone,
+    timeAssumed: !time,
+    approximate: chosenTime.approximate
+  };
+}
+
+/**
+ * Clinic Hours
+ */
+
+// Check an instant against clinic opening hours (in clinic-local time)
+export function checkClinicHours(date, { now = new Date() } = {}) {
+  if (!date || isNaN(new Date(date).getTime())) {
+    return { open: false, reason: 'invalid' };
+  }
+
+  if (new Date(date) <= now) {
+    return { open: false, reason: 'past' };
+  }
+
+  const local = getZonedParts(new Date(date), env.CLINIC_TIMEZONE);
+
+  if (!CLINIC_HOURS.openDays.includes(local.weekday)) {
+    return { open: false, reason: 'closed_day' };
+  }
+
+  const minutes = local.hour * 60 + local.minute;
+  if (minutes < CLINIC_HOURS.openHour * 60) {
+    return { open: false, reason: 'before_opening' };
+  }
+  if (minutes >= CLINIC_HOURS.closeHour * 60) {
+    return { open: false, reason: 'after_closing' };
+  }
+
+  return { open: true, reason: null };
+}
+
+// Earliest time at or after `date` when the clinic is open
+export function getNextClinicOpening(date = new Date(), { now = new Date() } = {}) {
+  let candidate = new Date(Math.max(new Date(date).getTime(), now.getTime()));
+
+  // Round "now"-based candidates up to the next whole hour
+  if (candidate.getTime() === now.getTime()) {
+    const local = getZonedParts(candidate, env.CLINIC_TIMEZONE);
+    candidate = zonedTimeToUtc({ ...local, hour: local.hour + 1, minute: 0 }, env.CLINIC_TIMEZONE);
+  }
+
+  if (checkClinicHours(candidate, { now }).open) return candidate;
+
+  const start = getZonedParts(candidate, env.CLINIC_TIMEZONE);
+  let day = { year: start.year, month: start.month, day: start.day };
+
+  for (let i = 0; i < 14; i++) {
+    const opening = zonedTimeToUtc({ ...day, hour: CLINIC_HOURS.openHour, minute: 0 }, env.CLINIC_TIMEZONE);
+    if (opening >= candidate && checkClinicHours(opening, { now }).open) {
+      return opening;
+    }
+    day = addDays(day, 1);
+  }
+
+  return null;
+}
+
+// Patient-facing description of why a time is unavailable
+export function describeClosedReason(reason) {
+  switch (reason) {
+    case 'past':
+      return 'That time has already passed.';
+    case 'closed_day':
+      return 'The clinic is closed on Sundays.';
+    case 'before_opening':
+      return `The clinic opens at ${CLINIC_HOURS.openHour}am.`;
+    case 'after_closing':
+      return `The clinic closes at ${CLINIC_HOURS.closeHour - 12}pm.`;
+    default:
+      return 'That time is not available.';
+  }
+}
+
+export default {
+  CLINIC_HOURS,
+  isValidTimezone,
+  resolveTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  getDayRange,
+  toLocalDateString,
+  formatDateTime,
+  formatDateLabel,
+  formatTimeLabel,
+  localDateToUtc,
+  toDateString,
+  parseDateString,
+  addDays,
+  shiftDateString,
+  isDateString,
+  parseBookingDateTime,
+  checkClinicHours,
+  getNextClinicOpening,
+  describeClosedReason
+};
@@ -0,0 +1,178 @@
+import { env } from '../config/env.js';
+import * as db from './supabase.js';
+import * as datetime from './datetime.js';
+import * as analytics from './analytics.js';
+import * as locations from './locations.js';
+import * as roles from './roles.js';
+import * as audit from './audit.js';
+import * as utils from './utils.js';
+
+/**
+ * Daily Digest
+ * A morning summary pushed to the MD and to staff who subscribe with
+ * /md_digest: yesterday's figures, today's appointments, follow-ups still
+ * waiting and emergency alerts since the start of yesterday. Each person gets
+ * it once a day from DAILY_DIGEST_TIME (clinic time); deliveries are claimed
+ * in digest_deliveries so overlapping runs never send it twice.
+ */
+
+// Permission needed to receive the digest (it carries the MD brief figures)
+export const DIGEST_PERMISSION = 'analytics.view';
+
+// Appointment statuses listed for today
+const SCHEDULED_STATUSES = ['pending', 'confirmed', 'rescheduled'];
+
+// Follow-ups counted (the oldest are listed)
+const FOLLOWUP_LIMIT = 20;
+
+// Configured send time as { hour, minute, label }, or null when the digest is turned off
+export function getDigestTime() {
+  const match = /^(\d{1,2}):(\d{2})$/.exec((env.DAILY_DIGEST_TIME || '').trim());
+  if (!match) return null;
+
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  if (hour > 23 || minute > 59) return null;
+
+  return { hour, minute, label: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}` };
+}
+
+// Whether someone gets the digest: the MD unless they turned it off, staff only once they turn it on
+export async function isSubscribed(telegramUserId) {
+  const choice = (await db.getDigestSubscriptions())
+    .find(row => Number(row.telegram_user_id) === Number(telegramUserId));
+  return choice ? choice.subscribed : roles.isOwner(telegramUserId);
+}
+
+// Turn the digest on or off for someone; returns whether it was saved
+export async function setSubscription(telegramUserId, subscribed) {
+  return Boolean(await db.setDigestSubscription(telegramUserId, subscribed));
+}
+
+// Telegram IDs that should get today's digest
+export async function getRecipients() {
+  const [eligible, subscriptions] = await Promise.all([
+    roles.getTelegramIdsWithPermission(DIGEST_PERMISSION),
+    db.getDigestSubscriptions()
+  ]);
+  const choices = new Map(subscriptions.map(row => [Number(row.telegram_user_id), row.subscribed]));
+
+  return eligible.filter(id => choices.has(id) ? choices.get(id) : roles.isOwner(id));
+}
+
+function getPatientName(patient) {
+  return [patient?.first_name, patient?.last_name].filter(Boolean).join(' ') || 'Unknown patient';
+}
+
+// Emergency-flagged messages grouped by patient (no message text, only who and when)
+function groupEmergencies(logs) {
+  const groups = new Map();
+  for (const log of logs) {
+    const key = log.patient_id || `telegram:${log.telegram_user_id}`;
+    const group = groups.get(key) || { name: getPatientName(log.patients), count: 0, lastAt: null };
+    group.count++;
+    group.lastAt = log.timestamp;
+    groups.set(key, group);
+  }
+
+  return [...groups.values()].map(group => ({
+    name: group.name,
+    count: group.count,
+    lastSeen: `${datetime.formatDateLabel(group.lastAt)}, ${datetime.formatTimeLabel(group.lastAt)}`
+  }));
+}
+
+// Everything in the digest for the clinic date containing `now`
+// Returns { text, appointments } (appointments shown, for the audit log), or null when the figures are unavailable
+export async function buildDigest({ now = new Date() } = {}) {
+  const yesterday = analytics.getPeriodRange('yesterday', { now });
+  const today = datetime.getDayRange(now);
+
+  const [brief, appointments, followups, emergencyLogs] = await Promise.all([
+    analytics.getBrief(yesterday),
+    db.getAppointmentsScheduledBetween(today.start, today.end, SCHEDULED_STATUSES),
+    db.getFollowupAppointments(FOLLOWUP_LIMIT),
+    db.getFlaggedChatLogs('emergency', yesterday.start, now)
+  ]);
+  if (!brief) return null;
+
+  const text = utils.getDigestMessage({
+    dateLabel: datetime.formatDateLabel(now),
+    yesterdayLabel: yesterday.dateLabel,
+    current: brief.current,
+    previous: brief.previous,
+    appointments: appointments.map(apt => ({
+      time: datetime.formatTimeLabel(apt.scheduled_datetime),
+      name: apt.full_name,
+      service: apt.service,
+      location: apt.location ? locations.getLocationName(apt.location) : '',
+      status: apt.status
+    })),
+    followups: followups.map(apt => ({
+      name: apt.full_name,
+      waitingSince: datetime.formatDateLabel(apt.created_at)
+    })),
+    followupsCapped: followups.length >= FOLLOWUP_LIMIT,
+    emergencies: groupEmergencies(emergencyLogs),
+    clinicName: env.CLINIC_NAME
+  });
+
+  return { text, appointments: [...appointments, ...followups] };
+}
+
+// Send today's digest to everyone due it; safe to call as often as the scheduler likes
+export async function sendDueDigests(telegram, { now = new Date() } = {}) {
+  const summary = { sent: 0, failed: 0 };
+  const time = getDigestTime();
+  if (!time) return { ...summary, skipped: true, reason: 'Daily digest is turned off' };
+
+  const { hour, minute } = datetime.getZonedParts(now);
+  if (hour * 60 + minute < time.hour * 60 + time.minute) {
+    return { ...summary, skipped: true, reason: `Not due until ${time.label}` };
+  }
+
+  const digestDate = datetime.toLocalDateString(now);
+  const delivered = new Set(await db.getDigestDeliveries(digestDate));
+  const recipients = (await getRecipients()).filter(id => !delivered.has(id));
+  if (recipients.length === 0) return summary;
+
+  const digest = await buildDigest({ now });
+  if (!digest) {
+    console.error('Daily digest skipped: brief statistics unavailable');
+    return { ...summary, skipped: true, reason: 'Brief statistics unavailable' };
+  }
+
+  for (const telegramUserId of recipients) {
+    const claim = await db.claimDigestDelivery(digestDate, telegramUserId);
+    if (!claim) continue;
+
+    try {
+      await telegram.sendMessage(telegramUserId, digest.text);
+      await db.completeDigestDelivery(claim.id);
+      await audit.recordAccess({
+        actor: { type: 'staff', id: String(telegramUserId), name: null },
+        action: 'digest.view',
+        channel: 'bot',
+        details: { digest_date: digestDate }
+      }, digest.appointments);
+      summary.sent++;
+    } catch (error) {
+      console.error(`Failed to send daily digest to ${telegramUserId}:`, error);
+      await db.completeDigestDelivery(claim.id, { error: error.description || error.message });
+      summary.failed++;
+    }
+  }
+
+  console.log(`📰 Digest: ${summary.sent} sent, ${summary.failed} failed`);
+  return summary;
+}
+
+export default {
+  DIGEST_PERMISSION,
+  getDigestTime,
+  isSubscribed,
+  setSubscription,
+  getRecipients,
+  buildDigest,
+  sendDueDigests
+};
@@ -0,0 +1,254 @@
+import * as db from './supabase.js';
+
+/**
+ * FAQ Knowledge Base
+ * Answers patient questions from kb_faq. Entries are cached briefly and each
+ * question is scored against their keywords and question text; a clear best
+ * match is answered directly, close calls are offered as a short list.
+ * Staff add and edit entries with /faq_* commands or /api/md/faqs; every
+ * change clears this process's cache.
+ */
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Lowest score worth answering or suggesting (one keyword, or two words of the question)
+const MIN_SCORE = 2;
+
+// Share of the patient's meaningful words an entry must explain to be answered directly
+const MIN_COVERAGE = 0.5;
+
+// Entries offered when the match is ambiguous
+export const MAX_SUGGESTIONS = 3;
+
+// Words that say nothing about which FAQ is meant ("help" and "need" are in nearly every message)
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'from', 'by', 'about',
+  'i', 'me', 'my', 'we', 'our', 'us', 'you', 'your', 'it', 'its', 'is', 'are', 'was', 'be', 'am',
+  'do', 'does', 'did', 'can', 'could', 'would', 'will', 'should', 'have', 'has', 'there', 'this', 'that',
+  'what', 'which', 'who', 'how', 'much', 'many', 'any', 'some', 'if', 'so', 'please', 'pls', 'hi', 'hello',
+  'need', 'want', 'like', 'know', 'tell', 'help', 'get', 'just'
+]);
+
+// Limits for staff-edited entries (answers leave room for the reply's header and footer in one Telegram message)
+export const LIMITS = {
+  question: 200,
+  answer: 3500,
+  keywords: 20,
+  keyword: 40,
+  priority: 100
+};
+
+// Editable fields
+export const FIELDS = ['question', 'answer', 'keywords', 'category', 'priority'];
+
+let cache = { entries: null, loadedAt: 0 };
+
+// Meaningful lower-case words of a text
+export function getWords(text = '') {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+// Same word, or the same stem ("open"/"opening", "emergency"/"emergencies", "located"/"location")
+function wordsMatch(a, b) {
+  if (a === b) return true;
+
+  const shorter = Math.min(a.length, b.length);
+  let common = 0;
+  while (common < shorter && a[common] === b[common]) common++;
+  return common >= Math.max(4, shorter - 2);
+}
+
+function prepareEntry(row) {
+  return {
+    ...row,
+    priority: row.priority || 0,
+    keywordList: (row.keywords || []).map(keyword => keyword.toLowerCase().trim()).filter(Boolean),
+    questionWords: getWords(row.question)
+  };
+}
+
+// Active entries, highest priority first
+export async function getEntries() {
+  if (cache.entries && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.entries;
+  }
+
+  const rows = await db.getActiveFAQs();
+  cache = { entries: rows.map(prepareEntry), loadedAt: Date.now() };
+  return cache.entries;
+}
+
+// A single active entry by ID (null if unknown or inactive)
+export async function getEntry(id) {
+  const entries = await getEntries();
+  return entries.find(entry => entry.id === id) || null;
+}
+
+// Clear the cache (after entries are edited)
+export function clearFaqCache() {
+  cache = { entries: null, loadedAt: 0 };
+}
+
+// How well an entry fits the patient's words: keywords count 2, other words of the question 1
+// `coverage` is the share of the patient's words the entry matched
+export function scoreEntry(entry, words) {
+  // Keywords lose their stop words like the patient's message did ("walk-in" -> "walk", "do you accept hmo" -> "accept hmo")
+  const keywords = entry.keywordList.map(keyword => getWords(keyword)).filter(keywordWords => keywordWords.length > 0);
+  const singleKeywords = keywords.filter(keywordWords => keywordWords.length === 1).map(([keyword]) => keyword);
+  let score = 0;
+  let matched = 0;
+
+  for (const word of words) {
+    if (singleKeywords.some(keyword => wordsMatch(word, keyword))) {
+      score += 2;
+      matched++;
+    } else if (entry.questionWords.some(questionWord => wordsMatch(word, questionWord))) {
+      score += 1;
+      matched++;
+    }
+  }
+
+  // Multi-word keywords ("opening hours") match as phrases
+  const text = ` ${words.join(' ')} `;
+  for (const keywordWords of keywords.filter(keywordWords => keywordWords.length > 1)) {
+    if (text.includes(` ${keywordWords.join(' ')} `)) {
+      score += 2;
+      matched += keywordWords.length;
+    }
+  }
+
+  return { score, coverage: words.length > 0 ? Math.min(matched / words.length, 1) : 0 };
+}
+
+// Best FAQ for a patient's message:
+// { type: 'answer', entry } when one entry clearly fits, { type: 'suggest', entries } when several
+// fit equally well or none explains most of the message, or { type: 'none' }. Priority orders entries with the same score.
+export async function match(text) {
+  const words = getWords(text);
+  if (words.length === 0) return { type: 'none' };
+
+  const ranked = (await getEntries())
+    .map(entry => ({ entry, ...scoreEntry(entry, words) }))
+    .filter(result => result.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || b.entry.priority - a.entry.priority);
+
+  if (ranked.length === 0) return { type: 'none' };
+
+  const [best, runnerUp] = ranked;
+  if (best.coverage >= MIN_COVERAGE && (!runnerUp || best.score > runnerUp.score)) {
+    return { type: 'answer', entry: best.entry };
+  }
+
+  return { type: 'suggest', entries: ranked.slice(0, MAX_SUGGESTIONS).map(result => result.entry) };
+}
+
+// Count that an entry's answer was sent (usage_count and last_used)
+export async function recordUse(entry) {
+  return await db.recordFAQUse(entry.id);
+}
+
+/**
+ * Managing Entries
+ */
+
+// Short reference staff type instead of the full ID
+export function getRef(entry) {
+  return entry.id.slice(0, 8);
+}
+
+// "hours, open, Time" (or an array) -> ['hours', 'open', 'time']
+export function parseKeywords(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(keyword => String(keyword).toLowerCase().replace(/\s+/g, ' ').trim()).filter(Boolean))];
+}
+
+// Check staff input for an entry; `partial` allows leaving fields out (edits)
+// Returns { values, errors } where values holds the cleaned kb_faq columns
+export function validateEntry(input = {}, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+
+  for (const field of ['question', 'answer']) {
+    if (!has(field) && partial) continue;
+    const text = String(input[field] ?? '').trim();
+    if (!text) errors.push(`${field} is required`);
+    else if (text.length > LIMITS[field]) errors.push(`${field} must be at most ${LIMITS[field]} characters`);
+    else values[field] = text;
+  }
+
+  if (has('keywords') || !partial) {
+    const keywords = parseKeywords(input.keywords);
+    if (keywords.length > LIMITS.keywords) errors.push(`at most ${LIMITS.keywords} keywords`);
+    else if (keywords.some(keyword => keyword.length > LIMITS.keyword)) errors.push(`keywords must be at most ${LIMITS.keyword} characters each`);
+    else values.keywords = keywords;
+  }
+
+  if (has('category') || !partial) {
+    const category = String(input.category ?? 'general').trim().toLowerCase() || 'general';
+    if (!/^[a-z0-9_-]{1,30}$/.test(category)) errors.push('category must be one word (letters, numbers, - or _)');
+    else values.category = category;
+  }
+
+  if (has('priority') || !partial) {
+    const priority = Number(input.priority ?? 0);
+    if (!Number.isInteger(priority) || priority < 0 || priority > LIMITS.priority) errors.push(`priority must be a whole number from 0 to ${LIMITS.priority}`);
+    else values.priority = priority;
+  }
+
+  if (has('is_active')) {
+    if (typeof input.is_active !== 'boolean') errors.push('is_active must be true or false');
+    else values.is_active = input.is_active;
+  }
+
+  return { values, errors };
+}
+
+// All entries, active or not, for staff (optionally one category)
+export async function listEntries({ category = null } = {}) {
+  return await db.getFAQs({ category });
+}
+
+// Entry by full ID or by the reference from getRef; null when unknown or ambiguous
+export async function findEntry(ref = '') {
+  const value = ref.trim().toLowerCase();
+  if (value.length < 4) return null;
+
+  const matches = (await db.getFAQs()).filter(entry => entry.id === value || entry.id.startsWith(value));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Add an entry (values from validateEntry); returns it, or null when saving fails
+export async function createEntry(values) {
+  const entry = await db.createFAQ({ ...values, is_active: true });
+  if (entry) clearFaqCache();
+  return entry;
+}
+
+// Change an entry (values from validateEntry with `partial`); returns it, or null when unknown or saving fails
+export async function updateEntry(id, values) {
+  const entry = await db.updateFAQ(id, values);
+  if (entry) clearFaqCache();
+  return entry;
+}
+
+export default {
+  MAX_SUGGESTIONS,
+  LIMITS,
+  FIELDS,
+  getWords,
+  getEntries,
+  getEntry,
+  clearFaqCache,
+  scoreEntry,
+  match,
+  recordUse,
+  getRef,
+  parseKeywords,
+  validateEntry,
+  listEntries,
+  findEntry,
+  createEntry,
+  updateEntry
+};
@@ -0,0 +1,248 @@
+import { Markup } from 'telegraf';
+import { env } from '../config/env.js';
+import * as db from './supabase.js';
+import * as datetime from './datetime.js';
+import * as calendar from './calendar.js';
+import * as utils from './utils.js';
+
+/**
+ * Staff Handoff
+ * Opens a support ticket when a patient asks for a person, relays their
+ * messages (media included) into the staff group and sends staff replies back.
+ * The bot's automated replies stay paused until the ticket is closed.
+ * Out of hours the ticket is queued and raised again when the clinic opens.
+ */
+
+// Media that can carry a caption when copied
+const CAPTIONED_MEDIA = ['photo', 'video', 'document', 'audio'];
+
+// Whether a staff group is configured
+export function isEnabled() {
+  return Boolean(env.STAFF_GROUP_CHAT_ID);
+}
+
+// Whether a chat is the staff group
+export function isStaffGroupChat(chatId) {
+  return isEnabled() && Number(chatId) === env.STAFF_GROUP_CHAT_ID;
+}
+
+// Short reference shown to staff, e.g. "#3f2a9c1d"
+export function getTicketRef(ticket) {
+  return `#${String(ticket.id).slice(0, 8)}`;
+}
+
+// Statuses of a ticket that is still in progress
+const ACTIVE_STATUSES = ['queued', 'open', 'claimed'];
+
+// The patient's queued, open or claimed ticket, if any
+export async function getActiveTicket(telegramUserId) {
+  if (!isEnabled()) return null;
+  return await db.getActiveSupportTicket(telegramUserId);
+}
+
+// Open a ticket (or return the one already open) and announce it in the staff group
+// Out of hours the ticket is queued until the next opening
+// Returns { ticket, created, clinic? } (clinic is calendar.getClinicStatus at opening) or null when the group is not configured or unreachable
+export async function openTicket(telegram, { patient, from, chatId, now = new Date() }) {
+  if (!isEnabled()) return null;
+
+  const existing = await db.getActiveSupportTicket(from.id);
+  if (existing) return { ticket: existing, created: false };
+
+  const clinic = await calendar.getClinicStatus({ now });
+  const ticket = await db.createSupportTicket({
+    patient_id: patient?.id || null,
+    full_name: [from.first_name, from.last_name].filter(Boolean).join(' ') || 'Patient',
+    telegram_user_id: from.id,
+    telegram_chat_id: chatId,
+    ...(clinic.open ? {} : { status: 'queued', queued_until: clinic.nextOpening?.toISOString() || null })
+  });
+  if (!ticket) return null;
+
+  try {
+    const header = await telegram.sendMessage(env.STAFF_GROUP_CHAT_ID,
+      formatTicketHeader(ticket), getTicketKeyboard(ticket));
+
+    await db.logSupportTicketMessage(ticket.id, header.message_id, 'header');
+    const saved = await db.updateSupportTicket(ticket.id, { group_message_id: header.message_id });
+    return { ticket: saved || ticket, created: true, clinic };
+  } catch (error) {
+    // Staff group unreachable (bot removed, wrong id): don't leave the patient talking to nobody
+    console.error(`Failed to announce support ticket ${ticket.id}:`, error);
+    await db.updateSupportTicket(ticket.id, { status: 'closed', closed_by: 'system', closed_at: new Date().toISOString() });
+    return null;
+  }
+}
+
+// Copy a patient message into the staff group, threaded under the ticket header
+export async function relayPatientMessage(telegram, ticket, message, { urgent = false } = {}) {
+  const label = `${urgent ? '🚨 ' : ''}👤 ${ticket.full_name} · ${getTicketRef(ticket)}`;
+  const extra = ticket.group_message_id
+    ? { reply_parameters: { message_id: ticket.group_message_id, allow_sending_without_reply: true } }
+    : {};
+
+  try {
+    const sent = await sendCopy(telegram, env.STAFF_GROUP_CHAT_ID, message, label, extra);
+    await db.logSupportTicketMessage(ticket.id, sent.message_id, 'patient');
+    return true;
+  } catch (error) {
+    console.error(`Failed to relay message for support ticket ${ticket.id}:`, error);
+    return false;
+  }
+}
+
+// Send a staff reply back to the patient; the first staff member to reply takes the ticket
+// Returns { status: 'sent' | 'closed' | 'unknown' | 'failed', ticket? }
+export async function relayStaffReply(telegram, message) {
+  const repliedTo = message.reply_to_message?.message_id;
+  let ticket = repliedTo ? await db.getSupportTicketByGroupMessage(repliedTo) : null;
+  if (!ticket) return { status: 'unknown' };
+  if (ticket.status === 'closed') return { status: 'closed', ticket };
+
+  if (ticket.status !== 'claimed') {
+    const claimed = await claimTicket(telegram, ticket.id, message.from);
+    ticket = claimed.ticket || ticket;
+  }
+
+  try {
+    await sendCopy(telegram, ticket.telegram_chat_id, message, `👩‍⚕️ ${message.from.first_name || 'Staff'}`);
+    await db.logSupportTicketMessage(ticket.id, message.message_id, 'staff');
+    return { status: 'sent', ticket };
+  } catch (error) {
+    console.error(`Failed to deliver staff reply for support ticket ${ticket.id}:`, error);
+    return { status: 'failed', ticket };
+  }
+}
+
+// Staff member takes ownership of an open (or queued) ticket and the patient is told who joined
+// Returns { status: 'claimed' | 'taken' | 'closed' | 'unknown', ticket? }
+export async function claimTicket(telegram, ticketId, staffUser) {
+  const ticket = await db.getSupportTicket(ticketId);
+  if (!ticket) return { status: 'unknown' };
+  if (ticket.status === 'closed') return { status: 'closed', ticket };
+  if (ticket.status === 'claimed') return { status: 'taken', ticket };
+
+  const claimed = await db.updateSupportTicket(ticketId, {
+    status: 'claimed',
+    claimed_by_telegram_id: staffUser.id,
+    claimed_by_name: staffUser.first_name || 'Staff',
+    claimed_at: new Date().toISOString()
+  }, { fromStatuses: ['queued', 'open'] });
+  if (!claimed) return { status: 'taken', ticket: await db.getSupportTicket(ticketId) };
+
+  await notifyTicketPatient(telegram, claimed, utils.getHandoffClaimedMessage(claimed.claimed_by_name));
+  await refreshTicketHeader(telegram, claimed);
+  return { status: 'claimed', ticket: claimed };
+}
+
+// Close a ticket and hand the patient back to the bot
+// `closedBy` is the staff user, or null when the patient ended the chat
+export async function closeTicket(telegram, ticketId, closedBy = null) {
+  const closed = await db.updateSupportTicket(ticketId, {
+    status: 'closed',
+    closed_by: closedBy ? closedBy.first_name || 'Staff' : 'patient',
+    closed_at: new Date().toISOString()
+  }, { fromStatuses: ACTIVE_STATUSES });
+  if (!closed) return null;
+
+  if (closedBy) {
+    await notifyTicketPatient(telegram, closed, utils.getHandoffClosedMessage());
+  }
+  await refreshTicketHeader(telegram, closed);
+  return closed;
+}
+
+// Raise queued tickets in the staff group once the clinic opens, and tell the patients
+export async function releaseQueuedTickets(telegram, { now = new Date() } = {}) {
+  const summary = { released: 0 };
+  if (!isEnabled()) return summary;
+
+  for (const ticket of await db.getDueQueuedSupportTickets(now)) {
+    const released = await db.updateSupportTicket(ticket.id, { status: 'open' }, { fromStatuses: ['queued'] });
+    if (!released) continue;
+
+    summary.released++;
+    await refreshTicketHeader(telegram, released);
+    try {
+      await telegram.sendMessage(env.STAFF_GROUP_CHAT_ID,
+        utils.getHandoffQueueReleasedNotice(getTicketRef(released), datetime.formatDateTime(released.created_at)),
+        released.group_message_id
+          ? { reply_parameters: { message_id: released.group_message_id, allow_sending_without_reply: true } }
+          : {});
+    } catch (error) {
+      console.error(`Failed to raise queued support ticket ${ticket.id}:`, error);
+    }
+    await notifyTicketPatient(telegram, released, utils.getHandoffQueueOpenedMessage());
+  }
+
+  if (summary.released > 0) {
+    console.log(`🙋 Handoff: ${summary.released} queued tickets raised at opening`);
+  }
+
+  return summary;
+}
+
+// Text messages get a sender line; media is copied with the line as its caption where Telegram allows one
+async function sendCopy(telegram, chatId, message, label, extra = {}) {
+  if (message.text) {
+    return await telegram.sendMessage(chatId, `${label}:\n${message.text}`, extra);
+  }
+
+  const mediaType = CAPTIONED_MEDIA.find(type => message[type]);
+  const caption = mediaType ? [label, message.caption].filter(Boolean).join(':\n') : undefined;
+  return await telegram.copyMessage(chatId, message.chat.id, message.message_id, { ...extra, caption });
+}
+
+async function notifyTicketPatient(telegram, ticket, text) {
+  try {
+    await telegram.sendMessage(ticket.telegram_chat_id, text);
+  } catch (error) {
+    console.error(`Failed to notify patient for support ticket ${ticket.id}:`, error);
+  }
+}
+
+function formatTicketHeader(ticket) {
+  return utils.getHandoffTicketHeader({
+    ref: getTicketRef(ticket),
+    name: ticket.full_name,
+    telegramUserId: ticket.telegram_user_id,
+    status: ticket.status,
+    queuedUntil: ticket.queued_until ? datetime.formatDateTime(ticket.queued_until) : '',
+    staffName: ticket.claimed_by_name,
+    closedBy: ticket.closed_by
+  });
+}
+
+function getTicketKeyboard(ticket) {
+  if (ticket.status === 'closed') return Markup.inlineKeyboard([]);
+
+  return Markup.inlineKeyboard([
+    ...(ticket.status !== 'claimed' ? [Markup.button.callback('🙋 Take', `hd:claim:${ticket.id}`)] : []),
+    Markup.button.callback('✅ Close', `hd:close:${ticket.id}`)
+  ]);
+}
+
+// Keep the ticket header in the staff group in step with the ticket
+async function refreshTicketHeader(telegram, ticket) {
+  if (!ticket.group_message_id) return;
+
+  try {
+    await telegram.editMessageText(env.STAFF_GROUP_CHAT_ID, ticket.group_message_id, undefined,
+      formatTicketHeader(ticket), getTicketKeyboard(ticket));
+  } catch (error) {
+    console.error(`Failed to update header for support ticket ${ticket.id}:`, error);
+  }
+}
+
+export default {
+  isEnabled,
+  isStaffGroupChat,
+  getTicketRef,
+  getActiveTicket,
+  openTicket,
+  relayPatientMessage,
+  relayStaffReply,
+  claimTicket,
+  closeTicket,
+  releaseQueuedTickets
+};
@@ -0,0 +1,174 @@
+import { createHmac } from 'node:crypto';
+import { env } from '../config/env.js';
+import * as locations from './locations.js';
+import { SERVICES } from './booking.js';
+import { secureCompare } from './utils.js';
+
+/**
+ * iCalendar Export
+ * Builds RFC 5545 calendars for patient attachments and staff feeds.
+ * Every appointment keeps the same UID, so changes and cancellations
+ * update the event already in the calendar instead of adding a new one.
+ */
+
+// Days of history and look-ahead included in staff feeds
+export const FEED_PAST_DAYS = 30;
+export const FEED_FUTURE_DAYS = 90;
+
+// Feed types and the URL segment each is served under
+export const FEED_TYPES = {
+  clinician: 'clinicians',
+  location: 'locations'
+};
+
+const EVENT_STATUSES = {
+  pending: 'TENTATIVE',
+  rescheduled: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  no_show: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+// Escape a TEXT value (backslash, semicolon, comma and newlines)
+function escapeText(value = '') {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// UTC date-time, e.g. 20261024T140000Z
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Fold lines longer than 75 octets without splitting multi-byte characters
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function getUidDomain() {
+  try {
+    return env.APP_BASE_URL ? new URL(env.APP_BASE_URL).hostname : 'serenitycareai';
+  } catch {
+    return 'serenitycareai';
+  }
+}
+
+// VEVENT lines for one appointment; `audience` is 'patient' or 'staff'
+function buildEventLines(appointment, branchLabels, audience) {
+  const start = new Date(appointment.scheduled_datetime);
+  const end = new Date(start.getTime() + env.BOOKING_SLOT_MINUTES * 60 * 1000);
+  const service = SERVICES[appointment.service];
+  const status = EVENT_STATUSES[appointment.status] || 'TENTATIVE';
+  const lastModified = new Date(appointment.updated_at || appointment.created_at || Date.now());
+
+  const summary = audience === 'staff'
+    ? `${appointment.full_name}${service ? ` – ${service}` : ''}`
+    : `${env.CLINIC_NAME} appointment${service ? ` – ${service}` : ''}`;
+
+  const description = audience === 'staff'
+    ? [
+      `Status: ${appointment.status}`,
+      `Clinician: ${appointment.clinicians?.full_name || 'Unassigned'}`,
+      ...(appointment.raw_request ? [`Request: ${appointment.raw_request}`] : [])
+    ]
+    : [
+      'Please arrive 15 minutes early.',
+      'Use /myappointments in our Telegram chat to reschedule or cancel.'
+    ];
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:appointment-${appointment.id}@${getUidDomain()}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    // Seconds since epoch only ever grow, so calendars apply the latest change
+    `SEQUENCE:${Math.floor(lastModified.getTime() / 1000)}`,
+    `LAST-MODIFIED:${formatUtc(lastModified)}`,
+    `SUMMARY:${escapeText(status === 'CANCELLED' ? `Cancelled: ${summary}` : summary)}`,
+    `DESCRIPTION:${escapeText(description.join('\n'))}`,
+    `LOCATION:${escapeText(branchLabels[appointment.location] || env.CLINIC_NAME)}`,
+    `STATUS:${status}`,
+    ...(status === 'CANCELLED' ? ['TRANSP:TRANSPARENT'] : []),
+    'END:VEVENT'
+  ];
+}
+
+// Build an iCalendar document; appointments without a scheduled time are left out
+export async function buildCalendar(appointments, { name = env.CLINIC_NAME, audience = 'patient' } = {}) {
+  const branches = await locations.getLocations();
+  const branchLabels = Object.fromEntries(branches.map(branch => [
+    branch.code,
+    branch.address && branch.address !== branch.name ? `${branch.name} (${branch.address})` : branch.name
+  ]));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//SerenityCareAI//Appointments//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${env.CLINIC_TIMEZONE}`,
+    ...appointments
+      .filter(appointment => appointment.scheduled_datetime)
+      .flatMap(appointment => buildEventLines(appointment, branchLabels, audience)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Feed Tokens
+ */
+
+// Token for a feed (HMAC of type and id); rotating CALENDAR_FEED_SECRET revokes every link
+export function getFeedToken(type, id) {
+  return createHmac('sha256', env.CALENDAR_FEED_SECRET)
+    .update(`${type}:${id}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+// Check a token presented for a feed
+export function verifyFeedToken(type, id, token) {
+  if (!env.CALENDAR_FEED_SECRET || !FEED_TYPES[type]) return false;
+  return secureCompare(token, getFeedToken(type, id));
+}
+
+// Subscription URL for a feed (empty when APP_BASE_URL or the secret is missing)
+export function getFeedUrl(type, id) {
+  if (!env.APP_BASE_URL || !env.CALENDAR_FEED_SECRET || !FEED_TYPES[type]) return '';
+  return `${env.APP_BASE_URL}/api/calendar/${FEED_TYPES[type]}/${encodeURIComponent(id)}.ics?token=${getFeedToken(type, id)}`;
+}
+
+export default {
+  FEED_PAST_DAYS,
+  FEED_FUTURE_DAYS,
+  FEED_TYPES,
+  buildCalendar,
+  getFeedToken,
+  verifyFeedToken,
+  getFeedUrl
+};
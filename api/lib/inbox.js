@@ -0,0 +1,120 @@
+import * as db from './supabase.js';
+import * as utils from './utils.js';
+import * as templates from './templates.js';
+
+/**
+ * Staff Inbox
+ * Patient conversations for staff working outside Telegram: one row per
+ * patient with its latest message, the thread from chat_logs, replies the
+ * bot delivers to the patient, and a handled flag.
+ */
+
+// Page sizes for conversation lists and threads
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+// Longest preview kept on the conversation row
+const PREVIEW_LENGTH = 200;
+
+// Clamp a requested page size
+export function getPageSize(value) {
+  const size = parseInt(value, 10);
+  if (!size || size < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(size, MAX_PAGE_SIZE);
+}
+
+// Preview text for a logged message ("[photo]" for media without a caption)
+function getPreview(logEntry) {
+  const text = logEntry.message_text || (logEntry.message_type && logEntry.message_type !== 'text' ? `[${logEntry.message_type}]` : '');
+  return text.slice(0, PREVIEW_LENGTH);
+}
+
+// Move a patient's conversation to the top of the inbox after a logged message
+// A patient message reopens a handled conversation; staff replies leave the status alone
+export async function recordActivity(logEntry) {
+  if (!logEntry?.patient_id) return null;
+
+  const inbound = (logEntry.direction || 'inbound') === 'inbound';
+  return await db.upsertConversation({
+    patient_id: logEntry.patient_id,
+    telegram_user_id: logEntry.telegram_user_id,
+    telegram_chat_id: logEntry.telegram_chat_id,
+    last_message_at: logEntry.timestamp || new Date().toISOString(),
+    last_message_text: getPreview(logEntry),
+    last_direction: inbound ? 'inbound' : 'outbound',
+    ...(inbound ? { status: 'open' } : {})
+  });
+}
+
+// Conversations by last activity; `status` is 'open', 'handled' or null for all
+export async function listConversations({ status = null, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  return await db.getConversations({ status, limit, offset });
+}
+
+// One page of a patient's thread, oldest first, with the cursor for the page before it
+export async function getThread(patientId, { limit = DEFAULT_PAGE_SIZE, before = null } = {}) {
+  const conversation = await db.getConversation(patientId);
+  if (!conversation) return null;
+
+  const page = await db.getChatLogs(patientId, { limit, before });
+  return {
+    conversation,
+    messages: [...page].reverse(),
+    next_before: page.length === limit ? page[page.length - 1].timestamp : null
+  };
+}
+
+// Send a staff reply to the patient through the bot and add it to the thread
+// Returns { status: 'sent' | 'unknown' | 'failed', message? }
+export async function sendReply(telegram, patientId, { text, staffName = '' }) {
+  const conversation = await db.getConversation(patientId);
+  if (!conversation) return { status: 'unknown' };
+
+  await templates.loadTemplates();
+  let sent;
+  try {
+    sent = await telegram.sendMessage(conversation.telegram_chat_id, utils.getStaffReplyMessage(staffName, text));
+  } catch (error) {
+    console.error(`Failed to send inbox reply to patient ${patientId}:`, error);
+    return { status: 'failed' };
+  }
+
+  // Opted-out patients still get the reply, but it is not stored
+  const consented = conversation.patients?.consent_opt_in !== false;
+  const entry = {
+    patient_id: patientId,
+    telegram_user_id: conversation.telegram_user_id,
+    telegram_chat_id: conversation.telegram_chat_id,
+    message_type: 'text',
+    message_text: consented ? text : '',
+    direction: 'outbound',
+    metadata: {
+      staff_name: staffName || null,
+      message_id: sent.message_id
+    }
+  };
+  const message = consented ? await db.logChat(entry) : null;
+  await recordActivity(message || entry);
+
+  return { status: 'sent', message };
+}
+
+// Mark a conversation handled until the patient writes again
+export async function markHandled(patientId, staffName = '') {
+  return await db.updateConversation(patientId, {
+    status: 'handled',
+    handled_at: new Date().toISOString(),
+    handled_by: staffName || null
+  });
+}
+
+export default {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  getPageSize,
+  recordActivity,
+  listConversations,
+  getThread,
+  sendReply,
+  markHandled
+};
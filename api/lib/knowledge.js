@@ -0,0 +1,197 @@
+import { env } from '../config/env.js';
+import * as faq from './faq.js';
+import * as locations from './locations.js';
+import * as datetime from './datetime.js';
+import { SERVICES } from './booking.js';
+
+/**
+ * Clinic Knowledge Retrieval
+ * Picks the knowledge a free-text reply may draw on: active kb_faq entries,
+ * the clinic profile (services, hours, how to book) and branch details. Sources
+ * are ranked by embedding similarity when an embedding function is available,
+ * and by the FAQ matcher's keyword scoring when it isn't (or fails). Every
+ * source has a stable ID (faq:<id>, clinic:<topic>, location:<code>) so the
+ * ones used for a reply can be logged and reviewed.
+ */
+
+// Sources passed to the model for one reply
+export const MAX_SOURCES = 4;
+
+// Lowest cosine similarity treated as relevant (unrelated text usually scores well below)
+const MIN_SIMILARITY = 0.6;
+
+// Lowest lexical score treated as relevant (one keyword, or two words of the source)
+const MIN_SCORE = 2;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Source embeddings by ID, kept until the source's text changes
+const embeddingCache = new Map();
+
+function formatHour(hour) {
+  const suffix = hour >= 12 ? 'pm' : 'am';
+  return `${hour % 12 || 12}${suffix}`;
+}
+
+// "Monday–Saturday" from the clinic's open days
+function getOpenDaysLabel() {
+  const days = datetime.CLINIC_HOURS.openDays;
+  const consecutive = days.every((day, index) => index === 0 || day === days[index - 1] + 1);
+  return consecutive && days.length > 2
+    ? `${DAY_NAMES[days[0]]}–${DAY_NAMES[days[days.length - 1]]}`
+    : days.map(day => DAY_NAMES[day]).join(', ');
+}
+
+function createSource({ id, title, text, keywords = [], priority = 0 }) {
+  return {
+    id,
+    title,
+    text,
+    priority,
+    keywordList: faq.parseKeywords(keywords),
+    questionWords: faq.getWords(`${title} ${text}`)
+  };
+}
+
+// Clinic profile sources, built from configuration
+function getClinicSources(branches) {
+  const { openHour, closeHour, openDays } = datetime.CLINIC_HOURS;
+  const closedDays = DAY_NAMES.filter((name, day) => !openDays.includes(day));
+
+  return [
+    createSource({
+      id: 'clinic:profile',
+      title: `About ${env.CLINIC_NAME}`,
+      text: [
+        `${env.CLINIC_NAME} is a clinic in ${env.CITY} with ${branches.length} branch${branches.length === 1 ? '' : 'es'}: ${branches.map(branch => branch.name).join(', ')}.`,
+        `${env.OWNER_NAME} is the Managing Director; administrative requests sent here reach the right person within 2-4 business hours.`,
+        "Patients type '1' to book an appointment, '2' for frequently asked questions and '3' to talk to staff."
+      ].join(' '),
+      keywords: ['clinic', 'hospital', 'about', 'director', 'owner', 'contact', 'book', 'appointment', 'staff']
+    }),
+    createSource({
+      id: 'clinic:services',
+      title: 'Services',
+      text: `Services offered: ${Object.values(SERVICES).join(', ')}. The bot gives information and books appointments; it does not give diagnoses or treatment advice.`,
+      keywords: ['services', 'treatment', 'therapy', 'counselling', 'counseling', 'consultation', 'mental health', 'substance', 'addiction', 'doctor']
+    }),
+    createSource({
+      id: 'clinic:hours',
+      title: 'Opening hours',
+      text: [
+        `Open ${getOpenDaysLabel()}, ${formatHour(openHour)}–${formatHour(closeHour)} (${env.CLINIC_TIMEZONE} time).`,
+        closedDays.length > 0 ? `Closed on ${closedDays.join(', ')}, on public holidays and on announced closure days.` : 'Closed on public holidays and on announced closure days.',
+        "Outside these hours patients can still book, and messages to staff are answered when the clinic opens."
+      ].join(' '),
+      keywords: ['hours', 'open', 'opening', 'close', 'closing', 'time', 'weekend', 'sunday', 'holiday']
+    })
+  ];
+}
+
+// One source per branch
+function getLocationSources(branches) {
+  return branches.map(branch => createSource({
+    id: `location:${branch.code}`,
+    title: `${branch.name} branch`,
+    text: locations.formatLocationDetails(branch).replace(/^\s+/gm, ''),
+    keywords: [branch.code, ...branch.name.split(/[\s,]+/), 'branch', 'location', 'address', 'where', 'directions', 'phone']
+  }));
+}
+
+// One source per active FAQ entry
+function getFaqSources(entries) {
+  return entries.map(entry => ({
+    ...createSource({
+      id: `faq:${entry.id}`,
+      title: entry.question,
+      text: entry.answer,
+      priority: entry.priority
+    }),
+    keywordList: entry.keywordList
+  }));
+}
+
+// Everything a reply may draw on (FAQ entries and branches come from their caches)
+export async function getSources() {
+  const [entries, branches] = await Promise.all([faq.getEntries(), locations.getLocations()]);
+  return [...getClinicSources(branches), ...getLocationSources(branches), ...getFaqSources(entries)];
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Embeddings for the sources, embedding only new or changed ones; null when embedding fails
+async function getSourceEmbeddings(sources, embed) {
+  const stale = sources.filter(source => embeddingCache.get(source.id)?.text !== source.text);
+  if (stale.length > 0) {
+    const vectors = await embed(stale.map(source => `${source.title}\n${source.text}`), { type: 'document' });
+    if (!vectors || vectors.length !== stale.length) return null;
+    stale.forEach((source, index) => embeddingCache.set(source.id, { text: source.text, vector: vectors[index] }));
+  }
+
+  return sources.map(source => embeddingCache.get(source.id).vector);
+}
+
+async function rankByEmbedding(query, sources, embed) {
+  const [queryVectors, sourceVectors] = await Promise.all([
+    embed([query], { type: 'query' }),
+    getSourceEmbeddings(sources, embed)
+  ]);
+  if (!queryVectors?.[0] || !sourceVectors) return null;
+
+  return sources
+    .map((source, index) => ({ source, score: cosineSimilarity(queryVectors[0], sourceVectors[index]) }))
+    .filter(result => result.score >= MIN_SIMILARITY);
+}
+
+function rankByKeywords(query, sources) {
+  const words = faq.getWords(query);
+  if (words.length === 0) return [];
+
+  return sources
+    .map(source => ({ source, score: faq.scoreEntry(source, words).score }))
+    .filter(result => result.score >= MIN_SCORE);
+}
+
+// Most relevant sources for a patient's message, best first
+// `embed(texts, { type })` returns one vector per text, or null when embeddings are unavailable
+// Returns { sources: [{ id, title, text, score }], method: 'embedding' | 'keyword' }
+export async function retrieve(query, { embed = null, limit = MAX_SOURCES } = {}) {
+  const sources = await getSources();
+
+  let method = 'embedding';
+  let ranked = embed ? await rankByEmbedding(query, sources, embed) : null;
+  if (!ranked) {
+    method = 'keyword';
+    ranked = rankByKeywords(query, sources);
+  }
+
+  return {
+    method,
+    sources: ranked
+      .sort((a, b) => b.score - a.score || b.source.priority - a.source.priority)
+      .slice(0, limit)
+      .map(({ source, score }) => ({ id: source.id, title: source.title, text: source.text, score }))
+  };
+}
+
+// Sources as prompt text, each tagged with its ID
+export function formatSources(sources) {
+  return sources.map(source => `[${source.id}] ${source.title}\n${source.text}`).join('\n\n');
+}
+
+export default {
+  MAX_SOURCES,
+  getSources,
+  retrieve,
+  formatSources
+};
@@ -1,48 +1,125 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { env } from '../config/env.js';
+import * as knowledge from './knowledge.js';
+import * as templates from './templates.js';
+import { createGeminiProvider } from './providers/gemini.js';
+import { createOpenAIProvider } from './providers/openai.js';
+import { createMockProvider } from './providers/mock.js';
 
 /**
- * Gemini AI Integration
+ * LLM Integration
  * Handles text generation and media analysis (transcription, summarization)
+ * through the provider chosen with LLM_PROVIDER: gemini, openai (any
+ * OpenAI-compatible endpoint, including self-hosted models) or mock (offline
+ * fixtures, see providers/mock.js). Each use case has its own model,
+ * temperature and max tokens, overridable with LLM_<USE_CASE>_MODEL,
+ * _TEMPERATURE and _MAX_TOKENS.
+ * Free-text replies are grounded in clinic knowledge retrieved for each message
+ * (see knowledge.js) and never go beyond it.
+ *
+ * A provider is { name, models: { text, media, embedding }, generateText, analyzeMedia, embed }:
+ *   generateText({ system, message, model, temperature, maxTokens }) → reply text
+ *   analyzeMedia({ prompt, data, mimeType, mediaType, model, temperature, maxTokens }) → text, or null when the type is not supported
+ *   embed(texts, { type, model }) → one vector per text, or null when embeddings are not available
  */
 
-let genAI = null;
-let textModel = null;
-let visionModel = null;
+// Provider factories by LLM_PROVIDER name; each returns null when its settings are missing
+const PROVIDERS = {
+  gemini: () => env.GEMINI_API_KEY ? createGeminiProvider({ apiKey: env.GEMINI_API_KEY }) : null,
+  openai: () => env.OPENAI_BASE_URL ? createOpenAIProvider({ baseUrl: env.OPENAI_BASE_URL, apiKey: env.OPENAI_API_KEY }) : null,
+  mock: () => createMockProvider({ fixturesPath: env.LLM_MOCK_FIXTURES })
+};
+
+// Defaults by use case; `kind` picks the provider's default model (text, media or embedding)
+const USE_CASES = {
+  chat: { kind: 'text', temperature: 0.3, maxTokens: 300 },
+  image: { kind: 'media', temperature: 0.2, maxTokens: 200 },
+  audio: { kind: 'media', temperature: 0, maxTokens: 1024 },
+  video: { kind: 'media', temperature: 0.2, maxTokens: 400 },
+  document: { kind: 'media', temperature: 0.2, maxTokens: 400 },
+  embedding: { kind: 'embedding' }
+};
 
-// Initialize Gemini AI
-export function initializeGemini() {
-  if (!env.GEMINI_API_KEY) {
-    console.warn('⚠️  Gemini API key not configured - using mock responses');
+let provider = null;
+let initialized = false;
+
+// After a failed embedding request, replies use keyword retrieval for this long before trying again
+const EMBEDDING_RETRY_MS = 5 * 60 * 1000;
+let embeddingsFailedAt = 0;
+
+// Reply when nothing the bot knows covers the question; the model is told to use the same words
+// Staff only see the message when it is saved to the chat log, otherwise the patient is pointed to '3'
+const CHECK_WITH_STAFF_REPLY = "I don't have that information, so I'll check with staff - they can see your message and will reply here. Type '3' if you'd like to talk to them now.";
+const NO_INFORMATION_REPLY = "I don't have that information. Type '3' if you'd like to talk to our staff.";
+
+// Greetings and thanks that need no clinic knowledge; a message made only of these words gets the main menu
+const SMALL_TALK_WORDS = new Set([
+  'hi', 'hello', 'hey', 'hiya', 'good', 'morning', 'afternoon', 'evening', 'day', 'there',
+  'thanks', 'thank', 'you', 'thx', 'so', 'very', 'much', 'a', 'lot', 'again',
+  'ok', 'okay', 'alright', 'great', 'cool', 'bye', 'goodbye', 'cheers'
+]);
+
+// Initialize the configured LLM provider
+export function initializeLLM() {
+  initialized = true;
+  provider = null;
+  
+  const createProvider = PROVIDERS[env.LLM_PROVIDER];
+  if (!createProvider) {
+    console.error(`❌ Unknown LLM_PROVIDER "${env.LLM_PROVIDER}" (expected one of: ${Object.keys(PROVIDERS).join(', ')}) - using fallback replies`);
     return null;
   }
   
   try {
-    genAI = new GoogleGenerativeAI(env.GEMINI_API_KEY);
-    textModel = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    visionModel = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    
-    console.log('✅ Gemini AI initialized');
-    return genAI;
+    provider = createProvider();
   } catch (error) {
-    console.error('Error initializing Gemini:', error);
+    console.error(`Error initializing LLM provider ${env.LLM_PROVIDER}:`, error);
     return null;
   }
+  
+  if (!provider) {
+    console.warn(`⚠️  LLM provider ${env.LLM_PROVIDER} not configured - using fallback replies (LLM_PROVIDER=mock works offline)`);
+    return null;
+  }
+  
+  if (provider.name === 'mock' && env.IS_PRODUCTION) {
+    console.warn('⚠️  LLM_PROVIDER=mock in production - patients get fixture replies');
+  }
+  
+  console.log(`✅ LLM provider initialized: ${provider.name} (chat model ${getModelSettings('chat').model})`);
+  return provider;
 }
 
-// Get AI client (lazy initialization)
-function getGeminiClient() {
-  if (!genAI) {
-    genAI = initializeGemini();
+// Get the provider (lazy initialization); null when none is configured
+function getProvider() {
+  if (!initialized) {
+    initializeLLM();
   }
-  return genAI;
+  return provider;
+}
+
+// Whether replies and media analysis come from a model rather than fallbacks
+export function isLLMConfigured() {
+  return !!getProvider();
+}
+
+// Model, temperature and max tokens for a use case: LLM_<USE_CASE>_* overrides, then the defaults above
+export function getModelSettings(useCase) {
+  const defaults = USE_CASES[useCase];
+  const overrides = env.LLM_SETTINGS[useCase] || {};
+  
+  return {
+    model: overrides.model || getProvider()?.models[defaults.kind],
+    temperature: overrides.temperature ?? defaults.temperature,
+    maxTokens: overrides.maxTokens ?? defaults.maxTokens
+  };
 }
 
 /**
  * System prompts for different use cases
  */
 const SYSTEM_PROMPTS = {
-  general: `You are SerenityBot, a professional AI assistant for ${env.CLINIC_NAME} in ${env.CITY}. 
+  // Clinic knowledge is retrieved for each message (FAQ entries, clinic profile, branches)
+  general: (knowledgeContext, unknownReply) => `You are SerenityBot, a professional AI assistant for ${env.CLINIC_NAME} in ${env.CITY}. 
 
 GUIDELINES:
 - Respond professionally and empathetically
@@ -52,12 +129,11 @@ GUIDELINES:
 - Focus on scheduling appointments and providing general information
 - Use warm, supportive tone while maintaining boundaries
 
-SERVICES:
-- Mental health support and counseling
-- Substance-use counseling  
-- General medical consultations
-- Located in Galadinmawa and Karu, Abuja
-- Hours: 8am-6pm Monday-Saturday
+CLINIC KNOWLEDGE:
+${knowledgeContext}
+
+Answer only from the CLINIC KNOWLEDGE above. Do not add services, prices, hours, addresses or other facts it does not contain, and never mention the [source] tags.
+If it does not answer the question, reply exactly: "${unknownReply}"
 
 Remember: You assist with appointments and information only, not medical advice.`,
 
@@ -106,41 +182,93 @@ Provide a high-level summary of the video content.`
  * Text Generation
  */
 
-// Generate text reply for general queries
-export async function llmTextReply(userText) {
-  const client = getGeminiClient();
-  if (!client || !textModel) {
+// Whether a message is only a greeting or thanks
+function isSmallTalk(text) {
+  const words = text.toLowerCase().match(/[a-z]+/g) || [];
+  return words.length > 0 && words.every(word => SMALL_TALK_WORDS.has(word));
+}
+
+// Generate text reply for general queries, grounded in the clinic knowledge relevant to the message
+// `staffCanSee` says whether the message is saved where staff will read it (only then are they promised to follow up);
+// `onFallback` is called when a canned reply is returned instead of a generated one;
+// `onSources` gets the IDs of the knowledge sources retrieved (empty when nothing relevant was found)
+export async function llmTextReply(userText, { staffCanSee = false, onFallback = () => {}, onSources = () => {} } = {}) {
+  const llm = getProvider();
+  if (!llm) {
+    onFallback();
     return "I'm currently unable to process your request. Please contact our staff directly for assistance.";
   }
   
   try {
-    const prompt = `${SYSTEM_PROMPTS.general}\n\nUser message: "${userText}"\n\nResponse:`;
+    const { sources } = await knowledge.retrieve(userText, { embed: embedTexts });
+    onSources(sources.map(source => source.id));
+    const unknownReply = staffCanSee ? CHECK_WITH_STAFF_REPLY : NO_INFORMATION_REPLY;
     
-    const result = await textModel.generateContent(prompt);
-    const response = await result.response;
-    let text = response.text();
+    // Nothing to ground an answer in
+    if (sources.length === 0) {
+      return isSmallTalk(userText)
+        ? templates.render('welcome_message', { clinic_name: env.CLINIC_NAME, city: env.CITY })
+        : unknownReply;
+    }
+    
+    let text = await llm.generateText({
+      ...getModelSettings('chat'),
+      system: SYSTEM_PROMPTS.general(knowledge.formatSources(sources), unknownReply),
+      message: userText
+    });
     
     // Ensure response is within bounds and professional
     if (text.length > 400) {
       text = text.substring(0, 397) + "...";
     }
     
-    return text || "Thank you for your message. A staff member will assist you shortly.";
+    if (!text) {
+      onFallback();
+      return staffCanSee
+        ? "Thank you for your message. A staff member will assist you shortly."
+        : "Thank you for your message. Type '3' if you'd like to talk to our staff.";
+    }
+    
+    return text;
     
   } catch (error) {
     console.error('Error in llmTextReply:', error);
+    onFallback();
     return "I'm having trouble processing your request right now. Please try again or contact our staff directly.";
   }
 }
 
+/**
+ * Embeddings
+ */
+
+// Embedding vectors for texts, one per text (`type` is 'query' for a patient's message, 'document' for knowledge)
+// Returns null when embeddings are unavailable, the request fails or one failed in the last few minutes
+export async function embedTexts(texts, { type = 'document' } = {}) {
+  const llm = getProvider();
+  if (!llm || texts.length === 0) return null;
+  if (Date.now() - embeddingsFailedAt < EMBEDDING_RETRY_MS) return null;
+  
+  try {
+    return await llm.embed(texts, { type, model: getModelSettings('embedding').model });
+    
+  } catch (error) {
+    console.error('Error in embedTexts:', error);
+    embeddingsFailedAt = Date.now();
+    return null;
+  }
+}
+
 /**
  * Media Analysis
  */
 
 // Analyze media (images, audio, video, documents)
-export async function llmAnalyzeMedia({ bufferBase64, contentType, filename = '' }) {
-  const client = getGeminiClient();
-  if (!client || !visionModel) {
+// `onFallback` is called when analysis fails or is unavailable and a canned reply is returned
+export async function llmAnalyzeMedia({ bufferBase64, contentType, filename = '', onFallback = () => {} }) {
+  const llm = getProvider();
+  if (!llm) {
+    onFallback();
     return "Media analysis is currently unavailable. Please contact our staff for manual review.";
   }
   
@@ -165,17 +293,20 @@ export async function llmAnalyzeMedia({ bufferBase64, contentType, filename = ''
       return `File received: ${filename || 'Unknown file'}. Our staff will review this file type manually.`;
     }
     
-    // Prepare media data for Gemini
-    const mediaPart = {
-      inlineData: {
-        data: bufferBase64,
-        mimeType: contentType
-      }
-    };
+    const text = await llm.analyzeMedia({
+      ...getModelSettings(mediaType),
+      prompt,
+      data: bufferBase64,
+      mimeType: contentType,
+      mediaType
+    });
     
-    const result = await visionModel.generateContent([prompt, mediaPart]);
-    const response = await result.response;
-    let text = response.text();
+    // The provider cannot read this type
+    if (text === null) {
+      console.log(`⚠️  LLM provider ${llm.name} does not support ${contentType} - using fallback reply`);
+      onFallback();
+      return getMediaFallbackReply(contentType, filename);
+    }
     
     // Format response based on media type
     let formattedResponse = '';
@@ -203,19 +334,23 @@ export async function llmAnalyzeMedia({ bufferBase64, contentType, filename = ''
     
   } catch (error) {
     console.error('Error in llmAnalyzeMedia:', error);
-    
-    // Determine basic media type for fallback message
-    if (contentType.startsWith('image/')) {
-      return "📸 Image received. Our medical staff will review it during your appointment.";
-    } else if (contentType.startsWith('audio/')) {
-      return "🎵 Audio message received. Our staff will listen to it and respond accordingly.";
-    } else if (contentType.startsWith('video/')) {
-      return "🎥 Video received. Our team will review it as part of your consultation.";
-    } else if (contentType === 'application/pdf') {
-      return "📄 Document received. Our staff will review it and discuss during your appointment.";
-    } else {
-      return `File received (${filename || 'unknown type'}). Our team will review it manually.`;
-    }
+    onFallback();
+    return getMediaFallbackReply(contentType, filename);
+  }
+}
+
+// Reply for media that could not be analyzed, by basic media type
+function getMediaFallbackReply(contentType, filename) {
+  if (contentType.startsWith('image/')) {
+    return "📸 Image received. Our medical staff will review it during your appointment.";
+  } else if (contentType.startsWith('audio/')) {
+    return "🎵 Audio message received. Our staff will listen to it and respond accordingly.";
+  } else if (contentType.startsWith('video/')) {
+    return "🎥 Video received. Our team will review it as part of your consultation.";
+  } else if (contentType === 'application/pdf') {
+    return "📄 Document received. Our staff will review it and discuss during your appointment.";
+  } else {
+    return `File received (${filename || 'unknown type'}). Our team will review it manually.`;
   }
 }
 
@@ -224,8 +359,9 @@ export async function llmAnalyzeMedia({ bufferBase64, contentType, filename = ''
  */
 
 // Transcribe audio to text
-export async function transcribeAudio(bufferBase64, contentType) {
+export async function transcribeAudio(bufferBase64, contentType, options = {}) {
   return await llmAnalyzeMedia({ 
+    ...options,
     bufferBase64, 
     contentType, 
     filename: 'audio_message' 
@@ -233,8 +369,9 @@ export async function transcribeAudio(bufferBase64, contentType) {
 }
 
 // Analyze image content
-export async function analyzeImage(bufferBase64, contentType) {
+export async function analyzeImage(bufferBase64, contentType, options = {}) {
   return await llmAnalyzeMedia({ 
+    ...options,
     bufferBase64, 
     contentType, 
     filename: 'image_file' 
@@ -242,8 +379,9 @@ export async function analyzeImage(bufferBase64, contentType) {
 }
 
 // Summarize document
-export async function summarizeDocument(bufferBase64, contentType, filename = '') {
+export async function summarizeDocument(bufferBase64, contentType, filename = '', options = {}) {
   return await llmAnalyzeMedia({ 
+    ...options,
     bufferBase64, 
     contentType, 
     filename 
@@ -251,8 +389,9 @@ export async function summarizeDocument(bufferBase64, contentType, filename = ''
 }
 
 // Summarize video
-export async function summarizeVideo(bufferBase64, contentType) {
+export async function summarizeVideo(bufferBase64, contentType, options = {}) {
   return await llmAnalyzeMedia({ 
+    ...options,
     bufferBase64, 
     contentType, 
     filename: 'video_file' 
@@ -274,25 +413,17 @@ export function containsEmergencyKeywords(text) {
   return emergencyKeywords.some(keyword => lowerText.includes(keyword));
 }
 
-// Generate emergency response
+// Generate emergency response (Telegram Markdown, from the emergency_response template)
 export function getEmergencyResponse() {
-  return [
-    "🚨 **URGENT MEDICAL ATTENTION NEEDED**",
-    "",
-    "If this is a medical emergency:",
-    "• Call emergency services immediately: 199 or 112",
-    "• Go to the nearest hospital emergency room",
-    "",
-    "For mental health crisis:",
-    "• National Mental Health Helpline: 080-963-4357",
-    "",
-    `Our clinic (${env.CLINIC_NAME}) is available 8am-6pm for urgent appointments.`
-  ].join("\n");
+  return templates.render('emergency_response', { clinic_name: env.CLINIC_NAME });
 }
 
 export default {
-  initializeGemini,
+  initializeLLM,
+  isLLMConfigured,
+  getModelSettings,
   llmTextReply,
+  embedTexts,
   llmAnalyzeMedia,
   transcribeAudio,
   analyzeImage,
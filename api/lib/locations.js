@@ -0,0 +1,105 @@
+import { env } from '../config/env.js';
+import * as db from './supabase.js';
+import { SERVICES } from './booking.js';
+
+/**
+ * Clinic Locations
+ * Branch details (address, map link, phone, hours, services) loaded from the
+ * locations table, cached briefly, with built-in defaults for mock mode
+ */
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Used when Supabase is not configured or the locations table is empty
+const DEFAULT_LOCATIONS = [
+  {
+    code: 'galadinmawa',
+    name: 'Galadinmawa, Abuja',
+    address: 'Galadinmawa, Abuja',
+    map_url: 'https://maps.google.com/?q=Galadinmawa+Abuja',
+    phone: null,
+    hours: 'Mon–Sat 8am–6pm',
+    services: ['mental_health', 'substance_use', 'general']
+  },
+  {
+    code: 'karu',
+    name: 'Karu, Abuja',
+    address: 'Karu, Abuja',
+    map_url: 'https://maps.google.com/?q=Karu+Abuja',
+    phone: null,
+    hours: 'Mon–Sat 8am–6pm',
+    services: ['mental_health', 'substance_use', 'general']
+  }
+];
+
+let cache = { locations: null, loadedAt: 0 };
+
+// Active branches in display order
+export async function getLocations() {
+  if (cache.locations && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.locations;
+  }
+
+  const rows = await db.getLocations();
+  cache = {
+    locations: rows.length > 0 ? rows : DEFAULT_LOCATIONS,
+    loadedAt: Date.now()
+  };
+
+  return cache.locations;
+}
+
+// A single active branch by code (null if unknown)
+export async function getLocation(code) {
+  if (!code) return null;
+
+  const locations = await getLocations();
+  return locations.find(location => location.code === code) || null;
+}
+
+// Branches that offer a service
+export async function getLocationsForService(service) {
+  const locations = await getLocations();
+  return locations.filter(location => !location.services || location.services.includes(service));
+}
+
+// Display name for a branch code without waiting on the database (uses the last loaded list)
+export function getLocationName(code) {
+  if (!code) return null;
+
+  const location = (cache.locations || DEFAULT_LOCATIONS).find(item => item.code === code);
+  return location ? location.name : code;
+}
+
+// Clear the cache (after branch details are edited)
+export function clearLocationCache() {
+  cache = { locations: null, loadedAt: 0 };
+}
+
+// Readable names of the services a branch offers
+function getServiceLabels(location) {
+  return (location.services || []).map(code => SERVICES[code]).filter(Boolean);
+}
+
+// Branch details for patients
+export function formatLocationDetails(location) {
+  const services = getServiceLabels(location);
+
+  return [
+    `📍 ${location.name}`,
+    location.address && location.address !== location.name ? `   ${location.address}` : null,
+    location.hours ? `   ⏰ ${location.hours}` : null,
+    location.phone ? `   📞 ${location.phone}` : null,
+    services.length > 0 ? `   🏥 ${services.join(', ')}` : null,
+    location.map_url ? `   🗺 ${location.map_url}` : null
+  ].filter(Boolean).join('\n');
+}
+
+export default {
+  getLocations,
+  getLocation,
+  getLocationsForService,
+  getLocationName,
+  clearLocationCache,
+  formatLocationDetails
+};
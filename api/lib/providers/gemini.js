@@ -0,0 +1,70 @@
+import { GoogleGenerativeAI, TaskType } from '@google/generative-ai';
+
+/**
+ * Gemini Provider
+ * Text generation, media analysis and embeddings through Google's
+ * @google/generative-ai SDK. Gemini reads images, audio, video and PDFs inline.
+ */
+
+// Models used when LLM_<USE_CASE>_MODEL is not set
+export const DEFAULT_MODELS = {
+  text: 'gemini-1.5-flash',
+  media: 'gemini-1.5-flash',
+  embedding: 'text-embedding-004'
+};
+
+// Texts per embedding request (the API accepts up to 100)
+const EMBEDDING_BATCH_SIZE = 100;
+
+export function createGeminiProvider({ apiKey }) {
+  const client = new GoogleGenerativeAI(apiKey);
+
+  function getModel({ model, system, temperature, maxTokens }) {
+    return client.getGenerativeModel({
+      model,
+      ...(system ? { systemInstruction: system } : {}),
+      generationConfig: { temperature, maxOutputTokens: maxTokens }
+    });
+  }
+
+  return {
+    name: 'gemini',
+    models: DEFAULT_MODELS,
+
+    async generateText({ system, message, model, temperature, maxTokens }) {
+      const result = await getModel({ model, system, temperature, maxTokens }).generateContent(message);
+      return result.response.text();
+    },
+
+    async analyzeMedia({ prompt, data, mimeType, model, temperature, maxTokens }) {
+      const result = await getModel({ model, temperature, maxTokens }).generateContent([
+        prompt,
+        { inlineData: { data, mimeType } }
+      ]);
+      return result.response.text();
+    },
+
+    async embed(texts, { type, model }) {
+      const embeddingModel = client.getGenerativeModel({ model });
+      const taskType = type === 'query' ? TaskType.RETRIEVAL_QUERY : TaskType.RETRIEVAL_DOCUMENT;
+      const vectors = [];
+
+      for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+        const result = await embeddingModel.batchEmbedContents({
+          requests: texts.slice(i, i + EMBEDDING_BATCH_SIZE).map(text => ({
+            content: { role: 'user', parts: [{ text }] },
+            taskType
+          }))
+        });
+        vectors.push(...result.embeddings.map(embedding => embedding.values));
+      }
+
+      return vectors;
+    }
+  };
+}
+
+export default {
+  DEFAULT_MODELS,
+  createGeminiProvider
+};
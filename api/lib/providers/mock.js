@@ -0,0 +1,58 @@
+import { readFileSync } from 'node:fs';
+
+/**
+ * Mock Provider
+ * Deterministic replies from a fixture file, for developing and testing
+ * without network access or an API key. Text fixtures are tried in order and
+ * the first whose `match` (a case-insensitive regular expression, or "*" for
+ * anything) fits the patient's message gives the reply; media analysis returns
+ * the fixture for the media type. Embeddings are not available, so clinic
+ * knowledge is retrieved by keyword.
+ *
+ * Fixture file shape (see mock-fixtures.json for the built-in one):
+ *   { "text": [{ "match": "\\bhours?\\b", "reply": "..." }, { "match": "*", "reply": "..." }],
+ *     "media": { "image": "...", "audio": "...", "video": "...", "document": "..." } }
+ */
+
+const BUILT_IN_FIXTURES = new URL('./mock-fixtures.json', import.meta.url);
+
+// Fixture file contents with each text `match` compiled
+function loadFixtures(path) {
+  const fixtures = JSON.parse(readFileSync(path, 'utf8'));
+
+  return {
+    text: (fixtures.text || []).map(fixture => ({
+      pattern: fixture.match === '*' ? null : new RegExp(fixture.match, 'i'),
+      reply: fixture.reply || ''
+    })),
+    media: fixtures.media || {}
+  };
+}
+
+// `fixturesPath` is a JSON file in the shape above; the built-in fixtures are used when empty
+export function createMockProvider({ fixturesPath = '' } = {}) {
+  const fixtures = loadFixtures(fixturesPath || BUILT_IN_FIXTURES);
+
+  return {
+    name: 'mock',
+    models: { text: 'mock', media: 'mock', embedding: 'mock' },
+
+    async generateText({ message }) {
+      const fixture = fixtures.text.find(({ pattern }) => !pattern || pattern.test(message));
+      return fixture ? fixture.reply : '';
+    },
+
+    // Returns null for media types without a fixture
+    async analyzeMedia({ mediaType }) {
+      return fixtures.media[mediaType] ?? null;
+    },
+
+    async embed() {
+      return null;
+    }
+  };
+}
+
+export default {
+  createMockProvider
+};
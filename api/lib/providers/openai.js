@@ -0,0 +1,97 @@
+/**
+ * OpenAI-Compatible Provider
+ * Text generation, media analysis and embeddings against any endpoint that
+ * speaks the OpenAI chat completions and embeddings API: OpenAI itself, or a
+ * self-hosted server such as Ollama, vLLM or LM Studio. Images go in as data
+ * URLs and MP3/WAV audio as input_audio; other media types are not supported
+ * and get the caller's fallback reply.
+ */
+
+// Models used when LLM_<USE_CASE>_MODEL is not set (self-hosted servers usually need their own)
+export const DEFAULT_MODELS = {
+  text: 'gpt-4o-mini',
+  media: 'gpt-4o-mini',
+  embedding: 'text-embedding-3-small'
+};
+
+// Audio formats the chat completions API accepts, by MIME type
+const AUDIO_FORMATS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav'
+};
+
+// Request timeout (under the 30 s limit of the serverless function handling the webhook)
+const REQUEST_TIMEOUT_MS = 25 * 1000;
+
+export function createOpenAIProvider({ baseUrl, apiKey = '' }) {
+  const base = baseUrl.replace(/\/+$/, '');
+
+  async function request(path, body) {
+    const response = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const payload = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      throw new Error(`${path} returned ${response.status}: ${payload?.error?.message || response.statusText}`);
+    }
+    return payload;
+  }
+
+  async function complete(messages, { model, temperature, maxTokens }) {
+    const payload = await request('/chat/completions', {
+      model,
+      messages,
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...(maxTokens ? { max_tokens: maxTokens } : {})
+    });
+    return payload?.choices?.[0]?.message?.content?.trim() || '';
+  }
+
+  return {
+    name: 'openai',
+    models: DEFAULT_MODELS,
+
+    async generateText({ system, message, ...settings }) {
+      return complete([
+        { role: 'system', content: system },
+        { role: 'user', content: message }
+      ], settings);
+    },
+
+    // Returns null for media types the API cannot read
+    async analyzeMedia({ prompt, data, mimeType, ...settings }) {
+      let mediaPart = null;
+      if (mimeType.startsWith('image/')) {
+        mediaPart = { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } };
+      } else if (AUDIO_FORMATS[mimeType]) {
+        mediaPart = { type: 'input_audio', input_audio: { data, format: AUDIO_FORMATS[mimeType] } };
+      }
+      if (!mediaPart) return null;
+
+      return complete([
+        { role: 'user', content: [{ type: 'text', text: prompt }, mediaPart] }
+      ], settings);
+    },
+
+    async embed(texts, { model }) {
+      const payload = await request('/embeddings', { model, input: texts });
+      return [...payload.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+}
+
+export default {
+  DEFAULT_MODELS,
+  createOpenAIProvider
+};
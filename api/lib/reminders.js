@@ -0,0 +1,90 @@
+import { Markup } from 'telegraf';
+import { env } from '../config/env.js';
+import * as db from './supabase.js';
+import * as datetime from './datetime.js';
+import * as locations from './locations.js';
+import { renderTemplate } from './templates.js';
+
+/**
+ * Appointment Reminders
+ * Sends the appointment_reminder template to patients with confirmed appointments
+ * inside each configured window (e.g. 24h and 2h ahead)
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Windows smallest first; each covers the time between the previous window and itself
+function getReminderWindows() {
+  const hours = [...new Set(env.REMINDER_WINDOWS_HOURS)].sort((a, b) => a - b);
+  return hours.map((windowHours, index) => ({
+    windowHours,
+    fromHours: index === 0 ? 0 : hours[index - 1]
+  }));
+}
+
+// Send one reminder; the database claim stops other processes sending it too
+async function sendReminder(telegram, appointment, windowHours) {
+  if (!appointment.telegram_chat_id) return 'skipped';
+
+  const claim = await db.claimAppointmentReminder(appointment.id, windowHours, appointment.scheduled_datetime);
+  if (!claim) return 'skipped';
+
+  try {
+    const patient = appointment.patient_id ? await db.getPatientById(appointment.patient_id) : null;
+    const branch = await locations.getLocation(appointment.location);
+    const message = await renderTemplate('appointment_reminder', {
+      patient_name: appointment.full_name,
+      appointment_time: datetime.formatDateTime(appointment.scheduled_datetime, patient?.timezone),
+      clinic_name: env.CLINIC_NAME,
+      location: branch?.name || env.CITY
+    });
+    
+    await telegram.sendMessage(appointment.telegram_chat_id, message, Markup.inlineKeyboard([
+      [Markup.button.callback("✅ I'll attend", `rem:attend:${appointment.id}`)],
+      [Markup.button.callback('🔄 I need to reschedule', `apt:resched:${appointment.id}`)]
+    ]));
+    
+    await db.completeAppointmentReminder(claim.id);
+    await db.updateAppointment(appointment.id, { reminder_sent: true });
+    return 'sent';
+  } catch (error) {
+    console.error(`Error sending reminder for appointment ${appointment.id}:`, error);
+    
+    // 403: blocked the bot or deactivated account, retrying won't help; anything else is tried again next run
+    if (error.code === 403) {
+      await db.completeAppointmentReminder(claim.id, { error: error.description || error.message });
+    } else {
+      await db.releaseAppointmentReminder(claim.id);
+    }
+    return 'failed';
+  }
+}
+
+// Send all reminders that are due now; safe to run from several processes at once
+export async function sendDueReminders(telegram, { now = new Date() } = {}) {
+  const summary = { checked: 0, sent: 0, failed: 0, skipped: 0 };
+
+  for (const { windowHours, fromHours } of getReminderWindows()) {
+    const start = new Date(now.getTime() + fromHours * HOUR_MS);
+    const end = new Date(now.getTime() + windowHours * HOUR_MS);
+    const appointments = await db.getAppointmentsScheduledBetween(start, end, ['confirmed']);
+    
+    for (const appointment of appointments) {
+      // The lower boundary belongs to the smaller window
+      if (new Date(appointment.scheduled_datetime) <= start) continue;
+      
+      summary.checked++;
+      summary[await sendReminder(telegram, appointment, windowHours)]++;
+    }
+  }
+
+  if (summary.sent > 0 || summary.failed > 0) {
+    console.log(`🔔 Reminders: ${summary.sent} sent, ${summary.failed} failed`);
+  }
+
+  return summary;
+}
+
+export default {
+  sendDueReminders
+};
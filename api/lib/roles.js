@@ -0,0 +1,106 @@
+import { env } from '../config/env.js';
+import * as db from './supabase.js';
+
+/**
+ * Staff Roles and Permissions
+ * Who may use admin commands and API routes. Roles live in staff_members, so
+ * /staff_add and /staff_remove take effect immediately; the MD in
+ * MD_TELEGRAM_USER_ID always has the md role and cannot be locked out.
+ */
+
+// Roles and their labels
+export const ROLES = {
+  md: 'Medical Director',
+  front_desk: 'Front desk',
+  clinician: 'Clinician',
+  viewer: 'Viewer'
+};
+
+// Permissions and the roles that hold them (md holds every permission)
+export const PERMISSIONS = {
+  'analytics.view': ['md', 'viewer'],
+  'appointments.view': ['md', 'front_desk', 'clinician', 'viewer'],
+  'followups.manage': ['md', 'front_desk'],
+  'attendance.manage': ['md', 'front_desk'],
+  'calendar.view': ['md', 'front_desk', 'clinician'],
+  'closures.manage': ['md', 'front_desk'],
+  'staff.manage': ['md'],
+  'apikeys.manage': ['md'],
+  'audit.view': ['md'],
+  'broadcasts.send': ['md'],
+  'faq.manage': ['md', 'front_desk'],
+  'inbox.manage': ['md', 'front_desk']
+};
+
+// Bot commands each permission unlocks
+const PERMISSION_COMMANDS = {
+  'analytics.view': ['/md_brief', '/md_digest'],
+  'followups.manage': ['/md_followups'],
+  'attendance.manage': ['/md_attendance'],
+  'calendar.view': ['/md_calendar'],
+  'closures.manage': ['/md_closure'],
+  'staff.manage': ['/staff_add', '/staff_remove'],
+  'apikeys.manage': ['/md_apikey'],
+  'audit.view': ['/md_audit'],
+  'broadcasts.send': ['/md_broadcast'],
+  'faq.manage': ['/faq_list', '/faq_add', '/faq_edit', '/faq_disable', '/faq_enable']
+};
+
+// Whether a Telegram user is the MD configured in MD_TELEGRAM_USER_ID
+export function isOwner(telegramUserId) {
+  return Boolean(env.MD_TELEGRAM_USER_ID) && Number(telegramUserId) === env.MD_TELEGRAM_USER_ID;
+}
+
+// Role of a Telegram user, or null for patients and removed staff
+export async function getRole(telegramUserId) {
+  if (!telegramUserId) return null;
+  if (isOwner(telegramUserId)) return 'md';
+
+  const member = await db.getStaffMember(telegramUserId);
+  return member?.role || null;
+}
+
+// Whether a role holds a permission
+export function roleHasPermission(role, permission) {
+  if (!role) return false;
+  if (role === 'md') return true;
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+// Whether a Telegram user holds a permission
+export async function hasPermission(telegramUserId, permission) {
+  return roleHasPermission(await getRole(telegramUserId), permission);
+}
+
+// Telegram IDs of everyone holding a permission (for staff notifications)
+export async function getTelegramIdsWithPermission(permission) {
+  const roles = Object.keys(ROLES).filter(role => roleHasPermission(role, permission));
+  const members = await db.getStaffMembers({ roles });
+
+  return [...new Set([
+    env.MD_TELEGRAM_USER_ID,
+    ...members.map(member => Number(member.telegram_user_id))
+  ].filter(Boolean))];
+}
+
+// Permissions a role holds
+export function getRolePermissions(role) {
+  return Object.keys(PERMISSIONS).filter(permission => roleHasPermission(role, permission));
+}
+
+// Bot commands a role can use, for /staff_add and /whoami
+export function getRoleCommands(role) {
+  return getRolePermissions(role).flatMap(permission => PERMISSION_COMMANDS[permission] || []);
+}
+
+export default {
+  ROLES,
+  PERMISSIONS,
+  isOwner,
+  getRole,
+  roleHasPermission,
+  hasPermission,
+  getTelegramIdsWithPermission,
+  getRolePermissions,
+  getRoleCommands
+};
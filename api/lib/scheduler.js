@@ -0,0 +1,84 @@
+import { env } from '../config/env.js';
+import * as reminders from './reminders.js';
+import * as waitlist from './waitlist.js';
+import * as handoff from './handoff.js';
+import * as broadcasts from './broadcasts.js';
+import * as digest from './digest.js';
+import * as templates from './templates.js';
+
+/**
+ * Background Scheduler
+ * Runs periodic jobs inside long-running processes (polling bot, Express server).
+ * On serverless deployments the same jobs are triggered through /api/cron/:job.
+ */
+
+// Registered jobs: name -> handler(telegram)
+const JOBS = {
+  reminders: (telegram) => reminders.sendDueReminders(telegram),
+  waitlist: (telegram) => waitlist.expireOffers(telegram),
+  handoff: (telegram) => handoff.releaseQueuedTickets(telegram),
+  broadcasts: (telegram) => broadcasts.sendPending(telegram),
+  digest: (telegram) => digest.sendDueDigests(telegram)
+};
+
+const timers = [];
+const runningJobs = new Set();
+
+// Names of jobs that can be triggered
+export function getJobNames() {
+  return Object.keys(JOBS);
+}
+
+// Run one job now (overlapping runs of the same job in this process are skipped)
+export async function runJob(name, telegram) {
+  const job = JOBS[name];
+  if (!job) {
+    throw new Error(`Unknown scheduler job: ${name}`);
+  }
+
+  if (runningJobs.has(name)) {
+    return { skipped: true, reason: 'Job already running' };
+  }
+
+  runningJobs.add(name);
+  try {
+    await templates.loadTemplates();
+    return await job(telegram);
+  } finally {
+    runningJobs.delete(name);
+  }
+}
+
+// Start running all jobs on an interval
+export function startScheduler(telegram) {
+  if (env.IS_SERVERLESS) {
+    console.log('⏰ Serverless environment: scheduler jobs run via /api/cron endpoints');
+    return;
+  }
+
+  if (timers.length > 0) return;
+
+  const intervalMs = env.SCHEDULER_INTERVAL_MINUTES * 60 * 1000;
+  for (const name of getJobNames()) {
+    const tick = () => runJob(name, telegram).catch(error => {
+      console.error(`Scheduler job ${name} failed:`, error);
+    });
+    
+    timers.push(setInterval(tick, intervalMs));
+    tick();
+  }
+
+  console.log(`⏰ Scheduler started (every ${env.SCHEDULER_INTERVAL_MINUTES} min)`);
+}
+
+// Stop all interval timers
+export function stopScheduler() {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+}
+
+export default {
+  getJobNames,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
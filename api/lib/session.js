@@ -0,0 +1,62 @@
+import * as db from './supabase.js';
+
+/**
+ * Conversation Sessions
+ * Short-lived per-user state for multi-step flows (e.g. confirming a booking time).
+ * Stored in Supabase so webhook invocations share it; falls back to memory in mock mode.
+ */
+
+const DEFAULT_TTL_MINUTES = 30;
+
+// In-memory fallback when Supabase is not configured
+const memorySessions = new Map();
+
+function isExpired(session) {
+  return !session || (session.expires_at && new Date(session.expires_at) <= new Date());
+}
+
+// Get the active session for a user (null if none or expired)
+export async function getSession(telegramId) {
+  const session = db.getSupabaseClient()
+    ? await db.getConversationSession(telegramId)
+    : memorySessions.get(telegramId) || null;
+
+  if (isExpired(session)) {
+    if (session) await clearSession(telegramId);
+    return null;
+  }
+
+  return session;
+}
+
+// Start or replace the session for a user
+export async function setSession(telegramId, flow, data = {}, ttlMinutes = DEFAULT_TTL_MINUTES) {
+  const session = {
+    telegram_user_id: telegramId,
+    flow,
+    data,
+    expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString()
+  };
+
+  if (db.getSupabaseClient()) {
+    return await db.saveConversationSession(telegramId, session);
+  }
+
+  memorySessions.set(telegramId, session);
+  return session;
+}
+
+// End the session for a user
+export async function clearSession(telegramId) {
+  if (db.getSupabaseClient()) {
+    return await db.deleteConversationSession(telegramId);
+  }
+
+  return memorySessions.delete(telegramId);
+}
+
+export default {
+  getSession,
+  setSession,
+  clearSession
+};
@@ -28,6 +28,21 @@ export function getSupabaseClient() {
   return supabase;
 }
 
+// Rows per request when reading a whole table in pages (PostgREST caps responses at 1000)
+const PAGE_SIZE = 1000;
+
+// Run a query page by page until it runs out; `buildQuery(from, to)` returns the query for one page
+async function fetchAllPages(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
 /**
  * Patient Management
  */
@@ -45,7 +60,8 @@ export async function upsertPatientByTelegramId(telegramId, userData = {}) {
       last_name: userData.last_name || '',
       username: userData.username || '',
       phone_number: userData.phone_number || '',
-      consent_opt_in: true,
+      // consent_opt_in is left out so an update never undoes /optout (new rows get the default)
+      bot_blocked_at: null, // Writing to the bot means they can be messaged again
       channel: 'telegram',
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
@@ -96,6 +112,30 @@ export async function getPatientByTelegramId(telegramId) {
   }
 }
 
+// Get patient by ID
+export async function getPatientById(patientId) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('patients')
+      .select('*')
+      .eq('id', patientId)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching patient by ID:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getPatientById:', error);
+    return null;
+  }
+}
+
 // Update patient consent
 export async function updatePatientConsent(telegramId, consentOptIn) {
   const client = getSupabaseClient();
@@ -142,9 +182,11 @@ export async function logChat(chatData) {
       message_text: chatData.message_text || '',
       media_type: chatData.media_type || null,
       media_file_id: chatData.media_file_id || null,
+      direction: chatData.direction || 'inbound',
       channel: 'telegram',
       timestamp: new Date().toISOString(),
-      metadata: chatData.metadata || {}
+      metadata: chatData.metadata || {},
+      flags: chatData.flags || []
     };
     
     const { data, error } = await client
@@ -165,6 +207,178 @@ export async function logChat(chatData) {
   }
 }
 
+// Get a patient's chat log, newest first (`before` pages back from a timestamp)
+export async function getChatLogs(patientId, { limit = 50, before = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    let query = client
+      .from('chat_logs')
+      .select('*')
+      .eq('patient_id', patientId)
+      .order('timestamp', { ascending: false })
+      .limit(limit);
+    
+    if (before) {
+      query = query.lt('timestamp', new Date(before).toISOString());
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      console.error('Error fetching chat logs:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getChatLogs:', error);
+    return [];
+  }
+}
+
+// Get inbound messages carrying a flag (e.g. 'emergency') between two times, oldest first, with the patient's name
+export async function getFlaggedChatLogs(flag, start, end, { limit = 100 } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('chat_logs')
+      .select('id, patient_id, telegram_user_id, timestamp, patients(first_name, last_name)')
+      .contains('flags', [flag])
+      .eq('direction', 'inbound')
+      .gte('timestamp', new Date(start).toISOString())
+      .lt('timestamp', new Date(end).toISOString())
+      .order('timestamp', { ascending: true })
+      .limit(limit);
+    
+    if (error) {
+      console.error('Error fetching flagged chat logs:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getFlaggedChatLogs:', error);
+    return [];
+  }
+}
+
+/**
+ * Conversations (Staff Inbox)
+ */
+
+// Record the latest message of a patient's conversation
+export async function upsertConversation(conversationData) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('conversations')
+      .upsert({
+        ...conversationData,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'patient_id' })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error saving conversation:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in upsertConversation:', error);
+    return null;
+  }
+}
+
+// List conversations with their patient, most recent activity first
+export async function getConversations({ status = null, limit = 50, offset = 0 } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    let query = client
+      .from('conversations')
+      .select('*, patients(first_name, last_name, username, consent_opt_in)')
+      .order('last_message_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    
+    if (status) {
+      query = query.eq('status', status);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      console.error('Error fetching conversations:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getConversations:', error);
+    return [];
+  }
+}
+
+// Get one patient's conversation
+export async function getConversation(patientId) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('conversations')
+      .select('*, patients(first_name, last_name, username, consent_opt_in)')
+      .eq('patient_id', patientId)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching conversation:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getConversation:', error);
+    return null;
+  }
+}
+
+// Update a conversation (e.g. mark it handled)
+export async function updateConversation(patientId, updates) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('conversations')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('patient_id', patientId)
+      .select()
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error updating conversation:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateConversation:', error);
+    return null;
+  }
+}
+
 /**
  * Appointments Management
  */
@@ -179,6 +393,9 @@ export async function createAppointment(appointmentData) {
       patient_id: appointmentData.patient_id,
       full_name: appointmentData.full_name,
       preferred_datetime: appointmentData.preferred_datetime,
+      scheduled_datetime: appointmentData.scheduled_datetime || null,
+      service: appointmentData.service || null,
+      location: appointmentData.location || null,
       status: 'pending',
       channel: 'telegram',
       telegram_user_id: appointmentData.telegram_user_id,
@@ -231,146 +448,2213 @@ export async function getAppointmentsByStatus(status, limit = 20) {
   }
 }
 
-/**
- * Analytics and Reporting
- */
-
-// Get daily brief statistics
-export async function getDailyBrief(date = null) {
+// Get appointment by ID
+export async function getAppointmentById(appointmentId) {
   const client = getSupabaseClient();
-  if (!client) {
-    return {
-      chats: 0,
-      bookings: 0,
-      cancels: 0,
-      faqs: 0
-    };
-  }
+  if (!client) return null;
   
   try {
-    const targetDate = date || new Date().toISOString().split('T')[0];
-    const startOfDay = `${targetDate}T00:00:00.000Z`;
-    const endOfDay = `${targetDate}T23:59:59.999Z`;
-    
-    // Get chat count
-    const { data: chats, error: chatsError } = await client
-      .from('chat_logs')
-      .select('id', { count: 'exact' })
-      .gte('timestamp', startOfDay)
-      .lte('timestamp', endOfDay);
-    
-    // Get booking count (pending appointments created today)
-    const { data: bookings, error: bookingsError } = await client
-      .from('appointments')
-      .select('id', { count: 'exact' })
-      .eq('status', 'pending')
-      .gte('created_at', startOfDay)
-      .lte('created_at', endOfDay);
-    
-    // Get cancellation count
-    const { data: cancels, error: cancelsError } = await client
+    const { data, error } = await client
       .from('appointments')
-      .select('id', { count: 'exact' })
-      .eq('status', 'cancelled')
-      .gte('updated_at', startOfDay)
-      .lte('updated_at', endOfDay);
-    
-    // FAQ count (approximate based on chat logs with FAQ keywords)
-    const { data: faqs, error: faqsError } = await client
-      .from('chat_logs')
-      .select('id', { count: 'exact' })
-      .ilike('message_text', '%faq%')
-      .gte('timestamp', startOfDay)
-      .lte('timestamp', endOfDay);
+      .select('*, clinicians(full_name)')
+      .eq('id', appointmentId)
+      .single();
     
-    if (chatsError || bookingsError || cancelsError || faqsError) {
-      console.error('Error in getDailyBrief:', { chatsError, bookingsError, cancelsError, faqsError });
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching appointment:', error);
+      return null;
     }
     
-    return {
-      chats: chats?.length || 0,
-      bookings: bookings?.length || 0,
-      cancels: cancels?.length || 0,
-      faqs: faqs?.length || 0
-    };
-    
+    return data;
   } catch (error) {
-    console.error('Error in getDailyBrief:', error);
-    return {
-      chats: 0,
-      bookings: 0,
-      cancels: 0,
-      faqs: 0
-    };
+    console.error('Error in getAppointmentById:', error);
+    return null;
   }
 }
 
-// Get follow-up appointments (pending/rescheduled)
-export async function getFollowupAppointments(limit = 20) {
+// Get a patient's appointments (most recent first)
+export async function getPatientAppointments(patientId, limit = 20) {
   const client = getSupabaseClient();
   if (!client) return [];
   
   try {
     const { data, error } = await client
       .from('appointments')
-      .select('id, full_name, preferred_datetime, status, created_at, raw_request')
-      .in('status', ['pending', 'rescheduled'])
-      .order('created_at', { ascending: true })
+      .select('*')
+      .eq('patient_id', patientId)
+      .order('created_at', { ascending: false })
       .limit(limit);
     
     if (error) {
-      console.error('Error fetching followup appointments:', error);
+      console.error('Error fetching patient appointments:', error);
       return [];
     }
     
     return data || [];
   } catch (error) {
-    console.error('Error in getFollowupAppointments:', error);
+    console.error('Error in getPatientAppointments:', error);
     return [];
   }
 }
 
-/**
- * Knowledge Base (FAQ Management)
- */
+// Update appointment status with the reason for the change
+export async function updateAppointmentStatus(appointmentId, status, updates = {}) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('appointments')
+      .update({
+        ...updates,
+        status,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', appointmentId)
+      .select('*, clinicians(full_name)')
+      .single();
+    
+    if (error) {
+      console.error('Error updating appointment status:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateAppointmentStatus:', error);
+    return null;
+  }
+}
 
-// Get FAQ by keyword
-export async function getFAQByKeyword(keyword) {
+// Update appointment fields
+export async function updateAppointment(appointmentId, updates = {}) {
   const client = getSupabaseClient();
   if (!client) return null;
   
   try {
     const { data, error } = await client
-      .from('kb_faq')
-      .select('*')
-      .ilike('keywords', `%${keyword}%`)
-      .eq('is_active', true)
-      .order('priority', { ascending: false })
-      .limit(1)
+      .from('appointments')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', appointmentId)
+      .select('*, clinicians(full_name)')
       .single();
     
-    if (error && error.code !== 'PGRST116') {
-      console.error('Error fetching FAQ:', error);
+    if (error) {
+      console.error('Error updating appointment:', error);
       return null;
     }
     
     return data;
   } catch (error) {
-    console.error('Error in getFAQByKeyword:', error);
+    console.error('Error in updateAppointment:', error);
     return null;
   }
 }
 
+// Get appointments scheduled within a time range
+export async function getAppointmentsScheduledBetween(start, end, statuses = ['pending', 'confirmed', 'rescheduled']) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('appointments')
+      .select('*')
+      .in('status', statuses)
+      .gte('scheduled_datetime', new Date(start).toISOString())
+      .lte('scheduled_datetime', new Date(end).toISOString())
+      .order('scheduled_datetime', { ascending: true });
+    
+    if (error) {
+      console.error('Error fetching scheduled appointments:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getAppointmentsScheduledBetween:', error);
+    return [];
+  }
+}
+
+// Get appointments in any status for a calendar feed, optionally for one clinician or branch
+export async function getCalendarAppointments(start, end, { clinicianId = null, location = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    let query = client
+      .from('appointments')
+      .select('*, clinicians(full_name)')
+      .gte('scheduled_datetime', new Date(start).toISOString())
+      .lte('scheduled_datetime', new Date(end).toISOString());
+    
+    if (clinicianId) {
+      query = query.eq('clinician_id', clinicianId);
+    }
+    if (location) {
+      query = query.eq('location', location);
+    }
+    
+    const { data, error } = await query.order('scheduled_datetime', { ascending: true });
+    
+    if (error) {
+      console.error('Error fetching calendar appointments:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getCalendarAppointments:', error);
+    return [];
+  }
+}
+
+// Get past appointments still waiting to be marked completed or no-show
+export async function getAppointmentsAwaitingOutcome(since, until = new Date(), { location = null, clinicianId = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    let query = client
+      .from('appointments')
+      .select('*, clinicians(full_name)')
+      .in('status', ['pending', 'confirmed'])
+      .gte('scheduled_datetime', new Date(since).toISOString())
+      .lte('scheduled_datetime', new Date(until).toISOString());
+    
+    if (location) {
+      query = query.eq('location', location);
+    }
+    if (clinicianId) {
+      query = query.eq('clinician_id', clinicianId);
+    }
+    
+    const { data, error } = await query.order('scheduled_datetime', { ascending: true }).limit(30);
+    
+    if (error) {
+      console.error('Error fetching appointments awaiting outcome:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getAppointmentsAwaitingOutcome:', error);
+    return [];
+  }
+}
+
+// Get completed and no-show appointments in a period (for no-show rates)
+export async function getAttendanceOutcomes(start, end, { location = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    let query = client
+      .from('appointments')
+      .select('status, location, clinician_id, clinicians(full_name)')
+      .in('status', ['completed', 'no_show'])
+      .gte('scheduled_datetime', new Date(start).toISOString())
+      .lte('scheduled_datetime', new Date(end).toISOString());
+    
+    if (location) {
+      query = query.eq('location', location);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      console.error('Error fetching attendance outcomes:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getAttendanceOutcomes:', error);
+    return [];
+  }
+}
+
+/**
+ * Clinicians
+ */
+
+// Get active clinicians with their branch working days
+export async function getClinicians() {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('clinicians')
+      .select('*, clinician_schedules(location, weekday)')
+      .eq('is_active', true)
+      .order('full_name', { ascending: true });
+    
+    if (error) {
+      console.error('Error fetching clinicians:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getClinicians:', error);
+    return [];
+  }
+}
+
+// Get an active clinician by Telegram ID
+export async function getClinicianByTelegramId(telegramId) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('clinicians')
+      .select('*')
+      .eq('telegram_user_id', telegramId)
+      .eq('is_active', true)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching clinician:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getClinicianByTelegramId:', error);
+    return null;
+  }
+}
+
+// Get a clinician's appointments within a time range
+export async function getClinicianAppointments(clinicianId, start, end, statuses = ['pending', 'confirmed', 'rescheduled']) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('appointments')
+      .select('*')
+      .eq('clinician_id', clinicianId)
+      .in('status', statuses)
+      .gte('scheduled_datetime', new Date(start).toISOString())
+      .lte('scheduled_datetime', new Date(end).toISOString())
+      .order('scheduled_datetime', { ascending: true });
+    
+    if (error) {
+      console.error('Error fetching clinician appointments:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getClinicianAppointments:', error);
+    return [];
+  }
+}
+
+/**
+ * Staff Members (roles)
+ */
+
+// Get an active staff member by Telegram ID
+export async function getStaffMember(telegramId) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('staff_members')
+      .select('*')
+      .eq('telegram_user_id', telegramId)
+      .eq('is_active', true)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching staff member:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getStaffMember:', error);
+    return null;
+  }
+}
+
+// Get active staff members, optionally only those with one of `roles`
+export async function getStaffMembers({ roles = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    let query = client
+      .from('staff_members')
+      .select('*')
+      .eq('is_active', true);
+    
+    if (roles) {
+      query = query.in('role', roles);
+    }
+    
+    const { data, error } = await query.order('created_at', { ascending: true });
+    
+    if (error) {
+      console.error('Error fetching staff members:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getStaffMembers:', error);
+    return [];
+  }
+}
+
+// Add a staff member, or give a known (or removed) one a new role
+export async function upsertStaffMember(staffData) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('staff_members')
+      .upsert({
+        ...staffData,
+        is_active: true,
+        removed_by: null,
+        removed_at: null
+      }, { onConflict: 'telegram_user_id' })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error saving staff member:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in upsertStaffMember:', error);
+    return null;
+  }
+}
+
+// Deactivate a staff member; returns null if they were not active
+export async function removeStaffMember(telegramId, removedBy) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('staff_members')
+      .update({
+        is_active: false,
+        removed_by: removedBy,
+        removed_at: new Date().toISOString()
+      })
+      .eq('telegram_user_id', telegramId)
+      .eq('is_active', true)
+      .select()
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error removing staff member:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in removeStaffMember:', error);
+    return null;
+  }
+}
+
+/**
+ * API Keys
+ */
+
+// Store a new API key (hash only)
+export async function createApiKey(keyData) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('api_keys')
+      .insert(keyData)
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error creating API key:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createApiKey:', error);
+    return null;
+  }
+}
+
+// Get an API key by its prefix
+export async function getApiKeyByPrefix(keyPrefix) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('api_keys')
+      .select('*')
+      .eq('key_prefix', keyPrefix)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching API key:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getApiKeyByPrefix:', error);
+    return null;
+  }
+}
+
+// Get API keys that are neither revoked nor expired
+export async function getActiveApiKeys(now = new Date()) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('api_keys')
+      .select('id, name, key_prefix, scopes, expires_at, last_used_at, created_by, created_at')
+      .is('revoked_at', null)
+      .gt('expires_at', now.toISOString())
+      .order('created_at', { ascending: true });
+    
+    if (error) {
+      console.error('Error fetching API keys:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getActiveApiKeys:', error);
+    return [];
+  }
+}
+
+// Update an API key (last use, revocation)
+// `onlyActive` skips keys already revoked, so revoking twice returns null
+export async function updateApiKey(keyId, updates, { onlyActive = false } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    let query = client
+      .from('api_keys')
+      .update(updates)
+      .eq('id', keyId);
+    
+    if (onlyActive) {
+      query = query.is('revoked_at', null);
+    }
+    
+    const { data, error } = await query.select().single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error updating API key:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateApiKey:', error);
+    return null;
+  }
+}
+
+/**
+ * Audit Log
+ */
+
+// Append one or more audit entries (the table rejects updates and deletes)
+export async function insertAuditLog(entries) {
+  const client = getSupabaseClient();
+  if (!client) return false;
+  
+  try {
+    const { error } = await client
+      .from('audit_log')
+      .insert(entries);
+    
+    if (error) {
+      console.error('Error writing audit log:', error);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error in insertAuditLog:', error);
+    return false;
+  }
+}
+
+// Get audit entries, newest first, optionally within [start, end) and for one patient
+export async function getAuditLog({ start = null, end = null, patientId = null, limit = 50, offset = 0 } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    let query = client
+      .from('audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    
+    if (start) {
+      query = query.gte('created_at', new Date(start).toISOString());
+    }
+    if (end) {
+      query = query.lt('created_at', new Date(end).toISOString());
+    }
+    if (patientId) {
+      query = query.eq('patient_id', patientId);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      console.error('Error fetching audit log:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getAuditLog:', error);
+    return [];
+  }
+}
+
+/**
+ * Appointment Reminders
+ */
+
+// Claim a reminder for sending; returns null if another process already claimed it
+// Claims are per appointment time, so a rescheduled appointment gets its reminders again
+export async function claimAppointmentReminder(appointmentId, windowHours, scheduledAt) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('appointment_reminders')
+      .insert({
+        appointment_id: appointmentId,
+        window_hours: windowHours,
+        scheduled_datetime: new Date(scheduledAt).toISOString(),
+        claimed_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      if (error.code !== '23505') { // 23505 = unique violation (already claimed)
+        console.error('Error claiming appointment reminder:', error);
+      }
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in claimAppointmentReminder:', error);
+    return null;
+  }
+}
+
+// Record the outcome of a claimed reminder
+export async function completeAppointmentReminder(reminderId, { error: sendError = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('appointment_reminders')
+      .update({
+        sent_at: sendError ? null : new Date().toISOString(),
+        error: sendError
+      })
+      .eq('id', reminderId)
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error completing appointment reminder:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in completeAppointmentReminder:', error);
+    return null;
+  }
+}
+
+// Give up a claimed reminder so the next run tries again
+export async function releaseAppointmentReminder(reminderId) {
+  const client = getSupabaseClient();
+  if (!client) return false;
+  
+  try {
+    const { error } = await client
+      .from('appointment_reminders')
+      .delete()
+      .eq('id', reminderId);
+    
+    if (error) {
+      console.error('Error releasing appointment reminder:', error);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error in releaseAppointmentReminder:', error);
+    return false;
+  }
+}
+
+/**
+ * Slot Holds (temporary reservations during booking)
+ */
+
+// Get unexpired slot holds within a time range
+export async function getActiveSlotHolds(start, end) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('slot_holds')
+      .select('*')
+      .gt('expires_at', new Date().toISOString())
+      .gte('slot_start', new Date(start).toISOString())
+      .lte('slot_start', new Date(end).toISOString());
+    
+    if (error) {
+      console.error('Error fetching slot holds:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getActiveSlotHolds:', error);
+    return [];
+  }
+}
+
+// Create or replace the slot hold for a user (one hold per user)
+export async function upsertSlotHold(holdData) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('slot_holds')
+      .upsert({
+        telegram_user_id: holdData.telegram_user_id,
+        location: holdData.location,
+        slot_start: holdData.slot_start,
+        expires_at: holdData.expires_at,
+        created_at: new Date().toISOString()
+      }, { onConflict: 'telegram_user_id' })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error saving slot hold:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in upsertSlotHold:', error);
+    return null;
+  }
+}
+
+// Release the slot hold for a user
+export async function deleteSlotHold(telegramId) {
+  const client = getSupabaseClient();
+  if (!client) return false;
+  
+  try {
+    const { error } = await client
+      .from('slot_holds')
+      .delete()
+      .eq('telegram_user_id', telegramId);
+    
+    if (error) {
+      console.error('Error deleting slot hold:', error);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error in deleteSlotHold:', error);
+    return false;
+  }
+}
+
+/**
+ * Waitlist
+ */
+
+// Add a patient to the waitlist
+export async function createWaitlistEntry(entryData) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('waitlist_entries')
+      .insert({
+        ...entryData,
+        status: 'waiting'
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error creating waitlist entry:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createWaitlistEntry:', error);
+    return null;
+  }
+}
+
+// Get waiting entries, oldest first
+export async function getWaitingEntries(limit = 200) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('waitlist_entries')
+      .select('*')
+      .eq('status', 'waiting')
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: true })
+      .limit(limit);
+    
+    if (error) {
+      console.error('Error fetching waitlist entries:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getWaitingEntries:', error);
+    return [];
+  }
+}
+
+// Get a patient's active waitlist entries
+export async function getPatientWaitlistEntries(patientId) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('waitlist_entries')
+      .select('*')
+      .eq('patient_id', patientId)
+      .in('status', ['waiting', 'offered'])
+      .order('created_at', { ascending: true });
+    
+    if (error) {
+      console.error('Error fetching patient waitlist entries:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getPatientWaitlistEntries:', error);
+    return [];
+  }
+}
+
+// Update a waitlist entry (optionally only while it still has one of `fromStatuses`)
+export async function updateWaitlistEntry(entryId, updates, { fromStatuses = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    let query = client
+      .from('waitlist_entries')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', entryId);
+    
+    if (fromStatuses) {
+      query = query.in('status', fromStatuses);
+    }
+    
+    const { data, error } = await query.select().single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error updating waitlist entry:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateWaitlistEntry:', error);
+    return null;
+  }
+}
+
+// Mark waiting entries whose windows have all passed as expired
+export async function expireWaitlistEntries(now = new Date()) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('waitlist_entries')
+      .update({ status: 'expired', updated_at: new Date().toISOString() })
+      .eq('status', 'waiting')
+      .lte('expires_at', new Date(now).toISOString())
+      .select('id');
+    
+    if (error) {
+      console.error('Error expiring waitlist entries:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in expireWaitlistEntries:', error);
+    return [];
+  }
+}
+
+// Record a slot offer to a waitlisted patient
+export async function createWaitlistOffer(offerData) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('waitlist_offers')
+      .insert({
+        ...offerData,
+        status: 'offered'
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error creating waitlist offer:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createWaitlistOffer:', error);
+    return null;
+  }
+}
+
+// Get an offer with its waitlist entry
+export async function getWaitlistOffer(offerId) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('waitlist_offers')
+      .select('*, waitlist_entries(*)')
+      .eq('id', offerId)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching waitlist offer:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getWaitlistOffer:', error);
+    return null;
+  }
+}
+
+// Get offers already made for a slot (to skip patients who were offered it before)
+export async function getWaitlistOffersForSlot(slotStart) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('waitlist_offers')
+      .select('*')
+      .eq('slot_start', new Date(slotStart).toISOString());
+    
+    if (error) {
+      console.error('Error fetching waitlist offers for slot:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getWaitlistOffersForSlot:', error);
+    return [];
+  }
+}
+
+// Get open offers past their deadline
+export async function getExpiredWaitlistOffers(now = new Date()) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('waitlist_offers')
+      .select('*, waitlist_entries(*)')
+      .eq('status', 'offered')
+      .lte('expires_at', new Date(now).toISOString());
+    
+    if (error) {
+      console.error('Error fetching expired waitlist offers:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getExpiredWaitlistOffers:', error);
+    return [];
+  }
+}
+
+// Resolve an open offer; returns null if it was already resolved (e.g. accepted and expired at once)
+export async function resolveWaitlistOffer(offerId, status, updates = {}) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('waitlist_offers')
+      .update({
+        ...updates,
+        status,
+        responded_at: new Date().toISOString()
+      })
+      .eq('id', offerId)
+      .eq('status', 'offered')
+      .select()
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error resolving waitlist offer:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in resolveWaitlistOffer:', error);
+    return null;
+  }
+}
+
+// Store the Telegram message that carries an offer
+export async function setWaitlistOfferMessage(offerId, messageId) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { error } = await client
+      .from('waitlist_offers')
+      .update({ telegram_message_id: messageId })
+      .eq('id', offerId);
+    
+    if (error) {
+      console.error('Error saving waitlist offer message:', error);
+      return null;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error in setWaitlistOfferMessage:', error);
+    return null;
+  }
+}
+
+/**
+ * Support Tickets
+ */
+
+// Open a support ticket for a patient
+export async function createSupportTicket(ticketData) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('support_tickets')
+      .insert({
+        status: 'open',
+        ...ticketData
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error creating support ticket:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createSupportTicket:', error);
+    return null;
+  }
+}
+
+// Get a support ticket by ID
+export async function getSupportTicket(ticketId) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('support_tickets')
+      .select('*')
+      .eq('id', ticketId)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching support ticket:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getSupportTicket:', error);
+    return null;
+  }
+}
+
+// Get the patient's queued, open or claimed ticket
+export async function getActiveSupportTicket(telegramUserId) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('support_tickets')
+      .select('*')
+      .eq('telegram_user_id', telegramUserId)
+      .in('status', ['queued', 'open', 'claimed'])
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching active support ticket:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getActiveSupportTicket:', error);
+    return null;
+  }
+}
+
+// Get queued tickets whose clinic opening has come
+export async function getDueQueuedSupportTickets(now = new Date()) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('support_tickets')
+      .select('*')
+      .eq('status', 'queued')
+      .lte('queued_until', new Date(now).toISOString())
+      .order('created_at', { ascending: true });
+    
+    if (error) {
+      console.error('Error fetching queued support tickets:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getDueQueuedSupportTickets:', error);
+    return [];
+  }
+}
+
+// Get the ticket a staff group message belongs to
+export async function getSupportTicketByGroupMessage(groupMessageId) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('support_ticket_messages')
+      .select('*, support_tickets(*)')
+      .eq('group_message_id', groupMessageId)
+      .limit(1)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching support ticket message:', error);
+      return null;
+    }
+    
+    return data?.support_tickets || null;
+  } catch (error) {
+    console.error('Error in getSupportTicketByGroupMessage:', error);
+    return null;
+  }
+}
+
+// Update a support ticket (optionally only while it still has one of `fromStatuses`)
+export async function updateSupportTicket(ticketId, updates, { fromStatuses = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    let query = client
+      .from('support_tickets')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', ticketId);
+    
+    if (fromStatuses) {
+      query = query.in('status', fromStatuses);
+    }
+    
+    const { data, error } = await query.select().single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error updating support ticket:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateSupportTicket:', error);
+    return null;
+  }
+}
+
+// Link a staff group message to a ticket
+export async function logSupportTicketMessage(ticketId, groupMessageId, direction) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { error } = await client
+      .from('support_ticket_messages')
+      .insert({
+        ticket_id: ticketId,
+        group_message_id: groupMessageId,
+        direction
+      });
+    
+    if (error) {
+      console.error('Error logging support ticket message:', error);
+      return null;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error in logSupportTicketMessage:', error);
+    return null;
+  }
+}
+
+/**
+ * Broadcasts
+ */
+
+// Patients a broadcast may reach: opted in, not known to have blocked the bot
+// `patientIds` narrows the list (e.g. patients with appointments at a branch)
+export async function getReachablePatients({ patientIds = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const buildQuery = (ids) => (from, to) => {
+      let query = client
+        .from('patients')
+        .select('id, telegram_user_id')
+        .eq('consent_opt_in', true)
+        .is('bot_blocked_at', null)
+        .not('telegram_user_id', 'is', null)
+        .order('created_at', { ascending: true })
+        .range(from, to);
+      
+      if (ids) {
+        query = query.in('id', ids);
+      }
+      
+      return query;
+    };
+    
+    if (!patientIds) {
+      return await fetchAllPages(buildQuery(null));
+    }
+    
+    // Keep each id list short enough for the request URL
+    const patients = [];
+    for (let i = 0; i < patientIds.length; i += 200) {
+      patients.push(...await fetchAllPages(buildQuery(patientIds.slice(i, i + 200))));
+    }
+    return patients;
+  } catch (error) {
+    console.error('Error in getReachablePatients:', error);
+    return [];
+  }
+}
+
+// Distinct patients with appointments, optionally at one branch, from a time onwards, or in some statuses
+export async function getAppointmentPatientIds({ location = null, from = null, statuses = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const rows = await fetchAllPages((start, end) => {
+      let query = client
+        .from('appointments')
+        .select('patient_id')
+        .not('patient_id', 'is', null)
+        .order('created_at', { ascending: true })
+        .range(start, end);
+      
+      if (location) {
+        query = query.eq('location', location);
+      }
+      if (from) {
+        query = query.gte('scheduled_datetime', new Date(from).toISOString());
+      }
+      if (statuses) {
+        query = query.in('status', statuses);
+      }
+      
+      return query;
+    });
+    
+    return [...new Set(rows.map(row => row.patient_id))];
+  } catch (error) {
+    console.error('Error in getAppointmentPatientIds:', error);
+    return [];
+  }
+}
+
+// Note that a patient blocked the bot, so broadcasts skip them until they write again
+export async function markPatientBotBlocked(patientId, blockedAt = new Date()) {
+  const client = getSupabaseClient();
+  if (!client) return false;
+  
+  try {
+    const { error } = await client
+      .from('patients')
+      .update({ bot_blocked_at: blockedAt.toISOString() })
+      .eq('id', patientId);
+    
+    if (error) {
+      console.error('Error marking patient as blocked:', error);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error in markPatientBotBlocked:', error);
+    return false;
+  }
+}
+
+// Create a broadcast
+export async function createBroadcast(broadcastData) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('broadcasts')
+      .insert(broadcastData)
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error creating broadcast:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createBroadcast:', error);
+    return null;
+  }
+}
+
+// Get broadcasts still being sent, oldest first
+export async function getSendingBroadcasts() {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('broadcasts')
+      .select('*')
+      .eq('status', 'sending')
+      .order('created_at', { ascending: true });
+    
+    if (error) {
+      console.error('Error fetching sending broadcasts:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getSendingBroadcasts:', error);
+    return [];
+  }
+}
+
+// Update a broadcast, optionally only while it is in one of `fromStatuses`
+export async function updateBroadcast(broadcastId, updates, { fromStatuses = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    let query = client
+      .from('broadcasts')
+      .update(updates)
+      .eq('id', broadcastId);
+    
+    if (fromStatuses) {
+      query = query.in('status', fromStatuses);
+    }
+    
+    const { data, error } = await query.select().single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error updating broadcast:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateBroadcast:', error);
+    return null;
+  }
+}
+
+// Add recipients to a broadcast (in chunks; a patient already on it is skipped)
+export async function addBroadcastRecipients(recipients) {
+  const client = getSupabaseClient();
+  if (!client) return false;
+  
+  try {
+    for (let i = 0; i < recipients.length; i += 500) {
+      const { error } = await client
+        .from('broadcast_recipients')
+        .upsert(recipients.slice(i, i + 500), {
+          onConflict: 'broadcast_id,patient_id',
+          ignoreDuplicates: true
+        });
+      
+      if (error) {
+        console.error('Error adding broadcast recipients:', error);
+        return false;
+      }
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error in addBroadcastRecipients:', error);
+    return false;
+  }
+}
+
+// Get recipients not yet sent to, with their current consent and blocked state
+export async function getPendingBroadcastRecipients(broadcastId, limit = 100) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('broadcast_recipients')
+      .select('*, patients(consent_opt_in, bot_blocked_at)')
+      .eq('broadcast_id', broadcastId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: true })
+      .limit(limit);
+    
+    if (error) {
+      console.error('Error fetching broadcast recipients:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getPendingBroadcastRecipients:', error);
+    return [];
+  }
+}
+
+// Take a pending recipient for sending; null if another process already took it
+export async function claimBroadcastRecipient(recipientId) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('broadcast_recipients')
+      .update({ status: 'sending', claimed_at: new Date().toISOString() })
+      .eq('id', recipientId)
+      .eq('status', 'pending')
+      .select()
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error claiming broadcast recipient:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in claimBroadcastRecipient:', error);
+    return null;
+  }
+}
+
+// Record how delivery to a recipient went
+export async function updateBroadcastRecipient(recipientId, updates) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('broadcast_recipients')
+      .update(updates)
+      .eq('id', recipientId)
+      .select()
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error updating broadcast recipient:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateBroadcastRecipient:', error);
+    return null;
+  }
+}
+
+// Count a broadcast's recipients by delivery status
+export async function countBroadcastRecipients(broadcastId) {
+  const client = getSupabaseClient();
+  const counts = { pending: 0, sending: 0, delivered: 0, blocked: 0, failed: 0, skipped: 0 };
+  if (!client) return counts;
+  
+  try {
+    for (const status of Object.keys(counts)) {
+      const { count, error } = await client
+        .from('broadcast_recipients')
+        .select('id', { count: 'exact', head: true })
+        .eq('broadcast_id', broadcastId)
+        .eq('status', status);
+      
+      if (error) {
+        console.error('Error counting broadcast recipients:', error);
+        return null;
+      }
+      
+      counts[status] = count || 0;
+    }
+    
+    return counts;
+  } catch (error) {
+    console.error('Error in countBroadcastRecipients:', error);
+    return null;
+  }
+}
+
+// Most recent claim among a broadcast's recipients still marked as sending (null when there is none)
+export async function getLatestBroadcastClaim(broadcastId) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('broadcast_recipients')
+      .select('claimed_at')
+      .eq('broadcast_id', broadcastId)
+      .eq('status', 'sending')
+      .not('claimed_at', 'is', null)
+      .order('claimed_at', { ascending: false })
+      .limit(1);
+    
+    if (error) {
+      console.error('Error getting latest broadcast claim:', error);
+      return null;
+    }
+    
+    return data?.[0]?.claimed_at || null;
+  } catch (error) {
+    console.error('Error in getLatestBroadcastClaim:', error);
+    return null;
+  }
+}
+
+/**
+ * Daily Digest
+ */
+
+// Get every saved digest choice (staff who turned it on, and an MD who turned it off)
+export async function getDigestSubscriptions() {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('digest_subscriptions')
+      .select('*');
+    
+    if (error) {
+      console.error('Error fetching digest subscriptions:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getDigestSubscriptions:', error);
+    return [];
+  }
+}
+
+// Turn the digest on or off for one person
+export async function setDigestSubscription(telegramUserId, subscribed) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('digest_subscriptions')
+      .upsert({ telegram_user_id: telegramUserId, subscribed }, { onConflict: 'telegram_user_id' })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error saving digest subscription:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in setDigestSubscription:', error);
+    return null;
+  }
+}
+
+// Get the Telegram IDs already sent (or being sent) the digest for a clinic date
+export async function getDigestDeliveries(digestDate) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('digest_deliveries')
+      .select('telegram_user_id')
+      .eq('digest_date', digestDate);
+    
+    if (error) {
+      console.error('Error fetching digest deliveries:', error);
+      return [];
+    }
+    
+    return (data || []).map(row => Number(row.telegram_user_id));
+  } catch (error) {
+    console.error('Error in getDigestDeliveries:', error);
+    return [];
+  }
+}
+
+// Claim a digest before sending; null when another process already claimed it
+export async function claimDigestDelivery(digestDate, telegramUserId) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('digest_deliveries')
+      .insert({
+        digest_date: digestDate,
+        telegram_user_id: telegramUserId,
+        claimed_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      if (error.code !== '23505') { // 23505 = unique violation (already claimed)
+        console.error('Error claiming digest delivery:', error);
+      }
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in claimDigestDelivery:', error);
+    return null;
+  }
+}
+
+// Record the outcome of a claimed digest
+export async function completeDigestDelivery(deliveryId, { error: sendError = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('digest_deliveries')
+      .update({
+        sent_at: sendError ? null : new Date().toISOString(),
+        error: sendError
+      })
+      .eq('id', deliveryId)
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error completing digest delivery:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in completeDigestDelivery:', error);
+    return null;
+  }
+}
+
+/**
+ * Conversation Sessions
+ */
+
+// Get conversation session by Telegram ID
+export async function getConversationSession(telegramId) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('conversation_sessions')
+      .select('*')
+      .eq('telegram_user_id', telegramId)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error fetching conversation session:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getConversationSession:', error);
+    return null;
+  }
+}
+
+// Save (upsert) conversation session
+export async function saveConversationSession(telegramId, sessionData) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('conversation_sessions')
+      .upsert({
+        telegram_user_id: telegramId,
+        flow: sessionData.flow,
+        data: sessionData.data || {},
+        expires_at: sessionData.expires_at,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'telegram_user_id' })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error saving conversation session:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in saveConversationSession:', error);
+    return null;
+  }
+}
+
+// Delete conversation session
+export async function deleteConversationSession(telegramId) {
+  const client = getSupabaseClient();
+  if (!client) return false;
+  
+  try {
+    const { error } = await client
+      .from('conversation_sessions')
+      .delete()
+      .eq('telegram_user_id', telegramId);
+    
+    if (error) {
+      console.error('Error deleting conversation session:', error);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error in deleteConversationSession:', error);
+    return false;
+  }
+}
+
+/**
+ * Analytics and Reporting
+ */
+
+// Counts that make up the brief for [start, end), from the get_brief_stats function
+// `location` narrows the appointment counts; chat counts are clinic-wide
+export async function getBriefStats(start, end, { location = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client.rpc('get_brief_stats', {
+      start_at: new Date(start).toISOString(),
+      end_at: new Date(end).toISOString(),
+      branch: location
+    });
+    
+    if (error) {
+      console.error('Error fetching brief stats:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getBriefStats:', error);
+    return null;
+  }
+}
+
+// Get follow-up appointments (pending/rescheduled)
+export async function getFollowupAppointments(limit = 20, { location = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    let query = client
+      .from('appointments')
+      .select('id, patient_id, full_name, preferred_datetime, scheduled_datetime, status, status_reason, service, location, clinician_id, clinicians(full_name), staff_notes, created_at, raw_request')
+      .in('status', ['pending', 'rescheduled']);
+    
+    if (location) {
+      query = query.eq('location', location);
+    }
+    
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .limit(limit);
+    
+    if (error) {
+      console.error('Error fetching followup appointments:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getFollowupAppointments:', error);
+    return [];
+  }
+}
+
+/**
+ * Locations (clinic branches)
+ */
+
+// Get active clinic branches in display order
+export async function getLocations() {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('locations')
+      .select('*')
+      .eq('is_active', true)
+      .order('sort_order', { ascending: true });
+    
+    if (error) {
+      console.error('Error fetching locations:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getLocations:', error);
+    return [];
+  }
+}
+
+/**
+ * Clinic Closures
+ */
+
+// Add a closure (whole days, for one branch or all when location is null)
+export async function createClinicClosure(closureData) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('clinic_closures')
+      .insert(closureData)
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error creating clinic closure:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createClinicClosure:', error);
+    return null;
+  }
+}
+
+// Get closures overlapping two dates (YYYY-MM-DD, inclusive)
+export async function getClinicClosures(startDate, endDate) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('clinic_closures')
+      .select('*')
+      .lte('starts_on', endDate)
+      .gte('ends_on', startDate)
+      .order('starts_on', { ascending: true });
+    
+    if (error) {
+      console.error('Error fetching clinic closures:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getClinicClosures:', error);
+    return [];
+  }
+}
+
+// Remove a closure
+export async function deleteClinicClosure(closureId) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('clinic_closures')
+      .delete()
+      .eq('id', closureId)
+      .select()
+      .single();
+    
+    if (error && error.code !== 'PGRST116') {
+      console.error('Error deleting clinic closure:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in deleteClinicClosure:', error);
+    return null;
+  }
+}
+
+/**
+ * Message Templates
+ */
+
+// Get every message template row, active or not (templates.js caches them and checks is_active)
+export async function getMessageTemplates() {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('message_templates')
+      .select('name, template_text, variables, is_active, updated_at');
+    
+    if (error) {
+      console.error('Error fetching message templates:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getMessageTemplates:', error);
+    return [];
+  }
+}
+
+/**
+ * Knowledge Base (FAQ Management)
+ */
+
+// Get every active FAQ entry, highest priority first (the matcher caches and scores them)
+export async function getActiveFAQs() {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    const { data, error } = await client
+      .from('kb_faq')
+      .select('id, question, answer, keywords, category, priority')
+      .eq('is_active', true)
+      .order('priority', { ascending: false });
+    
+    if (error) {
+      console.error('Error fetching FAQs:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getActiveFAQs:', error);
+    return [];
+  }
+}
+
+// Get every FAQ entry, active or not, for staff to manage (optionally one category)
+export async function getFAQs({ category = null } = {}) {
+  const client = getSupabaseClient();
+  if (!client) return [];
+  
+  try {
+    let query = client
+      .from('kb_faq')
+      .select('*');
+    
+    if (category) {
+      query = query.eq('category', category);
+    }
+    
+    const { data, error } = await query
+      .order('priority', { ascending: false })
+      .order('question', { ascending: true });
+    
+    if (error) {
+      console.error('Error fetching FAQ entries:', error);
+      return [];
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getFAQs:', error);
+    return [];
+  }
+}
+
+// Add an FAQ entry
+export async function createFAQ(faqData) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('kb_faq')
+      .insert(faqData)
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error creating FAQ entry:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createFAQ:', error);
+    return null;
+  }
+}
+
+// Update an FAQ entry's content, category, priority or active flag
+export async function updateFAQ(faqId, updates) {
+  const client = getSupabaseClient();
+  if (!client) return null;
+  
+  try {
+    const { data, error } = await client
+      .from('kb_faq')
+      .update(updates)
+      .eq('id', faqId)
+      .select()
+      .single();
+    
+    if (error) {
+      if (error.code !== 'PGRST116') {
+        console.error('Error updating FAQ entry:', error);
+      }
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateFAQ:', error);
+    return null;
+  }
+}
+
+// Count one use of an FAQ answer (usage_count + 1 and last_used, in a single statement)
+export async function recordFAQUse(faqId) {
+  const client = getSupabaseClient();
+  if (!client) return false;
+  
+  try {
+    const { error } = await client.rpc('record_faq_use', { faq_id: faqId });
+    
+    if (error) {
+      console.error('Error recording FAQ use:', error);
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error in recordFAQUse:', error);
+    return false;
+  }
+}
+
 export default {
   initializeSupabase,
   getSupabaseClient,
   upsertPatientByTelegramId,
   getPatientByTelegramId,
+  getPatientById,
   updatePatientConsent,
   logChat,
+  getChatLogs,
+  getFlaggedChatLogs,
+  upsertConversation,
+  getConversations,
+  getConversation,
+  updateConversation,
   createAppointment,
   getAppointmentsByStatus,
-  getDailyBrief,
+  getAppointmentById,
+  getPatientAppointments,
+  updateAppointmentStatus,
+  updateAppointment,
+  getAppointmentsScheduledBetween,
+  getCalendarAppointments,
+  getAppointmentsAwaitingOutcome,
+  getAttendanceOutcomes,
+  getClinicians,
+  getClinicianByTelegramId,
+  getStaffMember,
+  getStaffMembers,
+  upsertStaffMember,
+  removeStaffMember,
+  createApiKey,
+  getApiKeyByPrefix,
+  getActiveApiKeys,
+  updateApiKey,
+  insertAuditLog,
+  getAuditLog,
+  getClinicianAppointments,
+  claimAppointmentReminder,
+  completeAppointmentReminder,
+  releaseAppointmentReminder,
+  getActiveSlotHolds,
+  upsertSlotHold,
+  deleteSlotHold,
+  createWaitlistEntry,
+  getWaitingEntries,
+  getPatientWaitlistEntries,
+  updateWaitlistEntry,
+  expireWaitlistEntries,
+  createWaitlistOffer,
+  getWaitlistOffer,
+  getWaitlistOffersForSlot,
+  getExpiredWaitlistOffers,
+  resolveWaitlistOffer,
+  setWaitlistOfferMessage,
+  createSupportTicket,
+  getSupportTicket,
+  getActiveSupportTicket,
+  getDueQueuedSupportTickets,
+  getSupportTicketByGroupMessage,
+  updateSupportTicket,
+  logSupportTicketMessage,
+  getReachablePatients,
+  getAppointmentPatientIds,
+  markPatientBotBlocked,
+  createBroadcast,
+  getSendingBroadcasts,
+  updateBroadcast,
+  addBroadcastRecipients,
+  getPendingBroadcastRecipients,
+  claimBroadcastRecipient,
+  updateBroadcastRecipient,
+  countBroadcastRecipients,
+  getLatestBroadcastClaim,
+  getDigestSubscriptions,
+  setDigestSubscription,
+  getDigestDeliveries,
+  claimDigestDelivery,
+  completeDigestDelivery,
+  getConversationSession,
+  saveConversationSession,
+  deleteConversationSession,
+  getBriefStats,
   getFollowupAppointments,
-  getFAQByKeyword
+  getLocations,
+  createClinicClosure,
+  getClinicClosures,
+  deleteClinicClosure,
+  getMessageTemplates,
+  getActiveFAQs,
+  getFAQs,
+  createFAQ,
+  updateFAQ,
+  recordFAQUse
 };
\ No newline at end of file
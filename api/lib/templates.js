@@ -0,0 +1,898 @@
+import * as db from './supabase.js';
+
+/**
+ * Message Templates
+ * Patient-facing wording, editable in the message_templates table without a
+ * deploy. Templates are loaded by name and cached briefly; {{variable}} fills
+ * in a value, {{#variable}}...{{/variable}} shows text only when the value is
+ * set and {{^variable}}...{{/variable}} only when it isn't. A row is used only
+ * when it is active, every variable it declares is supplied and it uses no
+ * others; otherwise the built-in text below is sent. Values are escaped for
+ * templates sent as Telegram Markdown.
+ */
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Built-in wording, used when a template row is missing, inactive or invalid
+// `variables` are the values the bot supplies; `format` is how the message is sent
+export const DEFAULT_TEMPLATES = {
+  /**
+   * General
+   */
+  welcome_message: {
+    category: 'general',
+    variables: ['clinic_name', 'city'],
+    text: [
+      "Hi, I'm SerenityBot for {{clinic_name}} ({{city}}).",
+      '',
+      '🏥 1) Book appointment',
+      '❓ 2) FAQs',
+      '👨‍⚕️ 3) Talk to staff',
+      '',
+      'You can also send images, PDFs, voice notes or videos. I will reply in text.'
+    ].join('\n')
+  },
+  help_menu: {
+    category: 'general',
+    variables: [],
+    text: [
+      '🆘 Help Menu:',
+      '',
+      '• Use /menu to see main options',
+      '• Use /book to book an appointment step by step',
+      '• Use /myappointments to view, cancel or reschedule',
+      '• Use /waitlist to see or leave the waitlist',
+      "• Type '3' to chat with our staff (/end to come back)",
+      "• Or send 'Full Name, Fri 3pm' to request a booking",
+      '• Use /faq for frequently asked questions',
+      '• Use /locations for branch addresses and hours',
+      "• Send any media files and we'll review them",
+      '',
+      'For urgent matters, please call our clinic directly.'
+    ].join('\n')
+  },
+  locations_list: {
+    category: 'general',
+    variables: ['clinic_name', 'branches'],
+    text: [
+      '🏥 {{clinic_name}} branches:',
+      '',
+      '{{#branches}}',
+      '{{branches}}',
+      '',
+      '{{/branches}}',
+      'Type /book to book at any branch.'
+    ].join('\n')
+  },
+  owner_profile: {
+    category: 'general',
+    variables: ['owner_name', 'clinic_name', 'city'],
+    text: [
+      '{{owner_name}} is the Managing Director of {{clinic_name}} in {{city}}.',
+      '',
+      'For administrative matters, please send your request and we will ensure it reaches the appropriate person.',
+      '',
+      'Response time: Within 2-4 business hours.'
+    ].join('\n')
+  },
+  error_message: {
+    category: 'general',
+    variables: [],
+    text: 'Sorry, something went wrong. Please try again or contact our staff directly.'
+  },
+  health_response: {
+    category: 'general',
+    variables: [],
+    text: [
+      'I understand you may be experiencing health concerns.',
+      '',
+      'While I can help with appointments and information, I cannot provide medical advice.',
+      '',
+      'For immediate care:',
+      '• Book an appointment: Type /book',
+      '• For emergencies: Please call our 24/7 hotline immediately',
+      '',
+      'Our medical professionals are here to help.'
+    ].join('\n')
+  },
+  emergency_response: {
+    category: 'emergency',
+    variables: ['clinic_name'],
+    format: 'markdown',
+    text: [
+      '🚨 **URGENT MEDICAL ATTENTION NEEDED**',
+      '',
+      'If this is a medical emergency:',
+      '• Call emergency services immediately: 199 or 112',
+      '• Go to the nearest hospital emergency room',
+      '',
+      'For mental health crisis:',
+      '• National Mental Health Helpline: 080-963-4357',
+      '',
+      'Our clinic ({{clinic_name}}) is available 8am-6pm for urgent appointments.'
+    ].join('\n')
+  },
+
+  /**
+   * Privacy
+   */
+  opt_out: {
+    category: 'privacy',
+    variables: [],
+    text: [
+      '✅ You have opted out of data collection.',
+      '',
+      'We will no longer log your messages for improvement purposes.',
+      "You can still use the bot normally, but your conversations won't be stored.",
+      '',
+      'To opt back in, send /optin anytime.'
+    ].join('\n')
+  },
+  opt_in: {
+    category: 'privacy',
+    variables: [],
+    text: [
+      '✅ You have opted back into data collection.',
+      '',
+      'Your messages will now be logged to help us improve our service.',
+      'This data is kept secure and used only for service improvement.',
+      '',
+      'To opt out again, send /optout anytime.'
+    ].join('\n')
+  },
+
+  /**
+   * FAQ
+   */
+  faq_menu: {
+    category: 'faq',
+    variables: ['branches'],
+    text: [
+      '📋 Frequently Asked Questions:',
+      '',
+      '📍 Locations:',
+      '{{#branches}}',
+      '{{branches}}',
+      '{{/branches}}',
+      '  Type /locations for addresses, map links and phone numbers.',
+      '',
+      '🏥 Services:',
+      '  • Mental health support',
+      '  • Substance-use counseling',
+      '  • General consultations',
+      '',
+      '💳 Payment: Cash, Bank Transfer, Insurance',
+      '',
+      '📞 For emergencies, please call our 24/7 hotline.'
+    ].join('\n')
+  },
+  faq_answer: {
+    category: 'faq',
+    variables: ['question', 'answer'],
+    text: [
+      '❓ {{question}}',
+      '',
+      '{{answer}}',
+      '',
+      "Type '2' for more FAQs or '3' to talk to our staff."
+    ].join('\n')
+  },
+  faq_suggestions: {
+    category: 'faq',
+    variables: ['count', 'several'],
+    text: "🤔 Did you mean {{#several}}one of these{{/several}}{{^several}}this{{/several}}? Tap a question to see the answer, or type '3' to ask our staff."
+  },
+  faq_unavailable: {
+    category: 'faq',
+    variables: [],
+    text: "⚠️ Sorry, that answer is no longer available. Type '2' for our FAQs or '3' to ask our staff."
+  },
+
+  /**
+   * Booking
+   */
+  booking_instructions: {
+    category: 'booking',
+    variables: [],
+    text: [
+      "📅 To book an appointment, tap /book and I'll guide you step by step.",
+      '',
+      'Or send: Full Name, Preferred Date/Time',
+      '',
+      'Examples:',
+      '• Ada Lovelace, Friday 3pm',
+      '• John Doe, Tomorrow 10am',
+      '• Jane Smith, Monday morning',
+      '',
+      "I'll read the time back to you to confirm before booking."
+    ].join('\n')
+  },
+  booking_invalid_format: {
+    category: 'booking',
+    variables: [],
+    text: [
+      '❌ Booking format not recognized.',
+      '',
+      'Please use: Full Name, Preferred Date/Time',
+      "Example: 'Ada Lovelace, Friday 3pm'",
+      '',
+      "Or type '1' for booking instructions."
+    ].join('\n')
+  },
+  booking_received: {
+    category: 'booking',
+    variables: ['request', 'scheduled_time'],
+    text: [
+      '✅ Booking request received!',
+      '',
+      'Request: "{{request}}"',
+      '{{#scheduled_time}}',
+      'Requested time: {{scheduled_time}}',
+      '{{/scheduled_time}}',
+      '',
+      'A staff member will contact you shortly to confirm your appointment.',
+      'Please ensure your phone number is available for confirmation.'
+    ].join('\n')
+  },
+  booking_time_confirmation: {
+    category: 'booking',
+    variables: ['name', 'scheduled_time', 'time_assumed'],
+    text: [
+      '📅 Please confirm your appointment request:',
+      '',
+      '👤 Name: {{name}}',
+      '🕐 Time: {{scheduled_time}}',
+      '{{#time_assumed}}',
+      '',
+      "(No time was given, so we picked a morning slot. Tap 'Change time' to choose another.)",
+      '{{/time_assumed}}',
+      '',
+      'Is this correct?'
+    ].join('\n')
+  },
+  booking_time_unclear: {
+    category: 'booking',
+    variables: ['time_slot'],
+    text: [
+      `🤔 Sorry, I couldn't understand "{{time_slot}}" as a date or time.`,
+      '',
+      'Please try again, for example:',
+      '• Ada Lovelace, Tomorrow 10am',
+      '• Ada Lovelace, Friday 3pm',
+      '• Ada Lovelace, 24/10 2:30pm'
+    ].join('\n')
+  },
+  booking_clinic_closed: {
+    category: 'booking',
+    variables: ['scheduled_time', 'reason', 'suggested_time'],
+    text: [
+      '⏰ {{scheduled_time}} is not available. {{reason}}',
+      '',
+      'Our hours are 8am–6pm, Monday–Saturday.',
+      '',
+      '{{#suggested_time}}',
+      'The next available opening is {{suggested_time}}. Would you like that instead?',
+      '{{/suggested_time}}',
+      '{{^suggested_time}}',
+      'Please send another preferred time.',
+      '{{/suggested_time}}'
+    ].join('\n')
+  },
+  booking_time_full: {
+    category: 'booking',
+    variables: ['scheduled_time'],
+    text: [
+      '⚠️ Sorry, {{scheduled_time}} is fully booked.',
+      '',
+      'Type /book to see the free slots and pick another time.'
+    ].join('\n')
+  },
+  booking_expired: {
+    category: 'booking',
+    variables: [],
+    text: [
+      '⌛ This booking request has expired.',
+      '',
+      'Please type /book to start again, or send: Full Name, Preferred Date/Time'
+    ].join('\n')
+  },
+  booking_change_time: {
+    category: 'booking',
+    variables: [],
+    text: [
+      '✏️ No problem. Please send your booking again with a new time:',
+      '',
+      'Format: Full Name, Preferred Date/Time',
+      "Example: 'Ada Lovelace, Monday 11am'"
+    ].join('\n')
+  },
+  booking_service_prompt: {
+    category: 'booking',
+    variables: [],
+    text: [
+      "📅 Let's book your appointment.",
+      '',
+      'Which service do you need?'
+    ].join('\n')
+  },
+  booking_location_prompt: {
+    category: 'booking',
+    variables: ['service', 'branches'],
+    text: [
+      '✅ Service: {{service}}',
+      '',
+      '{{#branches}}',
+      '{{branches}}',
+      '',
+      '{{/branches}}',
+      '📍 Which branch would you like to visit?'
+    ].join('\n')
+  },
+  booking_date_prompt: {
+    category: 'booking',
+    variables: ['summary'],
+    text: [
+      '{{summary}}',
+      '',
+      '📆 Choose a date (only days with free slots are shown):'
+    ].join('\n')
+  },
+  booking_time_prompt: {
+    category: 'booking',
+    variables: ['summary', 'date'],
+    text: [
+      '{{summary}}',
+      '',
+      '🕐 Choose a time on {{date}}:'
+    ].join('\n')
+  },
+  booking_name_prompt: {
+    category: 'booking',
+    variables: ['hold_minutes'],
+    text: [
+      '⏳ Your slot is held for {{hold_minutes}} minutes.',
+      '',
+      '👤 Please type the full name for this appointment, or tap the button below to use your Telegram name.'
+    ].join('\n')
+  },
+  booking_summary: {
+    category: 'booking',
+    variables: ['name', 'service', 'location', 'time'],
+    text: [
+      '📋 Please review your appointment:',
+      '',
+      '👤 Name: {{name}}',
+      '🏥 Service: {{service}}',
+      '📍 Branch: {{location}}',
+      '🕐 Time: {{time}}',
+      '',
+      'Shall I book it?'
+    ].join('\n')
+  },
+  booking_no_slots: {
+    category: 'booking',
+    variables: [],
+    text: [
+      '😔 Sorry, there are no free slots at this branch in the coming days.',
+      '',
+      "Join the waitlist and we'll message you when a place opens up, try another branch, or type '3' to talk to our staff."
+    ].join('\n')
+  },
+  booking_slot_taken: {
+    category: 'booking',
+    variables: [],
+    text: '⚠️ Sorry, that slot was just taken. Please choose another time.'
+  },
+  booking_cancelled: {
+    category: 'booking',
+    variables: [],
+    text: "❎ Booking cancelled. Type /book whenever you'd like to start again."
+  },
+  booking_invalid_name: {
+    category: 'booking',
+    variables: [],
+    text: "Please type a valid full name (letters only), e.g. 'Ada Lovelace'."
+  },
+  calendar_file_added: {
+    category: 'booking',
+    variables: [],
+    text: '📅 Open this file to add the appointment to your calendar.'
+  },
+  calendar_file_updated: {
+    category: 'booking',
+    variables: [],
+    text: '📅 Open this file to update the appointment in your calendar.'
+  },
+  calendar_file_cancelled: {
+    category: 'booking',
+    variables: [],
+    text: '🗓 Open this file to mark the appointment as cancelled in your calendar.'
+  },
+
+  /**
+   * Appointments
+   */
+  appointment_confirmation: {
+    category: 'appointments',
+    variables: ['patient_name', 'appointment_time', 'clinic_name'],
+    text: 'Hello {{patient_name}}! Your appointment has been confirmed for {{appointment_time}} at {{clinic_name}}. Please arrive 15 minutes early. Contact us if you need to reschedule.'
+  },
+  appointment_reminder: {
+    category: 'appointments',
+    variables: ['patient_name', 'appointment_time', 'clinic_name', 'location'],
+    text: 'Reminder: Hello {{patient_name}}, you have an appointment on {{appointment_time}} at {{clinic_name}} ({{location}}). Please let us know if you will attend using the buttons below.'
+  },
+  no_show_followup: {
+    category: 'appointments',
+    variables: ['patient_name', 'appointment_time', 'clinic_name'],
+    text: 'Hello {{patient_name}}, we missed you at your appointment on {{appointment_time}} at {{clinic_name}}. We hope everything is okay. Would you like to book a new time?'
+  },
+  post_visit_followup: {
+    category: 'appointments',
+    variables: ['patient_name', 'appointment_time', 'clinic_name'],
+    text: 'Thank you for visiting {{clinic_name}}, {{patient_name}}. We hope your appointment went well. If you have any questions or would like a follow-up visit, just reply here or book below.'
+  },
+  my_appointments: {
+    category: 'appointments',
+    variables: ['upcoming_count', 'past'],
+    text: [
+      '🗓 Your Appointments',
+      '',
+      '{{#upcoming_count}}',
+      'Upcoming: {{upcoming_count}} (shown below with options to cancel or reschedule)',
+      '{{/upcoming_count}}',
+      '{{^upcoming_count}}',
+      'You have no upcoming appointments. Type /book to make one.',
+      '{{/upcoming_count}}',
+      '{{#past}}',
+      '',
+      'Past & closed:',
+      '{{past}}',
+      '{{/past}}'
+    ].join('\n')
+  },
+  no_appointments: {
+    category: 'appointments',
+    variables: [],
+    text: "You don't have any appointments yet. Type /book to make one."
+  },
+  cancel_reason_prompt: {
+    category: 'appointments',
+    variables: ['appointment'],
+    text: [
+      '{{appointment}}',
+      '',
+      '❓ Why would you like to cancel?'
+    ].join('\n')
+  },
+  reschedule_reason_prompt: {
+    category: 'appointments',
+    variables: ['appointment'],
+    text: [
+      '{{appointment}}',
+      '',
+      '❓ Why do you need to reschedule?'
+    ].join('\n')
+  },
+  appointment_cancelled: {
+    category: 'appointments',
+    variables: ['appointment'],
+    text: [
+      '❎ Appointment cancelled:',
+      '{{appointment}}',
+      '',
+      "Our staff have been notified. Type /book whenever you'd like a new appointment."
+    ].join('\n')
+  },
+  reschedule_time_prompt: {
+    category: 'appointments',
+    variables: [],
+    text: [
+      '📅 Please reply with your new preferred date/time.',
+      '',
+      "Examples: 'Friday 3pm', 'next tomorrow 10am', '24/10 2pm'"
+    ].join('\n')
+  },
+  reschedule_time_full: {
+    category: 'appointments',
+    variables: ['new_time'],
+    text: [
+      '⚠️ Sorry, {{new_time}} is fully booked.',
+      '',
+      '📅 Please reply with another date/time.'
+    ].join('\n')
+  },
+  appointment_rescheduled: {
+    category: 'appointments',
+    variables: ['new_time'],
+    text: [
+      '🔄 Reschedule request received.',
+      '',
+      '{{#new_time}}',
+      'New preferred time: {{new_time}}',
+      '{{/new_time}}',
+      '{{^new_time}}',
+      'No new time given.',
+      '{{/new_time}}',
+      '',
+      'A staff member will contact you to confirm the new time.'
+    ].join('\n')
+  },
+  appointment_unavailable: {
+    category: 'appointments',
+    variables: [],
+    text: '⚠️ That appointment can no longer be changed. Type /myappointments to see your current appointments.'
+  },
+  attendance_confirmed: {
+    category: 'appointments',
+    variables: ['appointment'],
+    text: [
+      '✅ Thank you for confirming. We look forward to seeing you.',
+      '',
+      '{{appointment}}',
+      '',
+      'If anything changes, use /myappointments to reschedule or cancel.'
+    ].join('\n')
+  },
+  appointment_declined: {
+    category: 'appointments',
+    variables: ['appointment'],
+    text: [
+      "We're sorry, the clinic is unable to keep this appointment:",
+      '',
+      '{{appointment}}',
+      '',
+      "Type /book to choose another time, or '3' to talk to our staff."
+    ].join('\n')
+  },
+  appointment_proposed: {
+    category: 'appointments',
+    variables: ['time'],
+    text: [
+      '🕐 The clinic has proposed a new time for your appointment:',
+      '',
+      '📅 {{time}}',
+      '',
+      'Tap Accept to confirm, or choose another time.'
+    ].join('\n')
+  },
+
+  /**
+   * Waitlist
+   */
+  waitlist_prompt: {
+    category: 'waitlist',
+    variables: ['intro'],
+    text: [
+      '{{#intro}}',
+      '{{intro}}',
+      '',
+      '{{/intro}}',
+      "🕒 Join the waitlist and we'll message you as soon as a matching place opens up.",
+      'Which times could you make?'
+    ].join('\n')
+  },
+  waitlist_joined: {
+    category: 'waitlist',
+    variables: ['windows', 'offer_minutes'],
+    text: [
+      "✅ You're on the waitlist for:",
+      '{{windows}}',
+      '',
+      "If a place opens up we'll send you an offer. You'll have {{offer_minutes}} minutes to accept it before it goes to the next person.",
+      '',
+      'Type /waitlist to see or leave your waitlist.'
+    ].join('\n')
+  },
+  waitlist_offer: {
+    category: 'waitlist',
+    variables: ['name', 'time', 'service', 'location', 'minutes'],
+    text: [
+      '🎉 Good news{{#name}}, {{name}}{{/name}}! A place has opened up:',
+      '',
+      '📅 {{time}}',
+      '{{#service}}',
+      '🩺 {{service}}',
+      '{{/service}}',
+      '{{#location}}',
+      '📍 {{location}}',
+      '{{/location}}',
+      '',
+      "It's held for you for {{minutes}} minutes. Tap Accept to book it."
+    ].join('\n')
+  },
+  waitlist_offer_expired: {
+    category: 'waitlist',
+    variables: [],
+    text: [
+      '⌛ This offer has expired and the place was passed on.',
+      '',
+      "You're still on the waitlist, we'll message you if another place opens up."
+    ].join('\n')
+  },
+  waitlist_booked: {
+    category: 'waitlist',
+    variables: ['appointment'],
+    text: [
+      '✅ Booked! Your appointment request has been received:',
+      '',
+      '{{appointment}}',
+      '',
+      'Our team will confirm shortly. Use /myappointments to manage it.'
+    ].join('\n')
+  },
+  waitlist_offer_taken: {
+    category: 'waitlist',
+    variables: [],
+    text: "⚠️ Sorry, that place is no longer available. You're still on the waitlist."
+  },
+  waitlist_declined: {
+    category: 'waitlist',
+    variables: [],
+    text: "👍 No problem, we've passed this place on. You're still on the waitlist."
+  },
+  waitlist_list: {
+    category: 'waitlist',
+    variables: [],
+    text: '🕒 Your waitlist (shown below with an option to leave):'
+  },
+  waitlist_empty: {
+    category: 'waitlist',
+    variables: [],
+    text: "You're not on the waitlist. If your preferred time is full, we'll offer to add you."
+  },
+  waitlist_left: {
+    category: 'waitlist',
+    variables: [],
+    text: "❎ You've left the waitlist."
+  },
+  waitlist_entry_unavailable: {
+    category: 'waitlist',
+    variables: [],
+    text: '⚠️ That waitlist entry is no longer active. Type /waitlist to see your current entries.'
+  },
+
+  /**
+   * Staff Handoff
+   */
+  staff_connection: {
+    category: 'handoff',
+    variables: ['queued_until', 'closed_for'],
+    text: [
+      '👨‍⚕️ Connecting you with our staff...',
+      '',
+      'Send your question here, including photos or voice notes, and our next available team member will reply in this chat.',
+      '{{#queued_until}}',
+      '{{#closed_for}}',
+      '🌙 The clinic is closed today for {{closed_for}}.',
+      '{{/closed_for}}',
+      '{{^closed_for}}',
+      "🌙 Our team is away right now (we're open 8am–6pm, Monday–Saturday).",
+      '{{/closed_for}}',
+      'Your request is queued and a team member will reply after we open on {{queued_until}}.',
+      '{{/queued_until}}',
+      '{{^queued_until}}',
+      'Expected response time: 30 minutes - 2 hours.',
+      '{{/queued_until}}',
+      '',
+      "I won't send automatic replies while you're talking to our team. Type /end to come back to the assistant.",
+      '',
+      'For urgent matters, please call our clinic directly.'
+    ].join('\n')
+  },
+  staff_unavailable: {
+    category: 'handoff',
+    variables: ['next_opening'],
+    text: [
+      "👨‍⚕️ Our team can't take chats here right now.",
+      '',
+      '{{#next_opening}}',
+      'The clinic is closed now. Please call us after we open on {{next_opening}}, use /locations for branch phone numbers.',
+      '{{/next_opening}}',
+      '{{^next_opening}}',
+      'Please call the clinic directly, use /locations for branch phone numbers.',
+      '{{/next_opening}}',
+      "Or type '1' to book an appointment."
+    ].join('\n')
+  },
+  handoff_already_open: {
+    category: 'handoff',
+    variables: ['staff_name', 'queued_until'],
+    text: [
+      "👨‍⚕️ You're already connected with our staff.",
+      '{{#staff_name}}',
+      '{{staff_name}} is looking after your conversation.',
+      '{{/staff_name}}',
+      '{{^staff_name}}',
+      '{{#queued_until}}',
+      'A team member will reply after we open on {{queued_until}}.',
+      '{{/queued_until}}',
+      '{{^queued_until}}',
+      'A team member will reply here soon.',
+      '{{/queued_until}}',
+      '{{/staff_name}}',
+      '',
+      'Type /end to come back to the assistant.'
+    ].join('\n')
+  },
+  handoff_claimed: {
+    category: 'handoff',
+    variables: ['staff_name'],
+    text: '👩‍⚕️ {{staff_name}} from our team has joined the conversation.'
+  },
+  handoff_closed: {
+    category: 'handoff',
+    variables: [],
+    text: [
+      "✅ Our team has closed this conversation. You're back with the assistant.",
+      '',
+      "Type '3' anytime to talk to staff again."
+    ].join('\n')
+  },
+  handoff_ended: {
+    category: 'handoff',
+    variables: [],
+    text: "👋 You've left the staff chat and are back with the assistant. Type '3' anytime to talk to staff again."
+  },
+  handoff_none: {
+    category: 'handoff',
+    variables: [],
+    text: "You're not connected with our staff right now. Type '3' to talk to our team."
+  },
+  handoff_relay_failed: {
+    category: 'handoff',
+    variables: [],
+    text: "❌ Sorry, I couldn't pass that message to our team. Please try again or call the clinic directly."
+  },
+  handoff_queue_opened: {
+    category: 'handoff',
+    variables: [],
+    text: "☀️ We're open now. Your message has been passed to our team and someone will reply here shortly."
+  },
+  staff_reply: {
+    category: 'handoff',
+    variables: ['staff_name', 'text'],
+    text: '👩‍⚕️ {{staff_name}}:\n{{text}}'
+  }
+};
+
+// Template names and variables: {{name}}, {{#name}}, {{^name}}, {{/name}}
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*(\w+)\s*\}\}/g;
+
+// Section tags alone on a line take the whole line with them
+const STANDALONE_TAG_PATTERN = /(?<=^|\n)[ \t]*(\{\{\s*[#^/]\s*\w+\s*\}\})[ \t]*(?:\n|$)/g;
+
+const SECTION_PATTERN = /\{\{\s*([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\s*\/\s*\2\s*\}\}/g;
+
+let cache = { templates: null, loadedAt: 0 };
+let loading = null;
+
+// Problems already logged, so a broken row is reported once rather than on every message
+const reported = new Set();
+
+function isStale() {
+  return !cache.templates || Date.now() - cache.loadedAt >= CACHE_TTL_MS;
+}
+
+// Load every template row (cached); safe to call before each update or job
+export async function loadTemplates({ force = false } = {}) {
+  if (!force && !isStale()) return cache.templates;
+
+  loading ||= db.getMessageTemplates()
+    .then(rows => {
+      cache = { templates: new Map(rows.map(row => [row.name, row])), loadedAt: Date.now() };
+      return cache.templates;
+    })
+    .finally(() => { loading = null; });
+
+  return await loading;
+}
+
+// Clear the cache (after templates are edited)
+export function clearTemplateCache() {
+  cache = { templates: null, loadedAt: 0 };
+}
+
+// Escape a value for Telegram's Markdown parse mode
+export function escapeMarkdown(value) {
+  return String(value).replace(/([_*`[])/g, '\\$1');
+}
+
+// Whether a section is shown (missing, empty, false, 0 and [] hide it)
+function isSet(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false && value !== '' && value !== 0;
+}
+
+function renderSections(text, variables) {
+  return text.replace(SECTION_PATTERN, (match, type, name, content) =>
+    (type === '#') === isSet(variables[name]) ? renderSections(content, variables) : ''
+  );
+}
+
+// Fill placeholders and sections; values are escaped when `format` is 'markdown'
+export function fillTemplate(text = '', variables = {}, { format = 'plain' } = {}) {
+  const sectioned = renderSections(text.replace(STANDALONE_TAG_PATTERN, '$1'), variables);
+
+  return sectioned.replace(TAG_PATTERN, (match, type, name) => {
+    const value = variables[name];
+    if (type || value === undefined || value === null) return '';
+    return format === 'markdown' ? escapeMarkdown(value) : String(value);
+  }).trim();
+}
+
+// Problems that stop a template row being used with the supplied variables (empty when it's fine)
+export function validateTemplate(template, variables = {}, { format = 'plain' } = {}) {
+  const text = template.template_text || '';
+  const supplied = new Set(Object.keys(variables));
+  const errors = [];
+
+  if (!text.trim()) errors.push('template_text is empty');
+
+  for (const name of template.variables || []) {
+    if (!supplied.has(name)) errors.push(`declared variable ${name} is not supplied`);
+  }
+
+  const open = [];
+  for (const [, type, name] of text.matchAll(TAG_PATTERN)) {
+    if (!supplied.has(name)) errors.push(`unknown variable ${name}`);
+    if (type === '#' || type === '^') open.push(name);
+    else if (type === '/' && open.pop() !== name) errors.push(`section ${name} closed out of order`);
+  }
+  if (open.length > 0) errors.push(`section ${open.join(', ')} is not closed`);
+
+  // Telegram rejects Markdown messages with unpaired entities
+  if (format === 'markdown') {
+    const plain = text.replace(TAG_PATTERN, '').replace(/\\[_*`[]/g, '');
+    for (const marker of ['*', '_', '`']) {
+      if (plain.split(marker).length % 2 === 0) errors.push(`unpaired ${marker} in Markdown`);
+    }
+  }
+
+  return [...new Set(errors)];
+}
+
+function reportInvalid(name, template, errors) {
+  const key = `${name}:${template.updated_at || template.template_text}`;
+  if (reported.has(key)) return;
+
+  reported.add(key);
+  console.warn(`⚠️  Template ${name} not used (${errors.join('; ')}), sending the built-in text instead`);
+}
+
+// Render a named template from the cached rows, falling back to the built-in text
+// when the row is missing, inactive or invalid. Stale rows are refreshed in the background.
+export function render(name, variables = {}, { format = DEFAULT_TEMPLATES[name]?.format || 'plain' } = {}) {
+  if (isStale()) loadTemplates().catch(() => {});
+
+  const template = cache.templates?.get(name);
+  let text = DEFAULT_TEMPLATES[name]?.text || '';
+
+  if (template && template.is_active !== false) {
+    const errors = validateTemplate(template, variables, { format });
+    if (errors.length === 0) {
+      text = template.template_text;
+    } else {
+      reportInvalid(name, template, errors);
+    }
+  }
+
+  return fillTemplate(text, variables, { format });
+}
+
+// Render a named template with freshly loaded rows
+export async function renderTemplate(name, variables = {}, options = {}) {
+  await loadTemplates();
+  return render(name, variables, options);
+}
+
+export default {
+  DEFAULT_TEMPLATES,
+  loadTemplates,
+  clearTemplateCache,
+  escapeMarkdown,
+  fillTemplate,
+  validateTemplate,
+  render,
+  renderTemplate
+};
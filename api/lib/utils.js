@@ -1,154 +1,1050 @@
+import { timingSafeEqual } from 'node:crypto';
 import { env } from '../config/env.js';
+import { parseBookingDateTime, formatDateTime } from './datetime.js';
+import * as templates from './templates.js';
 
 /**
  * Utility Functions for Telegram Bot
- * Menus, sanitizers, owner profile, and common helpers
+ * Menus, sanitizers, owner profile, and common helpers. Patient-facing
+ * messages are rendered from message_templates (see templates.js); staff
+ * reports and notices are built here.
  */
 
 // Main menu text generator
 export function getMainMenu() {
+  return templates.render('welcome_message', { clinic_name: env.CLINIC_NAME, city: env.CITY });
+}
+
+// FAQ menu (branches come from the locations table)
+export function getFAQMenu(locations = []) {
+  return templates.render('faq_menu', {
+    branches: locations.map(location => `  • ${location.name}${location.hours ? ` (${location.hours})` : ""}`).join("\n")
+  });
+}
+
+// Knowledge-base answer to a patient's question
+export function getFAQAnswerMessage(question = "", answer = "") {
+  return templates.render('faq_answer', { question, answer });
+}
+
+// Several FAQs fit a patient's question about equally well (shown with a button for each)
+export function getFAQSuggestionsMessage(count = 2) {
+  return templates.render('faq_suggestions', { count, several: count !== 1 });
+}
+
+// FAQ button pressed after the entry was removed
+export function getFAQUnavailableMessage() {
+  return templates.render('faq_unavailable');
+}
+
+// Branch directory for /locations
+export function getLocationsMessage(locationDetails = []) {
+  return templates.render('locations_list', { clinic_name: env.CLINIC_NAME, branches: locationDetails.join("\n\n") });
+}
+
+// Help menu
+export function getHelpMenu() {
+  return templates.render('help_menu');
+}
+
+// Booking instructions
+export function getBookingInstructions() {
+  return templates.render('booking_instructions');
+}
+
+// Staff connection message (a support ticket has been opened)
+// Out of hours `queuedUntil` is the next opening and `closedFor` names a holiday or closure
+export function getStaffConnectionMessage({ queuedUntil = "", closedFor = "" } = {}) {
+  return templates.render('staff_connection', { queued_until: queuedUntil, closed_for: closedFor });
+}
+
+// Staff chat is not set up (no staff group configured, or it could not be reached)
+export function getStaffUnavailableMessage(nextOpening = "") {
+  return templates.render('staff_unavailable', { next_opening: nextOpening });
+}
+
+// Owner profile response
+export function getOwnerProfile() {
+  return templates.render('owner_profile', { owner_name: env.OWNER_NAME, clinic_name: env.CLINIC_NAME, city: env.CITY });
+}
+
+// Booking detection: "Full Name, <date/time>" where the time can actually be understood.
+// A day on its own ("Thanks, see you tomorrow") only counts when the message also mentions booking.
+export function looksLikeBooking(text = "") {
+  if (!text || typeof text !== 'string') return false;
+  
+  const validation = validateBookingFormat(text);
+  if (!validation.valid) return false;
+  
+  // Name part must look like a name (letters only, up to 5 words)
+  const namePattern = /^[a-zA-Z][a-zA-Z.'\- ]*$/;
+  if (!namePattern.test(validation.name) || validation.name.split(/\s+/).length > 5) {
+    return false;
+  }
+  
+  const parsed = parseBookingDateTime(validation.timeSlot);
+  if (!parsed) return false;
+  
+  return !parsed.timeAssumed || mentionsBooking(text);
+}
+
+// Mentions booking without giving a usable name and time
+export function mentionsBooking(text = "") {
+  if (!text || typeof text !== 'string') return false;
+  
+  const bookingKeywords = ['book', 'appointment', 'schedule', 'visit'];
+  const lowerText = text.toLowerCase();
+  return bookingKeywords.some(keyword => lowerText.includes(keyword));
+}
+
+// Validate booking format
+export function validateBookingFormat(text = "") {
+  if (!text || typeof text !== 'string') return { valid: false };
+  
+  const parts = text.split(",");
+  if (parts.length >= 2) {
+    const name = parts[0].trim();
+    const timeSlot = parts.slice(1).join(",").trim();
+    
+    if (name.length > 2 && timeSlot.length > 2) {
+      return { valid: true, name, timeSlot };
+    }
+  }
+  return { valid: false };
+}
+
+// Booking acknowledgment
+export function getBookingReply(text = "", scheduledTime = "") {
+  return templates.render('booking_received', { request: text, scheduled_time: scheduledTime });
+}
+
+// Ask the patient to confirm how we understood their booking time
+export function getBookingTimeConfirmation(name = "", scheduledTime = "", { timeAssumed = false } = {}) {
+  return templates.render('booking_time_confirmation', { name, scheduled_time: scheduledTime, time_assumed: timeAssumed });
+}
+
+// Booking time could not be understood
+export function getUnclearBookingTimeMessage(timeSlot = "") {
+  return templates.render('booking_time_unclear', { time_slot: timeSlot });
+}
+
+// Booking time falls outside clinic hours
+export function getClinicClosedBookingMessage(scheduledTime = "", reason = "", suggestedTime = "") {
+  return templates.render('booking_clinic_closed', { scheduled_time: scheduledTime, reason, suggested_time: suggestedTime });
+}
+
+// Requested free-text time has no places left
+export function getBookingTimeFullMessage(scheduledTime = "") {
+  return templates.render('booking_time_full', { scheduled_time: scheduledTime });
+}
+
+// Booking confirmation expired or missing
+export function getBookingExpiredMessage() {
+  return templates.render('booking_expired');
+}
+
+// Patient wants to pick a different time
+export function getBookingChangeTimeMessage() {
+  return templates.render('booking_change_time');
+}
+
+/**
+ * Booking Wizard Messages
+ */
+
+// Step 1: choose a service
+export function getBookingServicePrompt() {
+  return templates.render('booking_service_prompt');
+}
+
+// Step 2: choose a branch
+export function getBookingLocationPrompt(serviceLabel = "", branchDetails = []) {
+  return templates.render('booking_location_prompt', { service: serviceLabel, branches: branchDetails.join("\n\n") });
+}
+
+// Step 3: choose a date
+export function getBookingDatePrompt(summaryLines = []) {
+  return templates.render('booking_date_prompt', { summary: summaryLines.join("\n") });
+}
+
+// Step 4: choose a time
+export function getBookingTimePrompt(summaryLines = [], dateLabel = "") {
+  return templates.render('booking_time_prompt', { summary: summaryLines.join("\n"), date: dateLabel });
+}
+
+// Step 5: patient name
+export function getBookingNamePrompt(holdMinutes = 10) {
+  return templates.render('booking_name_prompt', { hold_minutes: holdMinutes });
+}
+
+// Step 6: review before booking
+export function getBookingSummary({ service = "", location = "", time = "", name = "" } = {}) {
+  return templates.render('booking_summary', { name, service, location, time });
+}
+
+// No free slots in the booking window
+export function getBookingNoSlotsMessage() {
+  return templates.render('booking_no_slots');
+}
+
+// Chosen slot was taken before the patient finished
+export function getBookingSlotTakenMessage() {
+  return templates.render('booking_slot_taken');
+}
+
+// Patient cancelled the booking wizard
+export function getBookingCancelledMessage() {
+  return templates.render('booking_cancelled');
+}
+
+// Name typed during the wizard was not usable
+export function getBookingInvalidNameMessage() {
+  return templates.render('booking_invalid_name');
+}
+
+/**
+ * Calendar Messages
+ */
+
+// Caption for the .ics file sent with a confirmation, change or cancellation
+export function getCalendarFileCaption(status = "confirmed") {
+  if (status === "cancelled") return templates.render('calendar_file_cancelled');
+  
+  return templates.render(status === "confirmed" ? 'calendar_file_added' : 'calendar_file_updated');
+}
+
+// Calendar subscription links for staff
+export function getCalendarFeedMessage(feeds = []) {
   return [
-    `Hi, I'm SerenityBot for ${env.CLINIC_NAME} (${env.CITY}).`,
+    "📅 Calendar feeds",
     "",
-    "🏥 1) Book appointment",
-    "❓ 2) FAQs", 
-    "👨‍⚕️ 3) Talk to staff",
-    "",
-    "You can also send images, PDFs, voice notes or videos. I will reply in text."
+    ...feeds.flatMap(feed => [`${feed.label}:`, feed.url, ""]),
+    "Add a link in Google Calendar (Other calendars → From URL) or Outlook (Add calendar → Subscribe from web).",
+    "Keep these links private, anyone with a link can see the appointments."
   ].join("\n");
 }
 
-// FAQ menu
-export function getFAQMenu() {
+// Feeds need APP_BASE_URL and CALENDAR_FEED_SECRET
+export function getCalendarFeedUnavailableMessage() {
+  return "📅 Calendar feeds are not set up yet. Please ask the administrator to configure them.";
+}
+
+/**
+ * Staff Management Messages
+ */
+
+// Admin command used without the role it needs
+export function getUnauthorizedMessage() {
+  return "❌ Unauthorized. Your role does not include this command. Ask the Medical Director if you need access.";
+}
+
+// /staff_add usage, with the current staff (`members` are { id, name, roleLabel })
+export function getStaffListMessage(members = [], roleLabels = {}) {
   return [
-    "📋 Frequently Asked Questions:",
+    "👥 Clinic staff",
     "",
-    "📍 Locations:",
-    "  • Galadinmawa, Abuja",
-    "  • Karu, Abuja", 
+    ...(members.length > 0
+      ? members.map(member => `• ${member.name} (ID ${member.id}): ${member.roleLabel}`)
+      : ["No staff added yet."]),
     "",
-    "⏰ Hours: 8am–6pm Monday–Saturday",
+    "Add or change a role:",
+    "/staff_add <Telegram ID> <role> [name]",
+    "Remove:",
+    "/staff_remove <Telegram ID>",
     "",
-    "🏥 Services:",
-    "  • Mental health support",
-    "  • Substance-use counseling",
-    "  • General consultations",
+    `Roles: ${Object.entries(roleLabels).map(([role, label]) => `${role} (${label})`).join(", ")}`,
+    "Staff can find their Telegram ID with /whoami."
+  ].join("\n");
+}
+
+// Staff member added or their role changed
+export function getStaffAddedMessage(name = "", roleLabel = "", commands = []) {
+  return [
+    `✅ ${name} is now ${roleLabel}.`,
+    `Commands: ${commands.join(", ") || "none (appointment API access only)"}`,
+    "This takes effect immediately."
+  ].join("\n");
+}
+
+// Sent to the new staff member
+export function getStaffWelcomeMessage(roleLabel = "", commands = []) {
+  return [
+    `👋 You've been added to the clinic staff as ${roleLabel}.`,
+    commands.length > 0 ? `You can now use: ${commands.join(", ")}` : ""
+  ].filter(Boolean).join("\n");
+}
+
+// Staff member removed
+export function getStaffRemovedMessage(name = "") {
+  return `🗑 ${name} has been removed from the clinic staff and can no longer use admin commands.`;
+}
+
+/**
+ * API Key Messages
+ */
+
+// /md_apikey usage with the active keys (`keys` are { prefix, name, scopes, expires })
+export function getApiKeyListMessage(keys = [], scopes = []) {
+  return [
+    "🔑 API keys",
     "",
-    "💳 Payment: Cash, Bank Transfer, Insurance",
+    ...(keys.length > 0
+      ? keys.map(key => `• ${key.prefix}… ${key.name}\n  Scopes: ${key.scopes.join(", ")}\n  Expires: ${key.expires}`)
+      : ["No active keys."]),
     "",
-    "📞 For emergencies, please call our 24/7 hotline."
+    "Create: /md_apikey create <scopes|all> [days] <name>",
+    "e.g. /md_apikey create analytics.view,appointments.view 30 Reporting dashboard",
+    "Revoke: /md_apikey revoke <prefix>",
+    "",
+    `Scopes: ${scopes.join(", ")}`
   ].join("\n");
 }
 
-// Help menu
-export function getHelpMenu() {
+// New key, shown only this once
+export function getApiKeyCreatedMessage({ key = "", name = "", scopes = [], expires = "" } = {}) {
   return [
-    "🆘 Help Menu:",
+    `🔑 API key "${name}" created`,
     "",
-    "• Use /menu to see main options",
-    "• Send 'Full Name, Fri 3pm' to request a booking",
-    "• Use /faq for frequently asked questions", 
-    "• Send any media files and we'll review them",
+    key,
     "",
-    "For urgent matters, please call our clinic directly."
+    `Scopes: ${scopes.join(", ")}`,
+    `Expires: ${expires}`,
+    "",
+    "Copy it now: it is not stored and can't be shown again. Then delete this message.",
+    "Send it as: Authorization: Bearer <key>"
   ].join("\n");
 }
 
-// Booking instructions
-export function getBookingInstructions() {
+// Key revoked
+export function getApiKeyRevokedMessage(prefix = "", name = "") {
+  return `🗑 API key ${prefix}… (${name}) revoked. Requests using it now get 401.`;
+}
+
+/**
+ * Audit Log Messages
+ */
+
+// /md_audit usage
+export function getAuditUsageMessage() {
   return [
-    "📅 To book an appointment, please send:",
+    "🧾 Audit log:",
+    "/md_audit [today|yesterday|week]",
+    "/md_audit YYYY-MM-DD [end YYYY-MM-DD]",
+    "/md_audit patient <Telegram user ID|patient ID>",
     "",
-    "Format: Full Name, Preferred Date/Time",
+    "Shows who used admin commands and API routes, viewed or changed appointments, and changed consent."
+  ].join("\n");
+}
+
+// Audit entries for a period or patient (each entry is { time, actor, action, channel, target? }), newest first
+export function getAuditLogMessage(label = "", entries = [], { more = false } = {}) {
+  if (entries.length === 0) {
+    return `🧾 Audit log (${label})\n\nNo entries.`;
+  }
+  
+  return [
+    `🧾 Audit log (${label})`,
+    "",
+    ...entries.map(entry => `• ${entry.time} ${entry.actor} [${entry.channel}] ${entry.action}${entry.target ? ` → ${entry.target}` : ""}`),
+    ...(more ? ["", "Showing the latest entries only. Narrow the dates, or use GET /api/md/audit for the full list."] : [])
+  ].join("\n");
+}
+
+/**
+ * Clinic Closure Messages
+ */
+
+// /md_closure usage
+export function getClosureUsageMessage() {
+  return [
+    "📆 Add a closure:",
+    "/md_closure YYYY-MM-DD [end YYYY-MM-DD] [branch] [reason]",
     "",
     "Examples:",
-    "• Ada Lovelace, Friday 3pm",
-    "• John Doe, Tomorrow 10am", 
-    "• Jane Smith, Monday morning",
+    "/md_closure 2026-12-24 Staff end-of-year party",
+    "/md_closure 2026-12-29 2026-12-31 lekki Renovation",
+    "/md_closure tomorrow Power outage",
     "",
-    "We'll confirm availability and contact you shortly."
+    "Send /md_closure on its own to see upcoming holidays and closures."
   ].join("\n");
 }
 
-// Staff connection message
-export function getStaffConnectionMessage() {
+// Closure saved; `bookedCount` appointments already fall on those days
+export function getClosureAddedMessage({ period = "", branchName = "", reason = "", bookedCount = 0 } = {}) {
   return [
-    "👨‍⚕️ Connecting you with our staff...",
+    `✅ Clinic closed ${period}${branchName ? ` at ${branchName}` : " at all branches"}.`,
+    reason ? `Reason: ${reason}` : "",
+    "Bookings for these days are now blocked and staff chats are queued until the next opening.",
+    bookedCount > 0 ? `⚠️ ${bookedCount} appointment(s) are already booked in this period, use /md_followups to contact the patients.` : ""
+  ].filter(Boolean).join("\n");
+}
+
+// Upcoming public holidays and closures (each entry is { label, name, branchName? })
+export function getClosureListMessage({ holidays = [], closures = [] } = {}) {
+  if (holidays.length === 0 && closures.length === 0) {
+    return "📆 No holidays or closures in the next 60 days.\n\nUse /md_closure YYYY-MM-DD [reason] to add one.";
+  }
+  
+  return [
+    "📆 Upcoming days the clinic is closed",
     "",
-    "Your message will be forwarded to our next available team member.",
-    "Expected response time: 30 minutes - 2 hours during business hours.",
+    ...(holidays.length > 0 ? ["Public holidays:", ...holidays.map(day => `• ${day.label}: ${day.name}`), ""] : []),
+    ...(closures.length > 0
+      ? ["Closures:", ...closures.map(day => `• ${day.label}: ${day.name}${day.branchName ? ` (${day.branchName})` : ""}`), ""]
+      : []),
+    "Tap 🗑 below to remove a closure. Public holidays that move can be added as closures."
+  ].join("\n");
+}
+
+// Closure removed
+export function getClosureRemovedMessage(period = "") {
+  return `🗑 Closure ${period} removed. Bookings for those days are open again.`;
+}
+
+/**
+ * Broadcast Messages
+ */
+
+// /md_broadcast: ask for the announcement
+export function getBroadcastPromptMessage() {
+  return [
+    "📣 New broadcast",
     "",
-    "For urgent matters, please call our clinic directly."
+    "Send the announcement as a message, or as a photo with a caption. You'll see a preview and choose who gets it before anything is sent.",
+    "Only patients who have not opted out receive broadcasts.",
+    "",
+    "Type 'cancel' to stop."
   ].join("\n");
 }
 
-// Owner profile response
-export function getOwnerProfile() {
+// Draft over Telegram's length limit
+export function getBroadcastTooLongMessage(maxLength = 4096, isCaption = false) {
+  return `✂️ That ${isCaption ? "caption" : "message"} is too long (${maxLength} characters at most). Please send a shorter one.`;
+}
+
+// Shown under the preview
+export function getBroadcastAudiencePrompt() {
+  return "👆 This is exactly what patients will see. Who should receive it?\n\nSend another message or photo to replace the draft.";
+}
+
+// Ready to send to `count` patients
+export function getBroadcastConfirmMessage(audienceLabel = "", count = 0) {
   return [
-    `${env.OWNER_NAME} is the Managing Director of ${env.CLINIC_NAME} in ${env.CITY}.`,
+    `📣 Audience: ${audienceLabel}`,
+    `👥 ${count} opted-in patient(s) will receive the broadcast.`,
     "",
-    "For administrative matters, please send your request and we will ensure it reaches the appropriate person.",
+    "Send it now?"
+  ].join("\n");
+}
+
+// Nobody in the chosen audience can be messaged
+export function getBroadcastNoRecipientsMessage(audienceLabel = "") {
+  return `ℹ️ No opted-in patients in "${audienceLabel}". Choose another audience.`;
+}
+
+// Broadcast queued for delivery
+export function getBroadcastQueuedMessage(count = 0) {
+  return `📤 Sending to ${count} patient(s). Messages go out gradually to stay within Telegram's limits; I'll send a delivery report when it's done.`;
+}
+
+// Broadcast draft discarded or expired
+export function getBroadcastCancelledMessage() {
+  return "👍 Broadcast cancelled. Nothing was sent.";
+}
+
+// Delivery report for the sender
+export function getBroadcastReportMessage({ audienceLabel = "", total = 0, delivered = 0, blocked = 0, failed = 0, skipped = 0 } = {}) {
+  return [
+    "📣 Broadcast finished",
+    `Audience: ${audienceLabel} (${total})`,
     "",
-    "Response time: Within 2-4 business hours."
+    `✅ Delivered: ${delivered}`,
+    `🚫 Blocked the bot: ${blocked}`,
+    `❌ Failed: ${failed}`,
+    ...(skipped > 0 ? [`⏭ Skipped (opted out since): ${skipped}`] : []),
+    ...(blocked > 0 ? ["", "Patients who blocked the bot are left out of future broadcasts until they message us again."] : [])
   ].join("\n");
 }
 
-// Booking detection
-export function looksLikeBooking(text = "") {
-  if (!text || typeof text !== 'string') return false;
+/**
+ * FAQ Management Messages
+ */
+
+// /faq_* usage, with what was wrong with the last input
+export function getFAQUsageMessage(errors = []) {
+  return [
+    ...(errors.length > 0 ? [`⚠️ ${errors.join("; ")}`, ""] : []),
+    "❓ Manage FAQ answers:",
+    "/faq_list [category]",
+    "/faq_add <question> | <answer> | [keywords, comma separated] | [category] | [priority 0-100]",
+    "/faq_edit <ref> [question|answer|keywords|category|priority] [new value]",
+    "/faq_disable <ref> and /faq_enable <ref>",
+    "",
+    "Example:",
+    "/faq_add Do you offer online consultations? | Yes, by video call on weekdays. Type 1 to book. | online, video, virtual | services | 5",
+    "",
+    "The ref is the code shown in /faq_list. You'll see a preview before anything is saved."
+  ].join("\n");
+}
+
+// /faq_list (each entry is { ref, question, category, priority, active, uses })
+export function getFAQListMessage(entries = [], { category = null, more = false } = {}) {
+  if (entries.length === 0) {
+    return `❓ No FAQ entries${category ? ` in "${category}"` : ""} yet.\n\nAdd one with /faq_add (send /faq_add on its own for the format).`;
+  }
   
-  const bookingKeywords = ['book', 'appointment', 'schedule', 'visit'];
-  const hasComma = text.includes(",");
-  const hasBookingKeyword = bookingKeywords.some(keyword => 
-    text.toLowerCase().includes(keyword)
-  );
+  return [
+    `❓ FAQ entries${category ? ` - ${category}` : ""} (${entries.length}${more ? "+" : ""})`,
+    "",
+    ...entries.map(entry => `${entry.active ? "•" : "⏸"} ${entry.ref} [${entry.category}, priority ${entry.priority}] ${entry.question} (used ${entry.uses}×)`),
+    "",
+    ...(more ? ["Showing the first entries only. Narrow by category, or use GET /api/md/faqs for the full list.", ""] : []),
+    "⏸ = disabled. Edit with /faq_edit <ref>."
+  ].join("\n");
+}
+
+// Shown under the preview of a new or edited entry, with Save and Cancel buttons
+export function getFAQDraftMessage({ ref = "", category = "", priority = 0, keywords = [], changed = [] } = {}) {
+  return [
+    ref ? `👆 Preview of FAQ ${ref} after your changes (${changed.join(", ")}).` : "👆 Preview of the new FAQ answer, exactly as patients will see it.",
+    `Category: ${category} · Priority: ${priority}`,
+    `Keywords: ${keywords.length > 0 ? keywords.join(", ") : "none (matched on the question's words only)"}`,
+    "",
+    ref ? "Save the changes? You can /faq_edit another field first." : "Save it?"
+  ].join("\n");
+}
+
+// Current entry, shown under its preview by /faq_edit <ref>
+export function getFAQEntryMessage({ ref = "", category = "", priority = 0, keywords = [], active = true, uses = 0, lastUsed = "" } = {}) {
+  return [
+    `👆 FAQ ${ref}${active ? "" : " (disabled)"}`,
+    `Category: ${category} · Priority: ${priority}`,
+    `Keywords: ${keywords.length > 0 ? keywords.join(", ") : "none"}`,
+    `Used ${uses}×${lastUsed ? `, last ${lastUsed}` : ""}`,
+    "",
+    `Change a field: /faq_edit ${ref} answer <new answer>`,
+    active ? `Stop using it: /faq_disable ${ref}` : `Use it again: /faq_enable ${ref}`
+  ].join("\n");
+}
+
+// Entry saved
+export function getFAQSavedMessage(ref = "", question = "", { created = false } = {}) {
+  return `✅ FAQ ${ref} ${created ? "added" : "updated"}: "${question}". Patients get it from their next question.`;
+}
+
+// Entry disabled or enabled
+export function getFAQActiveMessage(ref = "", question = "", active = true) {
+  return active
+    ? `✅ FAQ ${ref} enabled: "${question}" is used to answer patients again.`
+    : `⏸ FAQ ${ref} disabled: "${question}" is no longer used to answer patients. /faq_enable ${ref} brings it back.`;
+}
+
+// No entry matches a ref
+export function getFAQNotFoundMessage(ref = "") {
+  return `❓ No FAQ entry "${ref}". Use the ref from /faq_list.`;
+}
+
+// Draft discarded or expired
+export function getFAQDraftCancelledMessage() {
+  return "👍 Discarded. Nothing was changed.";
+}
+
+/**
+ * MD Brief Messages
+ */
+
+// /md_brief arguments it didn't understand
+export function getBriefUsageMessage() {
+  return [
+    "📊 Usage: /md_brief [period] [branch]",
+    "",
+    "Period: today (default), yesterday, week (last 7 days), month (last 30 days), or dates: 2026-10-01 [2026-10-07]",
+    "Branch: a branch code, e.g. /md_brief week karu",
+    "",
+    "Ranges are in clinic time, up to a year, and can't start in the future."
+  ].join("\n");
+}
+
+// "▲ 20% vs 10" style comparison with the previous period
+function formatTrend(current, previous) {
+  if (current === previous) return previous === 0 ? "" : ` (= vs ${previous})`;
+  if (previous === 0) return " (new)";
   
-  // Check for name-like pattern with comma and time/date
-  const nameTimePattern = /^[a-zA-Z\s]+,\s*[a-zA-Z0-9\s:]+$/;
+  const change = Math.round(((current - previous) / previous) * 100);
+  return ` (${change > 0 ? "▲" : "▼"} ${Math.abs(change)}% vs ${previous})`;
+}
+
+// "pending 3 · confirmed 2" from { status: count }
+function formatBreakdown(counts) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([key, count]) => `${key.replace(/_/g, " ")} ${count}`)
+    .join(" · ");
+}
+
+// MD brief for a period, compared with the period before it
+export function getBriefMessage({ label, rangeLabel, comparedWith, branchName = null, current, previous, noShows = null, clinicName = "", generatedAt = "" }) {
+  const line = (icon, name, metric) => `${icon} ${name}: ${current[metric]}${formatTrend(current[metric], previous[metric])}`;
   
-  return hasComma || hasBookingKeyword || nameTimePattern.test(text);
+  return [
+    `📊 Brief: ${label}${branchName ? ` - ${branchName}` : ""}`,
+    rangeLabel === label
+      ? `Compared with the ${comparedWith.toLowerCase()}`
+      : `${rangeLabel}, compared with the ${comparedWith.toLowerCase()}`,
+    "",
+    line("💬", "Messages", "chats"),
+    `${line("👥", "Patients", "active_patients")} - ${current.new_patients} new, ${current.returning_patients} returning`,
+    line("📅", "Bookings", "bookings"),
+    ...(current.bookings > 0 ? [`   ${formatBreakdown(current.bookings_by_status)}`] : []),
+    line("❌", "Cancellations", "cancellations"),
+    line("📎", "Media", "media"),
+    ...(current.media > 0 ? [`   ${formatBreakdown(current.media_by_type)}`] : []),
+    line("🚨", "Emergency alerts", "emergencies"),
+    line("🤖", "AI fallbacks", "llm_fallbacks"),
+    line("❓", "FAQ requests", "faqs"),
+    ...(noShows ? ["", ...getNoShowSummaryLines(noShows)] : []),
+    ...(branchName ? ["", "Messages, patients, media, emergencies, AI fallbacks and FAQs are clinic-wide."] : []),
+    "",
+    `🏥 ${clinicName}${generatedAt ? ` - ${generatedAt}` : ""}`
+  ].join("\n");
 }
 
-// Validate booking format
-export function validateBookingFormat(text = "") {
-  if (!text || typeof text !== 'string') return { valid: false };
+/**
+ * Daily Digest Messages
+ */
+
+// Longest lists in the digest before "...and N more"
+const DIGEST_LIST_LIMIT = 10;
+
+function limitLines(lines, total = lines.length) {
+  const shown = lines.slice(0, DIGEST_LIST_LIMIT);
+  return total > shown.length ? [...shown, `   ...and ${total - shown.length} more`] : shown;
+}
+
+// Morning digest: yesterday's figures, today's appointments, waiting follow-ups and emergency alerts since yesterday
+export function getDigestMessage({ dateLabel, yesterdayLabel, current, previous, appointments = [], followups = [], followupsCapped = false, emergencies = [], clinicName = "" }) {
+  const line = (icon, name, metric) => `${icon} ${name}: ${current[metric]}${formatTrend(current[metric], previous[metric])}`;
   
-  const parts = text.split(",");
-  if (parts.length >= 2) {
-    const name = parts[0].trim();
-    const timeSlot = parts[1].trim();
-    
-    if (name.length > 2 && timeSlot.length > 2) {
-      return { valid: true, name, timeSlot };
-    }
+  return [
+    `📰 Daily Digest - ${dateLabel}`,
+    "",
+    `📊 Yesterday (${yesterdayLabel}), compared with the day before`,
+    line("💬", "Messages", "chats"),
+    `${line("👥", "Patients", "active_patients")} - ${current.new_patients} new`,
+    line("📅", "Bookings", "bookings"),
+    line("❌", "Cancellations", "cancellations"),
+    line("🚨", "Emergency alerts", "emergencies"),
+    "",
+    `🗓 Today's appointments (${appointments.length})`,
+    ...(appointments.length > 0
+      ? limitLines(appointments.map(apt => `• ${apt.time} ${apt.name}${apt.service ? ` - ${apt.service}` : ""}${apt.location ? ` (${apt.location})` : ""}${apt.status === "confirmed" ? "" : ` [${apt.status}]`}`))
+      : ["None scheduled."]),
+    "",
+    `📋 Follow-ups waiting (${followups.length}${followupsCapped ? "+" : ""})`,
+    ...(followups.length > 0
+      ? [...limitLines(followups.map(apt => `• ${apt.name} - since ${apt.waitingSince}`)), "Use /md_followups to act on them."]
+      : ["None, all caught up."]),
+    "",
+    `🚨 Emergency alerts since yesterday (${emergencies.length})`,
+    ...(emergencies.length > 0
+      ? limitLines(emergencies.map(item => `• ${item.name} - ${item.count} message${item.count === 1 ? "" : "s"}, last ${item.lastSeen}`))
+      : ["None."]),
+    "",
+    `🏥 ${clinicName}`,
+    "Turn this off with /md_digest off"
+  ].join("\n");
+}
+
+// /md_digest status or confirmation
+export function getDigestStatusMessage({ subscribed, time = null, changed = false }) {
+  const schedule = time
+    ? `It's sent every day at ${time} (clinic time).`
+    : "The daily digest is currently turned off for the clinic (DAILY_DIGEST_TIME).";
+  
+  if (subscribed) {
+    return [
+      changed ? "✅ You'll get the daily digest." : "📰 You're subscribed to the daily digest.",
+      schedule,
+      "",
+      "Turn it off with /md_digest off"
+    ].join("\n");
   }
-  return { valid: false };
+  
+  return [
+    changed ? "🔕 You won't get the daily digest any more." : "📰 You're not subscribed to the daily digest.",
+    schedule,
+    "",
+    "Turn it on with /md_digest on"
+  ].join("\n");
 }
 
-// Booking acknowledgment
-export function getBookingReply(text = "") {
+/**
+ * Waitlist Messages
+ */
+
+// Offer to join the waitlist after a full or closed time (`intro` explains why)
+export function getWaitlistPrompt(intro = "") {
+  return templates.render('waitlist_prompt', { intro });
+}
+
+// Patient joined the waitlist
+export function getWaitlistJoinedMessage(windowLabels = [], offerMinutes = 30) {
+  return templates.render('waitlist_joined', {
+    windows: windowLabels.map(label => `• ${label}`).join("\n"),
+    offer_minutes: offerMinutes
+  });
+}
+
+// Freed slot offered to a waitlisted patient
+export function getWaitlistOfferMessage({ name = "", time = "", service = "", location = "", minutes = 30 } = {}) {
+  return templates.render('waitlist_offer', { name, time, service, location, minutes });
+}
+
+// Offer ran out before the patient answered
+export function getWaitlistOfferExpiredMessage() {
+  return templates.render('waitlist_offer_expired');
+}
+
+// Patient accepted an offer
+export function getWaitlistBookedMessage(appointmentLine = "") {
+  return templates.render('waitlist_booked', { appointment: appointmentLine });
+}
+
+// Offered place could not be booked after all
+export function getWaitlistOfferTakenMessage() {
+  return templates.render('waitlist_offer_taken');
+}
+
+// Patient turned an offer down
+export function getWaitlistDeclinedMessage() {
+  return templates.render('waitlist_declined');
+}
+
+// Header for /waitlist
+export function getWaitlistMessage(count = 0) {
+  return templates.render(count > 0 ? 'waitlist_list' : 'waitlist_empty');
+}
+
+// Patient left the waitlist
+export function getWaitlistLeftMessage() {
+  return templates.render('waitlist_left');
+}
+
+// Waitlist entry already offered, booked or gone
+export function getWaitlistEntryUnavailableMessage() {
+  return templates.render('waitlist_entry_unavailable');
+}
+
+// Notice to clinic admins when a waitlisted patient takes a freed slot
+export function getWaitlistBookedNotice(name, appointmentLine) {
   return [
-    "✅ Booking request received!",
+    "🕒 Freed slot booked from the waitlist",
     "",
-    `Request: "${text}"`,
+    `👤 ${name}`,
+    appointmentLine
+  ].join("\n");
+}
+
+/**
+ * Staff Handoff Messages
+ */
+
+// Patient asked for staff while a ticket is already open
+export function getHandoffAlreadyOpenMessage(staffName = "", queuedUntil = "") {
+  return templates.render('handoff_already_open', { staff_name: staffName, queued_until: queuedUntil });
+}
+
+// A staff member took the ticket
+export function getHandoffClaimedMessage(staffName = "A team member") {
+  return templates.render('handoff_claimed', { staff_name: staffName });
+}
+
+// Staff closed the ticket
+export function getHandoffClosedMessage() {
+  return templates.render('handoff_closed');
+}
+
+// Patient ended the staff chat with /end
+export function getHandoffEndedMessage() {
+  return templates.render('handoff_ended');
+}
+
+// /end without an open ticket
+export function getNoHandoffMessage() {
+  return templates.render('handoff_none');
+}
+
+// Patient message could not be passed on
+export function getHandoffRelayFailedMessage() {
+  return templates.render('handoff_relay_failed');
+}
+
+// Ticket header posted in the staff group
+export function getHandoffTicketHeader({ ref = "", name = "", telegramUserId = "", status = "open", queuedUntil = "", staffName = "", closedBy = "" } = {}) {
+  const statusLine = {
+    queued: `🌙 Out of hours, queued until ${queuedUntil || "the next opening"}`,
+    open: "🟡 Waiting for a team member",
+    claimed: `🙋 Taken by ${staffName}`,
+    closed: `✅ Closed by ${closedBy}`
+  }[status] || status;
+  
+  return [
+    `🆘 Support request ${ref}`,
     "",
-    "A staff member will contact you shortly to confirm your appointment.",
-    "Please ensure your phone number is available for confirmation."
+    `👤 ${name} (Telegram ID ${telegramUserId})`,
+    statusLine,
+    ...(status === "closed" ? [] : ["", "Reply to this message or any message from the patient to answer them. Reply with /close when done."])
   ].join("\n");
 }
 
-// Invalid booking format message
-export function getInvalidBookingMessage() {
+// /close sent without replying to a ticket message
+export function getHandoffCloseUsageMessage() {
+  return "Reply to a ticket message with /close to close that ticket.";
+}
+
+// Queued ticket raised in the staff group at opening time
+export function getHandoffQueueReleasedNotice(ref = "", since = "") {
+  return `⏰ We're open: ticket ${ref} has been waiting since ${since}. Reply to it to answer the patient.`;
+}
+
+// Patient's queued request reached the team at opening time
+export function getHandoffQueueOpenedMessage() {
+  return templates.render('handoff_queue_opened');
+}
+
+// Reply from a staff member, as delivered to the patient
+export function getStaffReplyMessage(staffName = "", text = "") {
+  return templates.render('staff_reply', { staff_name: staffName || "Our team", text });
+}
+
+// Staff replied to a ticket that is already closed
+export function getHandoffTicketClosedNotice(ref = "") {
+  return `⚠️ Ticket ${ref} is closed, so the patient did not get this message.`;
+}
+
+// Staff reply could not be delivered
+export function getHandoffDeliveryFailedNotice(ref = "") {
+  return `⚠️ Could not deliver this message for ticket ${ref}. The patient may have blocked the bot.`;
+}
+
+/**
+ * Patient Appointment Messages
+ */
+
+// Header for /myappointments with past appointments listed
+export function getMyAppointmentsMessage(upcomingCount = 0, pastLines = []) {
+  return templates.render('my_appointments', { upcoming_count: upcomingCount, past: pastLines.join("\n") });
+}
+
+// Patient has never booked
+export function getNoAppointmentsMessage() {
+  return templates.render('no_appointments');
+}
+
+// Ask why the appointment is being cancelled or rescheduled
+export function getChangeReasonPrompt(action = "cancel", appointmentLine = "") {
+  return templates.render(action === "cancel" ? 'cancel_reason_prompt' : 'reschedule_reason_prompt', { appointment: appointmentLine });
+}
+
+// Cancellation done
+export function getAppointmentCancelledMessage(appointmentLine = "") {
+  return templates.render('appointment_cancelled', { appointment: appointmentLine });
+}
+
+// Ask for the new preferred time when rescheduling
+export function getRescheduleTimePrompt() {
+  return templates.render('reschedule_time_prompt');
+}
+
+// Requested reschedule time has no places left
+export function getRescheduleTimeFullMessage(newTime = "") {
+  return templates.render('reschedule_time_full', { new_time: newTime });
+}
+
+// Reschedule request recorded
+export function getAppointmentRescheduledMessage(newTime = "") {
+  return templates.render('appointment_rescheduled', { new_time: newTime });
+}
+
+// Appointment not found or not owned by the patient
+export function getAppointmentUnavailableMessage() {
+  return templates.render('appointment_unavailable');
+}
+
+// Notice to clinic admins when a patient changes an appointment
+export function getAppointmentChangeNotice({ action = "cancelled", name = "", appointmentLine = "", reason = "", newTime = "" } = {}) {
+  return [
+    action === "cancelled" ? "❎ Appointment cancelled by patient" : "🔄 Reschedule requested by patient",
+    "",
+    `👤 ${name}`,
+    appointmentLine,
+    `📝 Reason: ${reason || 'Not given'}`,
+    ...(action === "rescheduled" ? [`🕐 New preferred time: ${newTime || 'Not given'}`] : [])
+  ].join("\n");
+}
+
+// Reply when a patient confirms attendance from a reminder
+export function getAttendanceConfirmedMessage(appointmentLine) {
+  return templates.render('attendance_confirmed', { appointment: appointmentLine });
+}
+
+// Patient message when the clinic declines an appointment request
+export function getAppointmentDeclinedMessage(appointmentLine) {
+  return templates.render('appointment_declined', { appointment: appointmentLine });
+}
+
+// Patient message when the clinic proposes a different time
+export function getAppointmentProposedMessage(timeLabel) {
+  return templates.render('appointment_proposed', { time: timeLabel });
+}
+
+// Notice to clinic admins when a patient accepts a proposed time
+export function getProposalAcceptedNotice(name, appointmentLine) {
   return [
-    "❌ Booking format not recognized.",
+    "✅ Proposed time accepted by patient",
     "",
-    "Please use: Full Name, Preferred Date/Time",
-    "Example: 'Ada Lovelace, Friday 3pm'",
+    `👤 ${name}`,
+    appointmentLine
+  ].join("\n");
+}
+
+// Header sent before the follow-up cards
+export function getFollowupsHeader(count, branchName = null) {
+  return [
+    `📋 Pending Follow-ups (${count})${branchName ? ` - ${branchName}` : ""}`,
     "",
-    "Or type '1' for booking instructions."
+    "Use the buttons under each appointment to confirm, propose a time, decline or add a note."
   ].join("\n");
 }
 
+// Unknown branch code given to an MD command
+export function getUnknownBranchMessage(code, codes = []) {
+  return `❓ Unknown branch "${code}". Use one of: ${codes.join(", ")} (e.g. /md_followups ${codes[0] || "karu"}).`;
+}
+
+// MD prompt for a typed time or note
+export function getFollowupInputPrompt(action, name, { retry = false } = {}) {
+  if (action === "note") {
+    return `📝 Type the note for ${name}'s appointment (or 'cancel').`;
+  }
+  
+  return [
+    retry ? "❓ I couldn't read that as a future date and time." : "",
+    `🕐 Type the ${action === "confirm" ? "appointment" : "proposed"} time for ${name} in clinic time, e.g. "Tuesday 10am" or "21/10 2pm" (or 'cancel').`
+  ].filter(Boolean).join("\n");
+}
+
+// Line added to a follow-up card after an MD action
+export function getFollowupActionLine(action, actor, { notified = true, detail = "" } = {}) {
+  const labels = {
+    confirmed: "✅ Confirmed",
+    proposed: "🕐 New time proposed",
+    declined: "❌ Declined",
+    noted: "📝 Note added",
+    assigned: "👩‍⚕️ Assigned to",
+    completed: "✅ Marked completed",
+    no_show: "🚫 Marked no-show"
+  };
+  const recipient = action === "assigned" ? "clinician" : "patient";
+  const notifyNote = action !== "noted" && !notified ? ` (${recipient} could not be notified)` : "";
+  
+  return `${labels[action] || action}${detail ? ` ${detail}` : ""} by ${actor} · ${formatDateTime(new Date())}${notifyNote}`;
+}
+
+// Prompt above the clinician buttons on a follow-up card
+export function getAssignClinicianPrompt(hasEligible) {
+  return hasEligible
+    ? "👩‍⚕️ Choose a clinician (available for this specialty, branch and day; fewest appointments first):"
+    : "⚠️ No clinician is rostered for this specialty, branch and day. You can still assign anyone below:";
+}
+
+// Notice sent to a clinician when an appointment is assigned to them
+export function getClinicianAssignmentNotice({ patientName = "", time = "", service = "", location = "", status = "", assignedBy = "" } = {}) {
+  return [
+    "👩‍⚕️ New appointment assigned to you",
+    "",
+    `👤 ${patientName}`,
+    `🗓 ${time}`,
+    ...(service ? [`🏥 ${service}`] : []),
+    ...(location ? [`📍 ${location}`] : []),
+    `📌 Status: ${status}`,
+    "",
+    `Assigned by: ${assignedBy}`,
+    "Type /my_schedule to see your day."
+  ].join("\n");
+}
+
+// Clinician's appointments for a day
+export function getClinicianScheduleMessage(name, dateLabel, appointmentLines = []) {
+  if (appointmentLines.length === 0) {
+    return `📅 ${dateLabel}\n\nNo appointments scheduled for ${name}.`;
+  }
+  
+  return [
+    `📅 Schedule for ${name} - ${dateLabel}`,
+    "",
+    ...appointmentLines,
+    "",
+    `Total: ${appointmentLines.length}`
+  ].join("\n");
+}
+
+// Assign pressed while the roster is empty
+export function getNoCliniciansMessage() {
+  return "⚠️ No active clinicians on the roster yet. Add them to the clinicians table in Supabase.";
+}
+
+// /my_schedule from someone who isn't on the roster
+export function getNotClinicianMessage() {
+  return "❌ You are not registered as a clinician. Ask the clinic administrator to add your Telegram ID to the roster.";
+}
+
+// Follow-up button pressed on an appointment that was already handled
+export function getFollowupUnavailableMessage(status) {
+  return status
+    ? `ℹ️ This appointment is already ${status}. Send /md_followups for the current list.`
+    : "⚠️ Appointment not found. Send /md_followups for the current list.";
+}
+
+// Header sent before the attendance cards
+export function getAttendanceHeader(count, scopeLabel = null) {
+  return count > 0
+    ? [
+      `🩺 Attendance to record (${count})${scopeLabel ? ` - ${scopeLabel}` : ""}`,
+      "",
+      "Mark each past appointment as completed or no-show. The patient gets a follow-up or rebooking message."
+    ].join("\n")
+    : "✅ All past appointments have an outcome recorded.";
+}
+
+// Attendance button pressed on an appointment that cannot be marked
+export function getOutcomeUnavailableMessage(status) {
+  return ["completed", "no_show", "cancelled"].includes(status)
+    ? `ℹ️ This appointment is already ${status === "no_show" ? "marked no-show" : status}.`
+    : "⚠️ This appointment hasn't started yet or can no longer be marked.";
+}
+
+// No-show lines for the MD brief
+export function getNoShowSummaryLines(stats) {
+  const formatRate = (item) => `${Math.round(item.rate * 100)}% (${item.noShows}/${item.total})`;
+  
+  if (!stats || stats.total === 0) {
+    return [`🚫 No-shows (last ${stats?.days || 30} days): no outcomes recorded yet`];
+  }
+  
+  return [
+    `🚫 No-shows (last ${stats.days} days): ${formatRate(stats)}`,
+    ...stats.byLocation.map(item => `• ${item.name}: ${formatRate(item)}`),
+    "👩‍⚕️ By clinician:",
+    ...stats.byClinician.map(item => `• ${item.name}: ${formatRate(item)}`)
+  ];
+}
+
+// Invalid booking format message
+export function getInvalidBookingMessage() {
+  return templates.render('booking_invalid_format');
+}
+
 // Text sanitization
 export function sanitizeText(text) {
   if (!text || typeof text !== 'string') return '';
@@ -162,38 +1058,28 @@ export function sanitizeText(text) {
     .substring(0, 2000); // Limit length
 }
 
-// Check if user is admin/MD
-export function isAuthorizedMD(userId) {
-  return env.MD_TELEGRAM_USER_ID && userId === env.MD_TELEGRAM_USER_ID;
+// Constant-time comparison for shared secrets
+export function secureCompare(provided, expected) {
+  if (typeof provided !== 'string' || typeof expected !== 'string') return false;
+  
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
 }
 
 // Format error message
 export function getErrorMessage() {
-  return "Sorry, something went wrong. Please try again or contact our staff directly.";
+  return templates.render('error_message');
 }
 
 // Opt-out confirmation message
 export function getOptOutMessage() {
-  return [
-    "✅ You have opted out of data collection.",
-    "",
-    "We will no longer log your messages for improvement purposes.",
-    "You can still use the bot normally, but your conversations won't be stored.",
-    "",
-    "To opt back in, send /optin anytime."
-  ].join("\n");
+  return templates.render('opt_out');
 }
 
 // Opt-in confirmation message  
 export function getOptInMessage() {
-  return [
-    "✅ You have opted back into data collection.",
-    "",
-    "Your messages will now be logged to help us improve our service.",
-    "This data is kept secure and used only for service improvement.",
-    "",
-    "To opt out again, send /optout anytime."
-  ].join("\n");
+  return templates.render('opt_in');
 }
 
 // Health keywords detection
@@ -212,32 +1098,131 @@ export function hasHealthKeywords(text = "") {
 
 // Professional health response
 export function getHealthResponse() {
-  return [
-    "I understand you may be experiencing health concerns.",
-    "",
-    "While I can help with appointments and information, I cannot provide medical advice.",
-    "",
-    "For immediate care:",
-    "• Book an appointment: Send 'Your Name, preferred time'",
-    "• For emergencies: Please call our 24/7 hotline immediately",
-    "",
-    "Our medical professionals are here to help."
-  ].join("\n");
+  return templates.render('health_response');
 }
 
 export default {
   getMainMenu,
   getFAQMenu,
+  getFAQAnswerMessage,
+  getFAQSuggestionsMessage,
+  getFAQUnavailableMessage,
+  getLocationsMessage,
   getHelpMenu,
   getBookingInstructions,
   getStaffConnectionMessage,
+  getStaffUnavailableMessage,
   getOwnerProfile,
   looksLikeBooking,
+  mentionsBooking,
   validateBookingFormat,
   getBookingReply,
+  getBookingTimeConfirmation,
+  getUnclearBookingTimeMessage,
+  getClinicClosedBookingMessage,
+  getBookingTimeFullMessage,
+  getBookingExpiredMessage,
+  getBookingChangeTimeMessage,
+  getBookingServicePrompt,
+  getBookingLocationPrompt,
+  getBookingDatePrompt,
+  getBookingTimePrompt,
+  getBookingNamePrompt,
+  getBookingSummary,
+  getBookingNoSlotsMessage,
+  getBookingSlotTakenMessage,
+  getBookingCancelledMessage,
+  getBookingInvalidNameMessage,
+  getCalendarFileCaption,
+  getCalendarFeedMessage,
+  getCalendarFeedUnavailableMessage,
+  getUnauthorizedMessage,
+  getStaffListMessage,
+  getStaffAddedMessage,
+  getStaffWelcomeMessage,
+  getStaffRemovedMessage,
+  getApiKeyListMessage,
+  getApiKeyCreatedMessage,
+  getApiKeyRevokedMessage,
+  getAuditUsageMessage,
+  getAuditLogMessage,
+  getClosureUsageMessage,
+  getClosureAddedMessage,
+  getClosureListMessage,
+  getClosureRemovedMessage,
+  getBroadcastPromptMessage,
+  getBroadcastTooLongMessage,
+  getBroadcastAudiencePrompt,
+  getBroadcastConfirmMessage,
+  getBroadcastNoRecipientsMessage,
+  getBroadcastQueuedMessage,
+  getBroadcastCancelledMessage,
+  getBroadcastReportMessage,
+  getFAQUsageMessage,
+  getFAQListMessage,
+  getFAQDraftMessage,
+  getFAQEntryMessage,
+  getFAQSavedMessage,
+  getFAQActiveMessage,
+  getFAQNotFoundMessage,
+  getFAQDraftCancelledMessage,
+  getWaitlistPrompt,
+  getWaitlistJoinedMessage,
+  getWaitlistOfferMessage,
+  getWaitlistOfferExpiredMessage,
+  getWaitlistBookedMessage,
+  getWaitlistOfferTakenMessage,
+  getWaitlistDeclinedMessage,
+  getWaitlistMessage,
+  getWaitlistLeftMessage,
+  getWaitlistEntryUnavailableMessage,
+  getWaitlistBookedNotice,
+  getHandoffAlreadyOpenMessage,
+  getHandoffClaimedMessage,
+  getHandoffClosedMessage,
+  getHandoffEndedMessage,
+  getNoHandoffMessage,
+  getHandoffRelayFailedMessage,
+  getHandoffTicketHeader,
+  getHandoffQueueReleasedNotice,
+  getHandoffQueueOpenedMessage,
+  getStaffReplyMessage,
+  getHandoffCloseUsageMessage,
+  getHandoffTicketClosedNotice,
+  getHandoffDeliveryFailedNotice,
+  getMyAppointmentsMessage,
+  getNoAppointmentsMessage,
+  getChangeReasonPrompt,
+  getAppointmentCancelledMessage,
+  getRescheduleTimePrompt,
+  getRescheduleTimeFullMessage,
+  getAppointmentRescheduledMessage,
+  getAppointmentUnavailableMessage,
+  getAppointmentChangeNotice,
+  getAttendanceConfirmedMessage,
+  getAppointmentDeclinedMessage,
+  getAppointmentProposedMessage,
+  getProposalAcceptedNotice,
+  getFollowupsHeader,
+  getUnknownBranchMessage,
+  getFollowupInputPrompt,
+  getFollowupActionLine,
+  getAssignClinicianPrompt,
+  getClinicianAssignmentNotice,
+  getClinicianScheduleMessage,
+  getNotClinicianMessage,
+  getNoCliniciansMessage,
+  getFollowupUnavailableMessage,
+  getAttendanceHeader,
+  getOutcomeUnavailableMessage,
+  getNoShowSummaryLines,
+  getBriefUsageMessage,
+  getBriefMessage,
+  getDigestMessage,
+  getDigestStatusMessage,
   getInvalidBookingMessage,
   sanitizeText,
-  isAuthorizedMD,
+  secureCompare,
   getErrorMessage,
   getOptOutMessage,
   getOptInMessage,
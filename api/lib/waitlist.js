@@ -0,0 +1,302 @@
+import { Markup } from 'telegraf';
+import { env } from '../config/env.js';
+import * as db from './supabase.js';
+import * as datetime from './datetime.js';
+import * as booking from './booking.js';
+import * as locations from './locations.js';
+import * as utils from './utils.js';
+
+/**
+ * Waitlist
+ * Stores the times a patient could make when their choice is full, and offers
+ * freed slots to waiting patients in joining order. Each offer holds the slot
+ * for WAITLIST_OFFER_MINUTES; unanswered offers move on to the next patient.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead a "this week" waitlist entry reaches
+const WEEK_DAYS = 7;
+
+// Acceptable windows for a waitlist scope: the requested slot, its day, or the coming week
+export function buildWindows(scope, requestedAt = null, now = new Date()) {
+  const slotMs = env.BOOKING_SLOT_MINUTES * 60 * 1000;
+
+  if (scope === 'slot' && requestedAt) {
+    const start = new Date(requestedAt);
+    return [{ start: start.toISOString(), end: new Date(start.getTime() + slotMs).toISOString() }];
+  }
+
+  // Opening hours of the requested day
+  if (scope === 'day' && requestedAt) {
+    const { year, month, day } = datetime.getZonedParts(new Date(requestedAt), env.CLINIC_TIMEZONE);
+    const open = datetime.zonedTimeToUtc({ year, month, day, hour: datetime.CLINIC_HOURS.openHour }, env.CLINIC_TIMEZONE);
+    const close = datetime.zonedTimeToUtc({ year, month, day, hour: datetime.CLINIC_HOURS.closeHour }, env.CLINIC_TIMEZONE);
+    return [{ start: (open > now ? open : now).toISOString(), end: close.toISOString() }];
+  }
+
+  return [{ start: now.toISOString(), end: new Date(now.getTime() + WEEK_DAYS * DAY_MS).toISOString() }];
+}
+
+// Human-readable window, e.g. "Friday, 24 Oct 2026, 3:00 pm", "Fri 24 Oct, 8:00 am – 6:00 pm" or "Fri 24 Oct – Thu 30 Oct"
+export function describeWindow(window, timezone = env.CLINIC_TIMEZONE) {
+  const start = new Date(window.start);
+  const end = new Date(window.end);
+
+  if (end - start <= env.BOOKING_SLOT_MINUTES * 60 * 1000) {
+    return datetime.formatDateTime(start, timezone);
+  }
+
+  const startDay = datetime.formatDateLabel(start, timezone);
+  const endDay = datetime.formatDateLabel(end, timezone);
+  if (startDay === endDay) {
+    return `${startDay}, ${datetime.formatTimeLabel(start, timezone)} – ${datetime.formatTimeLabel(end, timezone)}`;
+  }
+
+  return `${startDay} – ${endDay}`;
+}
+
+// Add a patient to the waitlist; replaces any entry they are still waiting on
+export async function joinWaitlist({ patient, telegramUserId, chatId, fullName, service = null, location = null, windows }) {
+  if (!patient) return null;
+
+  const existing = await db.getPatientWaitlistEntries(patient.id);
+  for (const entry of existing.filter(item => item.status === 'waiting')) {
+    await db.updateWaitlistEntry(entry.id, { status: 'cancelled' }, { fromStatuses: ['waiting'] });
+  }
+
+  return await db.createWaitlistEntry({
+    patient_id: patient.id,
+    full_name: fullName,
+    telegram_user_id: telegramUserId,
+    telegram_chat_id: chatId,
+    service,
+    location,
+    windows,
+    expires_at: windows.reduce((latest, window) => (window.end > latest ? window.end : latest), windows[0].end)
+  });
+}
+
+// Leave the waitlist (only entries that are not mid-offer)
+export async function leaveWaitlist(patient, entryId) {
+  const entries = patient ? await db.getPatientWaitlistEntries(patient.id) : [];
+  if (!entries.some(entry => entry.id === entryId)) return null;
+
+  return await db.updateWaitlistEntry(entryId, { status: 'cancelled' }, { fromStatuses: ['waiting'] });
+}
+
+// Whether an entry would take a slot at `slotStart` in `location`
+async function entryMatchesSlot(entry, slotStart, location) {
+  if (location && entry.location && entry.location !== location) return false;
+
+  const fitsWindow = (entry.windows || []).some(window =>
+    new Date(window.start) <= slotStart && slotStart < new Date(window.end)
+  );
+  if (!fitsWindow) return false;
+
+  // The branch must offer the service the patient is waiting for
+  const branchCode = location || entry.location;
+  if (entry.service && branchCode) {
+    const branch = await locations.getLocation(branchCode);
+    if (branch?.services && !branch.services.includes(entry.service)) return false;
+  }
+
+  return true;
+}
+
+// Offer a freed slot to the first matching waiting patient; returns the offer or null
+export async function offerFreedSlot(telegram, { scheduled_datetime: scheduledAt, location = null } = {}, { now = new Date() } = {}) {
+  if (!scheduledAt) return null;
+
+  const slotStart = new Date(scheduledAt);
+  if (slotStart <= now) return null;
+
+  try {
+    const [entries, previousOffers] = await Promise.all([
+      db.getWaitingEntries(),
+      db.getWaitlistOffersForSlot(slotStart)
+    ]);
+    const alreadyOffered = new Set(previousOffers.map(offer => offer.entry_id));
+
+    for (const entry of entries) {
+      if (alreadyOffered.has(entry.id) || !entry.telegram_chat_id) continue;
+      if (!(await entryMatchesSlot(entry, slotStart, location))) continue;
+
+      const offerLocation = location || entry.location || null;
+      if (!(await booking.isSlotAvailable(slotStart, offerLocation))) return null;
+
+      const offer = await sendOffer(telegram, entry, slotStart, offerLocation);
+      if (offer) return offer;
+    }
+  } catch (error) {
+    console.error('Error offering freed slot:', error);
+  }
+
+  return null;
+}
+
+// Hold the slot for one patient and send them the offer with Accept / No thanks buttons
+async function sendOffer(telegram, entry, slotStart, location) {
+  const claimed = await db.updateWaitlistEntry(entry.id, { status: 'offered' }, { fromStatuses: ['waiting'] });
+  if (!claimed) return null;
+
+  const held = await booking.holdSlot(entry.telegram_user_id, location, slotStart, { minutes: env.WAITLIST_OFFER_MINUTES });
+  if (!held) {
+    await db.updateWaitlistEntry(entry.id, { status: 'waiting' });
+    return null;
+  }
+
+  const offer = await db.createWaitlistOffer({
+    entry_id: entry.id,
+    slot_start: slotStart.toISOString(),
+    location,
+    expires_at: new Date(Date.now() + env.WAITLIST_OFFER_MINUTES * 60 * 1000).toISOString()
+  });
+  if (!offer) {
+    await booking.releaseHold(entry.telegram_user_id);
+    await db.updateWaitlistEntry(entry.id, { status: 'waiting' });
+    return null;
+  }
+
+  try {
+    const patient = entry.patient_id ? await db.getPatientById(entry.patient_id) : null;
+    const message = await telegram.sendMessage(entry.telegram_chat_id, utils.getWaitlistOfferMessage({
+      name: entry.full_name,
+      time: datetime.formatDateTime(slotStart, patient?.timezone),
+      service: booking.SERVICES[entry.service],
+      location: locations.getLocationName(location),
+      minutes: env.WAITLIST_OFFER_MINUTES
+    }), Markup.inlineKeyboard([
+      [Markup.button.callback('✅ Accept', `wl:acc:${offer.id}`)],
+      [Markup.button.callback('❌ No thanks', `wl:dec:${offer.id}`)]
+    ]));
+
+    await db.setWaitlistOfferMessage(offer.id, message.message_id);
+    return offer;
+  } catch (error) {
+    // Patient cannot be reached (e.g. blocked the bot): drop them from the list and move on
+    console.error(`Failed to send waitlist offer ${offer.id}:`, error);
+    await db.resolveWaitlistOffer(offer.id, 'expired');
+    await booking.releaseHold(entry.telegram_user_id);
+    await db.updateWaitlistEntry(entry.id, { status: 'cancelled' });
+    return null;
+  }
+}
+
+// Load an open offer that belongs to the given Telegram user
+async function getOwnOffer(offerId, telegramUserId) {
+  const offer = await db.getWaitlistOffer(offerId);
+  const entry = offer?.waitlist_entries;
+  if (!entry || Number(entry.telegram_user_id) !== Number(telegramUserId)) return null;
+
+  return { offer, entry };
+}
+
+// Patient accepts an offer: book the slot and close the entry
+// Returns { status: 'booked' | 'expired' | 'taken' | 'failed', appointment?, offer? }
+export async function acceptOffer(offerId, telegramUserId, { now = new Date() } = {}) {
+  const own = await getOwnOffer(offerId, telegramUserId);
+  if (!own || own.offer.status !== 'offered' || new Date(own.offer.expires_at) <= now) {
+    return { status: 'expired' };
+  }
+
+  const { offer, entry } = own;
+  const resolved = await db.resolveWaitlistOffer(offer.id, 'accepted');
+  if (!resolved) return { status: 'expired' };
+
+  // Our own hold is not counted, so this only fails if the slot was overbooked meanwhile
+  if (!(await booking.isSlotAvailable(offer.slot_start, offer.location, { telegramUserId }))) {
+    await booking.releaseHold(telegramUserId);
+    await db.updateWaitlistEntry(entry.id, { status: 'waiting' });
+    return { status: 'taken', offer };
+  }
+
+  const scheduledTime = datetime.formatDateTime(offer.slot_start);
+  const appointment = await db.createAppointment({
+    patient_id: entry.patient_id,
+    full_name: entry.full_name,
+    preferred_datetime: scheduledTime,
+    scheduled_datetime: offer.slot_start,
+    service: entry.service,
+    location: offer.location,
+    telegram_user_id: entry.telegram_user_id,
+    telegram_chat_id: entry.telegram_chat_id,
+    raw_request: `Waitlist offer accepted: ${scheduledTime}`
+  });
+
+  await booking.releaseHold(telegramUserId);
+  if (!appointment) {
+    await db.updateWaitlistEntry(entry.id, { status: 'waiting' });
+    return { status: 'failed', offer };
+  }
+
+  await db.updateWaitlistEntry(entry.id, { status: 'booked', appointment_id: appointment.id });
+  return { status: 'booked', appointment, offer };
+}
+
+// Patient turns an offer down: keep them waiting and offer the slot to the next patient
+export async function declineOffer(telegram, offerId, telegramUserId) {
+  const own = await getOwnOffer(offerId, telegramUserId);
+  if (!own) return null;
+
+  const resolved = await db.resolveWaitlistOffer(own.offer.id, 'declined');
+  if (!resolved) return null;
+
+  await booking.releaseHold(telegramUserId);
+  await db.updateWaitlistEntry(own.entry.id, { status: 'waiting' }, { fromStatuses: ['offered'] });
+  await offerFreedSlot(telegram, { scheduled_datetime: resolved.slot_start, location: resolved.location });
+
+  return resolved;
+}
+
+// Expire unanswered offers (moving each slot on) and entries whose windows have passed
+export async function expireOffers(telegram, { now = new Date() } = {}) {
+  const summary = { expired: 0, reoffered: 0, entriesExpired: 0 };
+
+  for (const offer of await db.getExpiredWaitlistOffers(now)) {
+    const resolved = await db.resolveWaitlistOffer(offer.id, 'expired');
+    if (!resolved) continue;
+
+    summary.expired++;
+    const entry = offer.waitlist_entries;
+    if (entry) {
+      await booking.releaseHold(entry.telegram_user_id);
+      await db.updateWaitlistEntry(entry.id, { status: 'waiting' }, { fromStatuses: ['offered'] });
+      await markOfferExpired(telegram, entry, offer);
+    }
+
+    const next = await offerFreedSlot(telegram, { scheduled_datetime: offer.slot_start, location: offer.location }, { now });
+    if (next) summary.reoffered++;
+  }
+
+  summary.entriesExpired = (await db.expireWaitlistEntries(now)).length;
+
+  if (summary.expired > 0 || summary.entriesExpired > 0) {
+    console.log(`🕒 Waitlist: ${summary.expired} offers expired, ${summary.reoffered} re-offered, ${summary.entriesExpired} entries expired`);
+  }
+
+  return summary;
+}
+
+// Replace the offer buttons with an expiry note
+async function markOfferExpired(telegram, entry, offer) {
+  if (!entry.telegram_chat_id || !offer.telegram_message_id) return;
+
+  try {
+    await telegram.editMessageText(entry.telegram_chat_id, offer.telegram_message_id, undefined,
+      utils.getWaitlistOfferExpiredMessage());
+  } catch (error) {
+    console.error(`Failed to update expired waitlist offer ${offer.id}:`, error);
+  }
+}
+
+export default {
+  buildWindows,
+  describeWindow,
+  joinWaitlist,
+  leaveWaitlist,
+  offerFreedSlot,
+  acceptOffer,
+  declineOffer,
+  expireOffers
+};
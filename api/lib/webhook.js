@@ -0,0 +1,73 @@
+import { createHmac } from 'node:crypto';
+import { env } from '../config/env.js';
+import { secureCompare } from './utils.js';
+
+/**
+ * Telegram Webhook Verification
+ * Telegram echoes the secret registered with setWebhook in the
+ * X-Telegram-Bot-Api-Secret-Token header; calls without it are forged.
+ * Optionally the caller's address must also be one of Telegram's.
+ */
+
+// Header Telegram sends the secret in
+export const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+// Address ranges Telegram sends webhooks from (https://core.telegram.org/bots/webhooks)
+export const TELEGRAM_IP_RANGES = ['149.154.160.0/20', '91.108.4.0/22'];
+
+// Telegram accepts 1-256 characters from A-Z, a-z, 0-9, _ and -
+const SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+// Secret registered with setWebhook: TELEGRAM_WEBHOOK_SECRET, or one derived from the bot token
+export function getWebhookSecret() {
+  if (env.TELEGRAM_WEBHOOK_SECRET) return env.TELEGRAM_WEBHOOK_SECRET;
+  if (!env.TELEGRAM_BOT_TOKEN) return '';
+
+  return createHmac('sha256', env.TELEGRAM_BOT_TOKEN).update('telegram-webhook').digest('hex');
+}
+
+// Whether a configured secret is one Telegram will accept
+export function isValidSecret(secret) {
+  return SECRET_PATTERN.test(secret);
+}
+
+function ipv4ToNumber(ip) {
+  const parts = ip.split('.').map(part => parseInt(part, 10));
+  if (parts.length !== 4 || parts.some(part => !(part >= 0 && part <= 255))) return null;
+  return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+// Whether an address is in Telegram's ranges (IPv4, including IPv4-mapped IPv6)
+export function isTelegramAddress(ip = '') {
+  const address = ipv4ToNumber(ip.replace(/^::ffff:/, ''));
+  if (address === null) return false;
+
+  return TELEGRAM_IP_RANGES.some(range => {
+    const [base, bits] = range.split('/');
+    const mask = bits === '0' ? 0 : (~0 << (32 - parseInt(bits, 10))) >>> 0;
+    return ((address & mask) >>> 0) === ((ipv4ToNumber(base) & mask) >>> 0);
+  });
+}
+
+// Check a webhook request; returns { ok: true } or { ok: false, status, reason }
+export function verifyWebhookRequest(req) {
+  if (env.TELEGRAM_WEBHOOK_CHECK_IP && !isTelegramAddress(req.ip)) {
+    return { ok: false, status: 403, reason: 'address outside Telegram ranges' };
+  }
+
+  const secret = getWebhookSecret();
+  const presented = req.get(SECRET_HEADER);
+  if (!presented) return { ok: false, status: 401, reason: 'missing secret token' };
+  if (!secret || !secureCompare(presented, secret)) return { ok: false, status: 401, reason: 'wrong secret token' };
+
+  return { ok: true };
+}
+
+export default {
+  SECRET_HEADER,
+  TELEGRAM_IP_RANGES,
+  getWebhookSecret,
+  isValidSecret,
+  isTelegramAddress,
+  verifyWebhookRequest
+};
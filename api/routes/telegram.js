@@ -1,8 +1,28 @@
-import { Telegraf } from 'telegraf';
+import { Telegraf, Composer, Markup } from 'telegraf';
 import { env } from '../config/env.js';
 import * as utils from '../lib/utils.js';
 import * as llm from '../lib/llm.js';
 import * as db from '../lib/supabase.js';
+import * as datetime from '../lib/datetime.js';
+import * as session from '../lib/session.js';
+import * as booking from '../lib/booking.js';
+import * as locations from '../lib/locations.js';
+import * as clinicians from '../lib/clinicians.js';
+import * as templates from '../lib/templates.js';
+import * as waitlist from '../lib/waitlist.js';
+import * as ical from '../lib/ical.js';
+import * as attendance from '../lib/attendance.js';
+import * as handoff from '../lib/handoff.js';
+import * as inbox from '../lib/inbox.js';
+import * as calendar from '../lib/calendar.js';
+import * as roles from '../lib/roles.js';
+import * as apikeys from '../lib/apikeys.js';
+import * as audit from '../lib/audit.js';
+import * as analytics from '../lib/analytics.js';
+import * as broadcasts from '../lib/broadcasts.js';
+import * as scheduler from '../lib/scheduler.js';
+import * as digest from '../lib/digest.js';
+import * as faq from '../lib/faq.js';
 
 /**
  * Telegram Bot Routes and Logic
@@ -19,9 +39,9 @@ export function createTelegramBot() {
   
   // Error handling wrapper
   const safeHandler = (handler) => {
-    return async (ctx) => {
+    return async (ctx, next) => {
       try {
-        await handler(ctx);
+        await handler(ctx, next);
       } catch (error) {
         console.error('Bot handler error:', error);
         try {
@@ -33,6 +53,15 @@ export function createTelegramBot() {
     };
   };
   
+  // Middleware: Patient-facing wording from message_templates (cached, reloaded every few minutes)
+  bot.use(safeHandler(async (ctx, next) => {
+    await templates.loadTemplates();
+    return next();
+  }));
+  
+  // Staff group: ticket replies and staff commands only, never handled as a patient chat
+  bot.use(Composer.optional(ctx => handoff.isStaffGroupChat(ctx.chat?.id), createStaffGroupHandlers(safeHandler)));
+  
   // Middleware: User identification and consent check
   bot.use(safeHandler(async (ctx, next) => {
     const user = ctx.from;
@@ -66,19 +95,41 @@ export function createTelegramBot() {
         message_text: ctx.message.text || '',
         media_type: getMediaType(ctx.message),
         media_file_id: getMediaFileId(ctx.message),
+        flags: ctx.state.chatFlags || [],
         metadata: {
           username: ctx.from.username,
           first_name: ctx.from.first_name,
-          message_id: ctx.message.message_id
+          message_id: ctx.message.message_id,
+          ...ctx.state.chatMetadata
         }
       };
       
-      await db.logChat(logData);
+      const logged = await db.logChat(logData);
+      await inbox.recordActivity(logged);
     }
     
     return result;
   }));
   
+  // Middleware: While a support ticket is open, patient messages go to staff instead of the bot
+  bot.use(safeHandler(async (ctx, next) => {
+    if (!ctx.message || ctx.chat?.type !== 'private' || ctx.message.text?.startsWith('/')) return next();
+    
+    const ticket = await handoff.getActiveTicket(ctx.from.id);
+    if (!ticket) return next();
+    
+    // Emergency guidance is never held back
+    const urgent = Boolean(ctx.message.text) && llm.containsEmergencyKeywords(ctx.message.text);
+    if (urgent) {
+      flagMessage(ctx, 'emergency');
+      await ctx.reply(llm.getEmergencyResponse(), { parse_mode: 'Markdown' });
+    }
+    
+    if (!(await handoff.relayPatientMessage(ctx.telegram, ticket, ctx.message, { urgent }))) {
+      await ctx.reply(utils.getHandoffRelayFailedMessage());
+    }
+  }));
+  
   /**
    * Commands
    */
@@ -98,9 +149,133 @@ export function createTelegramBot() {
     await ctx.reply(utils.getMainMenu());
   }));
   
+  // Book command - guided booking wizard
+  bot.command('book', safeHandler(async (ctx) => {
+    await startBookingWizard(ctx);
+  }));
+  
+  // My appointments - view, cancel or reschedule
+  bot.command('myappointments', safeHandler(async (ctx) => {
+    const appointments = ctx.patient ? await db.getPatientAppointments(ctx.patient.id, 20) : [];
+    
+    if (appointments.length === 0) {
+      await ctx.reply(utils.getNoAppointmentsMessage());
+      return;
+    }
+    
+    const timezone = datetime.resolveTimezone(ctx.patient?.timezone);
+    const upcoming = appointments
+      .filter(apt => isChangeableAppointment(apt))
+      .sort((a, b) => new Date(a.scheduled_datetime || a.created_at) - new Date(b.scheduled_datetime || b.created_at));
+    const past = appointments.filter(apt => !upcoming.includes(apt)).slice(0, 5);
+    
+    await ctx.reply(utils.getMyAppointmentsMessage(
+      upcoming.length,
+      past.map(apt => `• ${formatAppointmentLine(apt, timezone)}`)
+    ));
+    
+    for (const apt of upcoming) {
+      await ctx.reply(formatAppointmentLine(apt, timezone), Markup.inlineKeyboard([
+        Markup.button.callback('❎ Cancel', `apt:cancel:${apt.id}`),
+        Markup.button.callback('🔄 Reschedule', `apt:resched:${apt.id}`)
+      ]));
+    }
+  }));
+  
+  // Waitlist entries with an option to leave
+  bot.command('waitlist', safeHandler(async (ctx) => {
+    const entries = ctx.patient ? await db.getPatientWaitlistEntries(ctx.patient.id) : [];
+    await ctx.reply(utils.getWaitlistMessage(entries.length));
+    
+    const timezone = datetime.resolveTimezone(ctx.patient?.timezone);
+    for (const entry of entries) {
+      const details = [booking.SERVICES[entry.service], locations.getLocationName(entry.location) || 'Any branch'].filter(Boolean).join(' @ ');
+      const lines = [
+        ...(entry.windows || []).map(window => `🕒 ${waitlist.describeWindow(window, timezone)}`),
+        `${details}${entry.status === 'offered' ? ' (offer waiting for your answer)' : ''}`
+      ];
+      
+      await ctx.reply(lines.join("\n"), entry.status === 'waiting'
+        ? Markup.inlineKeyboard([Markup.button.callback('❎ Leave waitlist', `wl:leave:${entry.id}`)])
+        : {});
+    }
+  }));
+  
+  // Clinician's own schedule: /my_schedule [day], e.g. "/my_schedule tomorrow"
+  bot.command('my_schedule', safeHandler(async (ctx) => {
+    const clinician = await db.getClinicianByTelegramId(ctx.from.id);
+    if (!clinician) {
+      await ctx.reply(utils.getNotClinicianMessage());
+      return;
+    }
+    
+    const dayText = ctx.message.text.trim().split(/\s+/).slice(1).join(' ');
+    const parsed = dayText ? datetime.parseBookingDateTime(dayText, { timezone: env.CLINIC_TIMEZONE }) : null;
+    if (dayText && !parsed) {
+      await ctx.reply('❓ I couldn\'t read that day. Try "/my_schedule tomorrow" or "/my_schedule friday".');
+      return;
+    }
+    
+    const day = datetime.getDayRange(parsed?.date || new Date(), env.CLINIC_TIMEZONE);
+    const appointments = await db.getClinicianAppointments(clinician.id, day.start, day.end);
+    await recordAccess(ctx, 'schedule.view', appointments, { clinician_id: clinician.id, date: day.date });
+    
+    await ctx.reply(utils.getClinicianScheduleMessage(
+      clinician.full_name,
+      datetime.formatDateLabel(day.start),
+      appointments.map(apt => {
+        const details = [booking.SERVICES[apt.service], locations.getLocationName(apt.location)].filter(Boolean).join(' @ ');
+        return `🕐 ${datetime.formatTimeLabel(apt.scheduled_datetime)} - ${apt.full_name}${details ? ` (${details})` : ''} [${apt.status}]`;
+      })
+    ));
+  }));
+  
+  // Clinician's past appointments still needing completed / no-show
+  bot.command('my_attendance', safeHandler(async (ctx) => {
+    const clinician = await db.getClinicianByTelegramId(ctx.from.id);
+    if (!clinician) {
+      await ctx.reply(utils.getNotClinicianMessage());
+      return;
+    }
+    
+    const appointments = await attendance.getAppointmentsAwaitingOutcome({ clinicianId: clinician.id });
+    await recordAccess(ctx, 'attendance.view', appointments, { clinician_id: clinician.id });
+    await showAttendanceCards(ctx, appointments, clinician.full_name);
+  }));
+  
+  // Clinician's calendar subscription link
+  bot.command('my_calendar', safeHandler(async (ctx) => {
+    const clinician = await db.getClinicianByTelegramId(ctx.from.id);
+    if (!clinician) {
+      await ctx.reply(utils.getNotClinicianMessage());
+      return;
+    }
+    
+    const url = ical.getFeedUrl('clinician', clinician.id);
+    await ctx.reply(url ? utils.getCalendarFeedMessage([{ label: clinician.full_name, url }]) : utils.getCalendarFeedUnavailableMessage(), {
+      disable_web_page_preview: true
+    });
+  }));
+  
+  // End the staff chat and return to the bot
+  bot.command('end', safeHandler(async (ctx) => {
+    const ticket = await handoff.getActiveTicket(ctx.from.id);
+    const closed = ticket ? await handoff.closeTicket(ctx.telegram, ticket.id) : null;
+    await ctx.reply(closed ? utils.getHandoffEndedMessage() : utils.getNoHandoffMessage());
+  }));
+  
   // FAQ command
   bot.command('faq', safeHandler(async (ctx) => {
-    await ctx.reply(utils.getFAQMenu());
+    flagMessage(ctx, 'faq');
+    await ctx.reply(utils.getFAQMenu(await locations.getLocations()));
+  }));
+  
+  // Branch addresses, hours, phone numbers and map links
+  bot.command('locations', safeHandler(async (ctx) => {
+    const branches = await locations.getLocations();
+    await ctx.reply(utils.getLocationsMessage(branches.map(locations.formatLocationDetails)), {
+      disable_web_page_preview: true
+    });
   }));
   
   // Who am I command (returns user ID)
@@ -108,6 +283,7 @@ export function createTelegramBot() {
     const userId = ctx.from.id;
     const username = ctx.from.username ? `@${ctx.from.username}` : 'No username';
     const name = `${ctx.from.first_name || ''} ${ctx.from.last_name || ''}`.trim();
+    const role = await roles.getRole(userId);
     
     await ctx.reply([
       "👤 **Your Telegram Information:**",
@@ -115,6 +291,9 @@ export function createTelegramBot() {
       `🆔 User ID: \`${userId}\``,
       `👤 Name: ${name || 'Not provided'}`,
       `📝 Username: ${username}`,
+      ...(role ? [`🔑 Staff role: ${roles.ROLES[role]}`] : []),
+      // In a group this gives the id for STAFF_GROUP_CHAT_ID
+      ...(ctx.chat.type !== 'private' ? [`💬 Chat ID: \`${ctx.chat.id}\``] : []),
       "",
       "*Note: Your User ID can be used by clinic administrators for access control.*"
     ].join("\n"), { parse_mode: 'Markdown' });
@@ -123,12 +302,14 @@ export function createTelegramBot() {
   // Opt-out command (NDPR compliance)
   bot.command('optout', safeHandler(async (ctx) => {
     await db.updatePatientConsent(ctx.from.id, false);
+    await recordConsentChange(ctx, false);
     await ctx.reply(utils.getOptOutMessage());
   }));
   
   // Opt-in command
   bot.command('optin', safeHandler(async (ctx) => {
     await db.updatePatientConsent(ctx.from.id, true);
+    await recordConsentChange(ctx, true);
     await ctx.reply(utils.getOptInMessage());
   }));
   
@@ -136,65 +317,381 @@ export function createTelegramBot() {
    * MD-Only Commands (Admin Access)
    */
   
-  // MD Brief - Daily statistics
+  // MD Brief - statistics for a period in clinic time, compared with the period before
   bot.command('md_brief', safeHandler(async (ctx) => {
-    if (!utils.isAuthorizedMD(ctx.from.id)) {
-      await ctx.reply("❌ Unauthorized. This command is restricted to clinic administrators.");
+    if (!(await requirePermission(ctx, 'analytics.view'))) return;
+    
+    const args = parseBriefArgs(ctx.message.text.trim().split(/\s+/).slice(1));
+    if (!args) {
+      await ctx.reply(utils.getBriefUsageMessage());
       return;
     }
     
+    const branch = await getBranchFilter(ctx, args.branchCode);
+    if (!branch) return;
+    
     try {
-      const briefData = await db.getDailyBrief();
-      const response = [
-        "📊 **Daily Brief** (Today)",
-        "",
-        `💬 Chats: ${briefData.chats}`,
-        `📅 Bookings: ${briefData.bookings}`,
-        `❌ Cancels: ${briefData.cancels}`,
-        `❓ FAQs: ${briefData.faqs}`,
-        "",
-        `🏥 ${env.CLINIC_NAME} - ${new Date().toLocaleDateString()}`
-      ].join("\n");
+      const [brief, noShows] = await Promise.all([
+        analytics.getBrief(args.range, { location: branch.code }),
+        attendance.getNoShowStats({ location: branch.code })
+      ]);
+      await recordAudit(ctx, 'analytics.view', {
+        details: { location: branch.code, from: args.range.startDate, to: args.range.endDate }
+      });
+      if (!brief) throw new Error('Brief statistics unavailable');
       
-      await ctx.reply(response, { parse_mode: 'Markdown' });
+      await ctx.reply(utils.getBriefMessage({
+        label: args.range.label,
+        rangeLabel: args.range.dateLabel,
+        comparedWith: brief.previousRange.label,
+        branchName: branch.name,
+        current: brief.current,
+        previous: brief.previous,
+        noShows,
+        clinicName: env.CLINIC_NAME,
+        generatedAt: datetime.formatDateTime(new Date())
+      }));
     } catch (error) {
       console.error('Error in md_brief:', error);
-      await ctx.reply("❌ Error retrieving daily brief. Please try again.");
+      await ctx.reply("❌ Error retrieving the brief. Please try again.");
     }
   }));
   
-  // MD Follow-ups - Pending appointments
-  bot.command('md_followups', safeHandler(async (ctx) => {
-    if (!utils.isAuthorizedMD(ctx.from.id)) {
-      await ctx.reply("❌ Unauthorized. This command is restricted to clinic administrators.");
+  // MD Digest - subscribe to the morning digest ("/md_digest on|off", status without arguments)
+  bot.command('md_digest', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, digest.DIGEST_PERMISSION))) return;
+    
+    const choice = (ctx.message.text.trim().split(/\s+/)[1] || '').toLowerCase();
+    const time = digest.getDigestTime()?.label || null;
+    
+    if (!choice) {
+      await ctx.reply(utils.getDigestStatusMessage({ subscribed: await digest.isSubscribed(ctx.from.id), time }));
+      return;
+    }
+    
+    if (choice !== 'on' && choice !== 'off') {
+      await ctx.reply("📰 Usage: /md_digest [on|off]");
+      return;
+    }
+    
+    const subscribed = choice === 'on';
+    if (!(await digest.setSubscription(ctx.from.id, subscribed))) {
+      await ctx.reply("❌ Error saving your digest setting. Please try again.");
       return;
     }
     
+    await recordAudit(ctx, subscribed ? 'digest.subscribe' : 'digest.unsubscribe');
+    await ctx.reply(utils.getDigestStatusMessage({ subscribed, time, changed: true }));
+  }));
+  
+  // MD Follow-ups - Pending appointments
+  bot.command('md_followups', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'followups.manage'))) return;
+    
+    const branch = await getBranchFilter(ctx);
+    if (!branch) return;
+    
     try {
-      const followups = await db.getFollowupAppointments(20);
+      const followups = await db.getFollowupAppointments(20, { location: branch.code });
+      await recordAccess(ctx, 'followups.view', followups, { location: branch.code });
       
       if (followups.length === 0) {
         await ctx.reply("✅ No pending follow-ups at this time.");
         return;
       }
       
-      const response = [
-        "📋 **Pending Follow-ups** (Top 20)",
-        "",
-        ...followups.map((apt, index) => 
-          `${index + 1}. **${apt.full_name}** - ${apt.preferred_datetime || 'TBD'} (${apt.status})`
-        ),
-        "",
-        `Total: ${followups.length} appointments`
-      ].join("\n");
+      await ctx.reply(utils.getFollowupsHeader(followups.length, branch.name));
       
-      await ctx.reply(response, { parse_mode: 'Markdown' });
+      // One message per appointment so each can be acted on and updated in place
+      for (const apt of followups) {
+        await ctx.reply(formatFollowupCard(apt), getFollowupKeyboard(apt));
+      }
     } catch (error) {
       console.error('Error in md_followups:', error);
       await ctx.reply("❌ Error retrieving follow-ups. Please try again.");
     }
   }));
   
+  // MD Attendance - mark past appointments completed or no-show
+  bot.command('md_attendance', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'attendance.manage'))) return;
+    
+    const branch = await getBranchFilter(ctx);
+    if (!branch) return;
+    
+    const appointments = await attendance.getAppointmentsAwaitingOutcome({ location: branch.code });
+    await recordAccess(ctx, 'attendance.view', appointments, { location: branch.code });
+    await showAttendanceCards(ctx, appointments, branch.name);
+  }));
+  
+  // MD Calendar - branch feed links for Google/Outlook
+  bot.command('md_calendar', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'calendar.view'))) return;
+    
+    const branch = await getBranchFilter(ctx);
+    if (!branch) return;
+    
+    const branches = branch.code ? [await locations.getLocation(branch.code)] : await locations.getLocations();
+    const feeds = branches
+      .map(item => ({ label: item.name, url: ical.getFeedUrl('location', item.code) }))
+      .filter(feed => feed.url);
+    await recordAudit(ctx, 'calendar.view', { details: { location: branch.code } });
+    
+    await ctx.reply(feeds.length > 0 ? utils.getCalendarFeedMessage(feeds) : utils.getCalendarFeedUnavailableMessage(), {
+      disable_web_page_preview: true
+    });
+  }));
+  
+  // MD Closure - close the clinic for a day or range, or list upcoming closures
+  bot.command('md_closure', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'closures.manage'))) return;
+    
+    const args = ctx.message.text.trim().split(/\s+/).slice(1);
+    if (args.length === 0) {
+      await showClosures(ctx);
+      return;
+    }
+    
+    const closure = await parseClosureArgs(args);
+    if (!closure) {
+      await ctx.reply(utils.getClosureUsageMessage());
+      return;
+    }
+    
+    const saved = await db.createClinicClosure({ ...closure.data, created_by: getActorName(ctx.from) });
+    if (!saved) {
+      await ctx.reply("❌ Could not save the closure. Please try again.");
+      return;
+    }
+    
+    await recordAudit(ctx, 'closure.create', {
+      details: { closure_id: saved.id, location: saved.location, starts_on: saved.starts_on, ends_on: saved.ends_on, reason: saved.reason }
+    });
+    
+    const booked = await db.getAppointmentsScheduledBetween(
+      datetime.zonedTimeToUtc(datetime.parseDateString(saved.starts_on)),
+      datetime.zonedTimeToUtc(datetime.addDays(datetime.parseDateString(saved.ends_on), 1))
+    );
+    
+    await ctx.reply(utils.getClosureAddedMessage({
+      period: formatClosurePeriod(saved),
+      branchName: closure.branchName,
+      reason: saved.reason,
+      bookedCount: booked.filter(apt => !saved.location || !apt.location || apt.location === saved.location).length
+    }));
+  }));
+  
+  // Staff Add - give a Telegram user a staff role (or change it); on its own lists staff
+  bot.command('staff_add', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'staff.manage'))) return;
+    
+    const [idText, roleText, ...nameParts] = ctx.message.text.trim().split(/\s+/).slice(1);
+    const telegramUserId = parseInt(idText, 10);
+    const role = roleText?.toLowerCase();
+    
+    if (!telegramUserId || !/^\d+$/.test(idText) || !roles.ROLES[role]) {
+      await showStaff(ctx);
+      return;
+    }
+    
+    if (roles.isOwner(telegramUserId)) {
+      await ctx.reply("ℹ️ That is the Medical Director set in MD_TELEGRAM_USER_ID, whose role can't be changed here.");
+      return;
+    }
+    
+    // Changing a role without a name keeps the name already on file
+    const fullName = nameParts.join(' ').slice(0, 100);
+    const member = await db.upsertStaffMember({
+      telegram_user_id: telegramUserId,
+      ...(fullName ? { full_name: fullName } : {}),
+      role,
+      added_by: getActorName(ctx.from)
+    });
+    if (!member) {
+      await ctx.reply("❌ Could not save the staff member. Please try again.");
+      return;
+    }
+    await recordAudit(ctx, 'staff.add', { details: { telegram_user_id: telegramUserId, role, full_name: member.full_name } });
+    
+    const commands = roles.getRoleCommands(role);
+    await ctx.reply(utils.getStaffAddedMessage(member.full_name || `User ${telegramUserId}`, roles.ROLES[role], commands));
+    
+    try {
+      await ctx.telegram.sendMessage(telegramUserId, utils.getStaffWelcomeMessage(roles.ROLES[role], commands));
+    } catch (error) {
+      // They may not have started the bot yet; the role works once they do
+      console.error(`Failed to welcome staff member ${telegramUserId}:`, error.message);
+    }
+  }));
+  
+  // Staff Remove - take away a staff member's role
+  bot.command('staff_remove', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'staff.manage'))) return;
+    
+    const idText = ctx.message.text.trim().split(/\s+/)[1] || '';
+    if (!/^\d+$/.test(idText)) {
+      await showStaff(ctx);
+      return;
+    }
+    
+    if (roles.isOwner(idText)) {
+      await ctx.reply("ℹ️ The Medical Director set in MD_TELEGRAM_USER_ID can't be removed here.");
+      return;
+    }
+    
+    const removed = await db.removeStaffMember(parseInt(idText, 10), getActorName(ctx.from));
+    if (removed) {
+      await recordAudit(ctx, 'staff.remove', { details: { telegram_user_id: parseInt(idText, 10), role: removed.role } });
+    }
+    await ctx.reply(removed
+      ? utils.getStaffRemovedMessage(removed.full_name || `User ${idText}`)
+      : `ℹ️ User ${idText} is not on the staff list.`);
+  }));
+  
+  // MD API keys - create, list and revoke keys for the admin HTTP endpoints
+  bot.command('md_apikey', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'apikeys.manage'))) return;
+    
+    const [action, ...args] = ctx.message.text.trim().split(/\s+/).slice(1);
+    
+    if (action?.toLowerCase() === 'create') {
+      await createApiKey(ctx, args);
+      return;
+    }
+    
+    if (action?.toLowerCase() === 'revoke' && args[0]) {
+      const revoked = await apikeys.revokeKey(args[0].replace(/…$/, ''), getActorName(ctx.from));
+      if (revoked) {
+        await recordAudit(ctx, 'apikey.revoke', { details: { key_prefix: revoked.key_prefix, name: revoked.name } });
+      }
+      await ctx.reply(revoked
+        ? utils.getApiKeyRevokedMessage(revoked.key_prefix, revoked.name)
+        : `ℹ️ No active API key starts with ${args[0]}.`);
+      return;
+    }
+    
+    await showApiKeys(ctx);
+  }));
+  
+  // MD Audit - who used admin commands or viewed/changed patient data, by period or patient
+  bot.command('md_audit', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'audit.view'))) return;
+    
+    const filter = await parseAuditArgs(ctx.message.text.trim().split(/\s+/).slice(1));
+    if (!filter) {
+      await ctx.reply(utils.getAuditUsageMessage());
+      return;
+    }
+    
+    const entries = await audit.query({ ...filter.query, limit: AUDIT_MESSAGE_LIMIT + 1 });
+    await recordAudit(ctx, 'audit.view', {
+      patientId: filter.query.patientId || null,
+      details: { start: filter.query.start || null, end: filter.query.end || null }
+    });
+    
+    await ctx.reply(utils.getAuditLogMessage(
+      filter.label,
+      entries.slice(0, AUDIT_MESSAGE_LIMIT).map(formatAuditEntry),
+      { more: entries.length > AUDIT_MESSAGE_LIMIT }
+    ));
+  }));
+  
+  // MD Broadcast - draft an announcement, preview it and choose who receives it
+  bot.command('md_broadcast', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'broadcasts.send'))) return;
+    
+    await session.setSession(ctx.from.id, 'md_broadcast', { step: 'message' });
+    await ctx.reply(utils.getBroadcastPromptMessage());
+  }));
+  
+  // FAQ List - knowledge-base entries, including disabled ones
+  bot.command('faq_list', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'faq.manage'))) return;
+    
+    const category = ctx.message.text.trim().split(/\s+/)[1]?.toLowerCase() || null;
+    const entries = await faq.listEntries({ category });
+    await recordAudit(ctx, 'faq.list', { details: { category, count: entries.length } });
+    
+    await ctx.reply(utils.getFAQListMessage(entries.slice(0, FAQ_LIST_LIMIT).map(formatFaqListEntry), {
+      category,
+      more: entries.length > FAQ_LIST_LIMIT
+    }));
+  }));
+  
+  // FAQ Add - "/faq_add <question> | <answer> | [keywords] | [category] | [priority]", previewed before saving
+  bot.command('faq_add', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'faq.manage'))) return;
+    
+    const input = getCommandText(ctx);
+    if (!input) {
+      await ctx.reply(utils.getFAQUsageMessage());
+      return;
+    }
+    
+    const [question, answer, keywords, category, priority] = input.split('|').map(part => part.trim());
+    const { values, errors } = faq.validateEntry({
+      question,
+      answer,
+      keywords,
+      category: category || undefined,
+      priority: priority || undefined
+    });
+    if (errors.length > 0) {
+      await ctx.reply(utils.getFAQUsageMessage(errors));
+      return;
+    }
+    
+    await showFaqDraft(ctx, { values });
+  }));
+  
+  // FAQ Edit - "/faq_edit <ref> <field> <value>", previewed before saving; "/faq_edit <ref>" shows the entry
+  bot.command('faq_edit', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'faq.manage'))) return;
+    
+    const [, ref = '', field = '', value = ''] = getCommandText(ctx).match(/^(\S*)\s*(\S*)\s*([\s\S]*)$/);
+    const entry = ref ? await faq.findEntry(ref) : null;
+    if (!entry) {
+      await ctx.reply(ref ? utils.getFAQNotFoundMessage(ref) : utils.getFAQUsageMessage());
+      return;
+    }
+    
+    if (!field) {
+      await recordAudit(ctx, 'faq.view', { details: { faq_id: entry.id } });
+      await ctx.reply(utils.getFAQAnswerMessage(entry.question, entry.answer));
+      await ctx.reply(utils.getFAQEntryMessage({
+        ...formatFaqListEntry(entry),
+        keywords: entry.keywords || [],
+        lastUsed: entry.last_used ? datetime.formatDateTime(entry.last_used) : ''
+      }));
+      return;
+    }
+    
+    const fieldName = field.toLowerCase();
+    const { values, errors } = faq.FIELDS.includes(fieldName)
+      ? faq.validateEntry({ [fieldName]: value }, { partial: true })
+      : { values: {}, errors: [`unknown field "${field}"`] };
+    if (errors.length > 0) {
+      await ctx.reply(utils.getFAQUsageMessage(errors));
+      return;
+    }
+    
+    // Successive edits of the same entry build up one draft
+    const active = await session.getSession(ctx.from.id);
+    const previous = active?.flow === 'faq_draft' && active.data.id === entry.id ? active.data.changes : {};
+    await showFaqDraft(ctx, { id: entry.id, entry, changes: { ...previous, ...values } });
+  }));
+  
+  // FAQ Disable / Enable - stop or resume answering patients with an entry
+  bot.command('faq_disable', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'faq.manage'))) return;
+    await setFaqActive(ctx, getCommandText(ctx), false);
+  }));
+  
+  bot.command('faq_enable', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'faq.manage'))) return;
+    await setFaqActive(ctx, getCommandText(ctx), true);
+  }));
+  
   /**
    * Text Message Handling
    */
@@ -204,12 +701,39 @@ export function createTelegramBot() {
     
     if (!text) return;
     
+    const activeSession = await session.getSession(ctx.from.id);
+    
+    // MD typing a time or note for a follow-up (before emergency checks, notes may mention symptoms)
+    if (activeSession?.flow === 'md_followup' && await roles.hasPermission(ctx.from.id, 'followups.manage')) {
+      await handleFollowupInput(ctx, text, activeSession.data);
+      return;
+    }
+    
+    // MD drafting a broadcast (before emergency checks, announcements may mention symptoms)
+    if (activeSession?.flow === 'md_broadcast' && await roles.hasPermission(ctx.from.id, 'broadcasts.send')) {
+      await handleBroadcastDraft(ctx, { text: ctx.message.text.trim() });
+      return;
+    }
+    
     // Check for emergency keywords first
     if (llm.containsEmergencyKeywords(text)) {
+      flagMessage(ctx, 'emergency');
       await ctx.reply(llm.getEmergencyResponse(), { parse_mode: 'Markdown' });
       return;
     }
     
+    // Booking wizard waiting for the patient's name
+    if (activeSession?.flow === 'booking_wizard' && activeSession.data.step === 'name') {
+      await handleBookingWizardName(ctx, text, activeSession.data);
+      return;
+    }
+    
+    // Reschedule waiting for the new preferred time
+    if (activeSession?.flow === 'reschedule_time') {
+      await handleRescheduleTime(ctx, text, activeSession.data);
+      return;
+    }
+    
     // Owner recognition
     const ownerRegex = new RegExp(env.OWNER_NAME, "i");
     if (ownerRegex.test(text)) {
@@ -221,45 +745,54 @@ export function createTelegramBot() {
     const lowerText = text.toLowerCase();
     
     if (["1", "book", "booking", "appointment"].includes(lowerText)) {
-      await ctx.reply(utils.getBookingInstructions());
+      await startBookingWizard(ctx);
       return;
     }
     
     if (["2", "faq", "faqs", "info", "information"].includes(lowerText)) {
-      await ctx.reply(utils.getFAQMenu());
+      flagMessage(ctx, 'faq');
+      await ctx.reply(utils.getFAQMenu(await locations.getLocations()));
       return;
     }
     
     if (["3", "staff", "agent", "human", "person"].includes(lowerText)) {
-      await ctx.reply(utils.getStaffConnectionMessage());
+      const timezone = datetime.resolveTimezone(ctx.patient?.timezone);
+      const opened = await handoff.openTicket(ctx.telegram, { patient: ctx.patient, from: ctx.from, chatId: ctx.chat.id });
+      if (!opened) {
+        const clinic = await calendar.getClinicStatus();
+        await ctx.reply(utils.getStaffUnavailableMessage(
+          clinic.nextOpening ? datetime.formatDateTime(clinic.nextOpening, timezone) : ''
+        ));
+        return;
+      }
+      
+      const queuedUntil = opened.ticket.status === 'queued' && opened.ticket.queued_until
+        ? datetime.formatDateTime(opened.ticket.queued_until, timezone)
+        : '';
+      if (opened.created) {
+        const closedFor = ['holiday', 'closure'].includes(opened.clinic?.reason) ? opened.clinic.name : '';
+        await ctx.reply(utils.getStaffConnectionMessage({ queuedUntil, closedFor }));
+      } else {
+        await ctx.reply(utils.getHandoffAlreadyOpenMessage(opened.ticket.claimed_by_name, queuedUntil));
+      }
       return;
     }
     
-    // Booking detection and processing
+    // Free-text booking: "Full Name, Friday 3pm"
     if (utils.looksLikeBooking(text)) {
-      const validation = utils.validateBookingFormat(text);
-      
-      if (validation.valid) {
-        // Create appointment record
-        if (ctx.patient) {
-          await db.createAppointment({
-            patient_id: ctx.patient.id,
-            full_name: validation.name,
-            preferred_datetime: validation.timeSlot,
-            telegram_user_id: ctx.from.id,
-            telegram_chat_id: ctx.chat.id,
-            raw_request: text
-          });
-        }
-        
-        await ctx.reply(utils.getBookingReply(text));
-        return;
-      } else {
-        await ctx.reply(utils.getInvalidBookingMessage());
-        return;
-      }
+      await requestBookingConfirmation(ctx, utils.validateBookingFormat(text), text);
+      return;
+    }
+    
+    // Mentions booking without a usable name and time
+    if (utils.mentionsBooking(text)) {
+      await ctx.reply(utils.getBookingInstructions());
+      return;
     }
     
+    // Questions the knowledge base can answer
+    if (await handleFaqQuestion(ctx, text)) return;
+    
     // Health-related keywords
     if (utils.hasHealthKeywords(text)) {
       await ctx.reply(utils.getHealthResponse());
@@ -268,10 +801,15 @@ export function createTelegramBot() {
     
     // Use Gemini for general responses
     try {
-      const aiResponse = await llm.llmTextReply(text);
+      const aiResponse = await llm.llmTextReply(text, {
+        staffCanSee: Boolean(ctx.consentOptIn && ctx.patient),
+        onFallback: () => flagMessage(ctx, 'llm_fallback'),
+        onSources: (ids) => addChatMetadata(ctx, { knowledge_ids: ids })
+      });
       await ctx.reply(aiResponse);
     } catch (error) {
       console.error('Error getting AI response:', error);
+      flagMessage(ctx, 'llm_fallback');
       await ctx.reply([
         "Thank you for your message. Our team will review it and respond appropriately.",
         "",
@@ -284,46 +822,779 @@ export function createTelegramBot() {
   }));
   
   /**
-   * Media Handling
+   * FAQ Buttons
    */
   
-  // Photo handling
-  bot.on('photo', safeHandler(async (ctx) => {
-    await handleMedia(ctx, 'photo', async (fileBuffer, contentType) => {
-      const base64 = fileBuffer.toString('base64');
-      return await llm.analyzeImage(base64, contentType);
-    });
+  // Patient picked one of the suggested FAQs
+  bot.action(/^faq:([\w-]+)$/, safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    
+    const entry = await faq.getEntry(ctx.match[1]);
+    if (!entry) {
+      await ctx.reply(utils.getFAQUnavailableMessage());
+      return;
+    }
+    
+    await sendFaqAnswer(ctx, entry);
   }));
   
-  // Voice message handling
-  bot.on('voice', safeHandler(async (ctx) => {
-    await handleMedia(ctx, 'voice', async (fileBuffer, contentType) => {
-      const base64 = fileBuffer.toString('base64');
-      return await llm.transcribeAudio(base64, contentType);
-    });
+  /**
+   * Booking Confirmation Buttons
+   */
+  
+  // Patient confirms the interpreted booking time
+  bot.action('booking:confirm', safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    
+    const pending = await session.getSession(ctx.from.id);
+    if (!pending || pending.flow !== 'booking_confirm') {
+      await ctx.reply(utils.getBookingExpiredMessage());
+      return;
+    }
+    
+    await session.clearSession(ctx.from.id);
+    const booking = pending.data;
+    
+    // Create appointment record
+    if (ctx.patient) {
+      const appointment = await db.createAppointment({
+        patient_id: ctx.patient.id,
+        full_name: booking.full_name,
+        preferred_datetime: booking.preferred_datetime,
+        scheduled_datetime: booking.scheduled_datetime,
+        telegram_user_id: ctx.from.id,
+        telegram_chat_id: ctx.chat.id,
+        raw_request: booking.raw_request
+      });
+      await clinicians.autoAssign(ctx.telegram, appointment);
+    }
+    
+    const timezone = datetime.resolveTimezone(ctx.patient?.timezone);
+    await ctx.editMessageReplyMarkup(undefined);
+    await ctx.reply(utils.getBookingReply(
+      booking.raw_request,
+      datetime.formatDateTime(booking.scheduled_datetime, timezone)
+    ));
   }));
   
-  // Video note handling
-  bot.on('video_note', safeHandler(async (ctx) => {
-    await handleMedia(ctx, 'video_note', async (fileBuffer, contentType) => {
-      const base64 = fileBuffer.toString('base64');
-      return await llm.summarizeVideo(base64, contentType);
-    });
+  // Patient wants a different time
+  bot.action('booking:change', safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    await session.clearSession(ctx.from.id);
+    await ctx.editMessageReplyMarkup(undefined);
+    await ctx.reply(utils.getBookingChangeTimeMessage());
   }));
   
-  // Video handling
-  bot.on('video', safeHandler(async (ctx) => {
-    await handleMedia(ctx, 'video', async (fileBuffer, contentType) => {
-      const base64 = fileBuffer.toString('base64');
-      return await llm.summarizeVideo(base64, contentType);
-    });
+  /**
+   * Booking Wizard Buttons
+   */
+  
+  // Book again from a follow-up message
+  bot.action('bk:start', safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    await ctx.editMessageReplyMarkup(undefined);
+    await startBookingWizard(ctx);
   }));
   
-  // Document handling
+  // Service chosen
+  bot.action(/^bk:svc:(\w+)$/, safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const wizard = await getBookingWizard(ctx);
+    const service = ctx.match[1];
+    if (!wizard || !booking.SERVICES[service]) return;
+    
+    const branches = await locations.getLocationsForService(service);
+    await session.setSession(ctx.from.id, 'booking_wizard', { ...wizard, step: 'location', service });
+    await ctx.editMessageText(
+      utils.getBookingLocationPrompt(booking.SERVICES[service], branches.map(locations.formatLocationDetails)),
+      {
+        ...Markup.inlineKeyboard([
+          ...branches.map(branch => [Markup.button.callback(branch.name, `bk:loc:${branch.code}`)]),
+          [Markup.button.callback('❌ Cancel', 'bk:cancel')]
+        ]),
+        disable_web_page_preview: true
+      }
+    );
+  }));
+  
+  // Branch chosen
+  bot.action(/^bk:loc:(\w+)$/, safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const wizard = await getBookingWizard(ctx);
+    const location = ctx.match[1];
+    const branch = await locations.getLocation(location);
+    if (!wizard || !wizard.service || !branch) return;
+    if (branch.services && !branch.services.includes(wizard.service)) return;
+    
+    const data = { ...wizard, step: 'date', location };
+    await session.setSession(ctx.from.id, 'booking_wizard', data);
+    await showBookingDates(ctx, data);
+  }));
+  
+  // Date chosen
+  bot.action(/^bk:day:(\d{4}-\d{2}-\d{2})$/, safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const wizard = await getBookingWizard(ctx);
+    if (!wizard || !wizard.location) return;
+    
+    const data = { ...wizard, step: 'time', date: ctx.match[1] };
+    await session.setSession(ctx.from.id, 'booking_wizard', data);
+    await showBookingTimes(ctx, data);
+  }));
+  
+  // Back from times to dates
+  bot.action('bk:back', safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const wizard = await getBookingWizard(ctx);
+    if (!wizard || !wizard.location) return;
+    
+    const data = { ...wizard, step: 'date' };
+    await session.setSession(ctx.from.id, 'booking_wizard', data);
+    await showBookingDates(ctx, data);
+  }));
+  
+  // Time slot chosen: hold it while the patient finishes
+  bot.action(/^bk:slot:(.+)$/, safeHandler(async (ctx) => {
+    const wizard = await getBookingWizard(ctx, { answered: false });
+    if (!wizard || !wizard.date) return;
+    
+    const slotStart = ctx.match[1];
+    const isOfferedSlot = booking.getSlotsForDate(wizard.date).some(slot => slot.toISOString() === slotStart);
+    if (!isOfferedSlot) {
+      await ctx.answerCbQuery();
+      return;
+    }
+    
+    const held = await booking.holdSlot(ctx.from.id, wizard.location, slotStart);
+    if (!held) {
+      await ctx.answerCbQuery(utils.getBookingSlotTakenMessage(), { show_alert: true });
+      await showBookingTimes(ctx, wizard);
+      return;
+    }
+    
+    await ctx.answerCbQuery();
+    await session.setSession(ctx.from.id, 'booking_wizard', { ...wizard, step: 'name', slot_start: slotStart }, env.BOOKING_HOLD_MINUTES);
+    
+    const profileName = `${ctx.from.first_name || ''} ${ctx.from.last_name || ''}`.trim();
+    await ctx.editMessageText(
+      utils.getBookingNamePrompt(env.BOOKING_HOLD_MINUTES),
+      Markup.inlineKeyboard([
+        ...(profileName ? [[Markup.button.callback(`👤 Use "${profileName.substring(0, 40)}"`, 'bk:name:profile')]] : []),
+        [Markup.button.callback('❌ Cancel', 'bk:cancel')]
+      ])
+    );
+  }));
+  
+  // Use Telegram profile name
+  bot.action('bk:name:profile', safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const wizard = await getBookingWizard(ctx);
+    if (!wizard || wizard.step !== 'name') return;
+    
+    const fullName = `${ctx.from.first_name || ''} ${ctx.from.last_name || ''}`.trim();
+    const data = { ...wizard, step: 'confirm', full_name: fullName };
+    await session.setSession(ctx.from.id, 'booking_wizard', data, env.BOOKING_HOLD_MINUTES);
+    await showBookingSummary(ctx, data, { edit: true });
+  }));
+  
+  // Final confirmation: create the appointment
+  bot.action('bk:confirm', safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const wizard = await getBookingWizard(ctx);
+    if (!wizard || wizard.step !== 'confirm') return;
+    
+    // Slot must still have room (our own hold is not counted)
+    const stillFree = await booking.isSlotAvailable(wizard.slot_start, wizard.location, { telegramUserId: ctx.from.id });
+    if (!stillFree) {
+      const data = { ...wizard, step: 'time' };
+      await session.setSession(ctx.from.id, 'booking_wizard', data);
+      await ctx.reply(utils.getBookingSlotTakenMessage());
+      await showBookingTimes(ctx, data);
+      return;
+    }
+    
+    const scheduledTime = datetime.formatDateTime(wizard.slot_start);
+    const serviceLabel = booking.SERVICES[wizard.service];
+    const locationLabel = locations.getLocationName(wizard.location);
+    
+    if (ctx.patient) {
+      const appointment = await db.createAppointment({
+        patient_id: ctx.patient.id,
+        full_name: wizard.full_name,
+        preferred_datetime: scheduledTime,
+        scheduled_datetime: wizard.slot_start,
+        service: wizard.service,
+        location: wizard.location,
+        telegram_user_id: ctx.from.id,
+        telegram_chat_id: ctx.chat.id,
+        raw_request: `Booking wizard: ${serviceLabel} at ${locationLabel}, ${scheduledTime}`
+      });
+      await clinicians.autoAssign(ctx.telegram, appointment);
+    }
+    
+    await booking.releaseHold(ctx.from.id);
+    await session.clearSession(ctx.from.id);
+    await ctx.editMessageReplyMarkup(undefined);
+    await ctx.reply(utils.getBookingReply(`${wizard.full_name} – ${serviceLabel} at ${locationLabel}`, scheduledTime));
+  }));
+  
+  // Cancel the wizard and release any held slot
+  bot.action('bk:cancel', safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    await booking.releaseHold(ctx.from.id);
+    await session.clearSession(ctx.from.id);
+    await ctx.editMessageText(utils.getBookingCancelledMessage());
+  }));
+  
+  /**
+   * Patient Appointment Buttons
+   */
+  
+  // Cancel or reschedule pressed: ask for the reason
+  bot.action(/^apt:(cancel|resched):([\w-]+)$/, safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const appointment = await getOwnAppointment(ctx, ctx.match[2]);
+    if (!appointment) return;
+    
+    const action = ctx.match[1];
+    const prefix = action === 'cancel' ? 'apt:cr' : 'apt:rr';
+    const timezone = datetime.resolveTimezone(ctx.patient?.timezone);
+    
+    await ctx.editMessageText(
+      utils.getChangeReasonPrompt(action, formatAppointmentLine(appointment, timezone)),
+      Markup.inlineKeyboard(Object.entries(booking.CHANGE_REASONS).map(([code, label]) =>
+        [Markup.button.callback(label, `${prefix}:${appointment.id}:${code}`)]
+      ))
+    );
+  }));
+  
+  // Cancellation reason chosen
+  bot.action(/^apt:cr:([\w-]+):(\w+)$/, safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const appointment = await getOwnAppointment(ctx, ctx.match[1]);
+    const reason = booking.CHANGE_REASONS[ctx.match[2]];
+    if (!appointment || !reason) return;
+    
+    const updated = await db.updateAppointmentStatus(appointment.id, 'cancelled', { status_reason: reason });
+    if (!updated) {
+      await ctx.reply(utils.getErrorMessage());
+      return;
+    }
+    
+    const timezone = datetime.resolveTimezone(ctx.patient?.timezone);
+    const appointmentLine = formatAppointmentLine(updated, timezone);
+    await ctx.editMessageText(utils.getAppointmentCancelledMessage(appointmentLine));
+    
+    await notifyAdmins(ctx.telegram, utils.getAppointmentChangeNotice({
+      action: 'cancelled',
+      name: updated.full_name,
+      appointmentLine: formatAppointmentLine(updated),
+      reason
+    }));
+    
+    if (updated.confirmation_sent) {
+      await sendCalendarFile(ctx.telegram, updated);
+    }
+    await waitlist.offerFreedSlot(ctx.telegram, appointment);
+  }));
+  
+  // Reschedule reason chosen: ask for the new time
+  bot.action(/^apt:rr:([\w-]+):(\w+)$/, safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const appointment = await getOwnAppointment(ctx, ctx.match[1]);
+    const reason = booking.CHANGE_REASONS[ctx.match[2]];
+    if (!appointment || !reason) return;
+    
+    await session.setSession(ctx.from.id, 'reschedule_time', { appointment_id: appointment.id, reason });
+    await ctx.editMessageText(utils.getRescheduleTimePrompt(), Markup.inlineKeyboard([
+      Markup.button.callback('⏭ Skip', `apt:rskip:${appointment.id}`)
+    ]));
+  }));
+  
+  // Reschedule without giving a new time
+  bot.action(/^apt:rskip:([\w-]+)$/, safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const pending = await session.getSession(ctx.from.id);
+    if (pending?.flow !== 'reschedule_time' || pending.data.appointment_id !== ctx.match[1]) {
+      await ctx.editMessageText(utils.getAppointmentUnavailableMessage());
+      return;
+    }
+    
+    await ctx.editMessageReplyMarkup(undefined);
+    await finishReschedule(ctx, pending.data, null);
+  }));
+  
+  // Patient confirmed attendance from a reminder
+  bot.action(/^rem:attend:([\w-]+)$/, safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const appointment = await getOwnAppointment(ctx, ctx.match[1]);
+    if (!appointment) return;
+    
+    await db.updateAppointment(appointment.id, { attendance_confirmed_at: new Date().toISOString() });
+    
+    const timezone = datetime.resolveTimezone(ctx.patient?.timezone);
+    await ctx.editMessageReplyMarkup(undefined);
+    await ctx.reply(utils.getAttendanceConfirmedMessage(formatAppointmentLine(appointment, timezone)));
+  }));
+  
+  /**
+   * MD Follow-up Buttons
+   */
+  
+  // Confirm at the requested time, or ask for a time when none was parsed
+  bot.action(/^md:ok:([\w-]+)$/, safeHandler(async (ctx) => {
+    const appointment = await getFollowupAppointment(ctx, ctx.match[1]);
+    if (!appointment) return;
+    
+    if (!appointment.scheduled_datetime || new Date(appointment.scheduled_datetime) <= new Date()) {
+      await askFollowupInput(ctx, appointment, 'confirm');
+      return;
+    }
+    
+    await confirmFollowup(ctx, appointment, new Date(appointment.scheduled_datetime));
+  }));
+  
+  // Propose another time
+  bot.action(/^md:prop:([\w-]+)$/, safeHandler(async (ctx) => {
+    const appointment = await getFollowupAppointment(ctx, ctx.match[1]);
+    if (!appointment) return;
+    
+    await askFollowupInput(ctx, appointment, 'propose');
+  }));
+  
+  // Add a staff note
+  bot.action(/^md:note:([\w-]+)$/, safeHandler(async (ctx) => {
+    const appointment = await getFollowupAppointment(ctx, ctx.match[1]);
+    if (!appointment) return;
+    
+    await askFollowupInput(ctx, appointment, 'note');
+  }));
+  
+  // Decline the request
+  bot.action(/^md:no:([\w-]+)$/, safeHandler(async (ctx) => {
+    const appointment = await getFollowupAppointment(ctx, ctx.match[1]);
+    if (!appointment) return;
+    
+    const updated = await db.updateAppointmentStatus(appointment.id, 'cancelled', {
+      status_reason: 'Declined by clinic',
+      staff_notes: appendStaffNote(appointment, `Declined by ${getActorName(ctx.from)}`)
+    });
+    if (!updated) {
+      await ctx.reply(utils.getErrorMessage());
+      return;
+    }
+    await recordAudit(ctx, 'followup.decline', { patientId: updated.patient_id, appointmentId: updated.id });
+    
+    const notified = await notifyPatient(ctx.telegram, updated, (timezone) =>
+      utils.getAppointmentDeclinedMessage(formatAppointmentLine(updated, timezone))
+    );
+    
+    await updateFollowupCard(ctx.telegram, ctx.chat.id, ctx.callbackQuery.message.message_id, updated,
+      utils.getFollowupActionLine('declined', getActorName(ctx.from), { notified }));
+    
+    if (notified && updated.confirmation_sent) {
+      await sendCalendarFile(ctx.telegram, updated);
+    }
+    await waitlist.offerFreedSlot(ctx.telegram, appointment);
+  }));
+  
+  // Show clinicians that can be assigned, on the follow-up card itself
+  bot.action(/^md:asg:([\w-]+)$/, safeHandler(async (ctx) => {
+    const appointment = await getFollowupAppointment(ctx, ctx.match[1]);
+    if (!appointment) return;
+    
+    const eligible = await clinicians.getEligibleClinicians(appointment);
+    const others = (await db.getClinicians()).filter(clinician => !eligible.some(item => item.id === clinician.id));
+    if (eligible.length === 0 && others.length === 0) {
+      await ctx.reply(utils.getNoCliniciansMessage());
+      return;
+    }
+    
+    const assignButton = (clinician, label) =>
+      [Markup.button.callback(label, `md:as:${appointment.id}:${clinician.id.slice(0, 8)}`)];
+    
+    await ctx.editMessageText(
+      `${formatFollowupCard(appointment)}\n\n${utils.getAssignClinicianPrompt(eligible.length > 0)}`,
+      Markup.inlineKeyboard([
+        ...eligible.map(clinician => assignButton(clinician, `✅ ${clinician.full_name} (${clinician.load} that day)`)),
+        ...others.map(clinician => assignButton(clinician, clinician.full_name)),
+        [Markup.button.callback('⬅️ Back', `md:card:${appointment.id}`)]
+      ])
+    );
+  }));
+  
+  // Clinician chosen for a follow-up
+  bot.action(/^md:as:([\w-]+):([0-9a-f]{8})$/, safeHandler(async (ctx) => {
+    const appointment = await getFollowupAppointment(ctx, ctx.match[1]);
+    if (!appointment) return;
+    
+    const clinician = (await db.getClinicians()).find(item => item.id.startsWith(ctx.match[2]));
+    if (!clinician) {
+      await ctx.reply(utils.getErrorMessage());
+      return;
+    }
+    
+    const actor = getActorName(ctx.from);
+    const { appointment: updated, notified } = await clinicians.assignClinician(ctx.telegram, appointment, clinician, {
+      assignedBy: actor,
+      updates: { staff_notes: appendStaffNote(appointment, `Assigned to ${clinician.full_name} by ${actor}`) }
+    });
+    if (!updated) {
+      await ctx.reply(utils.getErrorMessage());
+      return;
+    }
+    await recordAudit(ctx, 'followup.assign', {
+      patientId: updated.patient_id,
+      appointmentId: updated.id,
+      details: { clinician_id: clinician.id, clinician_name: clinician.full_name }
+    });
+    
+    await updateFollowupCard(ctx.telegram, ctx.chat.id, ctx.callbackQuery.message.message_id, updated,
+      utils.getFollowupActionLine('assigned', actor, { detail: clinician.full_name, notified }), { keepButtons: true });
+  }));
+  
+  // Back from the clinician list to the follow-up card
+  bot.action(/^md:card:([\w-]+)$/, safeHandler(async (ctx) => {
+    const appointment = await getFollowupAppointment(ctx, ctx.match[1]);
+    if (!appointment) return;
+    
+    await updateFollowupCard(ctx.telegram, ctx.chat.id, ctx.callbackQuery.message.message_id, appointment, null, { keepButtons: true });
+  }));
+  
+  // Patient accepts a time proposed by the clinic
+  bot.action(/^apt:accept:([\w-]+)$/, safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const appointment = await getOwnAppointment(ctx, ctx.match[1]);
+    if (!appointment || !appointment.scheduled_datetime) return;
+    
+    const updated = await db.updateAppointmentStatus(appointment.id, 'confirmed', {
+      status_reason: null,
+      staff_notes: appendStaffNote(appointment, 'Proposed time accepted by patient')
+    });
+    if (!updated) {
+      await ctx.reply(utils.getErrorMessage());
+      return;
+    }
+    
+    await ctx.editMessageReplyMarkup(undefined);
+    await clinicians.autoAssign(ctx.telegram, updated);
+    await sendAppointmentConfirmation(ctx.telegram, updated);
+    
+    await notifyAdmins(ctx.telegram, utils.getProposalAcceptedNotice(updated.full_name, formatAppointmentLine(updated)));
+  }));
+  
+  /**
+   * Attendance Buttons
+   */
+  
+  // Staff marks a past appointment completed or no-show
+  bot.action(/^att:(done|ns):([\w-]+)$/, safeHandler(async (ctx) => {
+    const appointment = await getOutcomeAppointment(ctx, ctx.match[2]);
+    if (!appointment) return;
+    
+    await recordOutcome(ctx, appointment, ctx.match[1] === 'done' ? 'completed' : 'no_show');
+  }));
+  
+  /**
+   * Broadcast Buttons
+   */
+  
+  // MD picks who receives the drafted broadcast
+  bot.action(/^bc:aud:(all|upcoming|branch:\w+)$/, safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'broadcasts.send'))) return;
+    
+    const draft = await getBroadcastDraft(ctx);
+    if (!draft) return;
+    
+    const [audience, location = null] = ctx.match[1].split(':');
+    const label = broadcasts.getAudienceLabel(audience, location);
+    const patients = await broadcasts.getAudience({ audience, location });
+    await ctx.answerCbQuery();
+    
+    if (patients.length === 0) {
+      await ctx.editMessageText(utils.getBroadcastNoRecipientsMessage(label), await getBroadcastAudienceKeyboard());
+      return;
+    }
+    
+    await session.setSession(ctx.from.id, 'md_broadcast', { ...draft, step: 'confirm', audience, location });
+    await ctx.editMessageText(utils.getBroadcastConfirmMessage(label, patients.length), Markup.inlineKeyboard([
+      [Markup.button.callback('📤 Send now', 'bc:send')],
+      [Markup.button.callback('⬅️ Change audience', 'bc:back'), Markup.button.callback('✖️ Cancel', 'bc:cancel')]
+    ]));
+  }));
+  
+  // Back to the audience choice
+  bot.action('bc:back', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'broadcasts.send'))) return;
+    
+    const draft = await getBroadcastDraft(ctx);
+    if (!draft) return;
+    
+    await session.setSession(ctx.from.id, 'md_broadcast', { ...draft, step: 'audience' });
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(utils.getBroadcastAudiencePrompt(), await getBroadcastAudienceKeyboard());
+  }));
+  
+  // Queue the broadcast and start sending
+  bot.action('bc:send', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'broadcasts.send'))) return;
+    
+    const draft = await getBroadcastDraft(ctx);
+    if (!draft) return;
+    if (draft.step !== 'confirm') {
+      await ctx.answerCbQuery('Choose an audience first');
+      return;
+    }
+    
+    await session.clearSession(ctx.from.id);
+    const broadcast = await broadcasts.queueBroadcast({
+      text: draft.text,
+      photoFileId: draft.photo_file_id,
+      audience: draft.audience,
+      location: draft.location,
+      createdBy: getActorName(ctx.from),
+      reportChatId: ctx.chat.id
+    });
+    await ctx.answerCbQuery();
+    
+    if (!broadcast) {
+      await ctx.editMessageText("❌ Could not queue the broadcast (no reachable patients, or a database error). Nothing was sent.");
+      return;
+    }
+    
+    await recordAudit(ctx, 'broadcast.send', {
+      details: { broadcast_id: broadcast.id, audience: broadcast.audience, location: broadcast.location, recipients: broadcast.recipient_count }
+    });
+    await ctx.editMessageText(utils.getBroadcastQueuedMessage(broadcast.recipient_count));
+    
+    // The broadcasts job (and its cron route) picks up whatever this run doesn't finish
+    const sending = scheduler.runJob('broadcasts', ctx.telegram);
+    if (env.IS_SERVERLESS) {
+      await sending;
+    } else {
+      sending.catch(error => console.error('Broadcast delivery failed:', error));
+    }
+  }));
+  
+  // Discard the draft
+  bot.action('bc:cancel', safeHandler(async (ctx) => {
+    await session.clearSession(ctx.from.id);
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(utils.getBroadcastCancelledMessage());
+  }));
+  
+  /**
+   * FAQ Management Buttons
+   */
+  
+  // Save the previewed FAQ entry or changes
+  bot.action('kb:save', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'faq.manage'))) return;
+    
+    const draft = await getFaqDraft(ctx);
+    if (!draft) return;
+    
+    await session.clearSession(ctx.from.id);
+    const saved = draft.id
+      ? await faq.updateEntry(draft.id, draft.changes)
+      : await faq.createEntry(draft.values);
+    await ctx.answerCbQuery();
+    
+    if (!saved) {
+      await ctx.editMessageText("❌ Could not save the FAQ entry. Please try again.");
+      return;
+    }
+    
+    await recordAudit(ctx, draft.id ? 'faq.update' : 'faq.create', {
+      details: { faq_id: saved.id, question: saved.question, fields: Object.keys(draft.id ? draft.changes : draft.values) }
+    });
+    await ctx.editMessageText(utils.getFAQSavedMessage(faq.getRef(saved), saved.question, { created: !draft.id }));
+  }));
+  
+  // Discard the draft
+  bot.action('kb:cancel', safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'faq.manage'))) return;
+    
+    await session.clearSession(ctx.from.id);
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(utils.getFAQDraftCancelledMessage());
+  }));
+  
+  /**
+   * Closure and API Key Buttons
+   */
+  
+  // MD removes a clinic closure
+  bot.action(/^cl:rm:([\w-]+)$/, safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'closures.manage'))) return;
+    
+    const removed = await db.deleteClinicClosure(ctx.match[1]);
+    await ctx.answerCbQuery(removed ? 'Closure removed' : 'Already removed');
+    if (removed) {
+      await recordAudit(ctx, 'closure.delete', {
+        details: { closure_id: removed.id, location: removed.location, starts_on: removed.starts_on, ends_on: removed.ends_on }
+      });
+      await ctx.reply(utils.getClosureRemovedMessage(formatClosurePeriod(removed)));
+    }
+  }));
+  
+  // MD revokes an API key from the /md_apikey list
+  bot.action(/^ak:rm:(sck_[0-9a-f]{8})$/, safeHandler(async (ctx) => {
+    if (!(await requirePermission(ctx, 'apikeys.manage'))) return;
+    
+    const revoked = await apikeys.revokeKey(ctx.match[1], getActorName(ctx.from));
+    await ctx.answerCbQuery(revoked ? 'API key revoked' : 'Already revoked');
+    if (revoked) {
+      await recordAudit(ctx, 'apikey.revoke', { details: { key_prefix: revoked.key_prefix, name: revoked.name } });
+      await ctx.reply(utils.getApiKeyRevokedMessage(revoked.key_prefix, revoked.name));
+    }
+  }));
+  
+  /**
+   * Waitlist Buttons
+   */
+  
+  // Join the waitlist for the requested slot, its day, or the coming week
+  bot.action(/^wl:join:(slot|day|week)$/, safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const active = await session.getSession(ctx.from.id);
+    const profileName = `${ctx.from.first_name || ''} ${ctx.from.last_name || ''}`.trim();
+    
+    let request = null;
+    if (active?.flow === 'waitlist_join') {
+      request = active.data;
+    } else if (active?.flow === 'booking_wizard' && active.data.location) {
+      request = { full_name: profileName || 'Patient', service: active.data.service, location: active.data.location };
+    }
+    
+    if (!request) {
+      await ctx.editMessageText(utils.getBookingExpiredMessage());
+      return;
+    }
+    
+    const windows = waitlist.buildWindows(ctx.match[1], request.requested_at);
+    const entry = await waitlist.joinWaitlist({
+      patient: ctx.patient,
+      telegramUserId: ctx.from.id,
+      chatId: ctx.chat.id,
+      fullName: request.full_name,
+      service: request.service || null,
+      location: request.location || null,
+      windows
+    });
+    await session.clearSession(ctx.from.id);
+    
+    if (!entry) {
+      await ctx.editMessageText(utils.getErrorMessage());
+      return;
+    }
+    
+    const timezone = datetime.resolveTimezone(ctx.patient?.timezone);
+    await ctx.editMessageText(utils.getWaitlistJoinedMessage(
+      windows.map(window => waitlist.describeWindow(window, timezone)),
+      env.WAITLIST_OFFER_MINUTES
+    ));
+  }));
+  
+  // Patient does not want to join the waitlist
+  bot.action('wl:skip', safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    await session.clearSession(ctx.from.id);
+    await ctx.editMessageReplyMarkup(undefined);
+    await ctx.reply(utils.getBookingChangeTimeMessage());
+  }));
+  
+  // Leave the waitlist from /waitlist
+  bot.action(/^wl:leave:([\w-]+)$/, safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const left = await waitlist.leaveWaitlist(ctx.patient, ctx.match[1]);
+    
+    await ctx.editMessageText(left ? utils.getWaitlistLeftMessage() : utils.getWaitlistEntryUnavailableMessage());
+  }));
+  
+  // Patient accepts a freed slot
+  bot.action(/^wl:acc:([\w-]+)$/, safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const result = await waitlist.acceptOffer(ctx.match[1], ctx.from.id);
+    await ctx.editMessageReplyMarkup(undefined);
+    
+    if (result.status === 'expired') {
+      await ctx.reply(utils.getWaitlistOfferExpiredMessage());
+      return;
+    }
+    
+    if (result.status !== 'booked') {
+      await ctx.reply(result.status === 'taken' ? utils.getWaitlistOfferTakenMessage() : utils.getErrorMessage());
+      return;
+    }
+    
+    const appointment = await clinicians.autoAssign(ctx.telegram, result.appointment) || result.appointment;
+    const timezone = datetime.resolveTimezone(ctx.patient?.timezone);
+    await ctx.reply(utils.getWaitlistBookedMessage(formatAppointmentLine(appointment, timezone)));
+    
+    await notifyAdmins(ctx.telegram, utils.getWaitlistBookedNotice(appointment.full_name, formatAppointmentLine(appointment)));
+  }));
+  
+  // Patient turns down a freed slot; it moves to the next patient
+  bot.action(/^wl:dec:([\w-]+)$/, safeHandler(async (ctx) => {
+    await ctx.answerCbQuery();
+    const declined = await waitlist.declineOffer(ctx.telegram, ctx.match[1], ctx.from.id);
+    await ctx.editMessageReplyMarkup(undefined);
+    
+    await ctx.reply(declined ? utils.getWaitlistDeclinedMessage() : utils.getWaitlistOfferExpiredMessage());
+  }));
+  
+  /**
+   * Media Handling
+   */
+  
+  // Photo handling
+  bot.on('photo', safeHandler(async (ctx) => {
+    // A photo sent while drafting a broadcast becomes the broadcast
+    const activeSession = await session.getSession(ctx.from.id);
+    if (activeSession?.flow === 'md_broadcast' && await roles.hasPermission(ctx.from.id, 'broadcasts.send')) {
+      await handleBroadcastDraft(ctx, {
+        text: (ctx.message.caption || '').trim(),
+        photoFileId: ctx.message.photo[ctx.message.photo.length - 1].file_id
+      });
+      return;
+    }
+    
+    await handleMedia(ctx, 'photo', async (fileBuffer, contentType) => {
+      const base64 = fileBuffer.toString('base64');
+      return await llm.analyzeImage(base64, contentType, getLlmOptions(ctx));
+    });
+  }));
+  
+  // Voice message handling
+  bot.on('voice', safeHandler(async (ctx) => {
+    await handleMedia(ctx, 'voice', async (fileBuffer, contentType) => {
+      const base64 = fileBuffer.toString('base64');
+      return await llm.transcribeAudio(base64, contentType, getLlmOptions(ctx));
+    });
+  }));
+  
+  // Video note handling
+  bot.on('video_note', safeHandler(async (ctx) => {
+    await handleMedia(ctx, 'video_note', async (fileBuffer, contentType) => {
+      const base64 = fileBuffer.toString('base64');
+      return await llm.summarizeVideo(base64, contentType, getLlmOptions(ctx));
+    });
+  }));
+  
+  // Video handling
+  bot.on('video', safeHandler(async (ctx) => {
+    await handleMedia(ctx, 'video', async (fileBuffer, contentType) => {
+      const base64 = fileBuffer.toString('base64');
+      return await llm.summarizeVideo(base64, contentType, getLlmOptions(ctx));
+    });
+  }));
+  
+  // Document handling
   bot.on('document', safeHandler(async (ctx) => {
     await handleMedia(ctx, 'document', async (fileBuffer, contentType, filename) => {
       const base64 = fileBuffer.toString('base64');
-      return await llm.summarizeDocument(base64, contentType, filename);
+      return await llm.summarizeDocument(base64, contentType, filename, getLlmOptions(ctx));
     });
   }));
   
@@ -331,7 +1602,7 @@ export function createTelegramBot() {
   bot.on('audio', safeHandler(async (ctx) => {
     await handleMedia(ctx, 'audio', async (fileBuffer, contentType) => {
       const base64 = fileBuffer.toString('base64');
-      return await llm.transcribeAudio(base64, contentType);
+      return await llm.transcribeAudio(base64, contentType, getLlmOptions(ctx));
     });
   }));
   
@@ -342,6 +1613,1133 @@ export function createTelegramBot() {
  * Helper Functions
  */
 
+// Check the user's role allows `permission`; otherwise tell them and return false
+async function requirePermission(ctx, permission) {
+  const role = await roles.getRole(ctx.from.id);
+  if (roles.roleHasPermission(role, permission)) return true;
+  
+  await recordAudit(ctx, 'access.denied', { actorType: role ? 'staff' : 'patient', details: { permission } });
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery('Unauthorized', { show_alert: true });
+  } else {
+    await ctx.reply(utils.getUnauthorizedMessage());
+  }
+  return false;
+}
+
+// Audit entry for something a staff member did in the bot
+async function recordAudit(ctx, action, { actorType = 'staff', patientId = null, appointmentId = null, details = {} } = {}) {
+  await audit.record({
+    actor: audit.telegramActor(ctx.from, actorType),
+    action,
+    channel: 'bot',
+    patientId,
+    appointmentId,
+    details
+  });
+}
+
+// Audit entries for appointments shown to a staff member, one per appointment
+async function recordAccess(ctx, action, appointments, details = {}) {
+  await audit.recordAccess({ actor: audit.telegramActor(ctx.from), action, channel: 'bot', details }, appointments);
+}
+
+// Audit entry for a patient opting out of or back into data storage
+async function recordConsentChange(ctx, consentOptIn) {
+  await recordAudit(ctx, consentOptIn ? 'consent.opt_in' : 'consent.opt_out', {
+    actorType: 'patient',
+    patientId: ctx.patient?.id || null,
+    details: { telegram_user_id: ctx.from.id }
+  });
+}
+
+// Note what the bot did with the incoming message; stored in chat_logs.flags for the brief
+function flagMessage(ctx, flag) {
+  ctx.state.chatFlags = [...new Set([...(ctx.state.chatFlags || []), flag])];
+}
+
+// Extra details saved in the message's chat log metadata
+function addChatMetadata(ctx, details) {
+  ctx.state.chatMetadata = { ...ctx.state.chatMetadata, ...details };
+}
+
+// LLM call options that flag the message when a canned reply stands in for a generated one
+function getLlmOptions(ctx) {
+  return { onFallback: () => flagMessage(ctx, 'llm_fallback') };
+}
+
+// Interpret the requested booking time and ask the patient to confirm it
+async function requestBookingConfirmation(ctx, validation, rawRequest) {
+  const timezone = datetime.resolveTimezone(ctx.patient?.timezone);
+  const parsed = datetime.parseBookingDateTime(validation.timeSlot, { timezone });
+  
+  if (!parsed) {
+    await ctx.reply(utils.getUnclearBookingTimeMessage(validation.timeSlot));
+    return;
+  }
+  
+  let scheduled = parsed.date;
+  let message;
+  const hours = await calendar.checkBookingTime(scheduled);
+  
+  if (hours.open && !(await booking.isSlotAvailable(scheduled, null))) {
+    await offerWaitlist(ctx, utils.getBookingTimeFullMessage(datetime.formatDateTime(scheduled, timezone)), {
+      full_name: validation.name,
+      requested_at: scheduled.toISOString()
+    });
+    return;
+  }
+  
+  if (hours.open) {
+    message = utils.getBookingTimeConfirmation(
+      validation.name,
+      datetime.formatDateTime(scheduled, timezone),
+      { timeAssumed: parsed.timeAssumed }
+    );
+  } else {
+    // Offer the next opening instead of the closed time, or the waitlist when that is full too
+    let suggestion = await calendar.getNextOpening(scheduled);
+    if (suggestion && !(await booking.isSlotAvailable(suggestion, null))) {
+      suggestion = null;
+    }
+    
+    message = utils.getClinicClosedBookingMessage(
+      datetime.formatDateTime(scheduled, timezone),
+      calendar.describeClosedReason(hours, timezone, scheduled),
+      suggestion ? datetime.formatDateTime(suggestion, timezone) : ''
+    );
+    
+    if (!suggestion) {
+      await offerWaitlist(ctx, message, { full_name: validation.name, requested_at: null });
+      return;
+    }
+    scheduled = suggestion;
+  }
+  
+  await session.setSession(ctx.from.id, 'booking_confirm', {
+    full_name: validation.name,
+    preferred_datetime: validation.timeSlot,
+    scheduled_datetime: scheduled.toISOString(),
+    raw_request: rawRequest
+  });
+  
+  await ctx.reply(message, Markup.inlineKeyboard([
+    Markup.button.callback('✅ Yes, book it', 'booking:confirm'),
+    Markup.button.callback('✏️ Change time', 'booking:change')
+  ]));
+}
+
+// Ask whether to join the waitlist; slot and day choices need a requested time
+async function offerWaitlist(ctx, intro, request) {
+  await session.setSession(ctx.from.id, 'waitlist_join', request);
+  
+  await ctx.reply(utils.getWaitlistPrompt(intro), Markup.inlineKeyboard([
+    ...(request.requested_at ? [
+      [Markup.button.callback('🕐 This time only', 'wl:join:slot')],
+      [Markup.button.callback('📅 Any time that day', 'wl:join:day')]
+    ] : []),
+    [Markup.button.callback('🗓 Any time in the next 7 days', 'wl:join:week')],
+    [Markup.button.callback('✏️ No thanks', 'wl:skip')]
+  ]));
+}
+
+// Start the guided booking wizard (service → branch → date → time → name)
+async function startBookingWizard(ctx) {
+  await booking.releaseHold(ctx.from.id);
+  await session.setSession(ctx.from.id, 'booking_wizard', { step: 'service' });
+  
+  await ctx.reply(utils.getBookingServicePrompt(), Markup.inlineKeyboard([
+    ...Object.entries(booking.SERVICES).map(([code, label]) => [Markup.button.callback(label, `bk:svc:${code}`)]),
+    [Markup.button.callback('❌ Cancel', 'bk:cancel')]
+  ]));
+}
+
+// Load the active wizard state, or tell the patient it has expired
+async function getBookingWizard(ctx, { answered = true } = {}) {
+  const active = await session.getSession(ctx.from.id);
+  if (active?.flow === 'booking_wizard') {
+    return active.data;
+  }
+  
+  if (!answered) await ctx.answerCbQuery();
+  await ctx.editMessageText(utils.getBookingExpiredMessage());
+  return null;
+}
+
+// Summary of the choices made so far
+function getBookingWizardSummary(data) {
+  return [
+    `✅ Service: ${booking.SERVICES[data.service]}`,
+    `✅ Branch: ${locations.getLocationName(data.location)}`
+  ];
+}
+
+// Split buttons into keyboard rows
+function chunkButtons(buttons, size) {
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += size) {
+    rows.push(buttons.slice(i, i + size));
+  }
+  return rows;
+}
+
+// Show upcoming dates with free slots at the chosen branch
+async function showBookingDates(ctx, data) {
+  const dates = await booking.getAvailableDates(data.location, { telegramUserId: ctx.from.id });
+  
+  if (dates.length === 0) {
+    await ctx.editMessageText(utils.getBookingNoSlotsMessage(), Markup.inlineKeyboard([
+      [Markup.button.callback('🕒 Join the waitlist', 'wl:join:week')],
+      [Markup.button.callback('⬅️ Choose another branch', `bk:svc:${data.service}`)],
+      [Markup.button.callback('❌ Cancel', 'bk:cancel')]
+    ]));
+    return;
+  }
+  
+  const buttons = dates.map(dateString =>
+    Markup.button.callback(datetime.formatDateLabel(datetime.localDateToUtc(dateString)), `bk:day:${dateString}`)
+  );
+  
+  await ctx.editMessageText(utils.getBookingDatePrompt(getBookingWizardSummary(data)), Markup.inlineKeyboard([
+    ...chunkButtons(buttons, 2),
+    [Markup.button.callback('❌ Cancel', 'bk:cancel')]
+  ]));
+}
+
+// Show free time slots for the chosen date
+async function showBookingTimes(ctx, data) {
+  const slots = await booking.getAvailableSlots(data.date, data.location, { telegramUserId: ctx.from.id });
+  
+  if (slots.length === 0) {
+    await showBookingDates(ctx, data);
+    return;
+  }
+  
+  const buttons = slots.map(slot =>
+    Markup.button.callback(datetime.formatTimeLabel(slot), `bk:slot:${slot.toISOString()}`)
+  );
+  
+  await ctx.editMessageText(
+    utils.getBookingTimePrompt(getBookingWizardSummary(data), datetime.formatDateLabel(datetime.localDateToUtc(data.date))),
+    Markup.inlineKeyboard([
+      ...chunkButtons(buttons, 3),
+      [Markup.button.callback('⬅️ Back', 'bk:back'), Markup.button.callback('❌ Cancel', 'bk:cancel')]
+    ])
+  );
+}
+
+// Show the final review with Confirm/Cancel buttons
+async function showBookingSummary(ctx, data, { edit = false } = {}) {
+  const text = utils.getBookingSummary({
+    name: data.full_name,
+    service: booking.SERVICES[data.service],
+    location: locations.getLocationName(data.location),
+    time: datetime.formatDateTime(data.slot_start)
+  });
+  const keyboard = Markup.inlineKeyboard([
+    Markup.button.callback('✅ Book it', 'bk:confirm'),
+    Markup.button.callback('❌ Cancel', 'bk:cancel')
+  ]);
+  
+  if (edit) {
+    await ctx.editMessageText(text, keyboard);
+  } else {
+    await ctx.reply(text, keyboard);
+  }
+}
+
+// Name typed by the patient during the wizard
+async function handleBookingWizardName(ctx, text, data) {
+  const namePattern = /^[a-zA-Z][a-zA-Z.'\- ]{1,80}$/;
+  if (!namePattern.test(text)) {
+    await ctx.reply(utils.getBookingInvalidNameMessage());
+    return;
+  }
+  
+  const nextData = { ...data, step: 'confirm', full_name: text };
+  await session.setSession(ctx.from.id, 'booking_wizard', nextData, env.BOOKING_HOLD_MINUTES);
+  await showBookingSummary(ctx, nextData);
+}
+
+// Appointments the patient can still cancel or reschedule
+function isChangeableAppointment(appointment, now = new Date()) {
+  const activeStatuses = ['pending', 'confirmed', 'rescheduled'];
+  return activeStatuses.includes(appointment.status) &&
+    (!appointment.scheduled_datetime || new Date(appointment.scheduled_datetime) > now);
+}
+
+// One-line appointment description
+function formatAppointmentLine(appointment, timezone) {
+  const when = appointment.scheduled_datetime
+    ? datetime.formatDateTime(appointment.scheduled_datetime, timezone)
+    : (appointment.preferred_datetime || 'Time TBD');
+  const details = [booking.SERVICES[appointment.service], locations.getLocationName(appointment.location)]
+    .filter(Boolean)
+    .join(' @ ');
+  
+  return `🗓 ${when}${details ? ` — ${details}` : ''} (${appointment.status})`;
+}
+
+// Load an appointment that belongs to the current patient and can still be changed
+async function getOwnAppointment(ctx, appointmentId) {
+  const appointment = await db.getAppointmentById(appointmentId);
+  const isOwner = appointment && ctx.patient && appointment.patient_id === ctx.patient.id;
+  
+  if (!isOwner || !isChangeableAppointment(appointment)) {
+    await ctx.reply(utils.getAppointmentUnavailableMessage());
+    return null;
+  }
+  
+  return appointment;
+}
+
+// New preferred time typed during a reschedule
+async function handleRescheduleTime(ctx, text, data) {
+  const timezone = datetime.resolveTimezone(ctx.patient?.timezone);
+  const parsed = datetime.parseBookingDateTime(text, { timezone });
+  
+  if (!parsed) {
+    await ctx.reply(utils.getRescheduleTimePrompt());
+    return;
+  }
+  
+  const current = await db.getAppointmentById(data.appointment_id);
+  const hours = await calendar.checkBookingTime(parsed.date, { location: current?.location || null });
+  if (!hours.open) {
+    await ctx.reply([
+      `⏰ ${datetime.formatDateTime(parsed.date, timezone)} is not available. ${calendar.describeClosedReason(hours, timezone)}`,
+      "",
+      utils.getRescheduleTimePrompt()
+    ].join("\n"));
+    return;
+  }
+  
+  const available = await booking.isSlotAvailable(parsed.date, current?.location || null, { telegramUserId: ctx.from.id });
+  if (!available) {
+    await ctx.reply(utils.getRescheduleTimeFullMessage(datetime.formatDateTime(parsed.date, timezone)));
+    return;
+  }
+  
+  await finishReschedule(ctx, data, { text, date: parsed.date });
+}
+
+// Mark the appointment rescheduled and notify clinic admins
+async function finishReschedule(ctx, data, newTime) {
+  const appointment = await getOwnAppointment(ctx, data.appointment_id);
+  await session.clearSession(ctx.from.id);
+  if (!appointment) return;
+  
+  const updates = { status_reason: data.reason };
+  if (newTime) {
+    updates.preferred_datetime = newTime.text;
+    updates.scheduled_datetime = newTime.date.toISOString();
+    updates.reminder_sent = false;
+  }
+  
+  const updated = await db.updateAppointmentStatus(appointment.id, 'rescheduled', updates);
+  if (!updated) {
+    await ctx.reply(utils.getErrorMessage());
+    return;
+  }
+  
+  const timezone = datetime.resolveTimezone(ctx.patient?.timezone);
+  await ctx.reply(utils.getAppointmentRescheduledMessage(
+    newTime ? datetime.formatDateTime(newTime.date, timezone) : ''
+  ));
+  
+  await notifyAdmins(ctx.telegram, utils.getAppointmentChangeNotice({
+    action: 'rescheduled',
+    name: updated.full_name,
+    appointmentLine: formatAppointmentLine(appointment),
+    reason: data.reason,
+    newTime: newTime ? datetime.formatDateTime(newTime.date) : ''
+  }));
+  
+  // Move the event already in the patient's calendar to the requested time
+  if (newTime && updated.confirmation_sent) {
+    await sendCalendarFile(ctx.telegram, updated);
+  }
+  await waitlist.offerFreedSlot(ctx.telegram, appointment);
+}
+
+/**
+ * FAQ Helpers
+ */
+
+// Answer a patient's message from the knowledge base, or offer the closest entries as buttons
+// Returns false when no entry fits, so the message falls through to the other replies
+async function handleFaqQuestion(ctx, text) {
+  const result = await faq.match(text);
+  if (result.type === 'none') return false;
+  
+  flagMessage(ctx, 'faq');
+  if (result.type === 'answer') {
+    await sendFaqAnswer(ctx, result.entry);
+    return true;
+  }
+  
+  await ctx.reply(utils.getFAQSuggestionsMessage(result.entries.length), Markup.inlineKeyboard(
+    result.entries.map(entry => [Markup.button.callback(entry.question, `faq:${entry.id}`)])
+  ));
+  return true;
+}
+
+async function sendFaqAnswer(ctx, entry) {
+  await ctx.reply(utils.getFAQAnswerMessage(entry.question, entry.answer));
+  await faq.recordUse(entry);
+}
+
+// Entries shown in one /faq_list reply (Telegram messages are capped at 4096 characters)
+const FAQ_LIST_LIMIT = 25;
+
+// Everything after the command, line breaks kept ("/faq_add Question? | Answer" -> "Question? | Answer")
+function getCommandText(ctx) {
+  return ctx.message.text.replace(/^\/\S+\s*/, '').trim();
+}
+
+// /faq_list line details for an entry
+function formatFaqListEntry(entry) {
+  return {
+    ref: faq.getRef(entry),
+    question: entry.question,
+    category: entry.category || 'general',
+    priority: entry.priority || 0,
+    active: entry.is_active !== false,
+    uses: entry.usage_count || 0
+  };
+}
+
+// Preview a new entry ({ values }) or changes to one ({ id, entry, changes }) with Save and Cancel buttons
+async function showFaqDraft(ctx, { values = null, id = null, entry = null, changes = {} }) {
+  const preview = id ? { ...entry, ...changes } : values;
+  await session.setSession(ctx.from.id, 'faq_draft', id ? { id, changes } : { values });
+  
+  await ctx.reply(utils.getFAQAnswerMessage(preview.question, preview.answer));
+  await ctx.reply(utils.getFAQDraftMessage({
+    ref: id ? faq.getRef(entry) : '',
+    category: preview.category || 'general',
+    priority: preview.priority || 0,
+    keywords: preview.keywords || [],
+    changed: Object.keys(changes)
+  }), Markup.inlineKeyboard([
+    [Markup.button.callback('✅ Save', 'kb:save'), Markup.button.callback('✖️ Cancel', 'kb:cancel')]
+  ]));
+}
+
+// The FAQ draft behind the Save button, or null (with the buttons cleared) when it has expired
+async function getFaqDraft(ctx) {
+  const active = await session.getSession(ctx.from.id);
+  if (active?.flow === 'faq_draft') return active.data;
+  
+  await ctx.answerCbQuery('This draft has expired');
+  await ctx.editMessageText(utils.getFAQDraftCancelledMessage());
+  return null;
+}
+
+// /faq_disable and /faq_enable
+async function setFaqActive(ctx, ref, active) {
+  const entry = ref ? await faq.findEntry(ref) : null;
+  if (!entry) {
+    await ctx.reply(ref ? utils.getFAQNotFoundMessage(ref) : utils.getFAQUsageMessage());
+    return;
+  }
+  
+  const saved = entry.is_active === active ? entry : await faq.updateEntry(entry.id, { is_active: active });
+  if (!saved) {
+    await ctx.reply("❌ Could not update the FAQ entry. Please try again.");
+    return;
+  }
+  
+  await recordAudit(ctx, active ? 'faq.enable' : 'faq.disable', { details: { faq_id: entry.id, question: entry.question } });
+  await ctx.reply(utils.getFAQActiveMessage(faq.getRef(entry), entry.question, active));
+}
+
+/**
+ * Staff Group Helpers
+ */
+
+// Handlers for the staff group: take and close tickets, and relay replies to patients
+function createStaffGroupHandlers(safeHandler) {
+  const staffGroup = new Composer();
+  
+  // Close the ticket the replied-to message belongs to
+  staffGroup.command('close', safeHandler(async (ctx) => {
+    const repliedTo = ctx.message.reply_to_message?.message_id;
+    const ticket = repliedTo ? await db.getSupportTicketByGroupMessage(repliedTo) : null;
+    if (!ticket) {
+      await ctx.reply(utils.getHandoffCloseUsageMessage());
+      return;
+    }
+    
+    const closed = await handoff.closeTicket(ctx.telegram, ticket.id, ctx.from);
+    if (!closed) {
+      await ctx.reply(utils.getHandoffTicketClosedNotice(handoff.getTicketRef(ticket)));
+    }
+  }));
+  
+  staffGroup.action(/^hd:claim:(.+)$/, safeHandler(async (ctx) => {
+    const result = await handoff.claimTicket(ctx.telegram, ctx.match[1], ctx.from);
+    if (result.status === 'claimed') {
+      await ctx.answerCbQuery();
+      return;
+    }
+    
+    await ctx.answerCbQuery(result.status === 'taken'
+      ? `Already taken by ${result.ticket?.claimed_by_name || 'another team member'}`
+      : 'This ticket is closed', { show_alert: true });
+  }));
+  
+  staffGroup.action(/^hd:close:(.+)$/, safeHandler(async (ctx) => {
+    const closed = await handoff.closeTicket(ctx.telegram, ctx.match[1], ctx.from);
+    await ctx.answerCbQuery(closed ? undefined : 'This ticket is already closed');
+  }));
+  
+  // Replies to ticket messages go to the patient; other group chatter is ignored
+  staffGroup.on('message', safeHandler(async (ctx) => {
+    if (!ctx.message.reply_to_message || ctx.message.text?.startsWith('/')) return;
+    
+    const result = await handoff.relayStaffReply(ctx.telegram, ctx.message);
+    if (result.status === 'closed') {
+      await ctx.reply(utils.getHandoffTicketClosedNotice(handoff.getTicketRef(result.ticket)));
+    } else if (result.status === 'failed') {
+      await ctx.reply(utils.getHandoffDeliveryFailedNotice(handoff.getTicketRef(result.ticket)));
+    }
+  }));
+  
+  // Nothing from the staff group reaches the patient handlers
+  staffGroup.use(() => {});
+  
+  return staffGroup;
+}
+
+/**
+ * Staff Management Helpers
+ */
+
+// Current staff with /staff_add and /staff_remove usage
+async function showStaff(ctx) {
+  const members = await db.getStaffMembers();
+  await recordAudit(ctx, 'staff.view');
+  
+  await ctx.reply(utils.getStaffListMessage(
+    [
+      ...(env.MD_TELEGRAM_USER_ID ? [{ id: env.MD_TELEGRAM_USER_ID, name: 'Medical Director', roleLabel: roles.ROLES.md }] : []),
+      ...members.map(member => ({
+        id: member.telegram_user_id,
+        name: member.full_name || 'Unnamed',
+        roleLabel: roles.ROLES[member.role] || member.role
+      }))
+    ],
+    roles.ROLES
+  ));
+}
+
+// "/md_apikey create <scopes|all> [days] <name>"
+async function createApiKey(ctx, args) {
+  const available = apikeys.getAvailableScopes();
+  const scopes = args[0]?.toLowerCase() === 'all' ? available : (args[0] || '').split(',').filter(Boolean);
+  const rest = args.slice(1);
+  const days = /^\d+$/.test(rest[0] || '') ? parseInt(rest.shift(), 10) : apikeys.DEFAULT_EXPIRY_DAYS;
+  const name = rest.join(' ').slice(0, 100);
+  
+  if (scopes.length === 0 || scopes.some(scope => !available.includes(scope)) || !name) {
+    await showApiKeys(ctx);
+    return;
+  }
+  
+  const created = await apikeys.createKey({ name, scopes, expiresInDays: days, createdBy: getActorName(ctx.from) });
+  if (!created) {
+    await ctx.reply("❌ Could not create the API key. Please try again.");
+    return;
+  }
+  
+  await recordAudit(ctx, 'apikey.create', {
+    details: { key_prefix: created.record.key_prefix, name, scopes, expires_at: created.record.expires_at }
+  });
+  
+  await ctx.reply(utils.getApiKeyCreatedMessage({
+    key: created.key,
+    name,
+    scopes,
+    expires: datetime.formatDateTime(created.record.expires_at)
+  }));
+}
+
+// Active API keys with usage, and a revoke button for each
+async function showApiKeys(ctx) {
+  const keys = await apikeys.listKeys();
+  await recordAudit(ctx, 'apikeys.view');
+  
+  await ctx.reply(utils.getApiKeyListMessage(
+    keys.map(key => ({
+      prefix: key.key_prefix,
+      name: key.name,
+      scopes: key.scopes,
+      expires: datetime.formatDateTime(key.expires_at)
+    })),
+    apikeys.getAvailableScopes()
+  ), keys.length > 0
+    ? Markup.inlineKeyboard(keys.map(key => [Markup.button.callback(`🗑 Revoke ${key.key_prefix}… ${key.name}`.slice(0, 60), `ak:rm:${key.key_prefix}`)]))
+    : {});
+}
+
+/**
+ * Clinic Closure Helpers
+ */
+
+// A YYYY-MM-DD date (or today/tomorrow) that exists on the calendar, or null
+function parseClosureDate(value = '') {
+  const today = datetime.toLocalDateString(new Date(), env.CLINIC_TIMEZONE);
+  if (value.toLowerCase() === 'today') return today;
+  if (value.toLowerCase() === 'tomorrow') return datetime.shiftDateString(today, 1);
+  return datetime.isDateString(value) ? value : null;
+}
+
+// "/md_closure <start> [end] [branch] [reason]" arguments, or null when they don't parse
+async function parseClosureArgs(args) {
+  const startsOn = parseClosureDate(args[0]);
+  if (!startsOn) return null;
+  
+  let rest = args.slice(1);
+  const endsOn = rest[0] && parseClosureDate(rest[0]) ? parseClosureDate(rest.shift()) : startsOn;
+  const today = datetime.toLocalDateString(new Date(), env.CLINIC_TIMEZONE);
+  if (endsOn < startsOn || endsOn < today) return null;
+  
+  const branch = rest[0] ? await locations.getLocation(rest[0].toLowerCase()) : null;
+  if (branch) rest = rest.slice(1);
+  
+  return {
+    data: {
+      location: branch?.code || null,
+      starts_on: startsOn,
+      ends_on: endsOn,
+      reason: rest.join(' ').slice(0, 200) || null
+    },
+    branchName: branch?.name || ''
+  };
+}
+
+// "on Thu, 24 Dec" or "from Tue, 29 Dec to Thu, 31 Dec"
+function formatClosurePeriod(closure) {
+  const startLabel = datetime.formatDateLabel(datetime.localDateToUtc(closure.starts_on));
+  if (closure.ends_on === closure.starts_on) return `on ${startLabel}`;
+  
+  return `from ${startLabel} to ${datetime.formatDateLabel(datetime.localDateToUtc(closure.ends_on))}`;
+}
+
+// Upcoming holidays and closures, with a remove button for each closure
+async function showClosures(ctx) {
+  const [upcoming, branches] = await Promise.all([calendar.getUpcomingClosures(), locations.getLocations()]);
+  const branchNames = Object.fromEntries(branches.map(branch => [branch.code, branch.name]));
+  await recordAudit(ctx, 'closures.view');
+  
+  await ctx.reply(utils.getClosureListMessage({
+    holidays: upcoming.holidays.map(holiday => ({
+      label: datetime.formatDateLabel(datetime.localDateToUtc(holiday.date)),
+      name: holiday.name
+    })),
+    closures: upcoming.closures.map(closure => ({
+      label: formatClosurePeriod(closure).replace(/^on /, ''),
+      name: closure.reason || 'Clinic closure',
+      branchName: closure.location ? branchNames[closure.location] || closure.location : ''
+    }))
+  }), upcoming.closures.length > 0
+    ? Markup.inlineKeyboard(upcoming.closures.map(closure => [
+      Markup.button.callback(`🗑 ${formatClosurePeriod(closure).replace(/^on /, '')}`, `cl:rm:${closure.id}`)
+    ]))
+    : {});
+}
+
+/**
+ * MD Brief Helpers
+ */
+
+// "/md_brief [today|yesterday|week|month|<start> [end]] [branch]" arguments
+// Returns { range, branchCode } or null when the period doesn't parse
+function parseBriefArgs(args) {
+  const isPeriodArg = (value) => Boolean(analytics.PERIODS[value.toLowerCase()]) || datetime.isDateString(value);
+  const periodArgs = args.filter(isPeriodArg);
+  const otherArgs = args.filter(value => !isPeriodArg(value));
+  if (otherArgs.length > 1 || periodArgs.length > 2) return null;
+  
+  const dates = periodArgs.filter(datetime.isDateString);
+  if (dates.length > 0 && dates.length !== periodArgs.length) return null;
+  
+  const range = dates.length > 0
+    ? analytics.resolveRange({ from: dates[0], to: dates[1] })
+    : periodArgs.length <= 1 ? analytics.resolveRange({ period: periodArgs[0] }) : null;
+  
+  return range ? { range, branchCode: otherArgs[0] || null } : null;
+}
+
+/**
+ * Audit Log Helpers
+ */
+
+// Entries shown in one /md_audit reply (Telegram messages are capped at 4096 characters)
+const AUDIT_MESSAGE_LIMIT = 30;
+
+// "/md_audit [today|yesterday|week|<start> [end]]" or "/md_audit patient <id>" arguments
+// Returns { label, query } for audit.query, or null when they don't parse
+async function parseAuditArgs(args) {
+  if (args[0]?.toLowerCase() === 'patient') {
+    const id = args[1] || '';
+    const patient = /^\d+$/.test(id)
+      ? await db.getPatientByTelegramId(parseInt(id, 10))
+      : /^[0-9a-f-]{36}$/i.test(id) ? await db.getPatientById(id) : null;
+    if (!patient) return null;
+    
+    const name = [patient.first_name, patient.last_name].filter(Boolean).join(' ') || `User ${patient.telegram_user_id}`;
+    return { label: name, query: { patientId: patient.id } };
+  }
+  
+  const today = datetime.toLocalDateString(new Date(), env.CLINIC_TIMEZONE);
+  const period = (args[0] || 'today').toLowerCase();
+  let startDate = null;
+  let endDate = null;
+  
+  if (period === 'yesterday') {
+    startDate = endDate = datetime.shiftDateString(today, -1);
+  } else if (period === 'week') {
+    startDate = datetime.shiftDateString(today, -6);
+    endDate = today;
+  } else {
+    startDate = parseClosureDate(args[0] || 'today');
+    endDate = args[1] ? parseClosureDate(args[1]) : startDate;
+  }
+  if (!startDate || !endDate || endDate < startDate) return null;
+  
+  const label = startDate === endDate
+    ? datetime.formatDateLabel(datetime.localDateToUtc(startDate))
+    : `${datetime.formatDateLabel(datetime.localDateToUtc(startDate))} to ${datetime.formatDateLabel(datetime.localDateToUtc(endDate))}`;
+  return { label, query: audit.getDateRange(startDate, endDate) };
+}
+
+// One /md_audit line
+function formatAuditEntry(entry) {
+  const target = [
+    entry.patient_id ? `patient ${entry.patient_id.slice(0, 8)}` : '',
+    entry.appointment_id ? `appointment ${entry.appointment_id.slice(0, 8)}` : ''
+  ].filter(Boolean).join(', ');
+  
+  return {
+    time: `${datetime.formatDateLabel(entry.created_at)} ${datetime.formatTimeLabel(entry.created_at)}`,
+    actor: entry.actor_name || `${entry.actor_type} ${entry.actor_id || ''}`.trim(),
+    action: entry.action,
+    channel: entry.channel,
+    target
+  };
+}
+
+/**
+ * Broadcast Helpers
+ */
+
+// Save a broadcast draft, show the preview as patients will see it, then the audience choice
+async function handleBroadcastDraft(ctx, { text = '', photoFileId = null }) {
+  if (!photoFileId && text.toLowerCase() === 'cancel') {
+    await session.clearSession(ctx.from.id);
+    await ctx.reply(utils.getBroadcastCancelledMessage());
+    return;
+  }
+  
+  if (!broadcasts.isDraftValid({ text, photoFileId })) {
+    await ctx.reply(photoFileId
+      ? utils.getBroadcastTooLongMessage(broadcasts.MAX_CAPTION_LENGTH, true)
+      : utils.getBroadcastTooLongMessage(broadcasts.MAX_TEXT_LENGTH));
+    return;
+  }
+  
+  await session.setSession(ctx.from.id, 'md_broadcast', { step: 'audience', text, photo_file_id: photoFileId });
+  await broadcasts.sendDraft(ctx.telegram, ctx.chat.id, { text, photoFileId });
+  await ctx.reply(utils.getBroadcastAudiencePrompt(), await getBroadcastAudienceKeyboard());
+}
+
+// Audience buttons: everyone, each branch, upcoming appointments
+async function getBroadcastAudienceKeyboard() {
+  const branches = await locations.getLocations();
+  
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(`👥 ${broadcasts.AUDIENCES.all}`, 'bc:aud:all')],
+    ...chunkButtons(branches.map(branch => Markup.button.callback(`📍 ${branch.name}`, `bc:aud:branch:${branch.code}`)), 2),
+    [Markup.button.callback(`📅 ${broadcasts.AUDIENCES.upcoming}`, 'bc:aud:upcoming')],
+    [Markup.button.callback('✖️ Cancel', 'bc:cancel')]
+  ]);
+}
+
+// Draft behind a broadcast button, or null (after telling the MD) when it expired
+async function getBroadcastDraft(ctx) {
+  const active = await session.getSession(ctx.from.id);
+  if (active?.flow === 'md_broadcast' && active.data.step !== 'message') return active.data;
+  
+  await ctx.answerCbQuery('This draft has expired');
+  await ctx.editMessageText(utils.getBroadcastCancelledMessage());
+  return null;
+}
+
+/**
+ * Attendance Helpers
+ */
+
+// One card per past appointment with Completed / No-show buttons
+async function showAttendanceCards(ctx, appointments, scopeLabel) {
+  await ctx.reply(utils.getAttendanceHeader(appointments.length, scopeLabel));
+  
+  for (const apt of appointments) {
+    await ctx.reply(formatAttendanceCard(apt), Markup.inlineKeyboard([
+      Markup.button.callback('✅ Completed', `att:done:${apt.id}`),
+      Markup.button.callback('🚫 No-show', `att:ns:${apt.id}`)
+    ]));
+  }
+}
+
+// Attendance card shown to staff
+function formatAttendanceCard(appointment) {
+  return [
+    `👤 ${appointment.full_name}`,
+    formatAppointmentLine(appointment),
+    `👩‍⚕️ Clinician: ${appointment.clinicians?.full_name || 'Unassigned'}`
+  ].join('\n');
+}
+
+// Load an appointment for an attendance button (staff with attendance.manage, or the assigned clinician)
+async function getOutcomeAppointment(ctx, appointmentId) {
+  const appointment = await db.getAppointmentById(appointmentId);
+  
+  let allowed = await roles.hasPermission(ctx.from.id, 'attendance.manage');
+  if (!allowed && appointment?.clinician_id) {
+    const clinician = await db.getClinicianByTelegramId(ctx.from.id);
+    allowed = clinician?.id === appointment.clinician_id;
+  }
+  if (!allowed) {
+    await recordAudit(ctx, 'access.denied', { details: { permission: 'attendance.manage', appointment_id: appointmentId } });
+    await ctx.answerCbQuery('Unauthorized', { show_alert: true });
+    return null;
+  }
+  
+  if (!attendance.canRecordOutcome(appointment)) {
+    await ctx.answerCbQuery(utils.getOutcomeUnavailableMessage(appointment?.status), { show_alert: true });
+    await ctx.editMessageReplyMarkup(undefined);
+    return null;
+  }
+  
+  await ctx.answerCbQuery();
+  return appointment;
+}
+
+// Record the outcome, then send the patient a rebooking or post-visit message
+async function recordOutcome(ctx, appointment, outcome) {
+  const actor = getActorName(ctx.from);
+  const label = outcome === 'no_show' ? 'no-show' : 'completed';
+  const updated = await db.updateAppointmentStatus(appointment.id, outcome, {
+    outcome_recorded_at: new Date().toISOString(),
+    outcome_recorded_by: actor,
+    staff_notes: appendStaffNote(appointment, `Marked ${label} by ${actor}`)
+  });
+  if (!updated) {
+    await ctx.reply(utils.getErrorMessage());
+    return;
+  }
+  await recordAudit(ctx, `attendance.${outcome}`, { patientId: updated.patient_id, appointmentId: updated.id });
+  
+  const templateName = outcome === 'no_show' ? 'no_show_followup' : 'post_visit_followup';
+  const notified = await notifyPatient(ctx.telegram, updated, (timezone) =>
+    templates.renderTemplate(templateName, {
+      patient_name: updated.full_name,
+      appointment_time: datetime.formatDateTime(updated.scheduled_datetime, timezone),
+      clinic_name: env.CLINIC_NAME
+    }),
+  Markup.inlineKeyboard([
+    Markup.button.callback(outcome === 'no_show' ? '📅 Book a new time' : '📅 Book a follow-up', 'bk:start')
+  ]));
+  
+  await ctx.editMessageText(`${formatAttendanceCard(updated)}\n\n${utils.getFollowupActionLine(outcome, actor, { notified })}`);
+}
+
+/**
+ * MD Follow-up Helpers
+ */
+
+// Optional branch code after an MD command (e.g. "/md_followups karu"); null if the code is unknown
+async function getBranchFilter(ctx, code = ctx.message.text.trim().split(/\s+/)[1]) {
+  code = code?.toLowerCase();
+  if (!code) return { code: null, name: null };
+  
+  const branch = await locations.getLocation(code);
+  if (!branch) {
+    const branches = await locations.getLocations();
+    await ctx.reply(utils.getUnknownBranchMessage(code, branches.map(item => item.code)));
+    return null;
+  }
+  
+  return { code: branch.code, name: branch.name };
+}
+
+// Follow-up card shown to the MD
+function formatFollowupCard(appointment) {
+  const lines = [
+    `👤 ${appointment.full_name}`,
+    formatAppointmentLine(appointment)
+  ];
+  
+  lines.push(`👩‍⚕️ Clinician: ${appointment.clinicians?.full_name || 'Unassigned'}`);
+  
+  if (appointment.status_reason) {
+    lines.push(`📝 Reason: ${appointment.status_reason}`);
+  }
+  if (appointment.raw_request) {
+    lines.push(`💬 "${appointment.raw_request}"`);
+  }
+  if (appointment.staff_notes) {
+    lines.push('', '🗒 Staff notes:', appointment.staff_notes);
+  }
+  
+  return lines.join('\n');
+}
+
+// Action buttons for a follow-up card
+function getFollowupKeyboard(appointment) {
+  const confirmLabel = appointment.scheduled_datetime && new Date(appointment.scheduled_datetime) > new Date()
+    ? `✅ Confirm ${datetime.formatDateLabel(appointment.scheduled_datetime)} ${datetime.formatTimeLabel(appointment.scheduled_datetime)}`
+    : '✅ Confirm with time';
+  
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(confirmLabel, `md:ok:${appointment.id}`)],
+    [
+      Markup.button.callback('🕐 Propose time', `md:prop:${appointment.id}`),
+      Markup.button.callback('❌ Decline', `md:no:${appointment.id}`)
+    ],
+    [
+      Markup.button.callback('👩‍⚕️ Assign clinician', `md:asg:${appointment.id}`),
+      Markup.button.callback('📝 Add note', `md:note:${appointment.id}`)
+    ]
+  ]);
+}
+
+// Display name for the staff member who acted
+function getActorName(user) {
+  const name = [user.first_name, user.last_name].filter(Boolean).join(' ');
+  return user.username ? `${name} (@${user.username})` : name || String(user.id);
+}
+
+// Append a timestamped line to the appointment's staff notes
+function appendStaffNote(appointment, note) {
+  const stamp = `${datetime.formatDateLabel(new Date())} ${datetime.formatTimeLabel(new Date())}`;
+  return [appointment.staff_notes, `[${stamp}] ${note}`].filter(Boolean).join('\n');
+}
+
+// Load a follow-up for an MD button press (answers the callback query)
+async function getFollowupAppointment(ctx, appointmentId) {
+  if (!(await requirePermission(ctx, 'followups.manage'))) return null;
+  
+  await ctx.answerCbQuery();
+  const appointment = await db.getAppointmentById(appointmentId);
+  
+  if (!appointment || !['pending', 'rescheduled'].includes(appointment.status)) {
+    await ctx.reply(utils.getFollowupUnavailableMessage(appointment?.status));
+    return null;
+  }
+  
+  return appointment;
+}
+
+// Ask the MD to type a time or note for a follow-up
+async function askFollowupInput(ctx, appointment, action) {
+  await session.setSession(ctx.from.id, 'md_followup', {
+    appointment_id: appointment.id,
+    action,
+    chat_id: ctx.chat.id,
+    message_id: ctx.callbackQuery.message.message_id
+  });
+  
+  await ctx.reply(utils.getFollowupInputPrompt(action, appointment.full_name));
+}
+
+// Time or note typed by the MD after pressing a follow-up button
+async function handleFollowupInput(ctx, text, data) {
+  const appointment = await db.getAppointmentById(data.appointment_id);
+  
+  if (['cancel', '/cancel'].includes(text.toLowerCase())) {
+    await session.clearSession(ctx.from.id);
+    await ctx.reply('👍 Cancelled.');
+    return;
+  }
+  
+  if (!appointment || !['pending', 'rescheduled'].includes(appointment.status)) {
+    await session.clearSession(ctx.from.id);
+    await ctx.reply(utils.getFollowupUnavailableMessage(appointment?.status));
+    return;
+  }
+  
+  if (data.action === 'note') {
+    const updated = await db.updateAppointment(appointment.id, {
+      staff_notes: appendStaffNote(appointment, `${getActorName(ctx.from)}: ${text}`)
+    });
+    await session.clearSession(ctx.from.id);
+    
+    if (!updated) {
+      await ctx.reply(utils.getErrorMessage());
+      return;
+    }
+    await recordAudit(ctx, 'followup.note', { patientId: updated.patient_id, appointmentId: updated.id });
+    
+    await updateFollowupCard(ctx.telegram, data.chat_id, data.message_id, updated,
+      utils.getFollowupActionLine('noted', getActorName(ctx.from)), { keepButtons: true });
+    await ctx.reply('🗒 Note saved.');
+    return;
+  }
+  
+  // Times typed by staff are read in clinic time
+  const parsed = datetime.parseBookingDateTime(text, { timezone: env.CLINIC_TIMEZONE });
+  if (!parsed || parsed.date <= new Date()) {
+    await ctx.reply(utils.getFollowupInputPrompt(data.action, appointment.full_name, { retry: true }));
+    return;
+  }
+  
+  await session.clearSession(ctx.from.id);
+  
+  if (data.action === 'confirm') {
+    await confirmFollowup(ctx, appointment, parsed.date, data);
+  } else {
+    await proposeFollowupTime(ctx, appointment, parsed.date, data);
+  }
+}
+
+// Confirm a follow-up at the given time and tell the patient
+async function confirmFollowup(ctx, appointment, scheduledAt, card = null) {
+  const actor = getActorName(ctx.from);
+  const updated = await db.updateAppointmentStatus(appointment.id, 'confirmed', {
+    scheduled_datetime: scheduledAt.toISOString(),
+    reminder_sent: false,
+    status_reason: null,
+    staff_notes: appendStaffNote(appointment, `Confirmed for ${datetime.formatDateTime(scheduledAt)} by ${actor}`)
+  });
+  if (!updated) {
+    await ctx.reply(utils.getErrorMessage());
+    return;
+  }
+  await recordAudit(ctx, 'followup.confirm', {
+    patientId: updated.patient_id,
+    appointmentId: updated.id,
+    details: { scheduled_datetime: updated.scheduled_datetime }
+  });
+  
+  const current = await clinicians.autoAssign(ctx.telegram, updated) || updated;
+  const notified = await sendAppointmentConfirmation(ctx.telegram, current);
+  const chatId = card?.chat_id || ctx.chat.id;
+  const messageId = card?.message_id || ctx.callbackQuery.message.message_id;
+  
+  await updateFollowupCard(ctx.telegram, chatId, messageId, current,
+    utils.getFollowupActionLine('confirmed', actor, { notified }));
+}
+
+// Propose a different time and let the patient accept or pick another
+async function proposeFollowupTime(ctx, appointment, proposedAt, card) {
+  const actor = getActorName(ctx.from);
+  const updated = await db.updateAppointmentStatus(appointment.id, 'rescheduled', {
+    scheduled_datetime: proposedAt.toISOString(),
+    reminder_sent: false,
+    status_reason: 'Clinic proposed a new time',
+    staff_notes: appendStaffNote(appointment, `Proposed ${datetime.formatDateTime(proposedAt)} by ${actor}`)
+  });
+  if (!updated) {
+    await ctx.reply(utils.getErrorMessage());
+    return;
+  }
+  await recordAudit(ctx, 'followup.propose', {
+    patientId: updated.patient_id,
+    appointmentId: updated.id,
+    details: { scheduled_datetime: updated.scheduled_datetime }
+  });
+  
+  const notified = await notifyPatient(ctx.telegram, updated, (timezone) =>
+    utils.getAppointmentProposedMessage(datetime.formatDateTime(proposedAt, timezone)),
+  Markup.inlineKeyboard([
+    [Markup.button.callback('✅ Accept', `apt:accept:${updated.id}`)],
+    [Markup.button.callback('🔄 Choose another time', `apt:resched:${updated.id}`)]
+  ]));
+  
+  await updateFollowupCard(ctx.telegram, card.chat_id, card.message_id, updated,
+    utils.getFollowupActionLine('proposed', actor, { notified }), { keepButtons: true });
+  
+  await waitlist.offerFreedSlot(ctx.telegram, appointment);
+}
+
+// Re-render an MD follow-up card, optionally with a line saying who acted and when
+async function updateFollowupCard(telegram, chatId, messageId, appointment, actionLine, { keepButtons = false } = {}) {
+  const card = formatFollowupCard(appointment);
+  const text = actionLine ? `${card}\n\n${actionLine}` : card;
+  const extra = keepButtons ? getFollowupKeyboard(appointment) : {};
+  
+  try {
+    await telegram.editMessageText(chatId, messageId, undefined, text, extra);
+  } catch (error) {
+    console.error('Failed to update follow-up card:', error);
+  }
+}
+
+// Send a message to the patient who owns an appointment (text built in their timezone)
+async function notifyPatient(telegram, appointment, buildMessage, extra = {}) {
+  if (!appointment.telegram_chat_id) return false;
+  
+  try {
+    const patient = appointment.patient_id ? await db.getPatientById(appointment.patient_id) : null;
+    const timezone = datetime.resolveTimezone(patient?.timezone);
+    await telegram.sendMessage(appointment.telegram_chat_id, await buildMessage(timezone), extra);
+    return true;
+  } catch (error) {
+    console.error(`Failed to notify patient for appointment ${appointment.id}:`, error);
+    return false;
+  }
+}
+
+// Send the appointment_confirmation template and mark it sent
+async function sendAppointmentConfirmation(telegram, appointment) {
+  const notified = await notifyPatient(telegram, appointment, (timezone) =>
+    templates.renderTemplate('appointment_confirmation', {
+      patient_name: appointment.full_name,
+      appointment_time: datetime.formatDateTime(appointment.scheduled_datetime, timezone),
+      clinic_name: env.CLINIC_NAME,
+      location: locations.getLocationName(appointment.location) || env.CITY
+    })
+  );
+  
+  if (notified) {
+    await db.updateAppointment(appointment.id, { confirmation_sent: true });
+    await sendCalendarFile(telegram, appointment);
+  }
+  
+  return notified;
+}
+
+// Send the appointment as an .ics file; the fixed UID updates or cancels the event already in the calendar
+async function sendCalendarFile(telegram, appointment) {
+  if (!appointment.telegram_chat_id || !appointment.scheduled_datetime) return false;
+  
+  try {
+    const calendar = await ical.buildCalendar([appointment], { audience: 'patient' });
+    await telegram.sendDocument(appointment.telegram_chat_id, {
+      source: Buffer.from(calendar, 'utf8'),
+      filename: 'appointment.ics'
+    }, { caption: utils.getCalendarFileCaption(appointment.status) });
+    return true;
+  } catch (error) {
+    console.error(`Failed to send calendar file for appointment ${appointment.id}:`, error);
+    return false;
+  }
+}
+
+// Send a message to every staff member who handles follow-ups
+async function notifyAdmins(telegram, message) {
+  for (const adminId of await roles.getTelegramIdsWithPermission('followups.manage')) {
+    try {
+      await telegram.sendMessage(adminId, message);
+    } catch (error) {
+      console.error(`Failed to notify admin ${adminId}:`, error);
+    }
+  }
+}
+
 // Handle media messages
 async function handleMedia(ctx, mediaType, processor) {
   try {
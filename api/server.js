@@ -1,8 +1,13 @@
 import express from 'express';
 import { initializeEnv, env } from './config/env.js';
 import { initializeSupabase } from './lib/supabase.js';
-import { initializeGemini } from './lib/llm.js';
+import { initializeLLM, isLLMConfigured } from './lib/llm.js';
 import { createTelegramBot } from './routes/telegram.js';
+import { runJob, getJobNames, startScheduler, stopScheduler } from './lib/scheduler.js';
+import { secureCompare } from './lib/utils.js';
+import * as apikeys from './lib/apikeys.js';
+import * as webhook from './lib/webhook.js';
+import * as audit from './lib/audit.js';
 
 /**
  * Express Server for SerenityCareAI Telegram Bot
@@ -12,10 +17,13 @@ import { createTelegramBot } from './routes/telegram.js';
 // Initialize environment and services
 initializeEnv();
 initializeSupabase();
-initializeGemini();
+initializeLLM();
 
 const app = express();
 
+// Vercel and most hosts sit behind one proxy; req.ip should be the client's address
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -36,10 +44,11 @@ app.get('/api/health', (req, res) => {
     clinic: env.CLINIC_NAME,
     city: env.CITY,
     mode: env.IS_WEBHOOK_MODE ? 'webhook' : 'polling',
+    llm_provider: env.LLM_PROVIDER,
     services: {
       telegram: !!env.TELEGRAM_BOT_TOKEN,
       supabase: !!(env.SUPABASE_URL && env.SUPABASE_SERVICE_ROLE_KEY),
-      gemini: !!env.GEMINI_API_KEY
+      llm: isLLMConfigured()
     }
   };
   
@@ -56,8 +65,14 @@ try {
   process.exit(1);
 }
 
-// Webhook endpoint for Telegram
+// Webhook endpoint for Telegram; updates must carry the secret registered with setWebhook
 app.post('/api/telegram/webhook', (req, res) => {
+  const check = webhook.verifyWebhookRequest(req);
+  if (!check.ok) {
+    console.warn(`🚫 Rejected webhook call from ${req.ip}: ${check.reason}`);
+    return res.status(check.status).json({ error: check.status === 403 ? 'Forbidden' : 'Unauthorized' });
+  }
+  
   if (!bot) {
     console.error('Bot not initialized');
     return res.status(500).json({ error: 'Bot not initialized' });
@@ -73,26 +88,119 @@ app.post('/api/telegram/webhook', (req, res) => {
   }
 });
 
+// Optional ?location=<branch code> filter; sends a 400 and returns undefined when unknown
+async function resolveLocationFilter(req, res) {
+  const code = req.query.location;
+  if (!code) return null;
+  
+  const { getLocation, getLocations } = await import('./lib/locations.js');
+  if (await getLocation(code)) return code;
+  
+  const branches = await getLocations();
+  res.status(400).json({
+    error: 'Unknown location',
+    locations: branches.map(branch => branch.code)
+  });
+  return undefined;
+}
+
+// Admin API routes declare the staff permission they need (see lib/roles.js); callers
+// present an API key from /md_apikey with that permission among its scopes
+const API_KEY_ERRORS = {
+  invalid: 'Invalid API key',
+  expired: 'API key has expired',
+  revoked: 'API key has been revoked'
+};
+
+// Audit entry for an admin API call, or for a rejected attempt at one
+async function recordApiCall(req, actor, { action = `${req.method} ${req.baseUrl}${req.path}`, patientId = null, details = {} } = {}) {
+  await audit.record({
+    actor,
+    action,
+    channel: 'api',
+    patientId,
+    details: { query: req.query, ...details }
+  });
+}
+
+// Patient a route's :patientId names, for the audit entry (null when absent or not a UUID)
+function getPatientIdParam(req) {
+  const { patientId } = req.params;
+  return /^[0-9a-f-]{36}$/i.test(patientId || '') ? patientId : null;
+}
+
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const retryAfter = apikeys.getRetryAfter(req.ip);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Too many failed authentication attempts', retry_after: retryAfter });
+      }
+      
+      const authHeader = req.headers.authorization || '';
+      if (!authHeader.startsWith('Bearer ')) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Missing API key - send Authorization: Bearer <key>' });
+      }
+      
+      const result = await apikeys.verifyKey(authHeader.slice('Bearer '.length).trim());
+      if (result.status !== 'valid') {
+        apikeys.recordFailedAttempt(req.ip);
+        await recordApiCall(req, { type: 'anonymous', id: req.ip }, { details: { denied: result.status, key_prefix: result.key?.key_prefix } });
+        console.warn(`Rejected API key (${result.status}) for ${req.method} ${req.path} from ${req.ip}`);
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: API_KEY_ERRORS[result.status] });
+      }
+      
+      if (!apikeys.hasScope(result.key, permission)) {
+        await recordApiCall(req, audit.apiKeyActor(result.key), { details: { denied: 'scope', required_scope: permission } });
+        return res.status(403).json({ error: 'Forbidden - API key lacks the required scope', required_scope: permission });
+      }
+      
+      res.locals.apiKey = result.key;
+      await recordApiCall(req, audit.apiKeyActor(result.key), { patientId: getPatientIdParam(req) });
+      next();
+    } catch (error) {
+      console.error('Error checking API key:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
 // MD-only API endpoints for analytics
-app.get('/api/md/brief', async (req, res) => {
+// ?period=today|yesterday|week|month or ?from=YYYY-MM-DD&to=YYYY-MM-DD (clinic time), plus optional ?location=
+app.get('/api/md/brief', requirePermission('analytics.view'), async (req, res) => {
   try {
-    // Simple IP-based or API key auth (in production, use proper auth)
-    const authHeader = req.headers.authorization;
-    const apiKey = authHeader?.replace('Bearer ', '');
+    const location = await resolveLocationFilter(req, res);
+    if (location === undefined) return;
     
-    // For now, just check if MD_TELEGRAM_USER_ID is configured
-    if (!env.MD_TELEGRAM_USER_ID) {
-      return res.status(403).json({ error: 'Unauthorized - MD access not configured' });
+    const { resolveRange, getBrief } = await import('./lib/analytics.js');
+    const range = resolveRange({ period: req.query.period, from: req.query.from, to: req.query.to });
+    if (!range) {
+      return res.status(400).json({
+        error: 'Invalid period - use period=today|yesterday|week|month, or from/to as YYYY-MM-DD (up to a year, not in the future)'
+      });
     }
     
-    // Import getDailyBrief dynamically to avoid circular imports
-    const { getDailyBrief } = await import('./lib/supabase.js');
-    const briefData = await getDailyBrief();
+    const brief = await getBrief(range, { location });
+    if (!brief) {
+      return res.status(503).json({ error: 'Analytics unavailable' });
+    }
+    
+    const { getNoShowStats } = await import('./lib/attendance.js');
+    const describe = ({ startDate, endDate, start, end }) => ({ from: startDate, to: endDate, start, end });
     
     res.json({
-      date: new Date().toISOString().split('T')[0],
       clinic: env.CLINIC_NAME,
-      ...briefData
+      location,
+      timezone: env.CLINIC_TIMEZONE,
+      period: range.period || 'custom',
+      ...describe(range),
+      ...brief.current,
+      previous: { ...describe(brief.previousRange), ...brief.previous },
+      changes: brief.changes,
+      no_shows: await getNoShowStats({ location })
     });
     
   } catch (error) {
@@ -101,16 +209,17 @@ app.get('/api/md/brief', async (req, res) => {
   }
 });
 
-app.get('/api/md/followups', async (req, res) => {
+app.get('/api/md/followups', requirePermission('followups.manage'), async (req, res) => {
   try {
-    if (!env.MD_TELEGRAM_USER_ID) {
-      return res.status(403).json({ error: 'Unauthorized - MD access not configured' });
-    }
+    const location = await resolveLocationFilter(req, res);
+    if (location === undefined) return;
     
     const { getFollowupAppointments } = await import('./lib/supabase.js');
-    const followups = await getFollowupAppointments(20);
+    const followups = await getFollowupAppointments(20, { location });
+    await audit.recordAccess({ actor: audit.apiKeyActor(res.locals.apiKey), action: 'followups.view', channel: 'api', details: { location } }, followups);
     
     res.json({
+      location,
       count: followups.length,
       appointments: followups
     });
@@ -122,23 +231,19 @@ app.get('/api/md/followups', async (req, res) => {
 });
 
 // Appointments due today endpoint
-app.get('/api/appointments/due-today', async (req, res) => {
+app.get('/api/appointments/due-today', requirePermission('appointments.view'), async (req, res) => {
   try {
-    if (!env.MD_TELEGRAM_USER_ID) {
-      return res.status(403).json({ error: 'Unauthorized - MD access not configured' });
-    }
+    const { getAppointmentsScheduledBetween } = await import('./lib/supabase.js');
+    const { getDayRange } = await import('./lib/datetime.js');
     
-    const { getAppointmentsByStatus } = await import('./lib/supabase.js');
-    const pending = await getAppointmentsByStatus('pending');
-    
-    // Filter for today's appointments (basic implementation)
-    const today = new Date().toISOString().split('T')[0];
-    const todayAppointments = pending.filter(apt => 
-      apt.preferred_datetime && apt.preferred_datetime.includes(today)
-    );
+    // Today's boundaries in clinic-local time
+    const today = getDayRange(new Date(), env.CLINIC_TIMEZONE);
+    const todayAppointments = await getAppointmentsScheduledBetween(today.start, today.end);
+    await audit.recordAccess({ actor: audit.apiKeyActor(res.locals.apiKey), action: 'appointments.view', channel: 'api', details: { date: today.date } }, todayAppointments);
     
     res.json({
-      date: today,
+      date: today.date,
+      timezone: env.CLINIC_TIMEZONE,
       count: todayAppointments.length,
       appointments: todayAppointments
     });
@@ -149,6 +254,317 @@ app.get('/api/appointments/due-today', async (req, res) => {
   }
 });
 
+// Audit log, newest first (?from=YYYY-MM-DD, ?to=YYYY-MM-DD in clinic time, ?patient_id=, ?limit=, ?offset=)
+// Without dates it covers today, or all time when filtering by patient
+app.get('/api/md/audit', requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { from, to, patient_id: patientId } = req.query;
+    const { isDateString, toLocalDateString } = await import('./lib/datetime.js');
+    if ((from && !isDateString(from)) || (to && !isDateString(to)) || (from && to && to < from)) {
+      return res.status(400).json({ error: 'Invalid date range - use from/to as YYYY-MM-DD' });
+    }
+    if (patientId && !/^[0-9a-f-]{36}$/i.test(patientId)) {
+      return res.status(400).json({ error: 'Invalid patient_id' });
+    }
+    
+    const startDate = from || to || (patientId ? null : toLocalDateString(new Date(), env.CLINIC_TIMEZONE));
+    const endDate = to || startDate;
+    const range = startDate ? audit.getDateRange(startDate, endDate) : {};
+    const limit = audit.getPageSize(req.query.limit);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+    const entries = await audit.query({ ...range, patientId: patientId || null, limit, offset });
+    
+    res.json({
+      from: startDate,
+      to: endDate,
+      timezone: env.CLINIC_TIMEZONE,
+      patient_id: patientId || null,
+      limit,
+      offset,
+      count: entries.length,
+      entries
+    });
+    
+  } catch (error) {
+    console.error('Error in /api/md/audit:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// FAQ knowledge base: every entry (?category=), active or not, each with its ref and the Telegram preview
+app.get('/api/md/faqs', requirePermission('faq.manage'), async (req, res) => {
+  try {
+    const faq = await import('./lib/faq.js');
+    const { getFAQAnswerMessage } = await import('./lib/utils.js');
+    const category = req.query.category ? String(req.query.category).toLowerCase() : null;
+    const entries = await faq.listEntries({ category });
+    
+    res.json({
+      category,
+      count: entries.length,
+      faqs: entries.map(entry => ({ ref: faq.getRef(entry), ...entry, preview: getFAQAnswerMessage(entry.question, entry.answer) }))
+    });
+    
+  } catch (error) {
+    console.error('Error in /api/md/faqs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// How an entry would render in Telegram, without saving it ({ "question", "answer", ... } as for POST)
+app.post('/api/md/faqs/preview', requirePermission('faq.manage'), async (req, res) => {
+  try {
+    const { validateEntry } = await import('./lib/faq.js');
+    const { getFAQAnswerMessage } = await import('./lib/utils.js');
+    const { values, errors } = validateEntry(req.body || {});
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid FAQ entry', details: errors });
+    
+    res.json({ faq: values, preview: getFAQAnswerMessage(values.question, values.answer) });
+    
+  } catch (error) {
+    console.error('Error in /api/md/faqs/preview:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add an entry ({ "question", "answer", "keywords": [...] or "a, b", "category", "priority" })
+app.post('/api/md/faqs', requirePermission('faq.manage'), async (req, res) => {
+  try {
+    const faq = await import('./lib/faq.js');
+    const { getFAQAnswerMessage } = await import('./lib/utils.js');
+    const { values, errors } = faq.validateEntry(req.body || {});
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid FAQ entry', details: errors });
+    
+    const entry = await faq.createEntry(values);
+    if (!entry) return res.status(503).json({ error: 'Could not save the FAQ entry' });
+    
+    await audit.record({
+      actor: audit.apiKeyActor(res.locals.apiKey),
+      action: 'faq.create',
+      channel: 'api',
+      details: { faq_id: entry.id, question: entry.question, fields: Object.keys(values) }
+    });
+    
+    res.status(201).json({ faq: { ref: faq.getRef(entry), ...entry }, preview: getFAQAnswerMessage(entry.question, entry.answer) });
+    
+  } catch (error) {
+    console.error('Error in POST /api/md/faqs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change an entry by ID or ref: any of the POST fields, or { "is_active": false } to disable it
+app.patch('/api/md/faqs/:id', requirePermission('faq.manage'), async (req, res) => {
+  try {
+    const faq = await import('./lib/faq.js');
+    const { getFAQAnswerMessage } = await import('./lib/utils.js');
+    const existing = await faq.findEntry(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Unknown FAQ entry' });
+    
+    const { values, errors } = faq.validateEntry(req.body || {}, { partial: true });
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid FAQ entry', details: errors });
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ error: `Nothing to change - send any of ${[...faq.FIELDS, 'is_active'].join(', ')}` });
+    }
+    
+    const entry = await faq.updateEntry(existing.id, values);
+    if (!entry) return res.status(503).json({ error: 'Could not save the FAQ entry' });
+    
+    const action = values.is_active === undefined || Object.keys(values).length > 1
+      ? 'faq.update'
+      : values.is_active ? 'faq.enable' : 'faq.disable';
+    await audit.record({
+      actor: audit.apiKeyActor(res.locals.apiKey),
+      action,
+      channel: 'api',
+      details: { faq_id: entry.id, question: entry.question, fields: Object.keys(values) }
+    });
+    
+    res.json({ faq: { ref: faq.getRef(entry), ...entry }, preview: getFAQAnswerMessage(entry.question, entry.answer) });
+    
+  } catch (error) {
+    console.error('Error in PATCH /api/md/faqs/:id:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// iCalendar feeds per clinician or branch; the token travels in the URL because
+// calendar apps subscribing to a feed cannot send headers
+app.get('/api/calendar/:type(clinicians|locations)/:id.ics', async (req, res) => {
+  try {
+    if (!env.CALENDAR_FEED_SECRET) {
+      return res.status(403).json({ error: 'Unauthorized - calendar feeds not configured' });
+    }
+    
+    const ical = await import('./lib/ical.js');
+    const type = req.params.type === 'clinicians' ? 'clinician' : 'location';
+    const token = req.query.token || req.headers.authorization?.replace('Bearer ', '');
+    if (!ical.verifyFeedToken(type, req.params.id, token)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    const { getClinicians, getCalendarAppointments } = await import('./lib/supabase.js');
+    const { getLocation } = await import('./lib/locations.js');
+    
+    let name;
+    let filter;
+    if (type === 'clinician') {
+      const clinician = (await getClinicians()).find(item => item.id === req.params.id);
+      if (!clinician) return res.status(404).json({ error: 'Unknown clinician' });
+      name = `${env.CLINIC_NAME} – ${clinician.full_name}`;
+      filter = { clinicianId: clinician.id };
+    } else {
+      const branch = await getLocation(req.params.id);
+      if (!branch) return res.status(404).json({ error: 'Unknown location' });
+      name = `${env.CLINIC_NAME} – ${branch.name}`;
+      filter = { location: branch.code };
+    }
+    
+    const dayMs = 24 * 60 * 60 * 1000;
+    const appointments = await getCalendarAppointments(
+      new Date(Date.now() - ical.FEED_PAST_DAYS * dayMs),
+      new Date(Date.now() + ical.FEED_FUTURE_DAYS * dayMs),
+      filter
+    );
+    await audit.recordAccess({ actor: audit.feedTokenActor(type, req.params.id), action: 'calendar.feed', channel: 'api' }, appointments);
+    
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${req.params.type}-${req.params.id}.ics"`);
+    res.send(await ical.buildCalendar(appointments, { name, audience: 'staff' }));
+    
+  } catch (error) {
+    console.error('Error in /api/calendar:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Staff inbox: patient conversations for staff who are not on Telegram (API keys with inbox.manage)
+
+// Conversations by last activity (?status=open|handled, ?limit=, ?offset=)
+app.get('/api/inbox/conversations', requirePermission('inbox.manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['open', 'handled'].includes(status)) {
+      return res.status(400).json({ error: 'Unknown status', statuses: ['open', 'handled'] });
+    }
+    
+    const inbox = await import('./lib/inbox.js');
+    const limit = inbox.getPageSize(req.query.limit);
+    const offset = Math.max(parseInt(req.query.offset || '0', 10) || 0, 0);
+    const conversations = await inbox.listConversations({ status: status || null, limit, offset });
+    
+    res.json({
+      status: status || null,
+      limit,
+      offset,
+      count: conversations.length,
+      conversations
+    });
+    
+  } catch (error) {
+    console.error('Error in /api/inbox/conversations:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One patient's thread, oldest first (?limit=, ?before=<next_before from the previous page>)
+app.get('/api/inbox/conversations/:patientId/messages', requirePermission('inbox.manage'), async (req, res) => {
+  try {
+    const { before } = req.query;
+    if (before && isNaN(new Date(before).getTime())) {
+      return res.status(400).json({ error: 'Invalid before timestamp' });
+    }
+    
+    const inbox = await import('./lib/inbox.js');
+    const thread = await inbox.getThread(req.params.patientId, {
+      limit: inbox.getPageSize(req.query.limit),
+      before: before || null
+    });
+    if (!thread) return res.status(404).json({ error: 'Unknown conversation' });
+    
+    res.json({
+      ...thread,
+      count: thread.messages.length
+    });
+    
+  } catch (error) {
+    console.error('Error in /api/inbox/conversations/:patientId/messages:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reply to a patient; the bot delivers it to their Telegram chat ({ "text": "...", "staff_name": "..." })
+app.post('/api/inbox/conversations/:patientId/reply', requirePermission('inbox.manage'), async (req, res) => {
+  try {
+    const { sanitizeText } = await import('./lib/utils.js');
+    const text = sanitizeText(req.body?.text || '');
+    if (!text) return res.status(400).json({ error: 'Reply text is required' });
+    
+    const inbox = await import('./lib/inbox.js');
+    const result = await inbox.sendReply(bot.telegram, req.params.patientId, {
+      text,
+      staffName: sanitizeText(req.body?.staff_name || '')
+    });
+    
+    if (result.status === 'unknown') return res.status(404).json({ error: 'Unknown conversation' });
+    if (result.status === 'failed') return res.status(502).json({ error: 'Telegram delivery failed' });
+    
+    res.status(201).json({
+      delivered: true,
+      message: result.message
+    });
+    
+  } catch (error) {
+    console.error('Error in /api/inbox/conversations/:patientId/reply:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark a thread handled ({ "staff_name": "..." }); the patient's next message reopens it
+app.post('/api/inbox/conversations/:patientId/handled', requirePermission('inbox.manage'), async (req, res) => {
+  try {
+    const { sanitizeText } = await import('./lib/utils.js');
+    const inbox = await import('./lib/inbox.js');
+    const conversation = await inbox.markHandled(req.params.patientId, sanitizeText(req.body?.staff_name || ''));
+    if (!conversation) return res.status(404).json({ error: 'Unknown conversation' });
+    
+    res.json({ conversation });
+    
+  } catch (error) {
+    console.error('Error in /api/inbox/conversations/:patientId/handled:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Scheduled jobs (Vercel Cron or any external scheduler sending the cron secret)
+app.all('/api/cron/:job', async (req, res) => {
+  try {
+    if (!env.CRON_SECRET) {
+      return res.status(403).json({ error: 'Unauthorized - cron secret not configured' });
+    }
+    
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    if (!secureCompare(token, env.CRON_SECRET)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    
+    if (!getJobNames().includes(req.params.job)) {
+      return res.status(404).json({ error: 'Unknown job', jobs: getJobNames() });
+    }
+    
+    const result = await runJob(req.params.job, bot.telegram);
+    
+    res.json({
+      job: req.params.job,
+      ...result
+    });
+    
+  } catch (error) {
+    console.error(`Error in /api/cron/${req.params.job}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Catch-all for unmatched routes
 app.use('*', (req, res) => {
   res.status(404).json({ 
@@ -159,7 +575,23 @@ app.use('*', (req, res) => {
       'POST /api/telegram/webhook',
       'GET /api/md/brief',
       'GET /api/md/followups',
-      'GET /api/appointments/due-today'
+      'GET /api/appointments/due-today',
+      'GET /api/md/audit',
+      'GET /api/md/faqs',
+      'POST /api/md/faqs',
+      'POST /api/md/faqs/preview',
+      'PATCH /api/md/faqs/:id',
+      'GET /api/calendar/clinicians/:id.ics?token=',
+      'GET /api/calendar/locations/:code.ics?token=',
+      'GET /api/inbox/conversations',
+      'GET /api/inbox/conversations/:patientId/messages',
+      'POST /api/inbox/conversations/:patientId/reply',
+      'POST /api/inbox/conversations/:patientId/handled',
+      'GET /api/cron/reminders',
+      'GET /api/cron/waitlist',
+      'GET /api/cron/handoff',
+      'GET /api/cron/broadcasts',
+      'GET /api/cron/digest'
     ]
   });
 });
@@ -180,9 +612,14 @@ async function startServer() {
   try {
     // Set webhook if in production with base URL
     if (env.IS_WEBHOOK_MODE && bot) {
+      const secret = webhook.getWebhookSecret();
+      if (!webhook.isValidSecret(secret)) {
+        throw new Error('TELEGRAM_WEBHOOK_SECRET may only contain A-Z, a-z, 0-9, _ and - (up to 256 characters)');
+      }
+      
       console.log(`🔗 Setting webhook to: ${env.WEBHOOK_URL}`);
-      await bot.telegram.setWebhook(env.WEBHOOK_URL);
-      console.log('✅ Webhook configured successfully');
+      await bot.telegram.setWebhook(env.WEBHOOK_URL, { secret_token: secret });
+      console.log('✅ Webhook configured successfully (secret token registered)');
     } else {
       console.log('📡 Skipping webhook setup (using polling mode)');
     }
@@ -200,9 +637,13 @@ async function startServer() {
       console.log(`💚 Health check: http://localhost:${PORT}/api/health`);
     });
     
+    // Background jobs (skipped on serverless, where /api/cron/* is used)
+    startScheduler(bot.telegram);
+    
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('🛑 SIGTERM received, shutting down gracefully');
+      stopScheduler();
       server.close(() => {
         console.log('✅ Server closed');
         process.exit(0);
@@ -211,6 +652,7 @@ async function startServer() {
     
     process.on('SIGINT', () => {
       console.log('🛑 SIGINT received, shutting down gracefully');
+      stopScheduler();
       server.close(() => {
         console.log('✅ Server closed');
         process.exit(0);
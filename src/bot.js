@@ -1,7 +1,8 @@
 import { initializeEnv } from '../api/config/env.js';
 import { initializeSupabase } from '../api/lib/supabase.js';
-import { initializeGemini } from '../api/lib/llm.js';
+import { initializeLLM } from '../api/lib/llm.js';
 import { createTelegramBot } from '../api/routes/telegram.js';
+import { startScheduler, stopScheduler } from '../api/lib/scheduler.js';
 
 /**
  * Local Development Bot (Polling Mode)
@@ -14,7 +15,7 @@ async function startBot() {
   // Initialize environment and services
   const env = initializeEnv();
   initializeSupabase();
-  initializeGemini();
+  initializeLLM();
   
   if (!env.TELEGRAM_BOT_TOKEN) {
     console.error('❌ TELEGRAM_BOT_TOKEN not configured');
@@ -26,6 +27,9 @@ async function startBot() {
     // Create bot instance
     const bot = createTelegramBot();
     
+    // Appointment reminders and other background jobs
+    startScheduler(bot.telegram);
+    
     // Start polling
     console.log('📡 Starting polling...');
     await bot.launch();
@@ -38,11 +42,13 @@ async function startBot() {
     // Graceful shutdown
     process.once('SIGINT', () => {
       console.log('\n🛑 Stopping bot...');
+      stopScheduler();
       bot.stop('SIGINT');
     });
     
     process.once('SIGTERM', () => {
       console.log('\n🛑 Stopping bot...');
+      stopScheduler();
       bot.stop('SIGTERM');
     });
     
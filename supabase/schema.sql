@@ -5,9 +5,12 @@
 ALTER DATABASE postgres SET row_security = on;
 
 -- Create custom types
-CREATE TYPE appointment_status AS ENUM ('pending', 'confirmed', 'cancelled', 'completed', 'rescheduled');
+CREATE TYPE appointment_status AS ENUM ('pending', 'confirmed', 'cancelled', 'completed', 'rescheduled', 'no_show');
 CREATE TYPE message_channel AS ENUM ('telegram', 'whatsapp', 'web', 'phone');
 
+-- Types created before no-shows were tracked
+ALTER TYPE appointment_status ADD VALUE IF NOT EXISTS 'no_show';
+
 -- =====================================================
 -- PATIENTS TABLE
 -- =====================================================
@@ -29,6 +32,7 @@ CREATE TABLE IF NOT EXISTS patients (
     consent_opt_in BOOLEAN DEFAULT true,
     consent_date TIMESTAMPTZ DEFAULT NOW(),
     data_retention_date TIMESTAMPTZ,
+    bot_blocked_at TIMESTAMPTZ, -- Set when a broadcast finds the patient blocked the bot; cleared when they write again
     
     -- Metadata
     channel message_channel NOT NULL DEFAULT 'telegram',
@@ -40,6 +44,9 @@ CREATE TABLE IF NOT EXISTS patients (
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Tables created before broadcasts tracked blocked patients
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS bot_blocked_at TIMESTAMPTZ;
+
 -- Indexes for patients
 CREATE INDEX IF NOT EXISTS idx_patients_telegram_user_id ON patients(telegram_user_id);
 CREATE INDEX IF NOT EXISTS idx_patients_external_id ON patients(external_id);
@@ -47,6 +54,131 @@ CREATE INDEX IF NOT EXISTS idx_patients_channel ON patients(channel);
 CREATE INDEX IF NOT EXISTS idx_patients_consent ON patients(consent_opt_in);
 CREATE INDEX IF NOT EXISTS idx_patients_created_at ON patients(created_at);
 
+-- =====================================================
+-- LOCATIONS TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS locations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    
+    -- Branch Information
+    code TEXT UNIQUE NOT NULL, -- Short code used in bookings, e.g., "karu"
+    name TEXT NOT NULL, -- Display name, e.g., "Karu, Abuja"
+    address TEXT,
+    map_url TEXT,
+    phone TEXT,
+    hours TEXT, -- Display text, e.g., "Mon–Sat 8am–6pm"
+    services TEXT[] DEFAULT ARRAY['mental_health', 'substance_use', 'general'], -- Service codes offered
+    
+    -- Configuration
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for locations
+CREATE INDEX IF NOT EXISTS idx_locations_active ON locations(is_active);
+
+-- Whole days a branch (or every branch) is closed, on top of public holidays
+CREATE TABLE IF NOT EXISTS clinic_closures (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    location TEXT REFERENCES locations(code) ON UPDATE CASCADE ON DELETE CASCADE, -- NULL = all branches
+    starts_on DATE NOT NULL, -- Clinic-local dates, inclusive
+    ends_on DATE NOT NULL,
+    reason TEXT,
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (ends_on >= starts_on)
+);
+
+-- Indexes for clinic_closures
+CREATE INDEX IF NOT EXISTS idx_clinic_closures_dates ON clinic_closures(starts_on, ends_on);
+
+-- =====================================================
+-- CLINICIANS TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS clinicians (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    
+    -- Clinician Information
+    full_name TEXT NOT NULL,
+    telegram_user_id BIGINT UNIQUE, -- For assignment notifications and /my_schedule
+    specialties TEXT[] NOT NULL DEFAULT ARRAY['general'], -- Service codes: mental_health, substance_use, general
+    
+    -- Configuration
+    max_daily_appointments INTEGER, -- NULL = no limit
+    is_active BOOLEAN DEFAULT true,
+    
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for clinicians
+CREATE INDEX IF NOT EXISTS idx_clinicians_active ON clinicians(is_active);
+CREATE INDEX IF NOT EXISTS idx_clinicians_specialties ON clinicians USING GIN(specialties);
+
+-- Working days per branch (one row per clinician, branch and weekday)
+CREATE TABLE IF NOT EXISTS clinician_schedules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    clinician_id UUID NOT NULL REFERENCES clinicians(id) ON DELETE CASCADE,
+    location TEXT NOT NULL REFERENCES locations(code) ON UPDATE CASCADE,
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6), -- 0 = Sunday
+    
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    
+    UNIQUE(clinician_id, location, weekday)
+);
+
+-- Indexes for clinician_schedules
+CREATE INDEX IF NOT EXISTS idx_clinician_schedules_location_weekday ON clinician_schedules(location, weekday);
+
+-- =====================================================
+-- STAFF MEMBERS TABLE
+-- =====================================================
+
+-- Staff allowed to use admin commands, and their role
+-- The MD in MD_TELEGRAM_USER_ID always has the md role and does not need a row
+CREATE TABLE IF NOT EXISTS staff_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    telegram_user_id BIGINT NOT NULL UNIQUE,
+    full_name TEXT,
+    role TEXT NOT NULL CHECK (role IN ('md', 'clinician', 'front_desk', 'viewer')),
+    is_active BOOLEAN DEFAULT true, -- false once removed with /staff_remove (kept for history)
+    
+    added_by TEXT,
+    removed_by TEXT,
+    removed_at TIMESTAMPTZ,
+    
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for staff_members
+CREATE INDEX IF NOT EXISTS idx_staff_members_role ON staff_members(role) WHERE is_active;
+
+-- API keys for the admin HTTP endpoints (only a SHA-256 hash of each key is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL UNIQUE, -- First characters of the key, shown in /md_apikey and used to find it
+    key_hash TEXT NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT '{}', -- Permissions from lib/roles.js, e.g. analytics.view
+    
+    expires_at TIMESTAMPTZ NOT NULL,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    revoked_by TEXT,
+    
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- =====================================================
 -- APPOINTMENTS TABLE
 -- =====================================================
@@ -66,17 +198,35 @@ CREATE TABLE IF NOT EXISTS appointments (
     telegram_user_id BIGINT,
     telegram_chat_id BIGINT,
     raw_request TEXT, -- Original booking text
+    service TEXT, -- mental_health, substance_use, general
+    location TEXT REFERENCES locations(code) ON UPDATE CASCADE, -- Branch code, e.g., "galadinmawa"
+    status_reason TEXT, -- Why the patient cancelled or rescheduled
+    clinician_id UUID REFERENCES clinicians(id) ON DELETE SET NULL, -- Assigned practitioner
+    assigned_at TIMESTAMPTZ,
     
     -- Staff Notes
     staff_notes TEXT DEFAULT '',
     confirmation_sent BOOLEAN DEFAULT false,
     reminder_sent BOOLEAN DEFAULT false,
+    attendance_confirmed_at TIMESTAMPTZ, -- Patient tapped "I'll attend" on a reminder
+    outcome_recorded_at TIMESTAMPTZ, -- When staff marked the visit completed or no-show
+    outcome_recorded_by TEXT,
     
     -- Timestamps
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Tables created before the booking wizard, branches, clinicians, reminders and visit outcomes
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS service TEXT;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS location TEXT REFERENCES locations(code) ON UPDATE CASCADE;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS status_reason TEXT;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS clinician_id UUID REFERENCES clinicians(id) ON DELETE SET NULL;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS attendance_confirmed_at TIMESTAMPTZ;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS outcome_recorded_at TIMESTAMPTZ;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS outcome_recorded_by TEXT;
+
 -- Indexes for appointments
 CREATE INDEX IF NOT EXISTS idx_appointments_patient_id ON appointments(patient_id);
 CREATE INDEX IF NOT EXISTS idx_appointments_status ON appointments(status);
@@ -85,6 +235,8 @@ CREATE INDEX IF NOT EXISTS idx_appointments_telegram_user_id ON appointments(tel
 CREATE INDEX IF NOT EXISTS idx_appointments_scheduled_datetime ON appointments(scheduled_datetime);
 CREATE INDEX IF NOT EXISTS idx_appointments_created_at ON appointments(created_at);
 CREATE INDEX IF NOT EXISTS idx_appointments_updated_at ON appointments(updated_at);
+CREATE INDEX IF NOT EXISTS idx_appointments_location ON appointments(location);
+CREATE INDEX IF NOT EXISTS idx_appointments_clinician_id ON appointments(clinician_id);
 
 -- =====================================================
 -- CHAT LOGS TABLE
@@ -107,14 +259,20 @@ CREATE TABLE IF NOT EXISTS chat_logs (
     
     -- Source
     channel message_channel NOT NULL DEFAULT 'telegram',
+    direction TEXT NOT NULL DEFAULT 'inbound' CHECK (direction IN ('inbound', 'outbound')), -- outbound = staff reply sent through the inbox
     
     -- Metadata
     metadata JSONB DEFAULT '{}',
+    flags TEXT[] NOT NULL DEFAULT '{}', -- What the bot did with the message: emergency, llm_fallback, faq
     
     -- Timestamps
     timestamp TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Tables created before the staff inbox and message flags
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS direction TEXT NOT NULL DEFAULT 'inbound' CHECK (direction IN ('inbound', 'outbound'));
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS flags TEXT[] NOT NULL DEFAULT '{}';
+
 -- Indexes for chat_logs
 CREATE INDEX IF NOT EXISTS idx_chat_logs_patient_id ON chat_logs(patient_id);
 CREATE INDEX IF NOT EXISTS idx_chat_logs_telegram_user_id ON chat_logs(telegram_user_id);
@@ -122,6 +280,32 @@ CREATE INDEX IF NOT EXISTS idx_chat_logs_channel ON chat_logs(channel);
 CREATE INDEX IF NOT EXISTS idx_chat_logs_message_type ON chat_logs(message_type);
 CREATE INDEX IF NOT EXISTS idx_chat_logs_timestamp ON chat_logs(timestamp);
 CREATE INDEX IF NOT EXISTS idx_chat_logs_date ON chat_logs(DATE(timestamp));
+CREATE INDEX IF NOT EXISTS idx_chat_logs_patient_timestamp ON chat_logs(patient_id, timestamp DESC);
+
+-- One row per patient conversation for the staff inbox (latest activity and whether it was handled)
+CREATE TABLE IF NOT EXISTS conversations (
+    patient_id UUID PRIMARY KEY REFERENCES patients(id) ON DELETE CASCADE,
+    telegram_user_id BIGINT,
+    telegram_chat_id BIGINT NOT NULL,
+    
+    -- Latest Message
+    last_message_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_message_text TEXT DEFAULT '',
+    last_direction TEXT NOT NULL DEFAULT 'inbound' CHECK (last_direction IN ('inbound', 'outbound')),
+    
+    -- State (a new patient message reopens a handled conversation)
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'handled')),
+    handled_at TIMESTAMPTZ,
+    handled_by TEXT,
+    
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for conversations
+CREATE INDEX IF NOT EXISTS idx_conversations_last_message_at ON conversations(last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversations_status ON conversations(status, last_message_at DESC);
 
 -- =====================================================
 -- KNOWLEDGE BASE FAQ TABLE
@@ -187,16 +371,325 @@ CREATE INDEX IF NOT EXISTS idx_message_templates_name ON message_templates(name)
 CREATE INDEX IF NOT EXISTS idx_message_templates_category ON message_templates(category);
 CREATE INDEX IF NOT EXISTS idx_message_templates_active ON message_templates(is_active);
 
+-- =====================================================
+-- WAITLIST TABLES
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    patient_id UUID REFERENCES patients(id) ON DELETE CASCADE,
+    
+    -- Request
+    full_name TEXT NOT NULL,
+    telegram_user_id BIGINT,
+    telegram_chat_id BIGINT,
+    service TEXT,
+    location TEXT REFERENCES locations(code) ON UPDATE CASCADE, -- NULL = any branch
+    windows JSONB NOT NULL DEFAULT '[]', -- Acceptable times: [{"start": "...", "end": "..."}]
+    
+    -- State
+    status TEXT NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'booked', 'expired', 'cancelled')),
+    appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL, -- Set once an offer is accepted
+    expires_at TIMESTAMPTZ NOT NULL, -- End of the latest window
+    
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for waitlist_entries
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_status_created ON waitlist_entries(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_patient_id ON waitlist_entries(patient_id);
+
+-- Freed slots offered to waitlisted patients (one row per offer, so a slot moves down the list)
+CREATE TABLE IF NOT EXISTS waitlist_offers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entry_id UUID NOT NULL REFERENCES waitlist_entries(id) ON DELETE CASCADE,
+    
+    -- Offered Slot
+    slot_start TIMESTAMPTZ NOT NULL,
+    location TEXT,
+    
+    -- State
+    status TEXT NOT NULL DEFAULT 'offered' CHECK (status IN ('offered', 'accepted', 'declined', 'expired')),
+    expires_at TIMESTAMPTZ NOT NULL,
+    responded_at TIMESTAMPTZ,
+    telegram_message_id BIGINT, -- Offer message, so its buttons can be removed on expiry
+    
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for waitlist_offers
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_status_expires ON waitlist_offers(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_slot ON waitlist_offers(slot_start, location);
+
+-- =====================================================
+-- SUPPORT TICKET TABLES
+-- =====================================================
+
+-- Conversations handed off from the bot to a human in the staff group
+CREATE TABLE IF NOT EXISTS support_tickets (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    patient_id UUID REFERENCES patients(id) ON DELETE CASCADE,
+    
+    -- Patient
+    full_name TEXT NOT NULL,
+    telegram_user_id BIGINT NOT NULL,
+    telegram_chat_id BIGINT NOT NULL,
+    
+    -- State
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('queued', 'open', 'claimed', 'closed')), -- queued = opened out of hours
+    queued_until TIMESTAMPTZ, -- Next clinic opening, when queued
+    claimed_by_telegram_id BIGINT, -- Staff member who owns the conversation
+    claimed_by_name TEXT,
+    claimed_at TIMESTAMPTZ,
+    closed_by TEXT,
+    closed_at TIMESTAMPTZ,
+    group_message_id BIGINT, -- Ticket header in the staff group
+    
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Tables created before out-of-hours tickets were queued
+ALTER TABLE support_tickets ADD COLUMN IF NOT EXISTS queued_until TIMESTAMPTZ;
+ALTER TABLE support_tickets DROP CONSTRAINT IF EXISTS support_tickets_status_check;
+ALTER TABLE support_tickets ADD CONSTRAINT support_tickets_status_check
+    CHECK (status IN ('queued', 'open', 'claimed', 'closed'));
+DROP INDEX IF EXISTS idx_support_tickets_active_user;
+
+-- Indexes for support_tickets (one active ticket per patient)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_support_tickets_active_user ON support_tickets(telegram_user_id) WHERE status IN ('queued', 'open', 'claimed');
+CREATE INDEX IF NOT EXISTS idx_support_tickets_status ON support_tickets(status);
+
+-- Staff group messages that belong to a ticket, so a reply to any of them reaches the patient
+CREATE TABLE IF NOT EXISTS support_ticket_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    ticket_id UUID NOT NULL REFERENCES support_tickets(id) ON DELETE CASCADE,
+    group_message_id BIGINT NOT NULL,
+    direction TEXT NOT NULL CHECK (direction IN ('header', 'patient', 'staff')),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for support_ticket_messages
+CREATE INDEX IF NOT EXISTS idx_support_ticket_messages_group_message ON support_ticket_messages(group_message_id);
+
+-- =====================================================
+-- BROADCAST TABLES
+-- =====================================================
+
+-- Announcements sent by the MD to a group of patients with /md_broadcast
+CREATE TABLE IF NOT EXISTS broadcasts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    
+    -- Content
+    message_text TEXT NOT NULL DEFAULT '', -- Photo caption when photo_file_id is set
+    photo_file_id TEXT, -- Telegram file ID
+    
+    -- Audience
+    audience TEXT NOT NULL CHECK (audience IN ('all', 'branch', 'upcoming')),
+    location TEXT REFERENCES locations(code) ON UPDATE CASCADE, -- For the branch audience
+    
+    -- Delivery
+    status TEXT NOT NULL DEFAULT 'preparing' CHECK (status IN ('preparing', 'sending', 'completed', 'failed')),
+    recipient_count INTEGER NOT NULL DEFAULT 0,
+    delivered_count INTEGER NOT NULL DEFAULT 0,
+    blocked_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    skipped_count INTEGER NOT NULL DEFAULT 0, -- Opted out after the broadcast was queued
+    
+    -- Sender (gets the delivery report)
+    created_by TEXT,
+    report_chat_id BIGINT,
+    
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+-- Indexes for broadcasts
+CREATE INDEX IF NOT EXISTS idx_broadcasts_status ON broadcasts(status);
+
+-- One row per patient a broadcast goes to
+CREATE TABLE IF NOT EXISTS broadcast_recipients (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    broadcast_id UUID NOT NULL REFERENCES broadcasts(id) ON DELETE CASCADE,
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    telegram_chat_id BIGINT NOT NULL,
+    
+    -- Delivery
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'delivered', 'blocked', 'failed', 'skipped')),
+    error TEXT,
+    claimed_at TIMESTAMPTZ, -- When a run took the recipient for sending
+    sent_at TIMESTAMPTZ,
+    
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (broadcast_id, patient_id)
+);
+
+-- Tables created before recipients recorded when they were claimed
+ALTER TABLE broadcast_recipients ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ;
+
+-- Indexes for broadcast_recipients
+CREATE INDEX IF NOT EXISTS idx_broadcast_recipients_status ON broadcast_recipients(broadcast_id, status);
+
+-- =====================================================
+-- DAILY DIGEST TABLES
+-- =====================================================
+
+-- Staff choices for the morning digest (the MD receives it unless they turn it off)
+CREATE TABLE IF NOT EXISTS digest_subscriptions (
+    telegram_user_id BIGINT PRIMARY KEY,
+    subscribed BOOLEAN NOT NULL DEFAULT true,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One digest per person per clinic day, even with several schedulers running
+CREATE TABLE IF NOT EXISTS digest_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    digest_date DATE NOT NULL, -- Clinic-local date the digest is for
+    telegram_user_id BIGINT NOT NULL,
+    
+    -- Delivery
+    claimed_at TIMESTAMPTZ DEFAULT NOW(),
+    sent_at TIMESTAMPTZ,
+    error TEXT,
+    
+    UNIQUE (digest_date, telegram_user_id)
+);
+
+-- =====================================================
+-- AUDIT LOG TABLE
+-- =====================================================
+
+-- Append-only record of admin commands, admin API calls, patient data access and consent changes
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    
+    -- Actor
+    actor_type TEXT NOT NULL CHECK (actor_type IN ('staff', 'patient', 'api_key', 'staff_inbox', 'feed_token', 'anonymous', 'system')),
+    actor_id TEXT, -- Telegram user ID, API key prefix, calendar feed (e.g., "location:karu") or client address
+    actor_name TEXT,
+    
+    -- Action
+    action TEXT NOT NULL, -- e.g., "staff.add", "followups.view", "GET /api/md/brief"
+    channel TEXT NOT NULL CHECK (channel IN ('bot', 'api')),
+    
+    -- Target (no foreign keys, so entries outlive the records they mention)
+    patient_id UUID,
+    appointment_id UUID,
+    details JSONB DEFAULT '{}',
+    
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Tables created before calendar feed reads were recorded
+ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_actor_type_check;
+ALTER TABLE audit_log ADD CONSTRAINT audit_log_actor_type_check
+    CHECK (actor_type IN ('staff', 'patient', 'api_key', 'staff_inbox', 'feed_token', 'anonymous', 'system'));
+
+-- Indexes for audit_log
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_patient_created ON audit_log(patient_id, created_at DESC);
+
+-- =====================================================
+-- CONVERSATION SESSIONS TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS conversation_sessions (
+    telegram_user_id BIGINT PRIMARY KEY,
+    
+    -- Flow State
+    flow TEXT NOT NULL, -- e.g., "booking_confirm"
+    data JSONB DEFAULT '{}',
+    
+    -- Timestamps
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for conversation_sessions
+CREATE INDEX IF NOT EXISTS idx_conversation_sessions_expires_at ON conversation_sessions(expires_at);
+
+-- =====================================================
+-- APPOINTMENT REMINDERS TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    appointment_id UUID REFERENCES appointments(id) ON DELETE CASCADE,
+    window_hours NUMERIC NOT NULL, -- e.g., 24 or 2 hours before the appointment
+    scheduled_datetime TIMESTAMPTZ NOT NULL, -- Appointment time the reminder was for
+    
+    -- Delivery
+    claimed_at TIMESTAMPTZ DEFAULT NOW(),
+    sent_at TIMESTAMPTZ,
+    error TEXT
+);
+
+-- Tables created before reminders were keyed by appointment time
+ALTER TABLE appointment_reminders ADD COLUMN IF NOT EXISTS scheduled_datetime TIMESTAMPTZ;
+ALTER TABLE appointment_reminders DROP CONSTRAINT IF EXISTS appointment_reminders_appointment_id_window_hours_key;
+
+-- One reminder per appointment time per window, even with several schedulers running;
+-- a rescheduled appointment gets its reminders again
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointment_reminders_claim ON appointment_reminders(appointment_id, scheduled_datetime, window_hours);
+
+-- Indexes for appointment_reminders
+CREATE INDEX IF NOT EXISTS idx_appointment_reminders_appointment_id ON appointment_reminders(appointment_id);
+
+-- =====================================================
+-- SLOT HOLDS TABLE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS slot_holds (
+    telegram_user_id BIGINT PRIMARY KEY, -- One hold per patient
+    
+    -- Held Slot
+    location TEXT NOT NULL,
+    slot_start TIMESTAMPTZ NOT NULL,
+    
+    -- Timestamps
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for slot_holds
+CREATE INDEX IF NOT EXISTS idx_slot_holds_slot_start ON slot_holds(slot_start);
+CREATE INDEX IF NOT EXISTS idx_slot_holds_expires_at ON slot_holds(expires_at);
+
 -- =====================================================
 -- ROW LEVEL SECURITY (RLS) POLICIES
 -- =====================================================
 
 -- Enable RLS on all tables
+ALTER TABLE locations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE clinicians ENABLE ROW LEVEL SECURITY;
+ALTER TABLE clinician_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE staff_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
 ALTER TABLE patients ENABLE ROW LEVEL SECURITY;
 ALTER TABLE appointments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE chat_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
 ALTER TABLE kb_faq ENABLE ROW LEVEL SECURITY;
 ALTER TABLE message_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE slot_holds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE appointment_reminders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE clinic_closures ENABLE ROW LEVEL SECURITY;
+ALTER TABLE waitlist_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE waitlist_offers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE support_tickets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE support_ticket_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE broadcasts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE broadcast_recipients ENABLE ROW LEVEL SECURITY;
+ALTER TABLE digest_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE digest_deliveries ENABLE ROW LEVEL SECURITY;
 
 -- Patients policies
 CREATE POLICY "Service role can manage patients" ON patients
@@ -231,6 +724,9 @@ CREATE POLICY "Users can view their own chat logs" ON chat_logs
         )
     );
 
+CREATE POLICY "Service role can manage conversations" ON conversations
+    FOR ALL USING (auth.role() = 'service_role');
+
 -- KB FAQ policies (read-only for authenticated users)
 CREATE POLICY "Service role can manage FAQ" ON kb_faq
     FOR ALL USING (auth.role() = 'service_role');
@@ -238,10 +734,81 @@ CREATE POLICY "Service role can manage FAQ" ON kb_faq
 CREATE POLICY "Authenticated users can read active FAQ" ON kb_faq
     FOR SELECT USING (is_active = true);
 
+-- Locations policies (read-only for authenticated users)
+CREATE POLICY "Service role can manage locations" ON locations
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Authenticated users can read active locations" ON locations
+    FOR SELECT USING (is_active = true);
+
+-- Clinician policies (service role only)
+CREATE POLICY "Service role can manage clinicians" ON clinicians
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage clinician schedules" ON clinician_schedules
+    FOR ALL USING (auth.role() = 'service_role');
+
 -- Message templates policies (service role only)
 CREATE POLICY "Service role can manage templates" ON message_templates
     FOR ALL USING (auth.role() = 'service_role');
 
+-- Conversation sessions policies (service role only)
+CREATE POLICY "Service role can manage conversation sessions" ON conversation_sessions
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Slot holds policies (service role only)
+CREATE POLICY "Service role can manage slot holds" ON slot_holds
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Appointment reminders policies (service role only)
+CREATE POLICY "Service role can manage appointment reminders" ON appointment_reminders
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Staff member policies (service role only)
+CREATE POLICY "Service role can manage staff members" ON staff_members
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- API key policies (service role only)
+CREATE POLICY "Service role can manage api keys" ON api_keys
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Closure policies (service role only)
+CREATE POLICY "Service role can manage clinic closures" ON clinic_closures
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Waitlist policies (service role only)
+CREATE POLICY "Service role can manage waitlist entries" ON waitlist_entries
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage waitlist offers" ON waitlist_offers
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Support ticket policies (service role only)
+CREATE POLICY "Service role can manage support tickets" ON support_tickets
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage support ticket messages" ON support_ticket_messages
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage broadcasts" ON broadcasts
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage broadcast recipients" ON broadcast_recipients
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage digest subscriptions" ON digest_subscriptions
+    FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage digest deliveries" ON digest_deliveries
+    FOR ALL USING (auth.role() = 'service_role');
+
+-- Audit entries are written and read by the service role only (never updated or deleted, see below)
+CREATE POLICY "Service role can write audit log" ON audit_log
+    FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can read audit log" ON audit_log
+    FOR SELECT USING (auth.role() = 'service_role');
+
 -- =====================================================
 -- TRIGGERS FOR UPDATED_AT
 -- =====================================================
@@ -256,6 +823,15 @@ END;
 $$ language 'plpgsql';
 
 -- Create triggers
+CREATE TRIGGER update_locations_updated_at BEFORE UPDATE ON locations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_clinicians_updated_at BEFORE UPDATE ON clinicians
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_staff_members_updated_at BEFORE UPDATE ON staff_members
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_patients_updated_at BEFORE UPDATE ON patients
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -268,25 +844,58 @@ CREATE TRIGGER update_kb_faq_updated_at BEFORE UPDATE ON kb_faq
 CREATE TRIGGER update_message_templates_updated_at BEFORE UPDATE ON message_templates
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_conversation_sessions_updated_at BEFORE UPDATE ON conversation_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_waitlist_entries_updated_at BEFORE UPDATE ON waitlist_entries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_support_tickets_updated_at BEFORE UPDATE ON support_tickets
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_digest_subscriptions_updated_at BEFORE UPDATE ON digest_subscriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Keep the audit log append-only, even for the service role
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER prevent_audit_log_update_delete BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
 -- =====================================================
 -- SAMPLE DATA
 -- =====================================================
 
+-- Insert clinic branches (fill in street addresses and phone numbers in the dashboard)
+INSERT INTO locations (code, name, address, map_url, phone, hours, sort_order) VALUES
+('galadinmawa', 'Galadinmawa, Abuja', 'Galadinmawa, Abuja', 'https://maps.google.com/?q=Galadinmawa+Abuja', NULL, 'Mon–Sat 8am–6pm', 1),
+('karu', 'Karu, Abuja', 'Karu, Abuja', 'https://maps.google.com/?q=Karu+Abuja', NULL, 'Mon–Sat 8am–6pm', 2);
+
 -- Insert sample FAQ entries
 INSERT INTO kb_faq (question, answer, keywords, category, priority) VALUES
 ('What are your opening hours?', 'We are open Monday to Saturday from 8:00 AM to 6:00 PM. We are closed on Sundays and public holidays.', ARRAY['hours', 'open', 'time', 'schedule'], 'general', 10),
-('Where are you located?', 'We have two locations in Abuja: Galadinmawa and Karu. Please contact us for specific addresses and directions.', ARRAY['location', 'address', 'where', 'direction'], 'general', 10),
+('Where are you located?', 'We have two locations in Abuja: Galadinmawa and Karu. Type /locations for addresses, map links, phone numbers and opening hours.', ARRAY['location', 'address', 'where', 'direction'], 'general', 10),
 ('What services do you provide?', 'We specialize in mental health support, substance-use counseling, and general medical consultations.', ARRAY['services', 'treatment', 'help', 'medical'], 'services', 9),
-('How do I book an appointment?', 'You can book an appointment by sending us your full name and preferred date/time. For example: "John Doe, Friday 3pm". We will confirm availability and contact you.', ARRAY['book', 'appointment', 'schedule', 'booking'], 'appointments', 9),
+('How do I book an appointment?', 'You can book an appointment by sending us your full name and preferred date/time. For example: "John Doe, Friday 3pm". We will read back the time for you to confirm, then contact you.', ARRAY['book', 'appointment', 'schedule', 'booking'], 'appointments', 9),
 ('What payment methods do you accept?', 'We accept cash, bank transfers, and insurance. Please bring your insurance card if applicable.', ARRAY['payment', 'insurance', 'cost', 'money'], 'billing', 8),
 ('Do you handle emergencies?', 'For medical emergencies, please call emergency services (199 or 112) or go to the nearest hospital. Our clinic provides regular consultations during business hours.', ARRAY['emergency', 'urgent', 'crisis'], 'emergency', 10);
 
 -- Insert sample message templates
 INSERT INTO message_templates (name, template_text, category, variables) VALUES
 ('appointment_confirmation', 'Hello {{patient_name}}! Your appointment has been confirmed for {{appointment_time}} at {{clinic_name}}. Please arrive 15 minutes early. Contact us if you need to reschedule.', 'appointments', ARRAY['patient_name', 'appointment_time', 'clinic_name']),
-('appointment_reminder', 'Reminder: You have an appointment tomorrow at {{appointment_time}} with {{clinic_name}}. Please confirm your attendance by replying to this message.', 'appointments', ARRAY['appointment_time', 'clinic_name']),
-('welcome_message', 'Welcome to {{clinic_name}}! We are here to support your health and wellness journey. How can we assist you today?', 'general', ARRAY['clinic_name']),
-('emergency_response', 'This appears to be an emergency. Please call 199 or 112 immediately, or go to the nearest hospital. {{clinic_name}} is available for regular consultations during business hours.', 'emergency', ARRAY['clinic_name']);
+('appointment_reminder', 'Reminder: Hello {{patient_name}}, you have an appointment on {{appointment_time}} at {{clinic_name}} ({{location}}). Please let us know if you will attend using the buttons below.', 'appointments', ARRAY['patient_name', 'appointment_time', 'clinic_name', 'location']),
+('no_show_followup', 'Hello {{patient_name}}, we missed you at your appointment on {{appointment_time}} at {{clinic_name}}. We hope everything is okay. Would you like to book a new time?', 'appointments', ARRAY['patient_name', 'appointment_time', 'clinic_name']),
+('post_visit_followup', 'Thank you for visiting {{clinic_name}}, {{patient_name}}. We hope your appointment went well. If you have any questions or would like a follow-up visit, just reply here or book below.', 'appointments', ARRAY['patient_name', 'appointment_time', 'clinic_name']),
+('welcome_message', E'Hi, I''m SerenityBot for {{clinic_name}} ({{city}}).\n\n🏥 1) Book appointment\n❓ 2) FAQs\n👨‍⚕️ 3) Talk to staff\n\nYou can also send images, PDFs, voice notes or videos. I will reply in text.', 'general', ARRAY['clinic_name', 'city']),
+('emergency_response', E'🚨 **URGENT MEDICAL ATTENTION NEEDED**\n\nIf this is a medical emergency:\n• Call emergency services immediately: 199 or 112\n• Go to the nearest hospital emergency room\n\nFor mental health crisis:\n• National Mental Health Helpline: 080-963-4357\n\nOur clinic ({{clinic_name}}) is available 8am-6pm for urgent appointments.', 'emergency', ARRAY['clinic_name']);
 
 -- =====================================================
 -- STORAGE BUCKET POLICIES (if using Supabase Storage)
@@ -336,38 +945,71 @@ GRANT SELECT ON appointment_summary TO authenticated;
 -- FUNCTIONS FOR ANALYTICS
 -- =====================================================
 
--- Function to get daily brief
-CREATE OR REPLACE FUNCTION get_daily_brief(target_date DATE DEFAULT CURRENT_DATE)
+-- Replaced by get_brief_stats (UTC days, and a "faq" text match)
+DROP FUNCTION IF EXISTS get_daily_brief(DATE);
+
+-- Counts for the MD brief over [start_at, end_at), optionally for one branch's appointments
+-- Chat figures are clinic-wide and cover logged (consented) inbound messages only
+CREATE OR REPLACE FUNCTION get_brief_stats(start_at TIMESTAMPTZ, end_at TIMESTAMPTZ, branch TEXT DEFAULT NULL)
 RETURNS JSON AS $$
-DECLARE
-    result JSON;
-BEGIN
+    WITH period_chats AS (
+        SELECT patient_id, media_type, flags FROM chat_logs
+        WHERE timestamp >= start_at AND timestamp < end_at AND direction = 'inbound'
+    ),
+    period_patients AS (
+        -- New: first contact (patient row created) during the period
+        SELECT DISTINCT c.patient_id, p.created_at >= start_at AS is_new
+        FROM period_chats c
+        JOIN patients p ON p.id = c.patient_id
+    ),
+    period_bookings AS (
+        SELECT status::TEXT AS status, COUNT(*) AS total FROM appointments
+        WHERE created_at >= start_at AND created_at < end_at
+        AND (branch IS NULL OR location = branch)
+        GROUP BY status
+    ),
+    period_media AS (
+        SELECT media_type, COUNT(*) AS total FROM period_chats
+        WHERE media_type IS NOT NULL
+        GROUP BY media_type
+    )
     SELECT json_build_object(
-        'date', target_date,
-        'chats', (
-            SELECT COUNT(*) FROM chat_logs 
-            WHERE DATE(timestamp) = target_date
-        ),
-        'bookings', (
-            SELECT COUNT(*) FROM appointments 
-            WHERE DATE(created_at) = target_date AND status = 'pending'
+        'chats', (SELECT COUNT(*) FROM period_chats),
+        'active_patients', (SELECT COUNT(*) FROM period_patients),
+        'new_patients', (SELECT COUNT(*) FROM period_patients WHERE is_new),
+        'returning_patients', (SELECT COUNT(*) FROM period_patients WHERE NOT is_new),
+        'bookings', (SELECT COALESCE(SUM(total), 0) FROM period_bookings),
+        'bookings_by_status', (SELECT COALESCE(json_object_agg(status, total), '{}'::JSON) FROM period_bookings),
+        'cancellations', (
+            SELECT COUNT(*) FROM appointments
+            WHERE status = 'cancelled' AND updated_at >= start_at AND updated_at < end_at
+            AND (branch IS NULL OR location = branch)
         ),
-        'cancels', (
-            SELECT COUNT(*) FROM appointments 
-            WHERE DATE(updated_at) = target_date AND status = 'cancelled'
-        ),
-        'faqs', (
-            SELECT COUNT(*) FROM chat_logs 
-            WHERE DATE(timestamp) = target_date 
-            AND (message_text ILIKE '%faq%' OR message_text ILIKE '%question%')
-        )
-    ) INTO result;
-    
-    RETURN result;
-END;
-$$ LANGUAGE plpgsql SECURITY DEFINER;
+        'media', (SELECT COALESCE(SUM(total), 0) FROM period_media),
+        'media_by_type', (SELECT COALESCE(json_object_agg(media_type, total), '{}'::JSON) FROM period_media),
+        'emergencies', (SELECT COUNT(*) FROM period_chats WHERE 'emergency' = ANY(flags)),
+        'llm_fallbacks', (SELECT COUNT(*) FROM period_chats WHERE 'llm_fallback' = ANY(flags)),
+        'faqs', (SELECT COUNT(*) FROM period_chats WHERE 'faq' = ANY(flags))
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Only the server (service role) reads analytics
+REVOKE EXECUTE ON FUNCTION get_brief_stats FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_brief_stats TO service_role;
+
+-- =====================================================
+-- FUNCTIONS FOR THE KNOWLEDGE BASE
+-- =====================================================
+
+-- Count one use of an FAQ answer without a read-modify-write race
+CREATE OR REPLACE FUNCTION record_faq_use(faq_id UUID)
+RETURNS VOID AS $$
+    UPDATE kb_faq
+    SET usage_count = COALESCE(usage_count, 0) + 1, last_used = NOW()
+    WHERE id = faq_id;
+$$ LANGUAGE sql SECURITY DEFINER;
 
--- Grant execute permission
-GRANT EXECUTE ON FUNCTION get_daily_brief TO authenticated;
+REVOKE EXECUTE ON FUNCTION record_faq_use FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION record_faq_use TO service_role;
 
 COMMENT ON SCHEMA public IS 'SerenityCareAI Telegram Bot Database - Handles patient management, appointments, chat logging, and analytics with NDPR compliance and proper security policies.';
\ No newline at end of file